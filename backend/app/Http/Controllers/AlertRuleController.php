@@ -0,0 +1,100 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+
+class AlertRuleController extends Controller
+{
+    /**
+     * Maximum number of alert rules kept per user.
+     */
+    private const MAX_RULES = 50;
+
+    /**
+     * Conditions a rule can watch:
+     * - rain_probability: hourly rain probability (%) above threshold within the next `hours`
+     * - temperature_max: daily maximum temperature (°C) above threshold on `day` (0 = today)
+     * - temperature_min: daily minimum temperature (°C) below threshold on `day`
+     * - anomaly: a temperature anomaly is detected (no threshold)
+     */
+    private const RULE_TYPES = ['rain_probability', 'temperature_max', 'temperature_min', 'anomaly'];
+
+    /**
+     * Get the authenticated user's alert rules.
+     *
+     * @param  \Illuminate\Http\Request  $request
+     * @return \Illuminate\Http\JsonResponse
+     */
+    public function index(Request $request): JsonResponse
+    {
+        return response()->json([
+            'success' => true,
+            'rules' => $this->normalize($request->user()->alert_rules ?? []),
+        ]);
+    }
+
+    /**
+     * Replace the authenticated user's alert rules.
+     * The body is the complete new set of rules, up to MAX_RULES with distinct ids: rules it leaves
+     * out are deleted and an empty list removes them all. Only `anomaly` rules may omit the threshold.
+     *
+     * Expects JSON body: { "rules": [{ "id": "...", "type": "rain_probability", "threshold": 70, "hours": 6,
+     *   "day": null, "enabled": true, "location": { "name": "...", "lat": ..., "lon": ... } }] }
+     *
+     * @param  \Illuminate\Http\Request  $request
+     * @return \Illuminate\Http\JsonResponse
+     */
+    public function update(Request $request): JsonResponse
+    {
+        $validated = $request->validate([
+            'rules' => 'present|array|max:' . self::MAX_RULES,
+            'rules.*.id' => 'required|string|max:64|distinct',
+            'rules.*.type' => 'required|string|in:' . implode(',', self::RULE_TYPES),
+            'rules.*.threshold' => 'nullable|numeric|between:-100,100|required_unless:rules.*.type,anomaly',
+            'rules.*.hours' => 'nullable|integer|between:1,48',
+            'rules.*.day' => 'nullable|integer|between:0,6',
+            'rules.*.enabled' => 'required|boolean',
+            'rules.*.location.name' => 'required|string|max:100',
+            'rules.*.location.lat' => 'required|numeric|between:-90,90',
+            'rules.*.location.lon' => 'required|numeric|between:-180,180',
+        ]);
+
+        $rules = $this->normalize($validated['rules']);
+
+        $user = $request->user();
+        $user->alert_rules = $rules;
+        $user->save();
+
+        return response()->json([
+            'success' => true,
+            'rules' => $rules,
+        ]);
+    }
+
+    /**
+     * Keep only the known fields of each rule, with numeric values.
+     *
+     * @param  array  $rules
+     * @return array
+     */
+    private function normalize(array $rules): array
+    {
+        return array_values(array_map(function ($rule) {
+            return [
+                'id' => (string) $rule['id'],
+                'type' => $rule['type'],
+                'threshold' => isset($rule['threshold']) ? (float) $rule['threshold'] : null,
+                'hours' => isset($rule['hours']) ? (int) $rule['hours'] : null,
+                'day' => isset($rule['day']) ? (int) $rule['day'] : null,
+                'enabled' => (bool) $rule['enabled'],
+                'location' => [
+                    'name' => trim($rule['location']['name']),
+                    'lat' => (float) $rule['location']['lat'],
+                    'lon' => (float) $rule['location']['lon'],
+                ],
+            ];
+        }, $rules));
+    }
+}
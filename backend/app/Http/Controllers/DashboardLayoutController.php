@@ -0,0 +1,113 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+
+class DashboardLayoutController extends Controller
+{
+    /**
+     * Dashboard sections a layout can arrange, as rendered by the frontend.
+     */
+    private const SECTION_IDS = [
+        'stories',
+        'currentWeather',
+        'airQuality',
+        'astronomy',
+        'products',
+        'forecast',
+        'anomaly',
+        'recommendation',
+        'comparator',
+    ];
+
+    /**
+     * Widths a section can take in the dashboard grid.
+     */
+    private const SECTION_SIZES = ['full', 'half'];
+
+    /**
+     * Get the authenticated user's dashboard layout.
+     * `sections` is null when the user never customised the layout.
+     *
+     * @param  \Illuminate\Http\Request  $request
+     * @return \Illuminate\Http\JsonResponse
+     */
+    public function show(Request $request): JsonResponse
+    {
+        $layout = $request->user()->dashboard_layout;
+
+        return response()->json([
+            'success' => true,
+            'sections' => $layout ? $this->normalize($layout) : null,
+        ]);
+    }
+
+    /**
+     * Replace the authenticated user's dashboard layout.
+     * The array order is the display order of the sections.
+     *
+     * Expects JSON body: { "sections": [{ "id": "currentWeather", "hidden": false, "collapsed": false, "size": "full" }] }
+     *
+     * @param  \Illuminate\Http\Request  $request
+     * @return \Illuminate\Http\JsonResponse
+     */
+    public function update(Request $request): JsonResponse
+    {
+        $validated = $request->validate([
+            'sections' => 'present|array|max:' . count(self::SECTION_IDS),
+            'sections.*.id' => 'required|string|distinct|in:' . implode(',', self::SECTION_IDS),
+            'sections.*.hidden' => 'required|boolean',
+            'sections.*.collapsed' => 'required|boolean',
+            'sections.*.size' => 'required|string|in:' . implode(',', self::SECTION_SIZES),
+        ]);
+
+        $sections = $this->normalize($validated['sections']);
+
+        $user = $request->user();
+        $user->dashboard_layout = $sections;
+        $user->save();
+
+        return response()->json([
+            'success' => true,
+            'sections' => $sections,
+        ]);
+    }
+
+    /**
+     * Reset the authenticated user's dashboard layout to the default.
+     *
+     * @param  \Illuminate\Http\Request  $request
+     * @return \Illuminate\Http\JsonResponse
+     */
+    public function destroy(Request $request): JsonResponse
+    {
+        $user = $request->user();
+        $user->dashboard_layout = null;
+        $user->save();
+
+        return response()->json([
+            'success' => true,
+            'sections' => null,
+        ]);
+    }
+
+    /**
+     * Keep only the known fields of each section.
+     *
+     * @param  array  $sections
+     * @return array
+     */
+    private function normalize(array $sections): array
+    {
+        return array_values(array_map(function ($section) {
+            return [
+                'id' => $section['id'],
+                'hidden' => (bool) $section['hidden'],
+                'collapsed' => (bool) $section['collapsed'],
+                'size' => $section['size'],
+            ];
+        }, $sections));
+    }
+}
@@ -0,0 +1,78 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+
+class FavouriteLocationController extends Controller
+{
+    /**
+     * Maximum number of favourite locations kept per user.
+     */
+    private const MAX_FAVOURITES = 30;
+
+    /**
+     * Get the authenticated user's favourite locations, in display order.
+     *
+     * @param  \Illuminate\Http\Request  $request
+     * @return \Illuminate\Http\JsonResponse
+     */
+    public function index(Request $request): JsonResponse
+    {
+        return response()->json([
+            'success' => true,
+            'favourites' => $this->normalize($request->user()->favourite_locations ?? []),
+        ]);
+    }
+
+    /**
+     * Replace the authenticated user's favourite locations.
+     * The client always sends the full ordered list, so adding, renaming,
+     * reordering and removing all go through this single endpoint.
+     *
+     * Expects JSON body: { "favourites": [{ "id": "...", "name": "...", "lat": ..., "lon": ... }] }
+     *
+     * @param  \Illuminate\Http\Request  $request
+     * @return \Illuminate\Http\JsonResponse
+     */
+    public function update(Request $request): JsonResponse
+    {
+        $validated = $request->validate([
+            'favourites' => 'present|array|max:' . self::MAX_FAVOURITES,
+            'favourites.*.id' => 'required|string|max:64|distinct',
+            'favourites.*.name' => 'required|string|max:100',
+            'favourites.*.lat' => 'required|numeric|between:-90,90',
+            'favourites.*.lon' => 'required|numeric|between:-180,180',
+        ]);
+
+        $favourites = $this->normalize($validated['favourites']);
+
+        $user = $request->user();
+        $user->favourite_locations = $favourites;
+        $user->save();
+
+        return response()->json([
+            'success' => true,
+            'favourites' => $favourites,
+        ]);
+    }
+
+    /**
+     * Keep only the known fields of each favourite, with numeric coordinates.
+     *
+     * @param  array  $favourites
+     * @return array
+     */
+    private function normalize(array $favourites): array
+    {
+        return array_values(array_map(function ($favourite) {
+            return [
+                'id' => (string) $favourite['id'],
+                'name' => trim($favourite['name']),
+                'lat' => (float) $favourite['lat'],
+                'lon' => (float) $favourite['lon'],
+            ];
+        }, $favourites));
+    }
+}
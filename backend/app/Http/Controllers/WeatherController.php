@@ -5,7 +5,9 @@
 use Illuminate\Http\Request;
 use GuzzleHttp\Client;
 use GuzzleHttp\Exception\GuzzleException;
+use Illuminate\Support\Facades\Http;
 use Illuminate\Support\Facades\Log;
+use Illuminate\Http\Client\HttpClientException;
 use App\Services\ReverseGeocodeService;
 use App\Services\GeminiService;
 
@@ -20,6 +22,11 @@ public function __construct(GeminiService $geminiService, ReverseGeocodeService
         $this->reverseGeocodeService = $reverseGeocodeService;
     }
 
+    /**
+     * Maximum number of locations in one comparison request
+     */
+    private const MAX_COMPARISON_LOCATIONS = 6;
+
     /**
      * Weather code descriptions mapping (Vietnamese)
      */
@@ -43,8 +50,8 @@ public function __construct(GeminiService $geminiService, ReverseGeocodeService
         80 => 'Mưa rào nhẹ',
         81 => 'Mưa rào vừa',
         82 => 'Mưa rào dữ dội',
-        85 => 'Tuyết rơi nhẹ',
-        86 => 'Tuyết rơi nặng',
+        85 => 'Mưa tuyết nhẹ',
+        86 => 'Mưa tuyết nặng',
         95 => 'Giông bão',
         96 => 'Giông có mưa đá nhẹ',
         99 => 'Giông có mưa đá nặng',
@@ -53,6 +60,8 @@ public function __construct(GeminiService $geminiService, ReverseGeocodeService
     /**
      * Get comprehensive weather data for a location
      * Includes current weather, forecasts, anomaly detection, and recommendations
+     * location.name is the cached place name in the `language` query param (vi|en, default vi),
+     * or null when the coordinates were never reverse geocoded
      *
      * @param Request $request
      * @param float $lat Latitude
@@ -83,7 +92,7 @@ public function getWeatherData(Request $request, $lat, $lon)
             $params = [
                 'latitude' => $lat,
                 'longitude' => $lon,
-                'current' => 'temperature_2m,relative_humidity_2m,apparent_temperature,weather_code,wind_speed_10m,precipitation',
+                'current' => 'temperature_2m,relative_humidity_2m,apparent_temperature,weather_code,wind_speed_10m,precipitation,is_day',
                 'hourly' => 'temperature_2m,weather_code,precipitation_probability',
                 'daily' => 'weather_code,temperature_2m_max,temperature_2m_min,temperature_2m_mean,precipitation_sum,precipitation_probability_max,rain_sum,showers_sum,snowfall_sum,windspeed_10m_max,winddirection_10m_dominant,pressure_msl_max,pressure_msl_min,pressure_msl_mean,relative_humidity_2m_max,relative_humidity_2m_min,relative_humidity_2m_mean,uv_index_max,uv_index_clear_sky_max',
                 'timezone' => 'auto',
@@ -106,11 +115,12 @@ public function getWeatherData(Request $request, $lat, $lon)
                     'longitude' => $data['longitude'],
                     'timezone' => $data['timezone'],
                     'elevation' => $data['elevation'],
-                    'name' => $this->reverseGeocodeService->reverse((float)$lat, (float)$lon)
+                    'name' => $this->reverseGeocodeService->reverse((float)$lat, (float)$lon, $this->getRequestLanguage($request))
                 ],
                 'current_weather' => $this->processCurrentWeather($data['current']),
                 'hourly_forecast' => $this->processHourlyForecast($data['hourly']),
                 'daily_forecast' => $this->processDailyForecast($data['daily']),
+                'daily_history' => $this->processDailyHistory($data['daily']),
                 'anomaly' => $this->detectAnomaly($data['current'], $data['daily']),
                 'recommendation' => $this->generateRecommendation($data['current'], $data['daily'])
             ];
@@ -133,7 +143,11 @@ public function getWeatherData(Request $request, $lat, $lon)
     }
 
     /**
-     * Compare weather data between two locations
+     * Compare weather data between 2 and 6 locations
+     * Expects JSON body: { "locations": [{"lat": ..., "lon": ..., "name": "..."}, ...] }
+     * The legacy { "location1": {...}, "location2": {...} } body is still accepted
+     * and additionally returns location1, location2 and differences.
+     * Locations sent without a name get the cached place name in `language` (vi|en, default vi), or null.
      *
      * @param Request $request
      * @return \Illuminate\Http\JsonResponse
@@ -141,53 +155,82 @@ public function getWeatherData(Request $request, $lat, $lon)
     public function compareLocations(Request $request)
     {
         try {
+            $isLegacyRequest = !$request->has('locations') && $request->has(['location1', 'location2']);
+            if ($isLegacyRequest) {
+                $request->merge([
+                    'locations' => [$request->input('location1'), $request->input('location2')]
+                ]);
+            }
+
             // Validate request data
             $validated = $request->validate([
-                'location1' => 'required|array',
-                'location1.lat' => 'required|numeric|between:-90,90',
-                'location1.lon' => 'required|numeric|between:-180,180',
-                'location1.name' => 'sometimes|string',
-                'location2' => 'required|array',
-                'location2.lat' => 'required|numeric|between:-90,90',
-                'location2.lon' => 'required|numeric|between:-180,180',
-                'location2.name' => 'sometimes|string',
+                'locations' => 'required|array|min:2|max:' . self::MAX_COMPARISON_LOCATIONS,
+                'locations.*.lat' => 'required|numeric|between:-90,90',
+                'locations.*.lon' => 'required|numeric|between:-180,180',
+                'locations.*.name' => 'sometimes|nullable|string|max:255',
             ]);
 
-            $location1 = $validated['location1'];
-            $location2 = $validated['location2'];
+            $locations = array_values($validated['locations']);
+
+            // Fetch weather data for all locations concurrently
+            $client = new Client([
+                'timeout' => 15,
+                'verify' => false  // Disable SSL verification for development
+            ]);
+            $promises = [];
+            foreach ($locations as $index => $location) {
+                $promises[$index] = $client->getAsync('https://api.open-meteo.com/v1/forecast', [
+                    'query' => $this->getComparisonParams($location['lat'], $location['lon'])
+                ]);
+            }
+            $responses = \GuzzleHttp\Promise\Utils::settle($promises)->wait();
 
-            $location1Name = $location1['name'] ?? $this->reverseGeocodeService->reverse((float)$location1['lat'], (float)$location1['lon']);
-            $location2Name = $location2['name'] ?? $this->reverseGeocodeService->reverse((float)$location2['lat'], (float)$location2['lon']);
+            // Structure comparison data, in the order the locations were sent
+            $results = [];
+            foreach ($locations as $index => $location) {
+                if ($responses[$index]['state'] !== 'fulfilled') {
+                    throw $responses[$index]['reason'];
+                }
 
-            // Fetch weather data for both locations
-            $weather1 = $this->fetchWeatherForComparison($location1['lat'], $location1['lon']);
-            $weather2 = $this->fetchWeatherForComparison($location2['lat'], $location2['lon']);
+                $weather = $this->processComparisonWeather(
+                    json_decode($responses[$index]['value']->getBody(), true)
+                );
+
+                $results[] = [
+                    'name' => !empty($location['name'])
+                        ? $location['name']
+                        : $this->reverseGeocodeService->reverse(
+                            (float)$location['lat'],
+                            (float)$location['lon'],
+                            $this->getRequestLanguage($request)
+                        ),
+                    'coordinates' => ['lat' => (float)$location['lat'], 'lon' => (float)$location['lon']],
+                    'current_weather' => $weather['current_weather'],
+                    'daily_summary' => $weather['daily_summary'],
+                    'daily_forecast' => $weather['daily_forecast']
+                ];
+            }
 
-            // Structure comparison data
-            $comparison = [
-                'location1' => [
-                    'name' => $location1['name'] ?? "Location 1",
-                    'coordinates' => ['lat' => $location1['lat'], 'lon' => $location1['lon']],
-                    'current_weather' => $weather1['current_weather'],
-                    'daily_summary' => $weather1['daily_summary']
-                ],
-                'location2' => [
-                    'name' => $location2['name'] ?? "Location 2",
-                    'coordinates' => ['lat' => $location2['lat'], 'lon' => $location2['lon']],
-                    'current_weather' => $weather2['current_weather'],
-                    'daily_summary' => $weather2['daily_summary']
-                ],
-                'differences' => $this->calculateDifferences($weather1['current_weather'], $weather2['current_weather'])
-            ];
+            $comparison = ['locations' => $results];
+
+            if ($isLegacyRequest) {
+                $comparison['location1'] = $results[0];
+                $comparison['location2'] = $results[1];
+                $comparison['differences'] = $this->calculateDifferences(
+                    $results[0]['current_weather'],
+                    $results[1]['current_weather']
+                );
+            }
 
             return response()->json($comparison);
 
         } catch (\Illuminate\Validation\ValidationException $e) {
             return response()->json([
                 'error' => 'Validation failed',
-                'message' => $e->getMessage()
+                'message' => $e->getMessage(),
+                'errors' => $e->errors()
             ], 422);
-        } catch (\Exception $e) {
+        } catch (\Throwable $e) {
             Log::error('Location Comparison Error: ' . $e->getMessage());
             return response()->json([
                 'error' => 'Comparison failed',
@@ -206,61 +249,19 @@ public function compareLocations(Request $request)
      */
     public function getDetailedReport(Request $request, $lat, $lon)
     {
-        try {
-            // Validate coordinates
-            if (!is_numeric($lat) || !is_numeric($lon)) {
-                return response()->json([
-                    'error' => 'Invalid coordinates',
-                    'message' => 'Latitude and longitude must be numeric'
-                ], 400);
-            }
-
-            if ($lat < -90 || $lat > 90 || $lon < -180 || $lon > 180) {
-                return response()->json([
-                    'error' => 'Coordinates out of range',
-                    'message' => 'Invalid coordinate values'
-                ], 400);
-            }
-
-            // First, get the weather data
-            $apiUrl = "https://api.open-meteo.com/v1/forecast";
-            $params = [
-                'latitude' => $lat,
-                'longitude' => $lon,
-                'current' => 'temperature_2m,relative_humidity_2m,apparent_temperature,weather_code,wind_speed_10m,precipitation',
-                'hourly' => 'temperature_2m,weather_code,precipitation_probability',
-                'daily' => 'weather_code,temperature_2m_max,temperature_2m_min,uv_index_max,precipitation_sum',
-                'timezone' => 'auto',
-                'past_days' => 30,
-                'forecast_days' => 7
-            ];
-
-            $client = new Client([
-                'timeout' => 10,
-                'verify' => false
-            ]);
-            $response = $client->get($apiUrl, ['query' => $params]);
-            $data = json_decode($response->getBody(), true);
+        if ($invalid = $this->validateReportCoordinates($lat, $lon)) {
+            return $invalid;
+        }
 
-            // Process weather data
-            $weatherData = [
-                'location' => [
-                    'latitude' => $data['latitude'],
-                    'longitude' => $data['longitude'],
-                    'timezone' => $data['timezone'],
-                    'elevation' => $data['elevation']
-                ],
-                'current_weather' => $this->processCurrentWeather($data['current']),
-                'daily_forecast' => $this->processDailyForecast($data['daily']),
-                'anomaly' => $this->detectAnomaly($data['current'], $data['daily'])
-            ];
+        try {
+            $weatherData = $this->fetchReportWeatherData($lat, $lon);
 
             // Generate detailed report using Gemini AI
             $reportData = $this->geminiService->generateDetailedReport($weatherData, $lat, $lon);
 
             return response()->json($reportData);
 
-        } catch (GuzzleException $e) {
+        } catch (HttpClientException $e) {
             Log::error('Detailed Report - Weather API Error: ' . $e->getMessage());
             return response()->json([
                 'success' => false,
@@ -278,30 +279,300 @@ public function getDetailedReport(Request $request, $lat, $lon)
     }
 
     /**
-     * Fetch weather data specifically for comparison purposes
+     * Stream the detailed weather report section by section as Server-Sent Events
+     * Events: "meta" (source, model), one "section" per ## heading, then "done" or "error"
+     * Pass ?refresh=1 to write a new report instead of replaying the cached one
+     *
+     * @param Request $request
+     * @param float $lat Latitude
+     * @param float $lon Longitude
+     * @return \Symfony\Component\HttpFoundation\StreamedResponse|\Illuminate\Http\JsonResponse
+     */
+    public function streamDetailedReport(Request $request, $lat, $lon)
+    {
+        if ($invalid = $this->validateReportCoordinates($lat, $lon)) {
+            return $invalid;
+        }
+
+        // Weather data is fetched before streaming so that its errors keep their status code
+        try {
+            $weatherData = $this->fetchReportWeatherData($lat, $lon);
+        } catch (HttpClientException $e) {
+            Log::error('Report Stream - Weather API Error: ' . $e->getMessage());
+            return response()->json([
+                'success' => false,
+                'error' => 'Failed to fetch weather data',
+                'message' => 'Could not connect to weather service'
+            ], 503);
+        } catch (\Exception $e) {
+            Log::error('Report Stream Error: ' . $e->getMessage());
+            return response()->json([
+                'success' => false,
+                'error' => 'Failed to generate report',
+                'message' => 'An error occurred while generating the report'
+            ], 500);
+        }
+
+        $refresh = $request->boolean('refresh');
+
+        return response()->stream(function () use ($weatherData, $lat, $lon, $refresh) {
+            try {
+                foreach ($this->geminiService->streamDetailedReport($weatherData, $lat, $lon, $refresh) as $event) {
+                    $this->sendServerEvent($event['event'], $event['data']);
+                }
+            } catch (\Exception $e) {
+                Log::error('Report Stream Error: ' . $e->getMessage());
+                $this->sendServerEvent('error', [
+                    'message' => 'An error occurred while generating the report'
+                ]);
+            }
+        }, 200, [
+            'Content-Type' => 'text/event-stream',
+            'Cache-Control' => 'no-cache',
+            'X-Accel-Buffering' => 'no'
+        ]);
+    }
+
+    /**
+     * Get the current air quality and the next 24 hours of AQI for a location
+     * AQI values use the US EPA scale (0-500), pollutant concentrations are in µg/m³
+     *
+     * @param Request $request
+     * @param float $lat Latitude
+     * @param float $lon Longitude
+     * @return \Illuminate\Http\JsonResponse
+     */
+    public function getAirQualityData(Request $request, $lat, $lon)
+    {
+        if ($invalid = $this->validateReportCoordinates($lat, $lon)) {
+            return $invalid;
+        }
+
+        try {
+            $data = Http::timeout(10)
+                ->withoutVerifying()
+                ->get(config('services.open_meteo.air_quality_endpoint'), [
+                    'latitude' => $lat,
+                    'longitude' => $lon,
+                    'current' => 'us_aqi,pm2_5,pm10,ozone,nitrogen_dioxide,sulphur_dioxide,carbon_monoxide',
+                    'hourly' => 'us_aqi,pm2_5,pm10,ozone',
+                    'timezone' => 'auto',
+                    'forecast_days' => 2
+                ])
+                ->throw()
+                ->json();
+
+            return response()->json([
+                'location' => [
+                    'latitude' => $data['latitude'],
+                    'longitude' => $data['longitude'],
+                    'timezone' => $data['timezone']
+                ],
+                'current' => $this->processCurrentAirQuality($data['current']),
+                'hourly' => $this->processHourlyAirQuality($data['hourly'], $data['current']['time'])
+            ]);
+
+        } catch (HttpClientException $e) {
+            Log::error('Air Quality API Error: ' . $e->getMessage());
+            return response()->json([
+                'error' => 'Failed to fetch air quality data',
+                'message' => 'Could not connect to air quality service. Please try again later.'
+            ], 503);
+        } catch (\Exception $e) {
+            Log::error('Air Quality Error: ' . $e->getMessage());
+            return response()->json([
+                'error' => 'Server error',
+                'message' => 'An unexpected error occurred'
+            ], 500);
+        }
+    }
+
+    /**
+     * Process current air quality data into a structured format
+     *
+     * @param array $current
+     * @return array
+     */
+    private function processCurrentAirQuality($current)
+    {
+        return [
+            'time' => $current['time'],
+            'aqi' => isset($current['us_aqi']) ? (int) round($current['us_aqi']) : null,
+            'pm2_5' => isset($current['pm2_5']) ? round($current['pm2_5'], 1) : null,
+            'pm10' => isset($current['pm10']) ? round($current['pm10'], 1) : null,
+            'ozone' => isset($current['ozone']) ? round($current['ozone'], 1) : null,
+            'nitrogen_dioxide' => isset($current['nitrogen_dioxide']) ? round($current['nitrogen_dioxide'], 1) : null,
+            'sulphur_dioxide' => isset($current['sulphur_dioxide']) ? round($current['sulphur_dioxide'], 1) : null,
+            'carbon_monoxide' => isset($current['carbon_monoxide']) ? round($current['carbon_monoxide']) : null
+        ];
+    }
+
+    /**
+     * Process hourly air quality data - returns 24 hours starting from the current hour
+     * Times are local to the location, so the current hour is matched on the time
+     * Open-Meteo reports for the current values rather than on the server clock
+     *
+     * @param array $hourly
+     * @param string $currentTime
+     * @return array
+     */
+    private function processHourlyAirQuality($hourly, $currentTime)
+    {
+        $currentHour = substr($currentTime, 0, 13) . ':00';
+        $startIndex = array_search($currentHour, $hourly['time'], true);
+        if ($startIndex === false) {
+            $startIndex = 0;
+        }
+
+        $forecast = [];
+        $endIndex = min(count($hourly['time']), $startIndex + 24);
+
+        for ($i = $startIndex; $i < $endIndex; $i++) {
+            $forecast[] = [
+                'time' => $hourly['time'][$i],
+                'aqi' => isset($hourly['us_aqi'][$i]) ? (int) round($hourly['us_aqi'][$i]) : null,
+                'pm2_5' => isset($hourly['pm2_5'][$i]) ? round($hourly['pm2_5'][$i], 1) : null,
+                'pm10' => isset($hourly['pm10'][$i]) ? round($hourly['pm10'][$i], 1) : null,
+                'ozone' => isset($hourly['ozone'][$i]) ? round($hourly['ozone'][$i], 1) : null
+            ];
+        }
+
+        return $forecast;
+    }
+
+    /**
+     * Language of place names asked for by the request, vi when missing or unsupported
+     *
+     * @param Request $request
+     * @return string
+     */
+    private function getRequestLanguage(Request $request)
+    {
+        $language = $request->input('language');
+
+        return in_array($language, ReverseGeocodeService::LANGUAGES, true) ? $language : 'vi';
+    }
+
+    /**
+     * Error response for report coordinates that are not numeric or out of range
+     *
+     * @param mixed $lat
+     * @param mixed $lon
+     * @return \Illuminate\Http\JsonResponse|null
+     */
+    private function validateReportCoordinates($lat, $lon)
+    {
+        if (!is_numeric($lat) || !is_numeric($lon)) {
+            return response()->json([
+                'error' => 'Invalid coordinates',
+                'message' => 'Latitude and longitude must be numeric'
+            ], 400);
+        }
+
+        if ($lat < -90 || $lat > 90 || $lon < -180 || $lon > 180) {
+            return response()->json([
+                'error' => 'Coordinates out of range',
+                'message' => 'Invalid coordinate values'
+            ], 400);
+        }
+
+        return null;
+    }
+
+    /**
+     * Fetch and process the weather data a detailed report is written from
      *
      * @param float $lat
      * @param float $lon
      * @return array
+     * @throws HttpClientException
      */
-    private function fetchWeatherForComparison($lat, $lon)
+    private function fetchReportWeatherData($lat, $lon)
     {
-        $apiUrl = "https://api.open-meteo.com/v1/forecast";
-        $params = [
+        $data = Http::timeout(10)
+            ->withoutVerifying()
+            ->get('https://api.open-meteo.com/v1/forecast', [
+                'latitude' => $lat,
+                'longitude' => $lon,
+                'current' => 'temperature_2m,relative_humidity_2m,apparent_temperature,weather_code,wind_speed_10m,precipitation,is_day',
+                'hourly' => 'temperature_2m,weather_code,precipitation_probability',
+                'daily' => 'weather_code,temperature_2m_max,temperature_2m_min,uv_index_max,precipitation_sum',
+                'timezone' => 'auto',
+                'past_days' => 30,
+                'forecast_days' => 7
+            ])
+            ->throw()
+            ->json();
+
+        return [
+            'location' => [
+                'latitude' => $data['latitude'],
+                'longitude' => $data['longitude'],
+                'timezone' => $data['timezone'],
+                'elevation' => $data['elevation']
+            ],
+            'current_weather' => $this->processCurrentWeather($data['current']),
+            'daily_forecast' => $this->processDailyForecast($data['daily']),
+            'anomaly' => $this->detectAnomaly($data['current'], $data['daily'])
+        ];
+    }
+
+    /**
+     * Write one Server-Sent Event and flush it to the client
+     *
+     * @param string $event
+     * @param array $data
+     * @return void
+     */
+    private function sendServerEvent($event, array $data)
+    {
+        echo "event: {$event}\n";
+        echo 'data: ' . json_encode($data, JSON_UNESCAPED_UNICODE) . "\n\n";
+
+        if (ob_get_level() > 0) {
+            ob_flush();
+        }
+        flush();
+    }
+
+    /**
+     * Open-Meteo query parameters for one comparison location
+     *
+     * @param float $lat
+     * @param float $lon
+     * @return array
+     */
+    private function getComparisonParams($lat, $lon)
+    {
+        return [
             'latitude' => $lat,
             'longitude' => $lon,
-            'current' => 'temperature_2m,relative_humidity_2m,apparent_temperature,weather_code,wind_speed_10m,precipitation',
-            'daily' => 'weather_code,temperature_2m_max,temperature_2m_min,temperature_2m_mean,precipitation_sum,precipitation_probability_max,rain_sum,showers_sum,snowfall_sum,windspeed_10m_max,winddirection_10m_dominant,pressure_msl_max,pressure_msl_min,pressure_msl_mean,relative_humidity_2m_max,relative_humidity_2m_min,relative_humidity_2m_mean,uv_index_max,uv_index_clear_sky_max',
+            'current' => 'temperature_2m,relative_humidity_2m,apparent_temperature,weather_code,wind_speed_10m,precipitation,is_day',
+            'daily' => 'weather_code,temperature_2m_max,temperature_2m_min,uv_index_max,precipitation_sum',
             'timezone' => 'auto',
-            'forecast_days' => 1
+            'forecast_days' => 7
         ];
+    }
 
-        $client = new Client([
-            'timeout' => 10,
-            'verify' => false  // Disable SSL verification for development
-        ]);
-        $response = $client->get($apiUrl, ['query' => $params]);
-        $data = json_decode($response->getBody(), true);
+    /**
+     * Process the Open-Meteo response of one comparison location
+     * daily_summary describes today, daily_forecast the next 7 days
+     *
+     * @param array $data
+     * @return array
+     */
+    private function processComparisonWeather($data)
+    {
+        $dailyForecast = [];
+        foreach ($data['daily']['time'] as $index => $date) {
+            $dailyForecast[] = [
+                'date' => $date,
+                'max_temp' => $data['daily']['temperature_2m_max'][$index],
+                'min_temp' => $data['daily']['temperature_2m_min'][$index],
+                'precipitation' => $data['daily']['precipitation_sum'][$index] ?? 0,
+                'weather_code' => $data['daily']['weather_code'][$index]
+            ];
+        }
 
         return [
             'current_weather' => $this->processCurrentWeather($data['current']),
@@ -310,7 +581,8 @@ private function fetchWeatherForComparison($lat, $lon)
                 'min_temp' => $data['daily']['temperature_2m_min'][0],
                 'uv_index' => $data['daily']['uv_index_max'][0],
                 'weather_description' => $this->getWeatherDescription($data['daily']['weather_code'][0])
-            ]
+            ],
+            'daily_forecast' => $dailyForecast
         ];
     }
 
@@ -332,12 +604,13 @@ private function processCurrentWeather($current)
             'precipitation' => $current['precipitation'] ?? 0,
             'weather_code' => $weatherCode,
             'weather_description' => $this->getWeatherDescription($weatherCode),
-            'weather_main' => $this->getWeatherMain($weatherCode)
+            'weather_main' => $this->getWeatherMain($weatherCode),
+            'is_day' => isset($current['is_day']) ? (bool) $current['is_day'] : null
         ];
     }
 
     /**
-     * Process hourly forecast data - returns next 24 hours
+     * Process hourly forecast data - returns every hour from now to the end of the forecast
      * Converts time-series data into array of objects
      *
      * @param array $hourly
@@ -348,8 +621,8 @@ private function processHourlyForecast($hourly)
         $forecast = [];
         $currentHourIndex = $this->findCurrentHourIndex($hourly['time']);
         
-        // Get next 24 hours starting from current hour
-        for ($i = $currentHourIndex; $i < $currentHourIndex + 24 && $i < count($hourly['time']); $i++) {
+        // Get all remaining hours (up to 7 days) starting from current hour
+        for ($i = $currentHourIndex; $i < count($hourly['time']); $i++) {
             $forecast[] = [
                 'time' => $hourly['time'][$i],
                 'temperature' => round($hourly['temperature_2m'][$i], 1),
@@ -422,6 +695,36 @@ private function processDailyForecast($daily)
         return $forecast;
     }
 
+    /**
+     * Process past daily data - returns the observed days before today (past_days)
+     * Only the fields charted by the history view are kept
+     *
+     * @param array $daily
+     * @return array
+     */
+    private function processDailyHistory($daily)
+    {
+        $history = [];
+        // Everything before the last 7 days (future forecast) is history
+        $endIndex = max(0, count($daily['time']) - 7);
+
+        for ($i = 0; $i < $endIndex; $i++) {
+            $history[] = [
+                'date' => $daily['time'][$i],
+                'weather_code' => $daily['weather_code'][$i],
+                'temperature_2m_max' => isset($daily['temperature_2m_max'][$i]) ? round($daily['temperature_2m_max'][$i], 1) : null,
+                'temperature_2m_min' => isset($daily['temperature_2m_min'][$i]) ? round($daily['temperature_2m_min'][$i], 1) : null,
+                'temperature_2m_mean' => isset($daily['temperature_2m_mean'][$i]) ? round($daily['temperature_2m_mean'][$i], 1) : null,
+                'precipitation_sum' => round($daily['precipitation_sum'][$i] ?? 0, 1),
+                'pressure_msl_mean' => isset($daily['pressure_msl_mean'][$i]) ? round($daily['pressure_msl_mean'][$i], 1) : null,
+                'windspeed_10m_max' => isset($daily['windspeed_10m_max'][$i]) ? round($daily['windspeed_10m_max'][$i], 1) : null,
+                'winddirection_10m_dominant' => $daily['winddirection_10m_dominant'][$i] ?? null
+            ];
+        }
+
+        return $history;
+    }
+
     /**
      * Detect temperature anomalies by comparing current temp with 30-day average
      * This is the anomaly detection algorithm
@@ -643,7 +946,9 @@ public function getBulkWeatherData(Request $request)
                                 'temperature' => round($weatherData['current']['temperature_2m'] ?? 0, 1),
                                 'humidity' => $weatherData['current']['relative_humidity_2m'] ?? 0,
                                 'wind_speed' => round($weatherData['current']['wind_speed_10m'] ?? 0, 1),
-                                'weather_description' => $this->getWeatherDescription($weatherData['current']['weather_code'] ?? 0)
+                                'weather_code' => $weatherData['current']['weather_code'] ?? 0,
+                                'weather_description' => $this->getWeatherDescription($weatherData['current']['weather_code'] ?? 0),
+                                'is_day' => isset($weatherData['current']['is_day']) ? (bool) $weatherData['current']['is_day'] : null
                             ];
                         } else {
                             $errors[] = [
@@ -698,7 +1003,7 @@ private function createWeatherPromise($client, $city)
         $params = [
             'latitude' => $city['lat'],
             'longitude' => $city['lon'],
-            'current' => 'temperature_2m,relative_humidity_2m,apparent_temperature,weather_code,wind_speed_10m,precipitation',
+            'current' => 'temperature_2m,relative_humidity_2m,apparent_temperature,weather_code,wind_speed_10m,precipitation,is_day',
             'timezone' => 'auto'
         ];
 
@@ -808,4 +1113,44 @@ public function searchLocation(Request $request)
             ], 500);
         }
     }
+
+    /**
+     * Get the place name of coordinates (reverse geocoding).
+     *
+     * Query params: lat, lon, language (vi|en, default vi)
+     * Answers 404 when there is no place at the coordinates, 503 when the provider fails
+     *
+     * @param  \Illuminate\Http\Request  $request
+     * @return \Illuminate\Http\JsonResponse
+     */
+    public function reverseGeocode(Request $request)
+    {
+        $validated = $request->validate([
+            'lat' => 'required|numeric|between:-90,90',
+            'lon' => 'required|numeric|between:-180,180',
+            'language' => 'nullable|string|in:' . implode(',', ReverseGeocodeService::LANGUAGES),
+        ]);
+
+        try {
+            $place = $this->reverseGeocodeService->lookup(
+                (float) $validated['lat'],
+                (float) $validated['lon'],
+                $validated['language'] ?? 'vi'
+            );
+        } catch (HttpClientException $e) {
+            return response()->json([
+                'error' => 'Geocoding service unavailable',
+                'message' => 'Could not connect to geocoding service. Please try again later.'
+            ], 503);
+        }
+
+        if (!$place) {
+            return response()->json([
+                'error' => 'Not found',
+                'message' => 'No place name found for these coordinates'
+            ], 404);
+        }
+
+        return response()->json($place);
+    }
 }
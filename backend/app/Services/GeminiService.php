@@ -4,6 +4,8 @@
 
 use GuzzleHttp\Client;
 use GuzzleHttp\Exception\GuzzleException;
+use GuzzleHttp\Psr7\Utils;
+use Illuminate\Support\Facades\Http;
 use Illuminate\Support\Facades\Log;
 use Illuminate\Support\Facades\Cache;
 
@@ -11,11 +13,16 @@ class GeminiService
 {
     private $apiKey;
     private $client;
+    private const MODEL = 'gemini-2.5-flash-lite';
     private const API_ENDPOINT = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-lite:generateContent';
+    private const STREAM_ENDPOINT = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-lite:streamGenerateContent';
+
+    // Number of ## sections the detailed report prompt asks for
+    private const DETAILED_REPORT_SECTIONS = 7;
 
     public function __construct()
     {
-        $this->apiKey = env('GEMINI_API_KEY');
+        $this->apiKey = config('services.gemini.key');
         $this->client = new Client([
             'timeout' => 15,
             'verify' => false
@@ -201,6 +208,55 @@ private function callGeminiAPI($prompt)
         return $data['candidates'][0]['content']['parts'][0]['text'];
     }
 
+    /**
+     * Call the Gemini streaming API and yield the text of every chunk as it arrives
+     * Gemini answers with Server-Sent Events (alt=sse), one JSON candidate per "data:" line
+     *
+     * @param string $prompt
+     * @return \Generator
+     */
+    private function streamGeminiAPI($prompt)
+    {
+        if (empty($this->apiKey)) {
+            throw new \Exception('Gemini API key not configured');
+        }
+
+        $response = Http::withOptions(['stream' => true])
+            ->timeout(60)
+            ->withoutVerifying()
+            ->post(self::STREAM_ENDPOINT . '?' . http_build_query(['alt' => 'sse', 'key' => $this->apiKey]), [
+                'contents' => [
+                    [
+                        'parts' => [
+                            ['text' => $prompt]
+                        ]
+                    ]
+                ],
+                'generationConfig' => [
+                    'temperature' => 0.7,
+                    'topK' => 40,
+                    'topP' => 0.95,
+                    'maxOutputTokens' => 4096,
+                ]
+            ])
+            ->throw();
+
+        $body = $response->toPsrResponse()->getBody();
+
+        while (!$body->eof()) {
+            $line = trim(Utils::readLine($body));
+            if (!str_starts_with($line, 'data:')) {
+                continue;
+            }
+
+            $data = json_decode(trim(substr($line, 5)), true);
+            $text = $data['candidates'][0]['content']['parts'][0]['text'] ?? null;
+            if ($text !== null) {
+                yield $text;
+            }
+        }
+    }
+
     /**
      * Parse anomaly response from Gemini
      */
@@ -236,12 +292,7 @@ private function parseAnomalyResponse($response, $currentWeather, $historicalDat
      */
     public function generateDetailedReport($weatherData, $lat, $lon)
     {
-        $cacheKey = 'detailed_report_' . md5(json_encode([
-            'lat' => $lat,
-            'lon' => $lon,
-            'temp' => $weatherData['current_weather']['temperature'] ?? 0,
-            'date' => date('Y-m-d-H')
-        ]));
+        $cacheKey = $this->detailedReportCacheKey($weatherData, $lat, $lon);
 
         return Cache::remember($cacheKey, 3600, function () use ($weatherData, $lat, $lon) {
             try {
@@ -252,7 +303,7 @@ public function generateDetailedReport($weatherData, $lat, $lon)
                     'success' => true,
                     'report' => $this->parseDetailedReportResponse($response),
                     'source' => 'gemini_ai',
-                    'model' => 'gemini-pro',
+                    'model' => self::MODEL,
                     'generated_at' => now()->toIso8601String()
                 ];
             } catch (\Exception $e) {
@@ -269,6 +320,156 @@ public function generateDetailedReport($weatherData, $lat, $lon)
         });
     }
 
+    /**
+     * Stream the detailed weather report section by section
+     * Yields ['event' => 'meta'|'section'|'done'|'error', 'data' => [...]]:
+     * - meta comes before the first section with the source and the number of sections to expect
+     * - each section is the markdown under one ## heading (the title goes with the first one)
+     * - the finished report is cached under the same key as generateDetailedReport()
+     *
+     * @param array $weatherData Complete weather data including current, forecast, anomaly
+     * @param float $lat Latitude
+     * @param float $lon Longitude
+     * @param bool $refresh Write a new report instead of replaying the cached one
+     * @return \Generator
+     */
+    public function streamDetailedReport($weatherData, $lat, $lon, $refresh = false)
+    {
+        $cacheKey = $this->detailedReportCacheKey($weatherData, $lat, $lon);
+
+        if (!$refresh && Cache::has($cacheKey)) {
+            yield from $this->reportEvents(Cache::get($cacheKey));
+            return;
+        }
+
+        $sections = [];
+        $buffer = '';
+
+        try {
+            $prompt = $this->buildDetailedReportPrompt($weatherData, $lat, $lon);
+
+            foreach ($this->streamGeminiAPI($prompt) as $text) {
+                $parts = $this->splitReportSections($buffer . $text);
+                // The last part may still grow, so only the ones before it are complete
+                $buffer = array_pop($parts) ?? '';
+
+                foreach ($parts as $part) {
+                    if (empty($sections)) {
+                        yield ['event' => 'meta', 'data' => $this->reportMeta('gemini_ai')];
+                    }
+                    $sections[] = $this->parseDetailedReportResponse($part);
+                    yield ['event' => 'section', 'data' => ['index' => count($sections) - 1, 'markdown' => end($sections)]];
+                }
+            }
+
+            if (trim($buffer) === '' && empty($sections)) {
+                throw new \Exception('Empty Gemini API response');
+            }
+        } catch (\Exception $e) {
+            Log::error('Gemini Report Stream Error: ' . $e->getMessage());
+
+            // Sections already on screen cannot be swapped for the fallback report
+            if (!empty($sections)) {
+                yield ['event' => 'error', 'data' => ['message' => 'The report stream was interrupted']];
+                return;
+            }
+
+            $result = [
+                'success' => false,
+                'report' => $this->generateFallbackReport($weatherData),
+                'source' => 'rule_based',
+                'error' => $e->getMessage(),
+                'generated_at' => now()->toIso8601String()
+            ];
+            Cache::put($cacheKey, $result, 3600);
+
+            yield from $this->reportEvents($result);
+            return;
+        }
+
+        if (trim($buffer) !== '') {
+            if (empty($sections)) {
+                yield ['event' => 'meta', 'data' => $this->reportMeta('gemini_ai')];
+            }
+            $sections[] = $this->parseDetailedReportResponse($buffer);
+            yield ['event' => 'section', 'data' => ['index' => count($sections) - 1, 'markdown' => end($sections)]];
+        }
+
+        $result = [
+            'success' => true,
+            'report' => implode("\n\n", $sections),
+            'source' => 'gemini_ai',
+            'model' => self::MODEL,
+            'generated_at' => now()->toIso8601String()
+        ];
+        Cache::put($cacheKey, $result, 3600);
+
+        yield ['event' => 'done', 'data' => [
+            'sections' => count($sections),
+            'generated_at' => $result['generated_at']
+        ]];
+    }
+
+    /**
+     * Cache key of a detailed report, shared by the blocking and the streamed report
+     */
+    private function detailedReportCacheKey($weatherData, $lat, $lon)
+    {
+        return 'detailed_report_' . md5(json_encode([
+            'lat' => $lat,
+            'lon' => $lon,
+            'temp' => $weatherData['current_weather']['temperature'] ?? 0,
+            'date' => date('Y-m-d-H')
+        ]));
+    }
+
+    /**
+     * Meta event data of a streamed report
+     */
+    private function reportMeta($source, $sections = self::DETAILED_REPORT_SECTIONS)
+    {
+        return [
+            'source' => $source,
+            'model' => $source === 'gemini_ai' ? self::MODEL : null,
+            'expected_sections' => $sections
+        ];
+    }
+
+    /**
+     * Stream events of a report that is already complete (cached or rule-based)
+     */
+    private function reportEvents(array $result)
+    {
+        $sections = $this->splitReportSections($result['report']);
+
+        yield ['event' => 'meta', 'data' => $this->reportMeta($result['source'], count($sections))];
+
+        foreach ($sections as $index => $section) {
+            yield ['event' => 'section', 'data' => ['index' => $index, 'markdown' => trim($section)]];
+        }
+
+        yield ['event' => 'done', 'data' => [
+            'sections' => count($sections),
+            'generated_at' => $result['generated_at']
+        ]];
+    }
+
+    /**
+     * Split report markdown before every ## heading; the text before the first one
+     * (the # title) stays with the first section
+     */
+    private function splitReportSections($markdown)
+    {
+        $parts = preg_split('/(?=^## )/m', $markdown);
+
+        if (count($parts) > 1 && trim($parts[0]) !== '' && !str_starts_with($parts[0], '## ')) {
+            $title = array_shift($parts);
+            $parts[0] = $title . $parts[0];
+        }
+
+        return array_values(array_filter($parts, fn ($part) => trim($part) !== ''));
+    }
+
     /**
      * Build detailed report prompt for Gemini
      */
@@ -555,9 +756,12 @@ private function getWeatherDescription($code)
             71 => 'Tuyết rơi nhẹ',
             73 => 'Tuyết rơi vừa',
             75 => 'Tuyết rơi nặng',
+            77 => 'Tuyết dạng hạt',
             80 => 'Mưa rào nhẹ',
             81 => 'Mưa rào vừa',
             82 => 'Mưa rào dữ dội',
+            85 => 'Mưa tuyết nhẹ',
+            86 => 'Mưa tuyết nặng',
             95 => 'Giông bão',
             96 => 'Giông có mưa đá nhẹ',
             99 => 'Giông có mưa đá nặng',
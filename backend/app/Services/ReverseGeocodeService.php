@@ -2,6 +2,8 @@
 
 namespace App\Services;
 
+use Illuminate\Http\Client\HttpClientException;
+use Illuminate\Http\Client\Response;
 use Illuminate\Support\Facades\Cache;
 use Illuminate\Support\Facades\Http;
 use Illuminate\Support\Facades\Log;
@@ -9,60 +11,180 @@
 class ReverseGeocodeService
 {
     /**
-        * Reverse geocode lat/lon to human-readable name (cached).
-        */
-    public function reverse(float $lat, float $lon): string
+     * Languages place names can be returned in.
+     */
+    public const LANGUAGES = ['vi', 'en'];
+
+    /**
+     * Cache key set while the provider is failing; lookups fail fast until it expires.
+     */
+    private const BACKOFF_KEY = 'reverse_geocode:backoff';
+
+    /**
+     * Seconds before the provider is tried again after a failure.
+     */
+    private const BACKOFF_TTL = 60;
+
+    /**
+     * Name of the place at lat/lon from the lookup cache, or null when it was never looked up.
+     * Never calls the provider, so weather responses do not wait on it; clients resolve
+     * names through /location/reverse, which fills the cache.
+     *
+     * @param  float  $lat
+     * @param  float  $lon
+     * @param  string  $language  One of LANGUAGES
+     * @return string|null
+     */
+    public function reverse(float $lat, float $lon, string $language = 'vi'): ?string
+    {
+        $place = Cache::get($this->cacheKey($language, round($lat, 4), round($lon, 4)));
+
+        return $place['name'] ?? null;
+    }
+
+    /**
+     * Look up the place at lat/lon (cached).
+     * Uses OpenCage when an API key is configured, Nominatim (OpenStreetMap) otherwise.
+     *
+     * @param  float  $lat
+     * @param  float  $lon
+     * @param  string  $language  One of LANGUAGES
+     * @return array|null  { name, admin1, country, display_name }, or null when the provider knows no place there
+     * @throws HttpClientException when the provider fails, or failed less than BACKOFF_TTL seconds ago
+     */
+    public function lookup(float $lat, float $lon, string $language = 'vi'): ?array
     {
         $lat = round($lat, 4);
         $lon = round($lon, 4);
-        $cacheKey = "reverse_geocode:{$lat}:{$lon}";
-        $ttl = config('services.reverse_geocode_cache_ttl', 86400);
-
-        return Cache::remember($cacheKey, $ttl, function () use ($lat, $lon) {
-            $apiKey = config('services.opencage.key');
-            $endpoint = config('services.opencage.endpoint', 'https://api.opencagedata.com/geocode/v1/json');
-
-            // If no API key configured, fall back to coordinate string
-            if (empty($apiKey)) {
-                return $this->fallbackName($lat, $lon);
-            }
-
-            try {
-                $response = Http::timeout(5)->get($endpoint, [
-                    'q' => "{$lat}+{$lon}",
-                    'language' => 'vi',
-                    'limit' => 1,
-                    'key' => $apiKey,
-                ]);
-
-                if (!$response->ok()) {
-                    return $this->fallbackName($lat, $lon);
-                }
-
-                $components = data_get($response->json(), 'results.0.components', []);
-                $name = $components['city']
-                    ?? $components['town']
-                    ?? $components['village']
-                    ?? $components['state']
-                    ?? $components['country']
-                    ?? null;
-
-                return $name ? $name : $this->fallbackName($lat, $lon);
-            } catch (\Throwable $e) {
-                Log::warning('Reverse geocode failed', [
-                    'lat' => $lat,
-                    'lon' => $lon,
-                    'error' => $e->getMessage(),
-                ]);
-
-                return $this->fallbackName($lat, $lon);
-            }
-        });
+        $cacheKey = $this->cacheKey($language, $lat, $lon);
+
+        // false marks coordinates the provider has no place for
+        $cached = Cache::get($cacheKey);
+        if ($cached !== null) {
+            return $cached ?: null;
+        }
+
+        if (Cache::has(self::BACKOFF_KEY)) {
+            throw new HttpClientException('Reverse geocoding provider is unavailable');
+        }
+
+        try {
+            $place = config('services.opencage.key')
+                ? $this->lookupOpenCage($lat, $lon, $language)
+                : $this->lookupNominatim($lat, $lon, $language);
+        } catch (HttpClientException $e) {
+            Log::warning('Reverse geocode failed', [
+                'lat' => $lat,
+                'lon' => $lon,
+                'error' => $e->getMessage(),
+            ]);
+
+            // Failures are not cached per place: the next lookup after the backoff asks again
+            Cache::put(self::BACKOFF_KEY, true, self::BACKOFF_TTL);
+            throw $e;
+        }
+
+        Cache::put($cacheKey, $place ?? false, config('services.reverse_geocode_cache_ttl', 86400));
+
+        return $place;
     }
 
-    private function fallbackName(float $lat, float $lon): string
+    private function cacheKey(string $language, float $lat, float $lon): string
     {
-        return "Vị trí ({$lat}, {$lon})";
+        return "reverse_geocode:{$language}:{$lat}:{$lon}";
     }
-}
 
+    /**
+     * Query OpenCage.
+     *
+     * @throws HttpClientException when the provider cannot be reached or answers with an error
+     */
+    private function lookupOpenCage(float $lat, float $lon, string $language): ?array
+    {
+        $endpoint = config('services.opencage.endpoint', 'https://api.opencagedata.com/geocode/v1/json');
+
+        $response = Http::timeout(5)->get($endpoint, [
+            'q' => "{$lat}+{$lon}",
+            'language' => $language,
+            'limit' => 1,
+            'key' => config('services.opencage.key'),
+        ]);
+
+        $data = $this->decode($response->throw(), 'OpenCage');
+        $result = data_get($data, 'results.0');
+
+        return $result ? $this->placeFromAddress($result['components'] ?? [], $result['formatted'] ?? null) : null;
+    }
+
+    /**
+     * Query Nominatim, which requires an identifying User-Agent.
+     *
+     * @throws HttpClientException when the provider cannot be reached or answers with an error
+     */
+    private function lookupNominatim(float $lat, float $lon, string $language): ?array
+    {
+        $endpoint = config('services.nominatim.endpoint', 'https://nominatim.openstreetmap.org/reverse');
+
+        $response = Http::timeout(5)
+            ->withHeaders(['User-Agent' => config('services.nominatim.user_agent', 'weather-analysis-dashboard/1.0')])
+            ->get($endpoint, [
+                'format' => 'jsonv2',
+                'lat' => $lat,
+                'lon' => $lon,
+                'zoom' => 10,
+                'accept-language' => $language,
+            ]);
+
+        $data = $this->decode($response->throw(), 'Nominatim');
+
+        // Nominatim answers 200 with an "error" key for places it cannot resolve (e.g. open sea)
+        return isset($data['address'])
+            ? $this->placeFromAddress($data['address'], $data['display_name'] ?? null)
+            : null;
+    }
+
+    /**
+     * JSON body of a provider response; anything else (e.g. a maintenance page) is a failure.
+     *
+     * @throws HttpClientException
+     */
+    private function decode(Response $response, string $provider): array
+    {
+        $data = $response->json();
+
+        if (!is_array($data)) {
+            throw new HttpClientException("{$provider} answered with an unexpected body");
+        }
+
+        return $data;
+    }
+
+    /**
+     * Build a place from address components, named after the most specific settlement.
+     */
+    private function placeFromAddress(array $address, ?string $displayName): ?array
+    {
+        $name = $address['city']
+            ?? $address['town']
+            ?? $address['village']
+            ?? $address['municipality']
+            ?? $address['county']
+            ?? $address['state']
+            ?? $address['country']
+            ?? null;
+
+        if (!$name) {
+            return null;
+        }
+
+        $admin1 = $address['state'] ?? null;
+        $country = $address['country'] ?? null;
+
+        return [
+            'name' => $name,
+            'admin1' => $admin1 !== $name ? $admin1 : null,
+            'country' => $country,
+            'display_name' => $displayName ?: implode(', ', array_unique(array_filter([$name, $admin1, $country]))),
+        ];
+    }
+}
@@ -35,11 +35,26 @@
         ],
     ],
 
+    'gemini' => [
+        'key' => env('GEMINI_API_KEY'),
+    ],
+
     'opencage' => [
         'key' => env('OPENCAGE_API_KEY'),
         'endpoint' => env('OPENCAGE_API_ENDPOINT', 'https://api.opencagedata.com/geocode/v1/json'),
     ],
 
+    // Used for reverse geocoding when no OpenCage key is configured
+    'nominatim' => [
+        'endpoint' => env('NOMINATIM_ENDPOINT', 'https://nominatim.openstreetmap.org/reverse'),
+        'user_agent' => env('NOMINATIM_USER_AGENT', 'weather-analysis-dashboard/1.0'),
+    ],
+
+    // Open-Meteo Air Quality API; point it at a local fixture server to work offline
+    'open_meteo' => [
+        'air_quality_endpoint' => env('OPEN_METEO_AIR_QUALITY_ENDPOINT', 'https://air-quality-api.open-meteo.com/v1/air-quality'),
+    ],
+
     // Reverse geocoding cache TTL in seconds (default 24h)
     'reverse_geocode_cache_ttl' => env('REVERSE_GEOCODE_CACHE_TTL', 86400),
 
@@ -6,6 +6,9 @@
 use App\Http\Controllers\AuthController;
 use App\Http\Controllers\StoryController;
 use App\Http\Controllers\RecommendationController;
+use App\Http\Controllers\FavouriteLocationController;
+use App\Http\Controllers\AlertRuleController;
+use App\Http\Controllers\DashboardLayoutController;
 use App\Http\Controllers\Admin\ProductController as AdminProductController;
 
 /*
@@ -25,10 +28,16 @@
     Route::get('/{lat}/{lon}', [WeatherController::class, 'getWeatherData']);
     // Generate detailed AI-powered weather report
     Route::get('/report/{lat}/{lon}', [WeatherController::class, 'getDetailedReport']);
+    // Same report streamed section by section as Server-Sent Events (text/event-stream)
+    Route::get('/report/{lat}/{lon}/stream', [WeatherController::class, 'streamDetailedReport']);
+    // Current air quality (US AQI and pollutants) and the next 24 hours of AQI
+    Route::get('/air-quality/{lat}/{lon}', [WeatherController::class, 'getAirQualityData']);
 });
 
 // Location search API - proxy for Open-Meteo Geocoding API to avoid CORS
 Route::get('/location/search', [WeatherController::class, 'searchLocation']);
+// Place name of coordinates: /location/reverse?lat=10.98&lon=106.75&language=vi
+Route::get('/location/reverse', [WeatherController::class, 'reverseGeocode']);
 
 // Affiliate product recommendations based on weather
 Route::get('/recommendations', [RecommendationController::class, 'getRecommendations']);
@@ -50,11 +59,27 @@
         // Returns weather data for 24 major cities worldwide
         Route::get('/bulk', [WeatherController::class, 'getBulkWeatherData']);
         
-        // Compare weather data between two locations
-        // Expects JSON body: { "location1": {"lat": ..., "lon": ..., "name": "..."}, "location2": {"lat": ..., "lon": ..., "name": "..."} }
+        // Compare weather data between 2 and 6 locations
+        // Expects JSON body: { "locations": [{"lat": ..., "lon": ..., "name": "..."}, ...] }
         Route::post('/comparison', [WeatherController::class, 'compareLocations']);
     });
     
+    // Favourite locations of the current user
+    // PUT expects the full ordered list: { "favourites": [{"id": "...", "name": "...", "lat": ..., "lon": ...}] }
+    Route::get('/favourites', [FavouriteLocationController::class, 'index']);
+    Route::put('/favourites', [FavouriteLocationController::class, 'update']);
+
+    // Weather alert rules of the current user, evaluated by the frontend
+    // PUT expects the full list: { "rules": [{"id": "...", "type": "...", "threshold": ..., "location": {...}}] }
+    Route::get('/alerts/rules', [AlertRuleController::class, 'index']);
+    Route::put('/alerts/rules', [AlertRuleController::class, 'update']);
+
+    // Dashboard section order, visibility and size of the current user
+    // PUT expects the ordered sections: { "sections": [{"id": "...", "hidden": false, "collapsed": false, "size": "full"}] }
+    Route::get('/dashboard/layout', [DashboardLayoutController::class, 'show']);
+    Route::put('/dashboard/layout', [DashboardLayoutController::class, 'update']);
+    Route::delete('/dashboard/layout', [DashboardLayoutController::class, 'destroy']);
+    
     // Stories routes - available to all authenticated users
     Route::prefix('stories')->group(function () {
         Route::get('/', [StoryController::class, 'getStories']);
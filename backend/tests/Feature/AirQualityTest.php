@@ -0,0 +1,63 @@
+<?php
+
+namespace Tests\Feature;
+
+use Illuminate\Support\Facades\Http;
+use Tests\TestCase;
+
+class AirQualityTest extends TestCase
+{
+    /**
+     * Recorded Open-Meteo Air Quality response (Hà Nội, 2 forecast days, current time 14:15)
+     * Serve tests/Fixtures with `php -S` and point OPEN_METEO_AIR_QUALITY_ENDPOINT at it to use it locally
+     */
+    private function airQualityResponse(): array
+    {
+        return json_decode(file_get_contents(base_path('tests/Fixtures/open-meteo-air-quality.json')), true);
+    }
+
+    public function test_air_quality_is_returned_from_the_configured_endpoint(): void
+    {
+        config(['services.open_meteo.air_quality_endpoint' => 'http://127.0.0.1:8090/open-meteo-air-quality.json']);
+        Http::fake([
+            '127.0.0.1:8090/*' => Http::response($this->airQualityResponse()),
+        ]);
+
+        $response = $this->getJson('/api/weather/air-quality/21.03/105.85')
+            ->assertOk()
+            ->assertJsonPath('location.timezone', 'Asia/Bangkok')
+            ->assertJsonPath('current.aqi', 156)
+            ->assertJsonPath('current.pm2_5', 62)
+            ->assertJsonPath('current.carbon_monoxide', 742)
+            ->assertJsonCount(24, 'hourly');
+
+        // The hourly series starts at the hour of the current values, not at midnight
+        $this->assertSame('2025-12-08T14:00', $response->json('hourly.0.time'));
+        $this->assertSame('2025-12-09T13:00', $response->json('hourly.23.time'));
+
+        Http::assertSent(fn ($request) => $request['latitude'] === '21.03'
+            && str_contains($request['current'], 'us_aqi')
+            && $request['timezone'] === 'auto');
+    }
+
+    public function test_upstream_errors_return_service_unavailable(): void
+    {
+        Http::fake([
+            'air-quality-api.open-meteo.com/*' => Http::response(['error' => true, 'reason' => 'Internal error'], 500),
+        ]);
+
+        $this->getJson('/api/weather/air-quality/21.03/105.85')
+            ->assertStatus(503)
+            ->assertJsonPath('error', 'Failed to fetch air quality data');
+    }
+
+    public function test_invalid_coordinates_are_rejected(): void
+    {
+        Http::fake();
+
+        $this->getJson('/api/weather/air-quality/abc/105.85')->assertStatus(400);
+        $this->getJson('/api/weather/air-quality/95/105.85')->assertStatus(400);
+
+        Http::assertNothingSent();
+    }
+}
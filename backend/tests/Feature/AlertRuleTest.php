@@ -0,0 +1,156 @@
+<?php
+
+namespace Tests\Feature;
+
+use Tests\TestCase;
+
+class AlertRuleTest extends TestCase
+{
+    private function rule(string $id, array $overrides = []): array
+    {
+        return array_merge([
+            'id' => $id,
+            'type' => 'rain_probability',
+            'threshold' => 70,
+            'hours' => 6,
+            'day' => null,
+            'enabled' => true,
+            'location' => ['name' => 'Dĩ An', 'lat' => 10.98, 'lon' => 106.75],
+        ], $overrides);
+    }
+
+    public function test_alert_rules_require_authentication(): void
+    {
+        $this->getJson('/api/alerts/rules')->assertUnauthorized();
+        $this->putJson('/api/alerts/rules', ['rules' => []])->assertUnauthorized();
+    }
+
+    public function test_user_without_rules_gets_an_empty_list(): void
+    {
+        $this->signIn();
+
+        $this->getJson('/api/alerts/rules')
+            ->assertOk()
+            ->assertExactJson(['success' => true, 'rules' => []]);
+    }
+
+    public function test_rules_are_saved_and_normalized(): void
+    {
+        $user = $this->signIn();
+
+        $this->putJson('/api/alerts/rules', [
+            'rules' => [
+                $this->rule('rain', ['threshold' => '70', 'hours' => '6', 'extra' => 'x']),
+                $this->rule('heat', [
+                    'type' => 'temperature_max',
+                    'threshold' => 35.5,
+                    'hours' => null,
+                    'day' => 1,
+                    'enabled' => false,
+                    'location' => ['name' => ' Hà Nội  ', 'lat' => '21.03', 'lon' => '105.85'],
+                ]),
+            ],
+        ])
+            ->assertOk()
+            ->assertJsonPath('success', true)
+            ->assertJsonPath('rules.0', [
+                'id' => 'rain',
+                'type' => 'rain_probability',
+                'threshold' => 70.0,
+                'hours' => 6,
+                'day' => null,
+                'enabled' => true,
+                'location' => ['name' => 'Dĩ An', 'lat' => 10.98, 'lon' => 106.75],
+            ])
+            ->assertJsonPath('rules.1.threshold', 35.5)
+            ->assertJsonPath('rules.1.day', 1)
+            ->assertJsonPath('rules.1.enabled', false)
+            ->assertJsonPath('rules.1.location.name', 'Hà Nội');
+
+        $this->assertSame(['rain', 'heat'], array_column($user->alert_rules, 'id'));
+
+        $this->getJson('/api/alerts/rules')
+            ->assertOk()
+            ->assertJsonCount(2, 'rules')
+            ->assertJsonPath('rules.1.location.lat', 21.03);
+    }
+
+    public function test_anomaly_rules_need_no_threshold(): void
+    {
+        $this->signIn();
+
+        $this->putJson('/api/alerts/rules', [
+            'rules' => [$this->rule('anomaly', ['type' => 'anomaly', 'threshold' => null, 'hours' => null])],
+        ])
+            ->assertOk()
+            ->assertJsonPath('rules.0.threshold', null);
+    }
+
+    public function test_other_rules_require_a_threshold(): void
+    {
+        $this->signIn();
+
+        $this->putJson('/api/alerts/rules', [
+            'rules' => [
+                $this->rule('rain', ['threshold' => null]),
+                $this->rule('hot', ['type' => 'temperature_max', 'threshold' => null, 'day' => 0]),
+                $this->rule('cold', ['type' => 'temperature_min', 'threshold' => null, 'day' => 0]),
+                $this->rule('anomaly', ['type' => 'anomaly', 'threshold' => null]),
+            ],
+        ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['rules.0.threshold', 'rules.1.threshold', 'rules.2.threshold'])
+            ->assertJsonMissingValidationErrors('rules.3.threshold');
+    }
+
+    public function test_rule_ids_must_be_distinct(): void
+    {
+        $this->signIn();
+
+        $this->putJson('/api/alerts/rules', [
+            'rules' => [$this->rule('a'), $this->rule('a', ['threshold' => 50])],
+        ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['rules.0.id', 'rules.1.id']);
+    }
+
+    public function test_the_number_of_rules_is_limited(): void
+    {
+        $this->signIn();
+
+        $rules = array_map(fn ($index) => $this->rule("r{$index}"), range(1, 51));
+
+        $this->putJson('/api/alerts/rules', ['rules' => $rules])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors('rules');
+
+        $this->putJson('/api/alerts/rules', ['rules' => array_slice($rules, 0, 50)])
+            ->assertOk()
+            ->assertJsonCount(50, 'rules');
+    }
+
+    public function test_invalid_rules_are_rejected(): void
+    {
+        $this->signIn();
+
+        $this->putJson('/api/alerts/rules', [
+            'rules' => [
+                $this->rule('a', ['type' => 'wind_speed']),
+                $this->rule('b', ['threshold' => 101]),
+                $this->rule('c', ['hours' => 49]),
+                $this->rule('d', ['day' => 7]),
+                $this->rule('e', ['enabled' => null]),
+                $this->rule('f', ['location' => ['name' => 'Dĩ An', 'lat' => 91, 'lon' => 106.75]]),
+            ],
+        ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors([
+                'rules.0.type',
+                'rules.1.threshold',
+                'rules.2.hours',
+                'rules.3.day',
+                'rules.4.enabled',
+                'rules.5.location.lat',
+            ]);
+    }
+}
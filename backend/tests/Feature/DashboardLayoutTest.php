@@ -0,0 +1,142 @@
+<?php
+
+namespace Tests\Feature;
+
+use Tests\TestCase;
+
+class DashboardLayoutTest extends TestCase
+{
+    private function section(string $id, array $overrides = []): array
+    {
+        return array_merge([
+            'id' => $id,
+            'hidden' => false,
+            'collapsed' => false,
+            'size' => 'full',
+        ], $overrides);
+    }
+
+    public function test_layout_requires_authentication(): void
+    {
+        $this->getJson('/api/dashboard/layout')->assertUnauthorized();
+        $this->putJson('/api/dashboard/layout', ['sections' => []])->assertUnauthorized();
+        $this->deleteJson('/api/dashboard/layout')->assertUnauthorized();
+    }
+
+    public function test_user_without_a_layout_gets_null(): void
+    {
+        $this->signIn();
+
+        $this->getJson('/api/dashboard/layout')
+            ->assertOk()
+            ->assertExactJson(['success' => true, 'sections' => null]);
+    }
+
+    public function test_layout_is_saved_in_order_and_returned_unchanged(): void
+    {
+        $user = $this->signIn();
+        $sections = [
+            $this->section('forecast', ['size' => 'half']),
+            $this->section('stories', ['collapsed' => true]),
+            $this->section('comparator', ['hidden' => true]),
+        ];
+
+        $this->putJson('/api/dashboard/layout', ['sections' => $sections])
+            ->assertOk()
+            ->assertExactJson(['success' => true, 'sections' => $sections]);
+
+        $this->assertSame($sections, $user->dashboard_layout);
+
+        $this->getJson('/api/dashboard/layout')
+            ->assertOk()
+            ->assertExactJson(['success' => true, 'sections' => $sections]);
+    }
+
+    public function test_layout_is_normalized(): void
+    {
+        $this->signIn();
+
+        $this->putJson('/api/dashboard/layout', [
+            'sections' => [
+                $this->section('anomaly', ['hidden' => 1, 'collapsed' => '0', 'extra' => 'x']),
+            ],
+        ])
+            ->assertOk()
+            ->assertJsonPath('sections.0', [
+                'id' => 'anomaly',
+                'hidden' => true,
+                'collapsed' => false,
+                'size' => 'full',
+            ]);
+    }
+
+    public function test_delete_resets_the_layout(): void
+    {
+        $user = $this->signIn(['dashboard_layout' => [$this->section('forecast')]]);
+
+        $this->deleteJson('/api/dashboard/layout')
+            ->assertOk()
+            ->assertExactJson(['success' => true, 'sections' => null]);
+
+        $this->assertNull($user->dashboard_layout);
+
+        $this->getJson('/api/dashboard/layout')
+            ->assertOk()
+            ->assertJsonPath('sections', null);
+    }
+
+    public function test_section_ids_must_be_known_and_distinct(): void
+    {
+        $this->signIn();
+
+        $this->putJson('/api/dashboard/layout', [
+            'sections' => [
+                $this->section('forecast'),
+                $this->section('forecast', ['hidden' => true]),
+                $this->section('radar'),
+            ],
+        ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['sections.0.id', 'sections.1.id', 'sections.2.id']);
+    }
+
+    public function test_a_layout_lists_each_section_at_most_once(): void
+    {
+        $this->signIn();
+
+        $ids = ['stories', 'currentWeather', 'airQuality', 'astronomy', 'products', 'forecast', 'anomaly', 'recommendation', 'comparator'];
+        $sections = array_map(fn ($id) => $this->section($id), $ids);
+
+        $this->putJson('/api/dashboard/layout', ['sections' => $sections])
+            ->assertOk()
+            ->assertJsonCount(9, 'sections');
+
+        $this->putJson('/api/dashboard/layout', ['sections' => [...$sections, $this->section('stories')]])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors('sections');
+    }
+
+    public function test_invalid_sections_are_rejected(): void
+    {
+        $this->signIn();
+
+        $this->putJson('/api/dashboard/layout', [])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors('sections');
+
+        $this->putJson('/api/dashboard/layout', [
+            'sections' => [
+                $this->section('stories', ['size' => 'third']),
+                $this->section('forecast', ['hidden' => 'yes']),
+                ['id' => 'anomaly'],
+            ],
+        ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors([
+                'sections.0.size',
+                'sections.1.hidden',
+                'sections.2.collapsed',
+                'sections.2.size',
+            ]);
+    }
+}
@@ -0,0 +1,118 @@
+<?php
+
+namespace Tests\Feature;
+
+use Tests\TestCase;
+
+class FavouriteLocationTest extends TestCase
+{
+    private function favourite(string $id, array $overrides = []): array
+    {
+        return array_merge([
+            'id' => $id,
+            'name' => 'Dĩ An',
+            'lat' => 10.98,
+            'lon' => 106.75,
+        ], $overrides);
+    }
+
+    public function test_favourites_require_authentication(): void
+    {
+        $this->getJson('/api/favourites')->assertUnauthorized();
+        $this->putJson('/api/favourites', ['favourites' => []])->assertUnauthorized();
+    }
+
+    public function test_user_without_favourites_gets_an_empty_list(): void
+    {
+        $this->signIn();
+
+        $this->getJson('/api/favourites')
+            ->assertOk()
+            ->assertExactJson(['success' => true, 'favourites' => []]);
+    }
+
+    public function test_favourites_are_saved_in_order_and_normalized(): void
+    {
+        $user = $this->signIn();
+
+        $this->putJson('/api/favourites', [
+            'favourites' => [
+                $this->favourite('b', ['name' => '  Hà Nội ', 'lat' => '21.03', 'lon' => '105.85', 'extra' => 'x']),
+                $this->favourite('a'),
+            ],
+        ])
+            ->assertOk()
+            ->assertJsonPath('success', true)
+            ->assertJsonPath('favourites.0', ['id' => 'b', 'name' => 'Hà Nội', 'lat' => 21.03, 'lon' => 105.85])
+            ->assertJsonPath('favourites.1.id', 'a');
+
+        $this->assertSame(['b', 'a'], array_column($user->favourite_locations, 'id'));
+
+        $this->getJson('/api/favourites')
+            ->assertOk()
+            ->assertJsonPath('favourites.0.name', 'Hà Nội')
+            ->assertJsonCount(2, 'favourites');
+    }
+
+    public function test_an_empty_list_clears_the_favourites(): void
+    {
+        $user = $this->signIn(['favourite_locations' => [$this->favourite('a')]]);
+
+        $this->putJson('/api/favourites', ['favourites' => []])
+            ->assertOk()
+            ->assertJsonPath('favourites', []);
+
+        $this->assertSame([], $user->favourite_locations);
+    }
+
+    public function test_favourite_ids_must_be_distinct(): void
+    {
+        $this->signIn();
+
+        $this->putJson('/api/favourites', [
+            'favourites' => [$this->favourite('a'), $this->favourite('a', ['name' => 'Thủ Đức'])],
+        ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['favourites.0.id', 'favourites.1.id']);
+    }
+
+    public function test_the_number_of_favourites_is_limited(): void
+    {
+        $this->signIn();
+
+        $favourites = array_map(fn ($index) => $this->favourite("f{$index}"), range(1, 31));
+
+        $this->putJson('/api/favourites', ['favourites' => $favourites])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors('favourites');
+
+        $this->putJson('/api/favourites', ['favourites' => array_slice($favourites, 0, 30)])
+            ->assertOk()
+            ->assertJsonCount(30, 'favourites');
+    }
+
+    public function test_invalid_favourites_are_rejected(): void
+    {
+        $this->signIn();
+
+        $this->putJson('/api/favourites', [])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors('favourites');
+
+        $this->putJson('/api/favourites', [
+            'favourites' => [
+                $this->favourite('a', ['lat' => 91]),
+                $this->favourite('b', ['lon' => -181]),
+                $this->favourite('c', ['name' => str_repeat('x', 101)]),
+                $this->favourite(str_repeat('d', 65)),
+            ],
+        ])
+            ->assertStatus(422)
+            ->assertJsonValidationErrors([
+                'favourites.0.lat',
+                'favourites.1.lon',
+                'favourites.2.name',
+                'favourites.3.id',
+            ]);
+    }
+}
@@ -0,0 +1,175 @@
+<?php
+
+namespace Tests\Feature;
+
+use Illuminate\Support\Facades\Http;
+use Tests\TestCase;
+
+class ReportStreamTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        parent::setUp();
+        config(['services.gemini.key' => 'test-key']);
+    }
+
+    /**
+     * Open-Meteo response with 30 past days and 7 forecast days
+     */
+    private function weatherResponse(): array
+    {
+        $days = 37;
+
+        return [
+            'latitude' => 10.82,
+            'longitude' => 106.63,
+            'timezone' => 'Asia/Ho_Chi_Minh',
+            'elevation' => 10,
+            'current' => [
+                'time' => '2025-11-02T08:00',
+                'temperature_2m' => 30.2,
+                'relative_humidity_2m' => 70,
+                'apparent_temperature' => 33.1,
+                'weather_code' => 2,
+                'wind_speed_10m' => 8.4,
+                'precipitation' => 0,
+                'is_day' => 1,
+            ],
+            'daily' => [
+                'time' => array_map(fn ($i) => date('Y-m-d', strtotime("2025-10-03 +{$i} days")), range(0, $days - 1)),
+                'weather_code' => array_fill(0, $days, 2),
+                'temperature_2m_max' => array_fill(0, $days, 31.0),
+                'temperature_2m_min' => array_fill(0, $days, 24.0),
+                'uv_index_max' => array_fill(0, $days, 9.0),
+                'precipitation_sum' => array_fill(0, $days, 1.2),
+            ],
+        ];
+    }
+
+    /**
+     * Gemini streamGenerateContent body (alt=sse) delivering the report in chunks
+     * that do not line up with the section boundaries
+     */
+    private function geminiStream(array $chunks): string
+    {
+        return implode('', array_map(fn ($text) => 'data: ' . json_encode([
+            'candidates' => [['content' => ['parts' => [['text' => $text]]]]],
+        ]) . "\r\n\r\n", $chunks));
+    }
+
+    /**
+     * Parse a Server-Sent Events body into [event, data] pairs
+     */
+    private function parseEvents(string $body): array
+    {
+        $events = [];
+
+        foreach (preg_split('/\n\n/', trim($body)) as $block) {
+            preg_match('/^event: (.+)$/m', $block, $event);
+            preg_match('/^data: (.+)$/m', $block, $data);
+            $events[] = [$event[1], json_decode($data[1], true)];
+        }
+
+        return $events;
+    }
+
+    public function test_report_is_streamed_section_by_section(): void
+    {
+        Http::fake([
+            'api.open-meteo.com/*' => Http::response($this->weatherResponse()),
+            'generativelanguage.googleapis.com/*' => Http::response($this->geminiStream([
+                "# BÁO CÁO\n\n## 1. TỔNG QUAN\nTrời ",
+                "nắng.\n\n## 2. PHÂN TÍCH\n### Nhiệt độ\n30°C\n\n## 3",
+                ". KẾT LUẬN\nỔn định.",
+            ]), 200, ['Content-Type' => 'text/event-stream']),
+        ]);
+
+        $response = $this->get('/api/weather/report/10.82/106.63/stream');
+
+        $response->assertOk();
+        $this->assertStringStartsWith('text/event-stream', $response->headers->get('Content-Type'));
+
+        $events = $this->parseEvents($response->streamedContent());
+
+        $this->assertSame(['meta', 'section', 'section', 'section', 'done'], array_column($events, 0));
+        $this->assertSame('gemini_ai', $events[0][1]['source']);
+        $this->assertSame("# BÁO CÁO\n\n## 1. TỔNG QUAN\nTrời nắng.", $events[1][1]['markdown']);
+        $this->assertSame("## 2. PHÂN TÍCH\n### Nhiệt độ\n30°C", $events[2][1]['markdown']);
+        $this->assertSame("## 3. KẾT LUẬN\nỔn định.", $events[3][1]['markdown']);
+        $this->assertSame(3, $events[4][1]['sections']);
+
+        Http::assertSent(fn ($request) => str_contains($request->url(), 'streamGenerateContent')
+            && str_contains($request->url(), 'alt=sse'));
+    }
+
+    public function test_cached_report_is_replayed_unless_refresh_is_requested(): void
+    {
+        Http::fake([
+            'api.open-meteo.com/*' => Http::response($this->weatherResponse()),
+            'generativelanguage.googleapis.com/*' => Http::response($this->geminiStream([
+                "## 1. TỔNG QUAN\nTrời nắng.\n\n## 2. KẾT LUẬN\nỔn định.",
+            ]), 200, ['Content-Type' => 'text/event-stream']),
+        ]);
+
+        $first = $this->parseEvents($this->get('/api/weather/report/10.82/106.63/stream')->streamedContent());
+        $cached = $this->parseEvents($this->get('/api/weather/report/10.82/106.63/stream')->streamedContent());
+
+        $this->assertSame(array_column($first, 0), array_column($cached, 0));
+        $this->assertSame($first[1][1]['markdown'], $cached[1][1]['markdown']);
+        Http::assertSentCount(3);
+
+        $this->get('/api/weather/report/10.82/106.63/stream?refresh=1')->streamedContent();
+        Http::assertSentCount(5);
+    }
+
+    public function test_rule_based_report_is_streamed_when_gemini_fails(): void
+    {
+        Http::fake([
+            'api.open-meteo.com/*' => Http::response($this->weatherResponse()),
+            'generativelanguage.googleapis.com/*' => Http::response('', 500),
+        ]);
+
+        $response = $this->get('/api/weather/report/10.82/106.63/stream');
+
+        $response->assertOk();
+        $events = $this->parseEvents($response->streamedContent());
+        $sections = array_filter($events, fn ($event) => $event[0] === 'section');
+
+        $this->assertSame('meta', $events[0][0]);
+        $this->assertSame('rule_based', $events[0][1]['source']);
+        $this->assertCount($events[0][1]['expected_sections'], $sections);
+        $this->assertSame('done', end($events)[0]);
+    }
+
+    public function test_weather_service_errors_are_returned_before_streaming(): void
+    {
+        Http::fake([
+            'api.open-meteo.com/*' => Http::response([], 502),
+        ]);
+
+        $this->getJson('/api/weather/report/10.82/106.63/stream')
+            ->assertStatus(503)
+            ->assertJsonPath('success', false);
+    }
+
+    public function test_unexpected_weather_payloads_are_returned_as_json_before_streaming(): void
+    {
+        $payload = $this->weatherResponse();
+        unset($payload['current']);
+
+        Http::fake([
+            'api.open-meteo.com/*' => Http::response($payload),
+        ]);
+
+        $this->getJson('/api/weather/report/10.82/106.63/stream')
+            ->assertStatus(500)
+            ->assertJsonPath('success', false)
+            ->assertJsonPath('error', 'Failed to generate report');
+    }
+
+    public function test_invalid_coordinates_are_rejected(): void
+    {
+        $this->getJson('/api/weather/report/abc/106.63/stream')->assertStatus(400);
+        $this->getJson('/api/weather/report/95/106.63/stream')->assertStatus(400);
+    }
+}
@@ -0,0 +1,209 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Services\ReverseGeocodeService;
+use Illuminate\Http\Client\ConnectionException;
+use Illuminate\Support\Facades\Cache;
+use Illuminate\Support\Facades\Http;
+use Tests\TestCase;
+
+class ReverseGeocodeTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        parent::setUp();
+        config(['services.opencage.key' => null]);
+        Cache::flush();
+    }
+
+    public function test_place_name_is_returned_from_nominatim(): void
+    {
+        Http::fake([
+            'nominatim.openstreetmap.org/*' => Http::response([
+                'display_name' => 'Dĩ An, Bình Dương, Việt Nam',
+                'address' => [
+                    'city' => 'Dĩ An',
+                    'state' => 'Bình Dương',
+                    'country' => 'Việt Nam',
+                ],
+            ]),
+        ]);
+
+        $this->getJson('/api/location/reverse?lat=10.98&lon=106.75')
+            ->assertOk()
+            ->assertExactJson([
+                'name' => 'Dĩ An',
+                'admin1' => 'Bình Dương',
+                'country' => 'Việt Nam',
+                'display_name' => 'Dĩ An, Bình Dương, Việt Nam',
+            ]);
+
+        Http::assertSent(fn ($request) => $request['accept-language'] === 'vi'
+            && $request->hasHeader('User-Agent'));
+    }
+
+    public function test_place_names_are_cached_per_language(): void
+    {
+        Http::fake([
+            'nominatim.openstreetmap.org/*' => Http::response([
+                'display_name' => 'Hanoi, Vietnam',
+                'address' => ['city' => 'Hanoi', 'country' => 'Vietnam'],
+            ]),
+        ]);
+
+        $this->getJson('/api/location/reverse?lat=21.03&lon=105.85&language=en')->assertOk();
+        $this->getJson('/api/location/reverse?lat=21.03&lon=105.85&language=en')
+            ->assertOk()
+            ->assertJsonPath('name', 'Hanoi');
+        Http::assertSentCount(1);
+
+        $this->getJson('/api/location/reverse?lat=21.03&lon=105.85&language=vi')->assertOk();
+        Http::assertSentCount(2);
+    }
+
+    public function test_opencage_is_used_when_configured(): void
+    {
+        config(['services.opencage.key' => 'test-key']);
+        Http::fake([
+            'api.opencagedata.com/*' => Http::response([
+                'results' => [[
+                    'formatted' => 'Đà Lạt, Lâm Đồng, Việt Nam',
+                    'components' => ['city' => 'Đà Lạt', 'state' => 'Lâm Đồng', 'country' => 'Việt Nam'],
+                ]],
+            ]),
+        ]);
+
+        $this->getJson('/api/location/reverse?lat=11.94&lon=108.44')
+            ->assertOk()
+            ->assertJsonPath('name', 'Đà Lạt');
+
+        Http::assertNotSent(fn ($request) => str_contains($request->url(), 'nominatim'));
+    }
+
+    public function test_unknown_place_returns_not_found(): void
+    {
+        Http::fake([
+            'nominatim.openstreetmap.org/*' => Http::response(['error' => 'Unable to geocode']),
+        ]);
+
+        $this->getJson('/api/location/reverse?lat=0&lon=-30')->assertNotFound();
+    }
+
+    public function test_provider_errors_return_service_unavailable(): void
+    {
+        Http::fake([
+            'nominatim.openstreetmap.org/*' => Http::response('Too many requests', 429),
+        ]);
+
+        $this->getJson('/api/location/reverse?lat=10.98&lon=106.75')->assertStatus(503);
+    }
+
+    public function test_provider_timeouts_return_service_unavailable(): void
+    {
+        Http::fake(fn () => throw new ConnectionException('Connection timed out'));
+
+        $this->getJson('/api/location/reverse?lat=10.98&lon=106.75')->assertStatus(503);
+    }
+
+    public function test_unexpected_provider_bodies_return_service_unavailable(): void
+    {
+        Http::fake([
+            'nominatim.openstreetmap.org/*' => Http::response('<html>Maintenance</html>'),
+        ]);
+
+        $this->getJson('/api/location/reverse?lat=10.98&lon=106.75')->assertStatus(503);
+    }
+
+    public function test_provider_is_not_called_again_during_the_backoff(): void
+    {
+        Http::fake([
+            'nominatim.openstreetmap.org/*' => Http::sequence()
+                ->push('Service unavailable', 503)
+                ->push([
+                    'display_name' => 'Dĩ An, Bình Dương, Việt Nam',
+                    'address' => ['city' => 'Dĩ An', 'state' => 'Bình Dương', 'country' => 'Việt Nam'],
+                ]),
+        ]);
+
+        $this->getJson('/api/location/reverse?lat=10.98&lon=106.75')->assertStatus(503);
+        $this->getJson('/api/location/reverse?lat=21.03&lon=105.85')->assertStatus(503);
+        Http::assertSentCount(1);
+
+        // The failure was not cached as "no place here"
+        $this->travel(2)->minutes();
+        $this->getJson('/api/location/reverse?lat=10.98&lon=106.75')
+            ->assertOk()
+            ->assertJsonPath('name', 'Dĩ An');
+        Http::assertSentCount(2);
+    }
+
+    public function test_places_without_a_name_are_cached(): void
+    {
+        Http::fake([
+            'nominatim.openstreetmap.org/*' => Http::response(['error' => 'Unable to geocode']),
+        ]);
+
+        $this->getJson('/api/location/reverse?lat=0&lon=-30')->assertNotFound();
+        $this->getJson('/api/location/reverse?lat=0&lon=-30')->assertNotFound();
+        Http::assertSentCount(1);
+    }
+
+    public function test_reverse_only_reads_the_cache(): void
+    {
+        Http::fake([
+            'nominatim.openstreetmap.org/*' => Http::response([
+                'display_name' => 'Dĩ An, Bình Dương, Việt Nam',
+                'address' => ['city' => 'Dĩ An', 'state' => 'Bình Dương', 'country' => 'Việt Nam'],
+            ]),
+        ]);
+        $service = app(ReverseGeocodeService::class);
+
+        // A miss is null, so clients keep the name the user picked instead of a placeholder
+        $this->assertNull($service->reverse(10.98, 106.75));
+        Http::assertNothingSent();
+
+        $this->getJson('/api/location/reverse?lat=10.98&lon=106.75')->assertOk();
+        $this->assertSame('Dĩ An', $service->reverse(10.98, 106.75));
+        Http::assertSentCount(1);
+    }
+
+    public function test_reverse_reads_the_name_in_the_requested_language(): void
+    {
+        Http::fake([
+            'nominatim.openstreetmap.org/*' => Http::response([
+                'display_name' => 'Hanoi, Vietnam',
+                'address' => ['city' => 'Hanoi', 'country' => 'Vietnam'],
+            ]),
+        ]);
+        $service = app(ReverseGeocodeService::class);
+
+        $this->getJson('/api/location/reverse?lat=21.03&lon=105.85&language=en')->assertOk();
+
+        $this->assertSame('Hanoi', $service->reverse(21.03, 105.85, 'en'));
+        $this->assertNull($service->reverse(21.03, 105.85, 'vi'));
+    }
+
+    public function test_reverse_returns_null_for_places_the_provider_does_not_know(): void
+    {
+        Http::fake([
+            'nominatim.openstreetmap.org/*' => Http::response(['error' => 'Unable to geocode']),
+        ]);
+        $service = app(ReverseGeocodeService::class);
+
+        $this->getJson('/api/location/reverse?lat=0&lon=-160')->assertNotFound();
+
+        $this->assertNull($service->reverse(0, -160));
+    }
+
+    public function test_invalid_coordinates_are_rejected(): void
+    {
+        $this->getJson('/api/location/reverse?lat=95&lon=106.75')
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['lat']);
+
+        $this->getJson('/api/location/reverse?lat=10.98&lon=106.75&language=fr')
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['language']);
+    }
+}
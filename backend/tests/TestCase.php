@@ -2,9 +2,29 @@
 
 namespace Tests;
 
+use App\Models\User;
 use Illuminate\Foundation\Testing\TestCase as BaseTestCase;
+use Laravel\Sanctum\Sanctum;
 
 abstract class TestCase extends BaseTestCase
 {
-    //
+    /**
+     * Sign in through Sanctum as a user kept in memory.
+     * save() is a no-op so tests of per-user settings need no MongoDB server;
+     * assert on the returned user to see what an endpoint stored.
+     */
+    protected function signIn(array $attributes = []): User
+    {
+        $user = new class extends User {
+            public function save(array $options = [])
+            {
+                return true;
+            }
+        };
+        $user->forceFill(array_merge(['name' => 'Test', 'username' => 'test', 'role' => 'customer'], $attributes));
+
+        Sanctum::actingAs($user);
+
+        return $user;
+    }
 }
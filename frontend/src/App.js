@@ -1,8 +1,13 @@
 import React from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import { ThemeProvider } from './contexts/ThemeContext';
+import { PreferencesProvider } from './contexts/PreferencesContext';
+import { LanguageProvider } from './contexts/LanguageContext';
+import { FavouritesProvider } from './contexts/FavouritesContext';
+import { AlertsProvider } from './contexts/AlertsContext';
 import DashboardPage from './pages/DashboardPage';
 import StoriesPage from './pages/StoriesPage';
+import SearchPage from './pages/SearchPage';
 import AdminPage from './pages/AdminPage';
 import AdminProductsPage from './pages/AdminProductsPage';
 import AdminStoriesPage from './pages/AdminStoriesPage';
@@ -13,6 +18,10 @@ import './App.css';
 function App() {
     return (
         <ThemeProvider>
+            <PreferencesProvider>
+            <LanguageProvider>
+            <FavouritesProvider>
+            <AlertsProvider>
             <Router>
                 <div className="App">
                     <Routes>
@@ -25,6 +34,10 @@ function App() {
                             path="/dashboard" 
                             element={<DashboardPage />}
                         />
+                        <Route 
+                            path="/search" 
+                            element={<SearchPage />}
+                        />
                         <Route 
                             path="/stories" 
                             element={<StoriesPage />}
@@ -75,6 +88,10 @@ function App() {
                     </Routes>
                 </div>
             </Router>
+            </AlertsProvider>
+            </FavouritesProvider>
+            </LanguageProvider>
+            </PreferencesProvider>
         </ThemeProvider>
     );
 }
@@ -1,27 +1,29 @@
 import React from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
+import { useLanguage } from '../contexts/LanguageContext';
 import './AdminSidebar.css';
 
 const AdminSidebar = ({ isOpen, onClose }) => {
   const location = useLocation();
   const navigate = useNavigate();
+  const { t } = useLanguage();
 
   const menuItems = [
     {
       id: 'users',
-      label: 'User Management',
+      labelKey: 'admin.users.title',
       path: '/admin/users',
       icon: '👥'
     },
     {
       id: 'products',
-      label: 'Product Management',
+      labelKey: 'admin.products.title',
       path: '/admin/products',
       icon: '🛍️'
     },
     {
       id: 'stories',
-      label: 'Stories Management',
+      labelKey: 'admin.stories.title',
       path: '/admin/stories',
       icon: '📰'
     }
@@ -46,7 +48,7 @@ const AdminSidebar = ({ isOpen, onClose }) => {
       
       <aside className={`admin-sidebar ${isOpen ? 'open' : ''}`}>
         <div className="sidebar-header">
-          <h2>Admin Panel</h2>
+          <h2>{t('admin.panel')}</h2>
           <button className="sidebar-close-btn" onClick={onClose}>
             ✕
           </button>
@@ -59,7 +61,7 @@ const AdminSidebar = ({ isOpen, onClose }) => {
               onClick={() => handleNavClick(item.path)}
             >
               <span className="nav-icon">{item.icon}</span>
-              <span className="nav-label">{item.label}</span>
+              <span className="nav-label">{t(item.labelKey)}</span>
             </button>
           ))}
         </nav>
@@ -0,0 +1,264 @@
+import React, { useState, useEffect } from 'react';
+import { Bar } from 'react-chartjs-2';
+import {
+    Chart as ChartJS,
+    CategoryScale,
+    LinearScale,
+    BarElement,
+    Tooltip
+} from 'chart.js';
+import { fetchAirQualityData } from '../services/weatherService';
+import { API_ERROR_TYPES } from '../lib/apiClient';
+import { AQI_LEVELS, POLLUTANTS, getAqiLevel, getPollutantRatio, getDominantPollutant } from '../lib/airQuality';
+import { useTheme } from '../contexts/ThemeContext';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import './AirQuality.css';
+
+// Register Chart.js components
+ChartJS.register(
+    CategoryScale,
+    LinearScale,
+    BarElement,
+    Tooltip
+);
+
+// Position of an AQI on the color band, where every level takes the same width
+const getBandPosition = (aqi) => {
+    const index = AQI_LEVELS.findIndex(level => aqi <= level.max);
+    const min = index > 0 ? AQI_LEVELS[index - 1].max : 0;
+    const max = Number.isFinite(AQI_LEVELS[index].max) ? AQI_LEVELS[index].max : 500;
+    const withinLevel = Math.min(1, (aqi - min) / (max - min));
+    return ((index + withinLevel) / AQI_LEVELS.length) * 100;
+};
+
+/**
+ * AirQuality Component
+ * Shows the current US AQI on a color band, the pollutant concentrations against
+ * their WHO guideline, the AQI of the next 24 hours and health advice for the level.
+ * Data is reloaded when `refreshKey` changes (e.g. after a dashboard refresh).
+ */
+const AirQuality = ({ location, refreshKey }) => {
+    const { isDark } = useTheme();
+    const { formatter } = usePreferences();
+    const { t } = useLanguage();
+    const [data, setData] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(false);
+    const [reloadKey, setReloadKey] = useState(0);
+
+    const lat = location?.lat;
+    const lon = location?.lon;
+
+    useEffect(() => {
+        if (lat === undefined || lon === undefined) return undefined;
+
+        const controller = new AbortController();
+
+        const loadAirQuality = async () => {
+            setLoading(true);
+            setError(false);
+
+            try {
+                const airQuality = await fetchAirQualityData(lat, lon, {
+                    signal: controller.signal,
+                    onRevalidate: (freshData) => {
+                        if (!controller.signal.aborted) setData(freshData);
+                    }
+                });
+                setData(airQuality);
+            } catch (err) {
+                if (err.type === API_ERROR_TYPES.CANCELLED) return;
+                console.error('Error loading air quality:', err);
+                setError(true);
+            } finally {
+                if (!controller.signal.aborted) setLoading(false);
+            }
+        };
+
+        loadAirQuality();
+
+        return () => controller.abort();
+    }, [lat, lon, refreshKey, reloadKey]);
+
+    if (loading && !data) {
+        return (
+            <div className="air-quality">
+                <h2>{t('airQuality.title')}</h2>
+                <p className="air-quality-status">{t('airQuality.loading')}</p>
+            </div>
+        );
+    }
+
+    if (error && !data) {
+        return (
+            <div className="air-quality">
+                <h2>{t('airQuality.title')}</h2>
+                <div className="air-quality-status">
+                    <p>⚠️ {t('airQuality.loadFailed')}</p>
+                    <button className="air-quality-retry" onClick={() => setReloadKey(key => key + 1)}>
+                        {t('common.retry')}
+                    </button>
+                </div>
+            </div>
+        );
+    }
+
+    if (!data) return null;
+
+    const { current, hourly } = data;
+    const level = getAqiLevel(current.aqi);
+    const dominant = getDominantPollutant(current);
+    const textColor = isDark ? 'rgba(255, 255, 255, 0.8)' : 'rgba(0, 0, 0, 0.8)';
+    const gridColor = isDark ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
+
+    const chartData = {
+        labels: hourly.map(item => formatter.time(item.time)),
+        datasets: [
+            {
+                label: 'AQI',
+                data: hourly.map(item => item.aqi),
+                backgroundColor: hourly.map(item => getAqiLevel(item.aqi)?.color || gridColor),
+                borderRadius: 4
+            }
+        ]
+    };
+
+    const chartOptions = {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+            legend: {
+                display: false
+            },
+            tooltip: {
+                backgroundColor: isDark ? 'rgba(0, 0, 0, 0.9)' : 'rgba(255, 255, 255, 0.9)',
+                titleColor: isDark ? 'white' : 'black',
+                bodyColor: isDark ? 'white' : 'black',
+                borderColor: isDark ? 'rgba(255, 255, 255, 0.2)' : 'rgba(0, 0, 0, 0.2)',
+                borderWidth: 1,
+                padding: 12,
+                callbacks: {
+                    label: (context) => {
+                        const hourLevel = getAqiLevel(context.parsed.y);
+                        return hourLevel
+                            ? `AQI ${context.parsed.y} · ${t(`airQuality.levels.${hourLevel.id}`)}`
+                            : `AQI ${context.parsed.y}`;
+                    }
+                }
+            }
+        },
+        scales: {
+            x: {
+                ticks: {
+                    color: textColor,
+                    maxRotation: 0,
+                    autoSkipPadding: 12
+                },
+                grid: {
+                    display: false
+                }
+            },
+            y: {
+                beginAtZero: true,
+                suggestedMax: 150,
+                ticks: {
+                    color: textColor
+                },
+                grid: {
+                    color: gridColor
+                }
+            }
+        }
+    };
+
+    return (
+        <div className="air-quality">
+            <h2>{t('airQuality.title')}</h2>
+
+            <div className="air-quality-main">
+                <div
+                    className="aqi-badge"
+                    style={level ? { background: level.color, color: level.textColor } : undefined}
+                >
+                    <span className="aqi-value">{current.aqi ?? '--'}</span>
+                    <span className="aqi-scale">US AQI</span>
+                </div>
+
+                <div className="aqi-summary">
+                    <div className="aqi-level">
+                        {level ? `${level.icon} ${t(`airQuality.levels.${level.id}`)}` : t('airQuality.unavailable')}
+                    </div>
+                    {dominant && (
+                        <div className="aqi-dominant">{t('airQuality.dominant', { pollutant: dominant.label })}</div>
+                    )}
+                    <div className="aqi-band" aria-hidden="true">
+                        {AQI_LEVELS.map(item => (
+                            <span
+                                key={item.id}
+                                className="aqi-band-segment"
+                                style={{ background: item.color }}
+                                title={t(`airQuality.levels.${item.id}`)}
+                            />
+                        ))}
+                        {level && (
+                            <span className="aqi-band-marker" style={{ left: `${getBandPosition(current.aqi)}%` }} />
+                        )}
+                    </div>
+                </div>
+            </div>
+
+            <div className="air-quality-pollutants">
+                {POLLUTANTS.map(pollutant => {
+                    const value = current[pollutant.key];
+                    const ratio = getPollutantRatio(value, pollutant);
+
+                    return (
+                        <div
+                            key={pollutant.key}
+                            className={`pollutant ${ratio > 1 ? 'over-guideline' : ''}`}
+                            title={t('airQuality.guideline', { value: formatter.number(pollutant.guideline, 0) })}
+                        >
+                            <span className="pollutant-label">{pollutant.label}</span>
+                            <span className="pollutant-value">
+                                {value !== null && value !== undefined ? formatter.number(value, pollutant.key === 'carbon_monoxide' ? 0 : 1) : '--'}
+                                <small> µg/m³</small>
+                            </span>
+                            <span className="pollutant-bar">
+                                <span style={{ width: `${Math.min(100, (ratio || 0) * 50)}%` }} />
+                            </span>
+                        </div>
+                    );
+                })}
+            </div>
+
+            {hourly.length > 0 && (
+                <div className="air-quality-chart">
+                    <h3>{t('airQuality.next24h')}</h3>
+                    <div className="air-quality-chart-canvas">
+                        <Bar data={chartData} options={chartOptions} />
+                    </div>
+                </div>
+            )}
+
+            {level && (
+                <div className="air-quality-advice">
+                    <div className="advice-item">
+                        <strong>{t('airQuality.generalPublic')}</strong>
+                        <p>{t(`airQuality.advice.${level.id}.general`)}</p>
+                    </div>
+                    <div className="advice-item sensitive">
+                        <strong>{t('airQuality.sensitiveGroups')}</strong>
+                        <p>{t(`airQuality.advice.${level.id}.sensitive`)}</p>
+                    </div>
+                </div>
+            )}
+
+            <div className="air-quality-footer">
+                <small>{t('airQuality.footer', { time: formatter.time(current.time) })}</small>
+            </div>
+        </div>
+    );
+};
+
+export default AirQuality;
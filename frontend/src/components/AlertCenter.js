@@ -0,0 +1,126 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { useAlerts } from '../contexts/AlertsContext';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import { ALERT_RULE_TYPES, describeAlert } from '../lib/alertRules';
+import AlertRulesManager from './AlertRulesManager';
+import './AlertCenter.css';
+
+/**
+ * AlertCenter Component
+ * Header bell listing the alerts fired by the user's rules, with browser notification permission
+ */
+const AlertCenter = () => {
+    const {
+        alerts,
+        unreadCount,
+        notificationPermission,
+        requestNotificationPermission,
+        markAllRead,
+        clearAlerts
+    } = useAlerts();
+    const { formatter } = usePreferences();
+    const { t } = useLanguage();
+    const [isOpen, setIsOpen] = useState(false);
+    const [isManagerOpen, setIsManagerOpen] = useState(false);
+    const panelRef = useRef(null);
+
+    // Close panel when clicking outside
+    useEffect(() => {
+        const handleClickOutside = (event) => {
+            if (panelRef.current && !panelRef.current.contains(event.target)) {
+                setIsOpen(false);
+            }
+        };
+
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => {
+            document.removeEventListener('mousedown', handleClickOutside);
+        };
+    }, []);
+
+    const handleClear = () => {
+        if (window.confirm(t('alerts.clearConfirm'))) {
+            clearAlerts();
+        }
+    };
+
+    return (
+        <div className="alert-center" ref={panelRef}>
+            <button
+                className="alert-center-toggle"
+                onClick={() => setIsOpen(!isOpen)}
+                title={t('alerts.title')}
+                aria-label={t('alerts.title')}
+            >
+                🔔
+                {unreadCount > 0 && (
+                    <span className="alert-center-badge">{unreadCount > 9 ? '9+' : unreadCount}</span>
+                )}
+            </button>
+
+            {isOpen && (
+                <div className="alert-center-panel">
+                    <div className="alert-center-header">
+                        <span className="alert-center-title">{t('alerts.title')}</span>
+                        <button
+                            className="alert-center-link"
+                            onClick={() => {
+                                setIsOpen(false);
+                                setIsManagerOpen(true);
+                            }}
+                        >
+                            {t('alerts.manageRules')}
+                        </button>
+                    </div>
+
+                    {notificationPermission === 'default' && (
+                        <button className="alert-center-permission" onClick={requestNotificationPermission}>
+                            🔔 {t('alerts.permission.enable')}
+                        </button>
+                    )}
+                    {notificationPermission === 'denied' && (
+                        <p className="alert-center-note">{t('alerts.permission.denied')}</p>
+                    )}
+                    {notificationPermission === 'unsupported' && (
+                        <p className="alert-center-note">{t('alerts.permission.unsupported')}</p>
+                    )}
+
+                    {alerts.length === 0 ? (
+                        <p className="alert-center-empty">{t('alerts.empty')}</p>
+                    ) : (
+                        <>
+                            <ul className="alert-center-list">
+                                {alerts.map(alert => (
+                                    <li key={alert.id} className={`alert-center-item ${alert.read ? '' : 'unread'}`}>
+                                        <span className="alert-center-icon">{ALERT_RULE_TYPES[alert.type]?.icon}</span>
+                                        <div className="alert-center-text">
+                                            <span>{describeAlert(alert, t, formatter)}</span>
+                                            <span className="alert-center-time">{formatter.dateTime(alert.firedAt)}</span>
+                                        </div>
+                                    </li>
+                                ))}
+                            </ul>
+
+                            <div className="alert-center-actions">
+                                <button onClick={markAllRead} disabled={unreadCount === 0}>
+                                    {t('alerts.markAllRead')}
+                                </button>
+                                <button onClick={handleClear}>
+                                    {t('alerts.clear')}
+                                </button>
+                            </div>
+                        </>
+                    )}
+                </div>
+            )}
+
+            <AlertRulesManager
+                isOpen={isManagerOpen}
+                onClose={() => setIsManagerOpen(false)}
+            />
+        </div>
+    );
+};
+
+export default AlertCenter;
@@ -0,0 +1,189 @@
+import React, { useState } from 'react';
+import { Modal } from './common';
+import { useAlerts } from '../contexts/AlertsContext';
+import { useFavourites } from '../contexts/FavouritesContext';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import authService from '../services/authService';
+import {
+    ALERT_RULE_TYPES,
+    ALERT_RULE_DAYS,
+    ALERT_RULE_MAX_HOURS,
+    getAlertDayLabel,
+    describeAlertRule
+} from '../lib/alertRules';
+import './AlertRulesManager.css';
+
+const DEFAULT_TYPE = 'rain_probability';
+
+/**
+ * AlertRulesManager Component
+ * Modal to add, enable/disable and remove alert rules for favourite locations
+ */
+const AlertRulesManager = ({ isOpen, onClose }) => {
+    const { rules, ruleStatus, error, addRule, removeRule, toggleRule } = useAlerts();
+    const { favourites } = useFavourites();
+    const { formatter } = usePreferences();
+    const { t } = useLanguage();
+    const [locationId, setLocationId] = useState('');
+    const [type, setType] = useState(DEFAULT_TYPE);
+    // Threshold as typed, in the preferred unit
+    const [threshold, setThreshold] = useState('');
+    const [hours, setHours] = useState(ALERT_RULE_TYPES[DEFAULT_TYPE].defaults.hours);
+    const [day, setDay] = useState(1);
+
+    const { quantity, defaults } = ALERT_RULE_TYPES[type];
+    const location = favourites.find(favourite => favourite.id === locationId) || favourites[0];
+    const thresholdUnit = quantity ? formatter.unit(quantity) : '%';
+    const thresholdPlaceholder = quantity
+        ? formatter.number(formatter.convert(quantity, defaults.threshold), 0)
+        : String(defaults.threshold ?? '');
+
+    const handleTypeChange = (nextType) => {
+        setType(nextType);
+        setThreshold('');
+    };
+
+    const handleAdd = (e) => {
+        e.preventDefault();
+        if (!location) return;
+
+        const options = {};
+        if (type !== 'anomaly') {
+            const value = threshold === '' ? null : Number(threshold);
+            options.threshold = value === null
+                ? defaults.threshold
+                : quantity ? formatter.toMetric(quantity, value) : value;
+        }
+        if (type === 'rain_probability') options.hours = hours;
+        if (type === 'temperature_max' || type === 'temperature_min') options.day = day;
+
+        addRule(location, type, options);
+        setThreshold('');
+    };
+
+    const handleRemove = (rule) => {
+        if (window.confirm(t('alerts.removeConfirm'))) {
+            removeRule(rule.id);
+        }
+    };
+
+    return (
+        <Modal
+            isOpen={isOpen}
+            onClose={onClose}
+            title={`🔔 ${t('alerts.rulesTitle')}`}
+            size="medium"
+        >
+            <div className="alert-rules-manager">
+                {error && <div className="alert-rules-error">⚠️ {error}</div>}
+
+                {!authService.isAuthenticated() && (
+                    <p className="alert-rules-note">{t('alerts.guestNote')}</p>
+                )}
+
+                {favourites.length === 0 ? (
+                    <p className="alert-rules-empty">{t('alerts.noFavourites')}</p>
+                ) : (
+                    <form className="alert-rules-form" onSubmit={handleAdd}>
+                        <label>
+                            <span>{t('alerts.form.location')}</span>
+                            <select value={location?.id || ''} onChange={(e) => setLocationId(e.target.value)}>
+                                {favourites.map(favourite => (
+                                    <option key={favourite.id} value={favourite.id}>{favourite.name}</option>
+                                ))}
+                            </select>
+                        </label>
+
+                        <label>
+                            <span>{t('alerts.form.type')}</span>
+                            <select value={type} onChange={(e) => handleTypeChange(e.target.value)}>
+                                {Object.entries(ALERT_RULE_TYPES).map(([key, definition]) => (
+                                    <option key={key} value={key}>{definition.icon} {t(`alerts.types.${key}`)}</option>
+                                ))}
+                            </select>
+                        </label>
+
+                        {type !== 'anomaly' && (
+                            <label>
+                                <span>{t('alerts.form.threshold')} ({thresholdUnit})</span>
+                                <input
+                                    type="number"
+                                    step="any"
+                                    min={quantity ? undefined : 0}
+                                    max={quantity ? undefined : 100}
+                                    value={threshold}
+                                    placeholder={thresholdPlaceholder}
+                                    onChange={(e) => setThreshold(e.target.value)}
+                                />
+                            </label>
+                        )}
+
+                        {type === 'rain_probability' && (
+                            <label>
+                                <span>{t('alerts.form.hours')}</span>
+                                <input
+                                    type="number"
+                                    min={1}
+                                    max={ALERT_RULE_MAX_HOURS}
+                                    value={hours}
+                                    onChange={(e) => setHours(Math.min(ALERT_RULE_MAX_HOURS, Math.max(1, Number(e.target.value) || 1)))}
+                                />
+                            </label>
+                        )}
+
+                        {(type === 'temperature_max' || type === 'temperature_min') && (
+                            <label>
+                                <span>{t('alerts.form.day')}</span>
+                                <select value={day} onChange={(e) => setDay(Number(e.target.value))}>
+                                    {ALERT_RULE_DAYS.map(value => (
+                                        <option key={value} value={value}>{getAlertDayLabel(value, t)}</option>
+                                    ))}
+                                </select>
+                            </label>
+                        )}
+
+                        <button type="submit" className="alert-rules-add">
+                            ➕ {t('alerts.form.add')}
+                        </button>
+                    </form>
+                )}
+
+                {rules.length === 0 ? (
+                    <p className="alert-rules-empty">{t('alerts.noRules')}</p>
+                ) : (
+                    <ul className="alert-rules-list">
+                        {rules.map(rule => {
+                            const status = ruleStatus[rule.id];
+                            return (
+                                <li key={rule.id} className={`alert-rules-item ${rule.enabled ? '' : 'disabled'}`}>
+                                    <span className="alert-rules-icon">{ALERT_RULE_TYPES[rule.type]?.icon}</span>
+                                    <div className="alert-rules-info">
+                                        <span className="alert-rules-description">{describeAlertRule(rule, t, formatter)}</span>
+                                        <span className="alert-rules-location">📍 {rule.location.name}</span>
+                                    </div>
+                                    {rule.enabled && status && (
+                                        <span className={`alert-rules-status ${status.triggered ? 'triggered' : 'ok'}`}>
+                                            {status.triggered ? t('alerts.status.triggered') : t('alerts.status.ok')}
+                                        </span>
+                                    )}
+                                    <div className="alert-rules-actions">
+                                        <button
+                                            onClick={() => toggleRule(rule.id)}
+                                            title={rule.enabled ? t('alerts.disable') : t('alerts.enable')}
+                                        >
+                                            {rule.enabled ? '⏸️' : '▶️'}
+                                        </button>
+                                        <button onClick={() => handleRemove(rule)} title={t('common.delete')}>🗑️</button>
+                                    </div>
+                                </li>
+                            );
+                        })}
+                    </ul>
+                )}
+            </div>
+        </Modal>
+    );
+};
+
+export default AlertRulesManager;
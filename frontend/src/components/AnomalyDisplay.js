@@ -1,92 +1,188 @@
-import React, { useState } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import ReportModal from './ReportModal';
-import { fetchDetailedReport } from '../services/weatherService';
+import { ExportMenu } from './common';
+import { streamDetailedReport } from '../services/weatherService';
+import { saveReportToHistory } from '../services/reportHistoryService';
+import {
+    buildExportFileName,
+    toExportColumns,
+    buildJsonExport,
+    downloadCsv,
+    downloadJson
+} from '../lib/exporters';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useLanguage } from '../contexts/LanguageContext';
 import './AnomalyDisplay.css';
 import './ReportModal.css';
 
+// Current minus average temperature; the backend only sends the absolute difference of anomalies
+const getSignedDifference = (anomaly) => {
+    if (typeof anomaly.current_temp !== 'number' || typeof anomaly.average_temp !== 'number') return null;
+    return Math.round((anomaly.current_temp - anomaly.average_temp) * 10) / 10;
+};
+
+// Columns of the exported anomaly row (see toExportColumns in lib/exporters)
+const ANOMALY_EXPORT_COLUMNS = [
+    { key: 'name', labelKey: 'export.columns.location' },
+    { key: 'lat', labelKey: 'export.columns.latitude' },
+    { key: 'lon', labelKey: 'export.columns.longitude' },
+    { key: 'is_anomaly', labelKey: 'anomaly.export.isAnomaly' },
+    { key: 'type', labelKey: 'anomaly.export.type' },
+    { key: 'current_temp', labelKey: 'weather.temperature', quantity: 'temperature' },
+    { key: 'average_temp', labelKey: 'history.baseline', quantity: 'temperature' },
+    { key: 'difference', labelKey: 'anomaly.export.difference', quantity: 'temperature', difference: true, getValue: getSignedDifference },
+    { key: 'message', labelKey: 'anomaly.export.message' }
+];
+
+// Report generation state shown by ReportModal
+// status: idle -> connecting -> streaming -> done | cancelled | error
+const INITIAL_REPORT = {
+    status: 'idle',
+    meta: null,
+    sections: [],
+    generatedAt: null,
+    error: null
+};
+
 /**
  * AnomalyDisplay Component
  * Displays temperature anomaly alerts when detected
  */
-const AnomalyDisplay = ({ anomalyData, location }) => {
+const AnomalyDisplay = ({ anomalyData, location, weatherData, isOffline = false }) => {
     const [showModal, setShowModal] = useState(false);
-    const [reportData, setReportData] = useState(null);
-    const [loading, setLoading] = useState(false);
-    const [error, setError] = useState(null);
+    const [report, setReport] = useState(INITIAL_REPORT);
+    const reportControllerRef = useRef(null);
+    const { formatter } = usePreferences();
+    const { t } = useLanguage();
 
-    const handleViewReport = async () => {
-        if (!location || !location.lat || !location.lon) {
-            alert('Không thể tạo báo cáo: Thiếu thông tin vị trí');
-            return;
-        }
+    // Stop a running generation when the dashboard goes away
+    useEffect(() => () => reportControllerRef.current?.abort(), []);
 
-        setShowModal(true);
-        setLoading(true);
-        setError(null);
-        setReportData(null);
+    // Sections are shown as they arrive; refresh skips the report cached by the backend
+    const generateReport = async ({ refresh = false } = {}) => {
+        reportControllerRef.current?.abort();
+        const controller = new AbortController();
+        reportControllerRef.current = controller;
+        setReport({ ...INITIAL_REPORT, status: 'connecting' });
 
         try {
-            const report = await fetchDetailedReport(location.lat, location.lon);
-            setReportData(report);
+            const result = await streamDetailedReport(location.lat, location.lon, {
+                signal: controller.signal,
+                refresh,
+                onMeta: (meta) => setReport(prev => ({ ...prev, status: 'streaming', meta, sections: [] })),
+                onSection: (markdown) => setReport(prev => ({ ...prev, sections: [...prev.sections, markdown] }))
+            });
+            setReport(prev => ({ ...prev, status: 'done', generatedAt: result.generated_at }));
+            // Kept with the weather it was written from, for the history panel of ReportModal
+            saveReportToHistory(location, result, weatherData).catch(err => {
+                console.warn('Unable to save report to history:', err);
+            });
         } catch (err) {
-            setError(err.message || 'Không thể tạo báo cáo chi tiết');
+            // Cancelled or superseded by a new generation, which already updated the state
+            if (controller.signal.aborted) return;
+            setReport(prev => ({ ...prev, status: 'error', error: err.message || t('anomaly.reportFailed') }));
         } finally {
-            setLoading(false);
+            if (reportControllerRef.current === controller) reportControllerRef.current = null;
+        }
+    };
+
+    const handleViewReport = () => {
+        if (!location || !location.lat || !location.lon) {
+            alert(t('anomaly.missingLocation'));
+            return;
         }
+
+        setShowModal(true);
+        generateReport();
+    };
+
+    const cancelReport = () => {
+        reportControllerRef.current?.abort();
+        setReport(prev => ({ ...prev, status: 'cancelled' }));
     };
 
     const closeModal = () => {
+        reportControllerRef.current?.abort();
         setShowModal(false);
-        setReportData(null);
-        setError(null);
+        setReport(INITIAL_REPORT);
     };
   
     // Use mock data for now, fallback to real data if available
     const displayData = anomalyData || {};
     const hasAnomaly = displayData && displayData.is_anomaly;
 
+    // No chart here, so only the data is exported
+    const handleExport = (format) => {
+        const fileName = buildExportFileName('anomaly', location?.name);
+        if (format === 'csv') {
+            const row = { name: location?.name, lat: location?.lat, lon: location?.lon, ...displayData };
+            downloadCsv(fileName, toExportColumns(ANOMALY_EXPORT_COLUMNS, t, formatter), [row]);
+        } else {
+            downloadJson(fileName, buildJsonExport('anomaly', location, displayData));
+        }
+    };
+
     return (
         <>
             <div className="anomaly-section">
-                <h2 className="section-title">Phân Tích Anomaly Nhiệt Độ</h2>
+                <div className="anomaly-header">
+                    <h2 className="section-title">{t('anomaly.title')}</h2>
+                    <ExportMenu
+                        formats={['csv', 'json']}
+                        onExport={handleExport}
+                        disabled={!anomalyData}
+                    />
+                </div>
                 
                 {hasAnomaly ? (
                     <div className="anomaly-card">
                         <div className="anomaly-value">
-                            {displayData.difference > 0 ? '+' : ''}{displayData.difference}°C
+                            {formatter.temperature(displayData.difference, { difference: true })}
                         </div>
                         <div className="anomaly-description">
                             {displayData.message}
                         </div>
-                        <button className="anomaly-link" onClick={handleViewReport}>
-                         Xem báo cáo chi tiết
+                        <button
+                            className="anomaly-link"
+                            onClick={handleViewReport}
+                            disabled={isOffline}
+                            title={isOffline ? t('anomaly.offlineHint') : undefined}
+                        >
+                         {t('anomaly.viewReport')}
                         </button>
                     </div>
                 ) : (
                     <div className="stable-card">
                         <div className="stable-status">
-                            {displayData?.status || "ỔN ĐỊNH"}
+                            {displayData?.status || t('anomaly.stable')}
                         </div>
                         <div className="stable-description">
-                            {displayData?.message || "Nhiệt độ hiện tại nằm trong mức trung bình lịch sử (2015-2025) cho tháng 10."}
+                            {displayData?.message || t('anomaly.stableDescription')}
                         </div>
-                        <button className="stable-link" onClick={handleViewReport}>
-                            Xem báo cáo chi tiết
+                        <button
+                            className="stable-link"
+                            onClick={handleViewReport}
+                            disabled={isOffline}
+                            title={isOffline ? t('anomaly.offlineHint') : undefined}
+                        >
+                            {t('anomaly.viewReport')}
                         </button>
                     </div>
                 )}
                 
                 <div className="anomaly-status">
-                    Tất cả dữ liệu phân tích đều đạt chuẩn production-ready.
+                    {t('anomaly.footer')}
                 </div>
             </div>
 
             <ReportModal
                 isOpen={showModal}
                 onClose={closeModal}
-                reportData={reportData}
-                loading={loading}
-                error={error}
+                report={report}
+                onCancel={cancelReport}
+                onRegenerate={() => generateReport({ refresh: true })}
+                location={location}
+                weatherData={weatherData}
             />
         </>
     );
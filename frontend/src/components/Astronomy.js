@@ -0,0 +1,138 @@
+import React, { useState, useEffect } from 'react';
+import { getAstronomy, isValidTimeZone } from '../lib/astronomy';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import './Astronomy.css';
+
+// How often the sun position and the day are recomputed
+const TICK_INTERVAL = 60 * 1000;
+
+// Day arc geometry (SVG units): a half circle from sunrise (left) to sunset (right)
+const ARC = { cx: 150, cy: 140, r: 120 };
+
+// Point of the arc at a fraction of the day, 0 = sunrise, 1 = sunset
+const arcPoint = (fraction) => ({
+    x: ARC.cx - ARC.r * Math.cos(Math.PI * fraction),
+    y: ARC.cy - ARC.r * Math.sin(Math.PI * fraction)
+});
+
+// SVG path of the arc between two fractions of the day
+const arcPath = (from, to) => {
+    const start = arcPoint(from);
+    const end = arcPoint(to);
+    return `M ${start.x} ${start.y} A ${ARC.r} ${ARC.r} 0 0 1 ${end.x} ${end.y}`;
+};
+
+/**
+ * Astronomy Component
+ * Sunrise, sunset, civil twilight, golden hours, day length and moon phase of the
+ * selected location, computed in the browser (see lib/astronomy.js).
+ * Times are shown in the location's time zone; the day arc marks the sun's progress.
+ */
+const Astronomy = ({ location, timezone }) => {
+    const { formatter } = usePreferences();
+    const { t } = useLanguage();
+    const [now, setNow] = useState(() => new Date());
+
+    useEffect(() => {
+        const timer = setInterval(() => setNow(new Date()), TICK_INTERVAL);
+        return () => clearInterval(timer);
+    }, []);
+
+    if (location?.lat === undefined || location?.lon === undefined) return null;
+
+    const timeZone = isValidTimeZone(timezone) ? timezone : undefined;
+    const { sun, dayLength, moon } = getAstronomy(location.lat, location.lon, timeZone, now);
+
+    const formatTime = (date) => (date ? formatter.time(date, timeZone) : '--');
+    const formatRange = (start, end) => (
+        start && end ? t('astronomy.timeRange', { start: formatTime(start), end: formatTime(end) }) : '--'
+    );
+    const dayMinutes = Math.round(dayLength / 60000);
+
+    // Fraction of the daylight elapsed, and where the golden hours end and start
+    const hasArc = sun.sunrise && sun.sunset;
+    const toFraction = (date) => (date - sun.sunrise) / (sun.sunset - sun.sunrise);
+    const progress = hasArc ? toFraction(now) : 0;
+    const isDaytime = progress >= 0 && progress <= 1;
+    const sunPoint = arcPoint(Math.min(1, Math.max(0, progress)));
+
+    const details = [
+        { key: 'dawn', icon: '🌄', label: t('astronomy.civilDawn'), value: formatTime(sun.dawn) },
+        { key: 'dusk', icon: '🌆', label: t('astronomy.civilDusk'), value: formatTime(sun.dusk) },
+        { key: 'solarNoon', icon: '☀️', label: t('astronomy.solarNoon'), value: formatTime(sun.solarNoon) },
+        {
+            key: 'dayLength',
+            icon: '⏱️',
+            label: t('astronomy.dayLength'),
+            value: t('astronomy.duration', { hours: Math.floor(dayMinutes / 60), minutes: dayMinutes % 60 })
+        },
+        { key: 'goldenMorning', icon: '📷', label: t('astronomy.goldenHourMorning'), value: formatRange(sun.sunrise, sun.goldenHourEnd) },
+        { key: 'goldenEvening', icon: '📷', label: t('astronomy.goldenHourEvening'), value: formatRange(sun.goldenHour, sun.sunset) }
+    ];
+
+    return (
+        <div className="astronomy">
+            <h2>{t('astronomy.title')}</h2>
+
+            <div className="astronomy-main">
+                <div className="astronomy-sun">
+                    {hasArc ? (
+                        <svg className="astronomy-arc" viewBox="0 0 300 175" role="img" aria-label={t('astronomy.arcLabel')}>
+                            <line className="arc-horizon" x1="10" y1={ARC.cy} x2="290" y2={ARC.cy} />
+                            <path className="arc-path" d={arcPath(0, 1)} />
+                            {sun.goldenHourEnd && sun.goldenHour && (
+                                <>
+                                    <path className="arc-golden" d={arcPath(0, toFraction(sun.goldenHourEnd))} />
+                                    <path className="arc-golden" d={arcPath(toFraction(sun.goldenHour), 1)} />
+                                </>
+                            )}
+                            {progress > 0 && (
+                                <path className="arc-elapsed" d={arcPath(0, Math.min(1, progress))} />
+                            )}
+                            <circle
+                                className={`arc-sun ${isDaytime ? '' : 'below-horizon'}`}
+                                cx={sunPoint.x}
+                                cy={sunPoint.y}
+                                r="10"
+                            />
+                            <text className="arc-label" x={ARC.cx - ARC.r} y={ARC.cy + 25} textAnchor="middle">
+                                🌅 {formatTime(sun.sunrise)}
+                            </text>
+                            <text className="arc-label" x={ARC.cx + ARC.r} y={ARC.cy + 25} textAnchor="middle">
+                                🌇 {formatTime(sun.sunset)}
+                            </text>
+                        </svg>
+                    ) : (
+                        <p className="astronomy-polar">
+                            {sun.polar === 'day' ? `☀️ ${t('astronomy.polarDay')}` : `🌙 ${t('astronomy.polarNight')}`}
+                        </p>
+                    )}
+                </div>
+
+                <div className="astronomy-moon">
+                    <span className="moon-icon" aria-hidden="true">{moon.icon}</span>
+                    <span className="moon-phase">{t(`astronomy.phases.${moon.id}`)}</span>
+                    <span className="moon-illumination">
+                        {t('astronomy.illumination', { percent: Math.round(moon.illumination * 100) })}
+                    </span>
+                </div>
+            </div>
+
+            <div className="astronomy-details">
+                {details.map(item => (
+                    <div key={item.key} className="astronomy-detail">
+                        <span className="detail-label">{item.icon} {item.label}</span>
+                        <span className="detail-value">{item.value}</span>
+                    </div>
+                ))}
+            </div>
+
+            <div className="astronomy-footer">
+                <small>{t('astronomy.footer', { timezone: timeZone || t('astronomy.browserTime') })}</small>
+            </div>
+        </div>
+    );
+};
+
+export default Astronomy;
@@ -1,46 +1,71 @@
 import React from 'react';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import { getWeatherIcon, getWeatherDescription } from '../lib/weatherCodes';
 import './CurrentWeather.css';
 
+// Compare a value with the previous refresh: 'up', 'down', 'changed' or null when unchanged
+const getChange = (field, data, previousData) => {
+    if (!previousData || previousData[field] === undefined || previousData[field] === data[field]) {
+        return null;
+    }
+    if (typeof data[field] !== 'number' || typeof previousData[field] !== 'number') return 'changed';
+    return data[field] > previousData[field] ? 'up' : 'down';
+};
+
+const CHANGE_ARROWS = { up: '▲', down: '▼' };
+
 /**
  * CurrentWeather Component
  * Displays current weather conditions including temperature, humidity, wind speed, etc.
+ * Values that changed since `previousData` (the data before the last refresh) are highlighted.
  */
-const CurrentWeather = ({ data }) => {
+const CurrentWeather = ({ data, previousData }) => {
+    const { formatter } = usePreferences();
+    const { t } = useLanguage();
+
     if (!data) {
         return (
             <div className="current-weather loading">
-                <p>Đang tải dữ liệu thời tiết...</p>
+                <p>{t('currentWeather.loading')}</p>
             </div>
         );
     }
 
-    // Get weather icon based on weather code
-    const getWeatherIcon = (code) => {
-        const iconMap = {
-            0: '☀️', 1: '🌤️', 2: '⛅', 3: '☁️',
-            45: '🌫️', 48: '🌫️',
-            51: '🌦️', 53: '🌦️', 55: '🌦️',
-            61: '🌧️', 63: '🌧️', 65: '🌧️',
-            71: '🌨️', 73: '🌨️', 75: '🌨️', 77: '🌨️',
-            80: '🌦️', 81: '🌦️', 82: '⛈️',
-            85: '🌨️', 86: '🌨️',
-            95: '⛈️', 96: '⛈️', 99: '⛈️'
-        };
-        return iconMap[code] || '🌡️';
+    const weatherDescription = getWeatherDescription(data, t);
+
+    // Keyed by the value so the highlight animation replays on every change
+    const renderValue = (field, className, format) => {
+        const change = getChange(field, data, previousData);
+        return (
+            <span
+                key={`${field}-${data[field]}`}
+                className={change ? `${className} value-changed ${change}` : className}
+                title={change ? t('currentWeather.previous', { value: format(previousData[field]) }) : undefined}
+            >
+                {format(data[field])}
+                {CHANGE_ARROWS[change] && <span className="change-arrow">{CHANGE_ARROWS[change]}</span>}
+            </span>
+        );
     };
 
     return (
         <div className="current-weather">
-            <h2>Thời Tiết Hiện Tại</h2>
+            <h2>{t('currentWeather.title')}</h2>
             
             <div className="weather-main">
                 <div className="weather-icon">
-                    {getWeatherIcon(data.weather_code)}
+                    {getWeatherIcon(data.weather_code, data.is_day)}
                 </div>
                 
                 <div className="temperature-display">
-                    <div className="main-temp">{data.temperature}°C</div>
-                    <div className="weather-desc">{data.weather_description}</div>
+                    {renderValue('temperature', 'main-temp', value => formatter.temperature(value))}
+                    <div
+                        key={`weather_code-${data.weather_code}`}
+                        className={getChange('weather_code', data, previousData) ? 'weather-desc value-changed' : 'weather-desc'}
+                    >
+                        {weatherDescription}
+                    </div>
                 </div>
             </div>
 
@@ -48,38 +73,38 @@ const CurrentWeather = ({ data }) => {
                 <div className="detail-item">
                     <span className="detail-icon">🌡️</span>
                     <div className="detail-content">
-                        <span className="detail-label">Cảm giác như</span>
-                        <span className="detail-value">{data.apparent_temperature}°C</span>
+                        <span className="detail-label">{t('weather.apparentTemperature')}</span>
+                        {renderValue('apparent_temperature', 'detail-value', value => formatter.temperature(value))}
                     </div>
                 </div>
 
                 <div className="detail-item">
                     <span className="detail-icon">💧</span>
                     <div className="detail-content">
-                        <span className="detail-label">Độ ẩm</span>
-                        <span className="detail-value">{data.humidity}%</span>
+                        <span className="detail-label">{t('weather.humidity')}</span>
+                        {renderValue('humidity', 'detail-value', value => `${value}%`)}
                     </div>
                 </div>
 
                 <div className="detail-item">
                     <span className="detail-icon">💨</span>
                     <div className="detail-content">
-                        <span className="detail-label">Tốc độ gió</span>
-                        <span className="detail-value">{data.wind_speed} km/h</span>
+                        <span className="detail-label">{t('weather.windSpeed')}</span>
+                        {renderValue('wind_speed', 'detail-value', value => formatter.windSpeed(value))}
                     </div>
                 </div>
 
                 <div className="detail-item">
                     <span className="detail-icon">🌧️</span>
                     <div className="detail-content">
-                        <span className="detail-label">Lượng mưa</span>
-                        <span className="detail-value">{data.precipitation} mm</span>
+                        <span className="detail-label">{t('weather.precipitation')}</span>
+                        {renderValue('precipitation', 'detail-value', value => formatter.precipitation(value))}
                     </div>
                 </div>
             </div>
 
             <div className="weather-time">
-                Cập nhật lúc: {new Date(data.time).toLocaleString('vi-VN')}
+                {t('currentWeather.observedAt', { time: formatter.dateTime(data.time) })}
             </div>
         </div>
     );
@@ -0,0 +1,279 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { AUTH_CHANGE_EVENT } from '../lib/apiClient';
+import { useLanguage } from '../contexts/LanguageContext';
+import {
+    DASHBOARD_SECTIONS,
+    DEFAULT_LAYOUT,
+    moveSectionTo,
+    updateSection,
+    isDefaultLayout
+} from '../lib/dashboardLayout';
+import authService from '../services/authService';
+import {
+    getGuestLayout,
+    saveGuestLayout,
+    resetGuestLayout,
+    fetchUserLayout,
+    saveUserLayout,
+    resetUserLayout
+} from '../services/layoutService';
+import './DashboardLayout.css';
+
+const SECTION_ICONS = Object.fromEntries(DASHBOARD_SECTIONS.map(section => [section.id, section.icon]));
+
+/**
+ * DashboardLayout Component
+ * Renders the dashboard sections in the user's order, and lets the user reorder
+ * (drag and drop or arrows), collapse, hide and resize them.
+ * `sections` maps section ids to their content; a falsy value means the section
+ * is not available (e.g. signed-in only) and is left out.
+ */
+const DashboardLayout = ({ sections }) => {
+    const { t } = useLanguage();
+    const [layout, setLayout] = useState(() => (
+        authService.isAuthenticated() ? DEFAULT_LAYOUT : getGuestLayout()
+    ));
+    const [isEditing, setIsEditing] = useState(false);
+    const [draggedId, setDraggedId] = useState(null);
+    const [dropTargetId, setDropTargetId] = useState(null);
+    // Message key of the last load/save error, translated when rendered
+    const [error, setError] = useState(null);
+    // Last layout confirmed by storage, restored when a sync fails
+    const savedLayoutRef = useRef(layout);
+
+    // Load the guest layout, or the account layout when signed in
+    const loadLayout = useCallback(async () => {
+        setError(null);
+
+        if (!authService.isAuthenticated()) {
+            const guestLayout = getGuestLayout();
+            savedLayoutRef.current = guestLayout;
+            setLayout(guestLayout);
+            return;
+        }
+
+        try {
+            const userLayout = await fetchUserLayout();
+            savedLayoutRef.current = userLayout;
+            setLayout(userLayout);
+        } catch (err) {
+            console.error('Error loading dashboard layout:', err);
+            setError('layout.loadFailed');
+        }
+    }, []);
+
+    // Reload on mount, on login/logout, and when another tab changes storage
+    useEffect(() => {
+        loadLayout();
+
+        window.addEventListener(AUTH_CHANGE_EVENT, loadLayout);
+        window.addEventListener('storage', loadLayout);
+
+        return () => {
+            window.removeEventListener(AUTH_CHANGE_EVENT, loadLayout);
+            window.removeEventListener('storage', loadLayout);
+        };
+    }, [loadLayout]);
+
+    // Update the layout right away, then persist it; roll back if the backend rejects it
+    const saveLayout = async (nextLayout) => {
+        setError(null);
+        setLayout(nextLayout);
+
+        if (!authService.isAuthenticated()) {
+            saveGuestLayout(nextLayout);
+            savedLayoutRef.current = nextLayout;
+            return;
+        }
+
+        try {
+            const saved = await saveUserLayout(nextLayout);
+            savedLayoutRef.current = saved;
+            setLayout(saved);
+        } catch (err) {
+            console.error('Error saving dashboard layout:', err);
+            setError('layout.saveFailed');
+            setLayout(savedLayoutRef.current);
+        }
+    };
+
+    const handleReset = async () => {
+        if (!window.confirm(t('layout.resetConfirm'))) return;
+        setError(null);
+        setLayout(DEFAULT_LAYOUT);
+
+        if (!authService.isAuthenticated()) {
+            resetGuestLayout();
+            savedLayoutRef.current = DEFAULT_LAYOUT;
+            return;
+        }
+
+        try {
+            await resetUserLayout();
+            savedLayoutRef.current = DEFAULT_LAYOUT;
+        } catch (err) {
+            console.error('Error resetting dashboard layout:', err);
+            setError('layout.saveFailed');
+            setLayout(savedLayoutRef.current);
+        }
+    };
+
+    // Only sections with content take part in the layout
+    const available = layout.filter(section => sections[section.id]);
+    const visible = available.filter(section => !section.hidden);
+    const hidden = available.filter(section => section.hidden);
+
+    // Arrows move past sections that are not shown
+    const moveBy = (id, offset) => {
+        const index = visible.findIndex(section => section.id === id);
+        const target = visible[index + offset];
+        if (target) saveLayout(moveSectionTo(layout, id, target.id));
+    };
+
+    const handleDrop = (targetId) => {
+        if (draggedId && draggedId !== targetId) {
+            saveLayout(moveSectionTo(layout, draggedId, targetId));
+        }
+        setDraggedId(null);
+        setDropTargetId(null);
+    };
+
+    return (
+        <div className={`dashboard-layout ${isEditing ? 'editing' : ''}`}>
+            <div className="dashboard-layout-toolbar">
+                {error && <span className="dashboard-layout-error">⚠️ {t(error)}</span>}
+                {isEditing && (
+                    <button
+                        className="dashboard-layout-button"
+                        onClick={handleReset}
+                        disabled={isDefaultLayout(layout)}
+                    >
+                        ↺ {t('layout.reset')}
+                    </button>
+                )}
+                <button
+                    className={`dashboard-layout-button ${isEditing ? 'primary' : ''}`}
+                    onClick={() => setIsEditing(!isEditing)}
+                >
+                    {isEditing ? `✅ ${t('layout.done')}` : `🧩 ${t('layout.customize')}`}
+                </button>
+            </div>
+
+            {isEditing && (
+                <p className="dashboard-layout-hint">{t('layout.hint')}</p>
+            )}
+
+            {isEditing && hidden.length > 0 && (
+                <div className="dashboard-layout-hidden">
+                    <span>{t('layout.hiddenSections')}</span>
+                    {hidden.map(section => (
+                        <button
+                            key={section.id}
+                            className="dashboard-layout-chip"
+                            onClick={() => saveLayout(updateSection(layout, section.id, { hidden: false }))}
+                            title={t('layout.show')}
+                        >
+                            {SECTION_ICONS[section.id]} {t(`layout.sections.${section.id}`)} ＋
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            <div className="dashboard-sections">
+                {visible.map((section, index) => {
+                    const title = t(`layout.sections.${section.id}`);
+                    const classes = [
+                        'dashboard-section',
+                        `size-${section.size}`,
+                        section.collapsed ? 'collapsed' : '',
+                        draggedId === section.id ? 'dragging' : '',
+                        dropTargetId === section.id && draggedId !== section.id ? 'drop-target' : ''
+                    ].filter(Boolean).join(' ');
+
+                    return (
+                        <section
+                            key={section.id}
+                            className={classes}
+                            onDragOver={(e) => {
+                                if (!draggedId) return;
+                                e.preventDefault();
+                                setDropTargetId(section.id);
+                            }}
+                            onDrop={(e) => {
+                                e.preventDefault();
+                                handleDrop(section.id);
+                            }}
+                        >
+                            <div
+                                className="dashboard-section-header"
+                                draggable={isEditing}
+                                onDragStart={(e) => {
+                                    e.dataTransfer.effectAllowed = 'move';
+                                    e.dataTransfer.setData('text/plain', section.id);
+                                    setDraggedId(section.id);
+                                }}
+                                onDragEnd={() => {
+                                    setDraggedId(null);
+                                    setDropTargetId(null);
+                                }}
+                            >
+                                {isEditing && <span className="dashboard-section-handle" title={t('layout.drag')}>⠿</span>}
+                                <span className="dashboard-section-title">{SECTION_ICONS[section.id]} {title}</span>
+
+                                <div className="dashboard-section-actions">
+                                    {isEditing && (
+                                        <>
+                                            <button
+                                                onClick={() => moveBy(section.id, -1)}
+                                                disabled={index === 0}
+                                                title={t('layout.moveUp')}
+                                            >
+                                                ▲
+                                            </button>
+                                            <button
+                                                onClick={() => moveBy(section.id, 1)}
+                                                disabled={index === visible.length - 1}
+                                                title={t('layout.moveDown')}
+                                            >
+                                                ▼
+                                            </button>
+                                            <button
+                                                onClick={() => saveLayout(updateSection(layout, section.id, {
+                                                    size: section.size === 'full' ? 'half' : 'full'
+                                                }))}
+                                                title={section.size === 'full' ? t('layout.sizeHalf') : t('layout.sizeFull')}
+                                            >
+                                                {section.size === 'full' ? '◧' : '▭'}
+                                            </button>
+                                            <button
+                                                onClick={() => saveLayout(updateSection(layout, section.id, { hidden: true }))}
+                                                title={t('layout.hide')}
+                                            >
+                                                🙈
+                                            </button>
+                                        </>
+                                    )}
+                                    <button
+                                        onClick={() => saveLayout(updateSection(layout, section.id, { collapsed: !section.collapsed }))}
+                                        title={section.collapsed ? t('layout.expand') : t('layout.collapse')}
+                                        aria-expanded={!section.collapsed}
+                                    >
+                                        {section.collapsed ? '▸' : '▾'}
+                                    </button>
+                                </div>
+                            </div>
+
+                            {!section.collapsed && (
+                                <div className="dashboard-section-body">
+                                    {sections[section.id]}
+                                </div>
+                            )}
+                        </section>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+export default DashboardLayout;
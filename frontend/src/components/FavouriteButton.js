@@ -0,0 +1,40 @@
+import React from 'react';
+import { useFavourites } from '../contexts/FavouritesContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import './FavouriteButton.css';
+
+/**
+ * FavouriteButton Component
+ * Star toggle that adds or removes a location from the favourites list
+ * Accepts { name, lat, lon } or { name, latitude, longitude }
+ */
+const FavouriteButton = ({ location, showLabel = true, className = '' }) => {
+    const { isFavourite, toggleFavourite } = useFavourites();
+    const { t } = useLanguage();
+
+    if (!location) return null;
+
+    const active = isFavourite(location);
+    const title = active ? t('favourites.remove') : t('favourites.add');
+
+    return (
+        <button
+            type="button"
+            className={`favourite-button ${active ? 'active' : ''} ${className}`}
+            onClick={(e) => {
+                e.stopPropagation();
+                toggleFavourite(location);
+            }}
+            title={title}
+            aria-label={title}
+            aria-pressed={active}
+        >
+            <span className="favourite-star">{active ? '★' : '☆'}</span>
+            {showLabel && (
+                <span className="favourite-label">{active ? t('favourites.saved') : t('favourites.save')}</span>
+            )}
+        </button>
+    );
+};
+
+export default FavouriteButton;
@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { Modal } from './common';
+import { useFavourites } from '../contexts/FavouritesContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import './FavouritesManager.css';
+
+/**
+ * FavouritesManager Component
+ * Modal to rename, reorder and remove favourite locations
+ */
+const FavouritesManager = ({ isOpen, onClose }) => {
+    const { favourites, error, renameFavourite, moveFavourite, removeFavourite } = useFavourites();
+    const { t } = useLanguage();
+    const [editingId, setEditingId] = useState(null);
+    const [editName, setEditName] = useState('');
+
+    const startEditing = (favourite) => {
+        setEditingId(favourite.id);
+        setEditName(favourite.name);
+    };
+
+    const cancelEditing = () => {
+        setEditingId(null);
+        setEditName('');
+    };
+
+    const saveEditing = () => {
+        renameFavourite(editingId, editName);
+        cancelEditing();
+    };
+
+    const handleRemove = (favourite) => {
+        if (window.confirm(t('favourites.removeConfirm', { name: favourite.name }))) {
+            removeFavourite(favourite.id);
+        }
+    };
+
+    const handleClose = () => {
+        cancelEditing();
+        onClose();
+    };
+
+    return (
+        <Modal
+            isOpen={isOpen}
+            onClose={handleClose}
+            title={`⭐ ${t('favourites.title')}`}
+            size="medium"
+        >
+            <div className="favourites-manager">
+                {error && <div className="favourites-error">⚠️ {error}</div>}
+
+                {favourites.length === 0 ? (
+                    <p className="favourites-empty">
+                        {t('favourites.empty')}
+                    </p>
+                ) : (
+                    <ul className="favourites-list">
+                        {favourites.map((favourite, index) => (
+                            <li key={favourite.id} className="favourites-item">
+                                {editingId === favourite.id ? (
+                                    <input
+                                        type="text"
+                                        className="favourites-name-input"
+                                        value={editName}
+                                        onChange={(e) => setEditName(e.target.value)}
+                                        onKeyDown={(e) => {
+                                            if (e.key === 'Enter') saveEditing();
+                                            if (e.key === 'Escape') {
+                                                e.stopPropagation();
+                                                cancelEditing();
+                                            }
+                                        }}
+                                        maxLength={100}
+                                        autoFocus
+                                    />
+                                ) : (
+                                    <div className="favourites-info">
+                                        <span className="favourites-name">{favourite.name}</span>
+                                        <span className="favourites-coords">
+                                            {favourite.lat.toFixed(4)}°, {favourite.lon.toFixed(4)}°
+                                        </span>
+                                    </div>
+                                )}
+
+                                <div className="favourites-actions">
+                                    {editingId === favourite.id ? (
+                                        <>
+                                            <button onClick={saveEditing} disabled={!editName.trim()} title={t('common.save')}>✅</button>
+                                            <button onClick={cancelEditing} title={t('common.cancel')}>✕</button>
+                                        </>
+                                    ) : (
+                                        <>
+                                            <button
+                                                onClick={() => moveFavourite(favourite.id, -1)}
+                                                disabled={index === 0}
+                                                title={t('favourites.moveUp')}
+                                            >
+                                                ▲
+                                            </button>
+                                            <button
+                                                onClick={() => moveFavourite(favourite.id, 1)}
+                                                disabled={index === favourites.length - 1}
+                                                title={t('favourites.moveDown')}
+                                            >
+                                                ▼
+                                            </button>
+                                            <button onClick={() => startEditing(favourite)} title={t('favourites.rename')}>✏️</button>
+                                            <button onClick={() => handleRemove(favourite)} title={t('common.delete')}>🗑️</button>
+                                        </>
+                                    )}
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </Modal>
+    );
+};
+
+export default FavouritesManager;
@@ -0,0 +1,258 @@
+import React, { useState } from 'react';
+import { Line } from 'react-chartjs-2';
+import {
+    Chart as ChartJS,
+    CategoryScale,
+    LinearScale,
+    PointElement,
+    LineElement,
+    Title,
+    Tooltip,
+    Legend
+} from 'chart.js';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import './ForecastComparison.css';
+
+// Register Chart.js components
+ChartJS.register(
+    CategoryScale,
+    LinearScale,
+    PointElement,
+    LineElement,
+    Title,
+    Tooltip,
+    Legend
+);
+
+// Forecast series drawn for every location
+const FORECAST_SERIES = [
+    { key: 'max_temp', labelKey: 'weather.maxTemperature', quantity: 'temperature', borderDash: [], yAxisID: 'y' },
+    { key: 'min_temp', labelKey: 'weather.minTemperature', quantity: 'temperature', borderDash: [6, 4], yAxisID: 'y' },
+    { key: 'precipitation', labelKey: 'weather.precipitation', quantity: 'precipitation', borderDash: [2, 3], yAxisID: 'y1' }
+];
+
+/**
+ * ForecastComparison Component
+ * Overlays the 7-day max/min temperature and precipitation of compared locations
+ * on one line chart, with a day-by-day difference table against a reference location
+ */
+const ForecastComparison = ({ locations, colors, isDark }) => {
+    const [visibleSeries, setVisibleSeries] = useState(['max_temp', 'min_temp', 'precipitation']);
+    const [selectedReference, setSelectedReference] = useState(0);
+    const { formatter } = usePreferences();
+    const { t } = useLanguage();
+    const formatDay = (date) => formatter.day(date);
+
+    // Locations can be in different timezones, so days are matched by date
+    const dates = locations[0]?.daily_forecast?.map(day => day.date) || [];
+    const getDay = (location, date) => location.daily_forecast?.find(day => day.date === date);
+
+    // Fall back to the first location when a new comparison has fewer locations
+    const referenceIndex = selectedReference < locations.length ? selectedReference : 0;
+    const reference = locations[referenceIndex];
+    const series = FORECAST_SERIES.filter(item => visibleSeries.includes(item.key));
+
+    const toggleSeries = (key) => {
+        setVisibleSeries(current => (
+            current.includes(key) ? current.filter(item => item !== key) : [...current, key]
+        ));
+    };
+
+    const chartData = {
+        labels: dates.map(formatDay),
+        datasets: locations.flatMap((location, index) => series.map(item => ({
+            label: `${location.name} - ${t(item.labelKey)}`,
+            data: dates.map(date => formatter.convert(item.quantity, getDay(location, date)?.[item.key])),
+            borderColor: `rgb(${colors[index]})`,
+            backgroundColor: `rgba(${colors[index]}, 0.2)`,
+            borderDash: item.borderDash,
+            borderWidth: item.key === 'precipitation' ? 1.5 : 2.5,
+            tension: 0.3,
+            pointRadius: 3,
+            pointHoverRadius: 6,
+            spanGaps: true,
+            yAxisID: item.yAxisID
+        })))
+    };
+
+    const textColor = isDark ? 'rgba(255, 255, 255, 0.8)' : 'rgba(0, 0, 0, 0.8)';
+    const gridColor = isDark ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
+
+    const chartOptions = {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: {
+            mode: 'index',
+            intersect: false
+        },
+        plugins: {
+            legend: {
+                position: 'top',
+                labels: {
+                    color: textColor,
+                    usePointStyle: true,
+                    boxWidth: 8,
+                    font: {
+                        size: 12
+                    }
+                }
+            },
+            tooltip: {
+                backgroundColor: isDark ? 'rgba(0, 0, 0, 0.9)' : 'rgba(255, 255, 255, 0.9)',
+                titleColor: isDark ? 'white' : 'black',
+                bodyColor: isDark ? 'white' : 'black',
+                borderColor: isDark ? 'rgba(255, 255, 255, 0.2)' : 'rgba(0, 0, 0, 0.2)',
+                borderWidth: 1,
+                padding: 12,
+                callbacks: {
+                    label: function(context) {
+                        const unit = context.dataset.yAxisID === 'y1'
+                            ? ` ${formatter.unit('precipitation')}`
+                            : formatter.unit('temperature');
+                        return `${context.dataset.label}: ${context.parsed.y}${unit}`;
+                    }
+                }
+            }
+        },
+        scales: {
+            x: {
+                ticks: {
+                    color: textColor
+                },
+                grid: {
+                    color: gridColor
+                }
+            },
+            y: {
+                type: 'linear',
+                position: 'left',
+                display: visibleSeries.includes('max_temp') || visibleSeries.includes('min_temp'),
+                ticks: {
+                    color: textColor,
+                    callback: (value) => `${value}${formatter.unit('temperature')}`
+                },
+                grid: {
+                    color: gridColor
+                }
+            },
+            y1: {
+                type: 'linear',
+                position: 'right',
+                display: visibleSeries.includes('precipitation'),
+                beginAtZero: true,
+                ticks: {
+                    color: textColor,
+                    callback: (value) => `${value} ${formatter.unit('precipitation')}`
+                },
+                grid: {
+                    drawOnChartArea: false
+                }
+            }
+        }
+    };
+
+    // Difference of one location against the reference on one day
+    const getDifference = (location, date, key) => {
+        const value = getDay(location, date)?.[key];
+        const referenceValue = getDay(reference, date)?.[key];
+        if (value === undefined || value === null || referenceValue === undefined || referenceValue === null) {
+            return null;
+        }
+        return value - referenceValue;
+    };
+
+    const renderDifference = (location, date, item) => {
+        const difference = getDifference(location, date, item.key);
+        if (difference === null) return <span className="forecast-diff-missing">-</span>;
+        const className = difference > 0 ? 'positive' : difference < 0 ? 'negative' : '';
+        return <span className={className}>{formatter[item.quantity](difference, { difference: true })}</span>;
+    };
+
+    if (dates.length === 0) {
+        return <p className="forecast-comparison-empty">{t('comparator.forecast.empty')}</p>;
+    }
+
+    return (
+        <div className="forecast-comparison">
+            {/* Series toggles */}
+            <div className="forecast-series-toggles">
+                {FORECAST_SERIES.map(item => (
+                    <label key={item.key} className="forecast-series-toggle">
+                        <input
+                            type="checkbox"
+                            checked={visibleSeries.includes(item.key)}
+                            onChange={() => toggleSeries(item.key)}
+                        />
+                        {t(item.labelKey)}
+                    </label>
+                ))}
+            </div>
+
+            <div className="comparison-chart">
+                <div className="chart-container forecast-chart-container">
+                    <Line data={chartData} options={chartOptions} />
+                </div>
+            </div>
+
+            {/* Day-by-day differences */}
+            <div className="forecast-difference-header">
+                <h3>{t('comparator.forecast.dailyDifference')}</h3>
+                <label>
+                    {t('comparator.forecast.versus')}{' '}
+                    <select
+                        value={referenceIndex}
+                        onChange={(e) => setSelectedReference(Number(e.target.value))}
+                    >
+                        {locations.map((location, index) => (
+                            <option key={index} value={index}>{location.name}</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+
+            <div className="comparison-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>{t('comparator.forecast.date')}</th>
+                            <th>{t('comparator.forecast.referenceColumn', { name: reference.name })}</th>
+                            {locations.map((location, index) => (
+                                index !== referenceIndex && <th key={index}>{location.name}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {dates.map(date => {
+                            const referenceDay = getDay(reference, date);
+                            return (
+                                <tr key={date}>
+                                    <td>{formatDay(date)}</td>
+                                    <td>
+                                        {referenceDay
+                                            ? `${formatter.temperature(referenceDay.max_temp)} / ${formatter.temperature(referenceDay.min_temp)} / ${formatter.precipitation(referenceDay.precipitation)}`
+                                            : '-'}
+                                    </td>
+                                    {locations.map((location, index) => (
+                                        index !== referenceIndex && (
+                                            <td key={index} className="forecast-diff-cell">
+                                                {FORECAST_SERIES.map((item, itemIndex) => (
+                                                    <React.Fragment key={item.key}>
+                                                        {itemIndex > 0 && ' / '}
+                                                        {renderDifference(location, date, item)}
+                                                    </React.Fragment>
+                                                ))}
+                                            </td>
+                                        )
+                                    ))}
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default ForecastComparison;
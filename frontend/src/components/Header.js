@@ -1,20 +1,28 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { useTheme } from '../contexts/ThemeContext';
+import { useFavourites } from '../contexts/FavouritesContext';
+import { useLanguage } from '../contexts/LanguageContext';
 import authService from '../services/authService';
 import SearchModal from './SearchModal';
 import LoginModal from './LoginModal';
+import FavouritesManager from './FavouritesManager';
+import PreferencesMenu from './PreferencesMenu';
+import AlertCenter from './AlertCenter';
 import './Header.css';
 
 /**
  * Header Component
- * Modern header with location dropdown and language selector
+ * Modern header with location dropdown, alerts, preferences and language switcher
  */
 const Header = ({ onLocationSelect, currentLocation }) => {
     const { toggleTheme, isDark } = useTheme();
+    const { favourites } = useFavourites();
+    const { t, language, languages, setLanguage } = useLanguage();
     const [isDropdownOpen, setIsDropdownOpen] = useState(false);
     const [searchTerm, setSearchTerm] = useState('');
     const [isSearchModalOpen, setIsSearchModalOpen] = useState(false);
     const [isLoginModalOpen, setIsLoginModalOpen] = useState(false);
+    const [isFavouritesManagerOpen, setIsFavouritesManagerOpen] = useState(false);
     const [currentUser, setCurrentUser] = useState(null);
     const dropdownRef = useRef(null);
 
@@ -39,24 +47,14 @@ const Header = ({ onLocationSelect, currentLocation }) => {
         };
     }, []);
 
-    // Quick location presets
-    const quickLocations = [
-        { name: 'Dĩ An', lat: 10.98, lon: 106.75 },
-        { name: 'Hồ Chí Minh', lat: 10.82, lon: 106.63 },
-        { name: 'Hà Nội', lat: 21.03, lon: 105.85 },
-        { name: 'Đà Nẵng', lat: 16.07, lon: 108.22 },
-        { name: 'Nha Trang', lat: 12.24, lon: 109.19 },
-        { name: 'Đà Lạt', lat: 11.94, lon: 108.44 }
-    ];
-
-    // Filter locations based on search term
-    const filteredLocations = quickLocations.filter(location =>
+    // Filter favourite locations based on search term
+    const filteredLocations = favourites.filter(location =>
         location.name.toLowerCase().includes(searchTerm.toLowerCase())
     );
 
     // Handle location selection
     const handleLocationSelect = (location) => {
-        onLocationSelect(location);
+        onLocationSelect({ name: location.name, lat: location.lat, lon: location.lon });
         setIsDropdownOpen(false);
         setSearchTerm('');
     };
@@ -68,7 +66,7 @@ const Header = ({ onLocationSelect, currentLocation }) => {
                 navigator.geolocation.getCurrentPosition(
                     (position) => {
                         const location = {
-                            name: 'Vị trí hiện tại',
+                            name: t('header.currentLocation'),
                             lat: position.coords.latitude,
                             lon: position.coords.longitude
                         };
@@ -77,11 +75,11 @@ const Header = ({ onLocationSelect, currentLocation }) => {
                     },
                     (error) => {
                         console.error('Error getting location:', error);
-                        alert('Không thể lấy vị trí hiện tại');
+                        alert(t('weatherService.geolocation.failed'));
                     }
                 );
             } else {
-                alert('Trình duyệt không hỗ trợ định vị');
+                alert(t('weatherService.geolocationUnsupported'));
             }
         } catch (error) {
             console.error('Error:', error);
@@ -90,7 +88,7 @@ const Header = ({ onLocationSelect, currentLocation }) => {
 
     // Handle logout
     const handleLogout = async () => {
-        if (window.confirm('Bạn có chắc chắn muốn đăng xuất?')) {
+        if (window.confirm(t('header.logoutConfirm'))) {
             await authService.logout();
             window.location.href = '/dashboard';
         }
@@ -143,7 +141,7 @@ const Header = ({ onLocationSelect, currentLocation }) => {
                             onClick={() => setIsDropdownOpen(!isDropdownOpen)}
                         >
                             <span className="location-text">
-                                {currentLocation ? currentLocation.name : 'Tìm kiếm địa điểm / So sánh'}
+                                {currentLocation ? currentLocation.name : t('header.searchOrCompare')}
                             </span>
                             <span className="dropdown-arrow">▼</span>
                         </button>
@@ -154,7 +152,7 @@ const Header = ({ onLocationSelect, currentLocation }) => {
                                 <div className="dropdown-search">
                                     <input
                                         type="text"
-                                        placeholder="Tìm kiếm thành phố..."
+                                        placeholder={t('header.searchCity')}
                                         value={searchTerm}
                                         onChange={(e) => setSearchTerm(e.target.value)}
                                         className="search-input"
@@ -166,20 +164,35 @@ const Header = ({ onLocationSelect, currentLocation }) => {
                                     className="dropdown-item current-location"
                                     onClick={handleCurrentLocation}
                                 >
-                                    📍 Vị trí hiện tại
+                                    📍 {t('header.currentLocation')}
                                 </button>
 
-                                {/* Quick locations */}
+                                {/* Favourite locations */}
                                 <div className="dropdown-divider"></div>
-                                {filteredLocations.map((location, index) => (
+                                <div className="dropdown-section-header">
+                                    <span>⭐ {t('header.favourites')}</span>
+                                    <button
+                                        className="dropdown-manage-button"
+                                        onClick={() => {
+                                            setIsDropdownOpen(false);
+                                            setIsFavouritesManagerOpen(true);
+                                        }}
+                                    >
+                                        {t('header.manage')}
+                                    </button>
+                                </div>
+                                {filteredLocations.map((location) => (
                                     <button
-                                        key={index}
+                                        key={location.id}
                                         className="dropdown-item"
                                         onClick={() => handleLocationSelect(location)}
                                     >
                                         📍 {location.name}
                                     </button>
                                 ))}
+                                {favourites.length === 0 && (
+                                    <p className="dropdown-empty">{t('header.favouritesEmpty')}</p>
+                                )}
 
                                 {/* Custom location button */}
                                 <div className="dropdown-divider"></div>
@@ -190,17 +203,23 @@ const Header = ({ onLocationSelect, currentLocation }) => {
                                         setIsSearchModalOpen(true);
                                     }}
                                 >
-                                    🗺️ Chọn vị trí tùy chỉnh
+                                    🗺️ {t('header.customLocation')}
                                 </button>
                             </div>
                         )}
                     </div>
 
+                    {/* Weather alerts */}
+                    <AlertCenter />
+
+                    {/* Units and formats */}
+                    <PreferencesMenu />
+
                     {/* Theme Toggle */}
                     <button 
                         className="theme-toggle"
                         onClick={toggleTheme}
-                        title={`Chuyển sang ${isDark ? 'sáng' : 'tối'}`}
+                        title={isDark ? t('header.switchToLight') : t('header.switchToDark')}
                     >
                         {isDark ? '☀️' : '🌙'}
                     </button>
@@ -211,7 +230,7 @@ const Header = ({ onLocationSelect, currentLocation }) => {
                             <button 
                                 className="logout-button"
                                 onClick={handleLogout}
-                                title="Đăng xuất"
+                                title={t('header.logout')}
                             >
                                 🚪
                             </button>
@@ -222,17 +241,25 @@ const Header = ({ onLocationSelect, currentLocation }) => {
                             <button 
                                 className="login-button"
                                 onClick={() => setIsLoginModalOpen(true)}
-                                title="Đăng nhập"
+                                title={t('header.login')}
                             >
-                                🔐 Đăng nhập
+                                🔐 {t('header.login')}
                             </button>
                         </>
                     )}
 
-                    {/* Language Selector */}
-                    <button className="language-selector">
-                        VI
-                    </button>
+                    {/* Language Switcher */}
+                    <select
+                        className="language-selector"
+                        value={language}
+                        onChange={(e) => setLanguage(e.target.value)}
+                        title={t('header.language')}
+                        aria-label={t('header.language')}
+                    >
+                        {languages.map(item => (
+                            <option key={item.code} value={item.code}>{item.shortLabel}</option>
+                        ))}
+                    </select>
                 </div>
             </div>
 
@@ -243,6 +270,12 @@ const Header = ({ onLocationSelect, currentLocation }) => {
                 onLocationSelect={onLocationSelect}
             />
 
+            {/* Favourites Manager */}
+            <FavouritesManager
+                isOpen={isFavouritesManagerOpen}
+                onClose={() => setIsFavouritesManagerOpen(false)}
+            />
+
             {/* Login Modal */}
             <LoginModal 
                 isOpen={isLoginModalOpen}
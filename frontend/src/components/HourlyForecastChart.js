@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Line } from 'react-chartjs-2';
 import {
     Chart as ChartJS,
@@ -7,12 +7,31 @@ import {
     PointElement,
     LineElement,
     BarElement,
+    BarController,
     Title,
     Tooltip,
     Legend,
     Filler
 } from 'chart.js';
-import { Modal } from './common';
+import { Modal, ExportMenu } from './common';
+import WeatherHistoryChart from './WeatherHistoryChart';
+import WindRose from './WindRose';
+import WindDirection from './WindDirection';
+import { getWeatherLabel, getWeatherColor, getWeatherInfo } from '../lib/weatherCodes';
+import { getBeaufort } from '../lib/wind';
+import {
+    EXPORT_FORMATS,
+    PNG_BACKGROUNDS,
+    buildExportFileName,
+    toExportColumns,
+    buildJsonExport,
+    downloadCsv,
+    downloadJson,
+    downloadCanvasPng
+} from '../lib/exporters';
+import { useTheme } from '../contexts/ThemeContext';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useLanguage } from '../contexts/LanguageContext';
 import './HourlyForecastChart.css';
 
 // Register Chart.js components
@@ -22,66 +41,209 @@ ChartJS.register(
     PointElement,
     LineElement,
     BarElement,
+    BarController,
     Title,
     Tooltip,
     Legend,
     Filler
 );
 
+// Metrics that can be switched on the hourly chart
+const HOURLY_METRICS = [
+    { key: 'temperature', labelKey: 'weather.temperature' },
+    { key: 'rain', labelKey: 'forecast.rainChance' },
+    { key: 'weatherBands', labelKey: 'forecast.hourly.weatherBands' }
+];
+
+// Hours shown by each range button; null shows the whole forecast
+const HOURLY_RANGES = [
+    { key: '24h', hours: 24 },
+    { key: '48h', hours: 48 },
+    { key: '72h', hours: 72 },
+    { key: 'all', hours: null }
+];
+
+const MIN_VISIBLE_HOURS = 6;
+const ZOOM_STEP = 1.5;
+
+// Chance of rain (%) above which rain is expected to start
+const RAIN_START_THRESHOLD = 50;
+
+// Columns of the exported tables (see toExportColumns in lib/exporters)
+const HOURLY_EXPORT_COLUMNS = [
+    { key: 'time', labelKey: 'export.columns.time' },
+    { key: 'temperature', labelKey: 'weather.temperature', quantity: 'temperature' },
+    { key: 'precipitation_probability', labelKey: 'forecast.rainChance', unit: '%' },
+    { key: 'weather_code', labelKey: 'export.columns.weatherCode' },
+    { key: 'weather_code', labelKey: 'export.columns.weather', weatherLabel: true }
+];
+
+const DAILY_EXPORT_COLUMNS = [
+    { key: 'date', labelKey: 'export.columns.date' },
+    { key: 'weather_code', labelKey: 'export.columns.weatherCode' },
+    { key: 'weather_code', labelKey: 'export.columns.weather', weatherLabel: true },
+    { key: 'temperature_2m_max', labelKey: 'weather.maxTemperature', quantity: 'temperature' },
+    { key: 'temperature_2m_min', labelKey: 'weather.minTemperature', quantity: 'temperature' },
+    { key: 'temperature_2m_mean', labelKey: 'history.mean', quantity: 'temperature' },
+    { key: 'precipitation_sum', labelKey: 'weather.precipitation', quantity: 'precipitation' },
+    { key: 'precipitation_probability_max', labelKey: 'forecast.rainChance', unit: '%' },
+    { key: 'windspeed_10m_max', labelKey: 'weather.windSpeed', quantity: 'windSpeed' },
+    { key: 'winddirection_10m_dominant', labelKey: 'export.columns.windDirection', unit: '°' },
+    { key: 'pressure_msl_mean', labelKey: 'weather.pressure', quantity: 'pressure' },
+    { key: 'relative_humidity_2m_mean', labelKey: 'weather.humidity', unit: '%' },
+    { key: 'uv_index_max', labelKey: 'weather.uvIndex' }
+];
+
+// `source` is 'observed' or 'forecast'
+const HISTORY_EXPORT_COLUMNS = [
+    { key: 'date', labelKey: 'export.columns.date' },
+    { key: 'source', labelKey: 'export.columns.source' },
+    { key: 'weather_code', labelKey: 'export.columns.weatherCode' },
+    { key: 'temperature_2m_max', labelKey: 'weather.maxTemperature', quantity: 'temperature' },
+    { key: 'temperature_2m_min', labelKey: 'weather.minTemperature', quantity: 'temperature' },
+    { key: 'temperature_2m_mean', labelKey: 'history.mean', quantity: 'temperature' },
+    { key: 'precipitation_sum', labelKey: 'weather.precipitation', quantity: 'precipitation' },
+    { key: 'pressure_msl_mean', labelKey: 'weather.pressure', quantity: 'pressure' },
+    { key: 'windspeed_10m_max', labelKey: 'weather.windSpeed', quantity: 'windSpeed' },
+    { key: 'winddirection_10m_dominant', labelKey: 'export.columns.windDirection', unit: '°' }
+];
+
+// Keep a viewport of `size` hours starting at `start` inside the data
+const clampViewport = (start, size, total) => {
+    const clampedSize = Math.min(Math.max(Math.round(size), Math.min(MIN_VISIBLE_HOURS, total)), total);
+    const clampedStart = Math.min(Math.max(Math.round(start), 0), total - clampedSize);
+    return { start: clampedStart, size: clampedSize };
+};
+
+// Viewport of a range button, starting at the current hour
+const getRangeViewport = (rangeKey, total) => {
+    const hours = HOURLY_RANGES.find(item => item.key === rangeKey)?.hours;
+    return clampViewport(0, hours || total, total);
+};
+
+// Zoom around an anchor hour; a factor above 1 zooms out
+const zoomViewport = (viewport, factor, anchor, total) => {
+    const size = viewport.size * factor;
+    const start = anchor - (anchor - viewport.start) * (size / viewport.size);
+    return clampViewport(start, size, total);
+};
+
+// Draws weather-code bands and the rain start line behind the datasets
+const hourlyAnnotationsPlugin = {
+    id: 'hourlyAnnotations',
+    beforeDatasetsDraw(chart, args, options) {
+        const { ctx, chartArea, scales: { x } } = chart;
+        const count = chart.data.labels.length;
+        if (!chartArea || !x || count === 0) return;
+
+        const step = count > 1 ? x.getPixelForValue(1) - x.getPixelForValue(0) : chartArea.width;
+        ctx.save();
+
+        (options.bands || []).forEach((color, index) => {
+            if (!color) return;
+            const center = x.getPixelForValue(index);
+            const left = Math.max(center - step / 2, chartArea.left);
+            const right = Math.min(center + step / 2, chartArea.right);
+            ctx.fillStyle = color;
+            ctx.fillRect(left, chartArea.top, right - left, chartArea.height);
+        });
+
+        if (options.rainStartIndex !== null && options.rainStartIndex !== undefined) {
+            const position = x.getPixelForValue(options.rainStartIndex);
+            ctx.strokeStyle = 'rgba(255, 107, 107, 0.9)';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([6, 4]);
+            ctx.beginPath();
+            ctx.moveTo(position, chartArea.top);
+            ctx.lineTo(position, chartArea.bottom);
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+};
+
 /**
  * ForecastTabs Component
- * Displays 24h forecast chart and 7-day forecast list with tabs
+ * Displays the hourly forecast chart (switchable metrics, range, pan and zoom)
+ * the 7-day forecast list and the 30-day history with tabs
  */
-const HourlyForecastChart = ({ data, dailyData }) => {
-    const [activeTab, setActiveTab] = useState('24h');
+const HourlyForecastChart = ({ data, dailyData, historyData, anomaly, location, activeTab: controlledTab, onTabChange }) => {
+    // The tab can be controlled by the parent (e.g. synced with the URL)
+    const [internalTab, setInternalTab] = useState('24h');
+    const activeTab = controlledTab || internalTab;
+    const setActiveTab = (tab) => {
+        setInternalTab(tab);
+        if (onTabChange) onTabChange(tab);
+    };
     const [isModalOpen, setIsModalOpen] = useState(false);
     const [selectedDay, setSelectedDay] = useState(null);
+    const [visibleMetrics, setVisibleMetrics] = useState(['temperature', 'rain']);
+    const [range, setRange] = useState('24h');
+    // Visible window of the hourly chart: `size` hours from index `start`
+    const [viewport, setViewport] = useState({ start: 0, size: 24 });
+    const chartRef = useRef(null);
+    const chartContainerRef = useRef(null);
+    const dragRef = useRef(null);
+    const tabContentRef = useRef(null);
+    const { isDark } = useTheme();
+    const { formatter } = usePreferences();
+    const { t } = useLanguage();
+    const total = data ? data.length : 0;
+    const totalRef = useRef(total);
+    totalRef.current = total;
+    const locationKey = location ? `${location.lat},${location.lon}` : '';
+
+    // Show the selected range from the current hour when the range or the location changes.
+    // Refreshed data for the same location keeps the user's zoom and pan.
+    useEffect(() => {
+        setViewport(getRangeViewport(range, totalRef.current));
+    }, [range, locationKey]);
+
+    // Keep the viewport inside the data when a refresh returns fewer or more hours
+    useEffect(() => {
+        setViewport(current => clampViewport(current.start, current.size, total));
+    }, [total]);
+
+    // Mouse wheel zooms around the hovered hour; the listener is not passive so the page does not scroll
+    useEffect(() => {
+        const container = chartContainerRef.current;
+        if (!container) return;
+
+        const handleWheel = (event) => {
+            const chart = chartRef.current;
+            if (!chart) return;
+            event.preventDefault();
+            const position = event.clientX - chart.canvas.getBoundingClientRect().left;
+            const hoveredIndex = Math.max(0, Math.round(chart.scales.x.getValueForPixel(position)));
+            const factor = event.deltaY > 0 ? ZOOM_STEP : 1 / ZOOM_STEP;
+            setViewport(current => zoomViewport(current, factor, current.start + hoveredIndex, total));
+        };
+
+        container.addEventListener('wheel', handleWheel, { passive: false });
+        return () => {
+            container.removeEventListener('wheel', handleWheel);
+        };
+    }, [total, activeTab]);
 
     if (!data || data.length === 0) {
         return (
             <div className="forecast-tabs loading">
-                <p>Đang tải dữ liệu dự báo...</p>
+                <p>{t('forecast.loading')}</p>
             </div>
         );
     }
 
     // Format time for display (show only hour)
-    const formatTime = (timeString) => {
-        const date = new Date(timeString);
-        return date.toLocaleTimeString('vi-VN', { hour: '2-digit', minute: '2-digit' });
-    };
+    const formatTime = (timeString) => formatter.time(timeString);
 
     // Format date for 7-day forecast
-    const formatDate = (dateString) => {
-        const date = new Date(dateString);
-        const days = ['Chủ Nhật', 'Thứ Hai', 'Thứ Ba', 'Thứ Tư', 'Thứ Năm', 'Thứ Sáu', 'Thứ Bảy'];
-        const dayName = days[date.getDay()];
-        const dayMonth = date.toLocaleDateString('vi-VN', { day: '2-digit', month: '2-digit' });
-        return `${dayName}, ${dayMonth}`;
-    };
+    const formatDate = (dateString) => formatter.day(dateString, 'long');
 
-    // Get weather description in Vietnamese
-    const getWeatherDescription = (code) => {
-        const weatherMap = {
-            0: 'Nắng', 1: 'Chủ yếu nắng', 2: 'Có mây một phần', 3: 'Nhiều mây',
-            45: 'Sương mù', 48: 'Sương mù đóng băng',
-            51: 'Mưa phùn nhẹ', 53: 'Mưa phùn vừa', 55: 'Mưa phùn dày đặc',
-            61: 'Mưa nhỏ', 63: 'Mưa vừa', 65: 'Mưa to',
-            71: 'Tuyết rơi nhẹ', 73: 'Tuyết rơi vừa', 75: 'Tuyết rơi nặng', 77: 'Tuyết dạng hạt',
-            80: 'Mưa rào nhẹ', 81: 'Mưa rào vừa', 82: 'Mưa rào dữ dội',
-            85: 'Tuyết rơi nhẹ', 86: 'Tuyết rơi nặng',
-            95: 'Giông bão', 96: 'Giông có mưa đá nhẹ', 99: 'Giông có mưa đá nặng'
-        };
-        return weatherMap[code] || 'Không xác định';
-    };
+    const temperatureUnit = formatter.unit('temperature');
 
-    // Get weather color based on condition
-    const getWeatherColor = (code) => {
-        if (code === 0 || code === 1) return '#FFD700'; // Sunny - Yellow
-        if (code >= 51 && code <= 82) return '#87CEEB'; // Rain - Light Blue
-        if (code >= 95 && code <= 99) return '#FF6347'; // Storm - Red
-        return '#FFFFFF'; // Default - White
-    };
+    // Get weather description in the current language
+    const getWeatherDescription = (code) => getWeatherLabel(code, t);
 
     // Handle day click to open modal
     const handleDayClick = (day) => {
@@ -123,7 +285,8 @@ const HourlyForecastChart = ({ data, dailyData }) => {
             // Gió chi tiết theo Open-Meteo API
             wind: {
                 speed: day.windspeed_10m_max || day.wind_speed_max || 0,
-                direction: day.winddirection_10m_dominant || day.wind_direction_dominant || 0
+                direction: day.winddirection_10m_dominant || day.wind_direction_dominant || 0,
+                beaufort: getBeaufort(day.windspeed_10m_max || day.wind_speed_max || 0)
             },
             
             // Áp suất theo Open-Meteo API
@@ -148,39 +311,132 @@ const HourlyForecastChart = ({ data, dailyData }) => {
         };
     };
 
-    // 24h Chart Data
-    const chart24hData = {
-        labels: data.map(item => formatTime(item.time)),
+    // Table behind the active tab; the history table ends with the forecast days
+    const getExportTable = () => {
+        if (activeTab === '7day') {
+            return { kind: 'daily', columns: DAILY_EXPORT_COLUMNS, rows: dailyData || [] };
+        }
+        if (activeTab === 'history') {
+            const rows = [
+                ...(historyData || []).map(day => ({ ...day, source: 'observed' })),
+                ...(dailyData || []).map(day => ({ ...day, source: 'forecast' }))
+            ];
+            return { kind: 'history', columns: HISTORY_EXPORT_COLUMNS, rows };
+        }
+        return { kind: 'hourly', columns: HOURLY_EXPORT_COLUMNS, rows: data };
+    };
+
+    // The 7-day list and a history without data have no chart to snapshot
+    const exportFormats = activeTab === '7day' || (activeTab === 'history' && !historyData?.length)
+        ? EXPORT_FORMATS.filter(format => format !== 'png')
+        : EXPORT_FORMATS;
+
+    const handleExport = (format) => {
+        const table = getExportTable();
+        const fileName = buildExportFileName(format === 'png' ? `${table.kind}-chart` : table.kind, location?.name);
+
+        if (format === 'csv') {
+            downloadCsv(fileName, toExportColumns(table.columns, t, formatter), table.rows);
+        } else if (format === 'json') {
+            downloadJson(fileName, buildJsonExport(table.kind, location, table.rows));
+        } else {
+            downloadCanvasPng(fileName, tabContentRef.current, isDark ? PNG_BACKGROUNDS.dark : PNG_BACKGROUNDS.light);
+        }
+    };
+
+    // Hourly chart: only the hours inside the viewport are plotted
+    const visibleData = data.slice(viewport.start, viewport.start + viewport.size);
+    const showTemperature = visibleMetrics.includes('temperature');
+    const showRain = visibleMetrics.includes('rain');
+    const showWeatherBands = visibleMetrics.includes('weatherBands');
+
+    const toggleMetric = (key) => {
+        setVisibleMetrics(current => (
+            current.includes(key) ? current.filter(item => item !== key) : [...current, key]
+        ));
+    };
+
+    const formatHour = (time) => `${formatter.date(time, { weekday: 'short' })} ${formatTime(time)}`;
+
+    // The first hour of the view and of each day also shows the date
+    const formatHourLabel = (item, index) => {
+        const isNewDay = index === 0 || new Date(item.time).getHours() === 0;
+        return isNewDay
+            ? [formatTime(item.time), formatter.date(item.time, { weekday: 'short', day: '2-digit', month: '2-digit' })]
+            : formatTime(item.time);
+    };
+
+    const rainStartIndex = data.findIndex(item => item.precipitation_probability > RAIN_START_THRESHOLD);
+    const visibleRainStart = rainStartIndex >= viewport.start && rainStartIndex < viewport.start + viewport.size
+        ? rainStartIndex - viewport.start
+        : null;
+
+    const zoomBy = (factor) => {
+        setViewport(current => zoomViewport(current, factor, current.start + current.size / 2, total));
+    };
+
+    // Move by a third of the visible hours; direction is -1 (earlier) or 1 (later)
+    const panBy = (direction) => {
+        setViewport(current => clampViewport(current.start + direction * current.size / 3, current.size, total));
+    };
+
+    // Dragging the chart pans the viewport
+    const handlePointerDown = (event) => {
+        const chart = chartRef.current;
+        if (!chart) return;
+        dragRef.current = { x: event.clientX, start: viewport.start, width: chart.chartArea.width };
+    };
+
+    const handlePointerMove = (event) => {
+        const drag = dragRef.current;
+        if (!drag) return;
+        setViewport(current => {
+            const hours = ((drag.x - event.clientX) / drag.width) * current.size;
+            return clampViewport(drag.start + hours, current.size, total);
+        });
+    };
+
+    const handlePointerUp = () => {
+        dragRef.current = null;
+    };
+
+    const chartHourlyData = {
+        labels: visibleData.map(formatHourLabel),
         datasets: [
-            {
-                label: 'Nhiệt độ (°C)',
-                data: data.map(item => item.temperature),
+            showTemperature && {
+                type: 'line',
+                label: `${t('weather.temperature')} (${temperatureUnit})`,
+                data: visibleData.map(item => formatter.convert('temperature', item.temperature)),
                 borderColor: 'rgb(102, 126, 234)',
                 backgroundColor: 'rgba(102, 126, 234, 0.1)',
                 fill: true,
                 tension: 0.4,
-                pointRadius: 3,
+                pointRadius: visibleData.length > 48 ? 0 : 3,
                 pointHoverRadius: 6,
                 pointBackgroundColor: 'rgb(102, 126, 234)',
                 pointBorderColor: '#fff',
                 pointBorderWidth: 2,
-                yAxisID: 'y'
+                yAxisID: 'y',
+                order: 1
             },
-            {
-                label: 'Khả năng mưa (%)',
-                data: data.map(item => item.precipitation_probability),
+            showRain && {
+                type: 'bar',
+                label: `${t('forecast.rainChance')} (%)`,
+                data: visibleData.map(item => item.precipitation_probability),
                 backgroundColor: 'rgba(135, 206, 235, 0.6)',
                 borderColor: 'rgba(135, 206, 235, 1)',
                 borderWidth: 1,
-                yAxisID: 'y1'
+                yAxisID: 'y1',
+                order: 2
             }
-        ]
+        ].filter(Boolean)
     };
 
-    // 24h Chart Options
-    const chart24hOptions = {
+    const chartHourlyOptions = {
         responsive: true,
         maintainAspectRatio: false,
+        // Redrawing without animation keeps dragging smooth
+        animation: dragRef.current ? false : undefined,
         plugins: {
             legend: {
                 display: true,
@@ -205,14 +461,24 @@ const HourlyForecastChart = ({ data, dailyData }) => {
                     size: 13
                 },
                 callbacks: {
+                    title: function(items) {
+                        return items.length ? formatHour(visibleData[items[0].dataIndex].time) : '';
+                    },
                     label: function(context) {
-                        if (context.datasetIndex === 0) {
-                            return `Nhiệt độ: ${context.parsed.y}°C`;
+                        if (context.dataset.yAxisID === 'y') {
+                            return `${t('weather.temperature')}: ${context.parsed.y}${temperatureUnit}`;
                         } else {
-                            return `Khả năng mưa: ${context.parsed.y}%`;
+                            return `${t('forecast.rainChance')}: ${context.parsed.y}%`;
                         }
+                    },
+                    footer: function(items) {
+                        return items.length ? getWeatherLabel(visibleData[items[0].dataIndex].weather_code, t) : '';
                     }
                 }
+            },
+            hourlyAnnotations: {
+                bands: showWeatherBands ? visibleData.map(item => getWeatherInfo(item.weather_code).bandColor) : [],
+                rainStartIndex: visibleRainStart
             }
         },
         scales: {
@@ -221,6 +487,8 @@ const HourlyForecastChart = ({ data, dailyData }) => {
                     display: false
                 },
                 ticks: {
+                    autoSkip: true,
+                    maxTicksLimit: 16,
                     maxRotation: 45,
                     minRotation: 45,
                     font: {
@@ -230,7 +498,7 @@ const HourlyForecastChart = ({ data, dailyData }) => {
             },
             y: {
                 type: 'linear',
-                display: true,
+                display: showTemperature,
                 position: 'left',
                 beginAtZero: false,
                 grid: {
@@ -238,7 +506,7 @@ const HourlyForecastChart = ({ data, dailyData }) => {
                 },
                 ticks: {
                     callback: function(value) {
-                        return value + '°C';
+                        return value + temperatureUnit;
                     },
                     font: {
                         size: 12
@@ -248,7 +516,7 @@ const HourlyForecastChart = ({ data, dailyData }) => {
             },
             y1: {
                 type: 'linear',
-                display: true,
+                display: showRain,
                 position: 'right',
                 beginAtZero: true,
                 max: 100,
@@ -280,31 +548,100 @@ const HourlyForecastChart = ({ data, dailyData }) => {
                     className={`tab-button ${activeTab === '24h' ? 'active' : ''}`}
                     onClick={() => setActiveTab('24h')}
                 >
-                    Dự báo 24h
+                    {t('forecast.tabs.24h')}
                 </button>
                 <button 
                     className={`tab-button ${activeTab === '7day' ? 'active' : ''}`}
                     onClick={() => setActiveTab('7day')}
                 >
-                    Dự báo 7 ngày
+                    {t('forecast.tabs.7day')}
+                </button>
+                <button 
+                    className={`tab-button ${activeTab === 'history' ? 'active' : ''}`}
+                    onClick={() => setActiveTab('history')}
+                >
+                    {t('forecast.tabs.history')}
                 </button>
+                <ExportMenu
+                    className="forecast-export"
+                    formats={exportFormats}
+                    onExport={handleExport}
+                />
             </div>
 
             {/* Tab Content */}
-            <div className="forecast-tabs-content">
+            <div className="forecast-tabs-content" ref={tabContentRef}>
                 {activeTab === '24h' && (
                     <div className="tab-panel">
                         <p className="chart-description">
-                            Biểu đồ nhiệt độ và xác suất mưa trong 24 giờ tới.
+                            {t('forecast.chartDescription')}
                         </p>
-                        <div className="chart-container">
-                            <Line data={chart24hData} options={chart24hOptions} />
+                        <div className="hourly-controls">
+                            <div className="hourly-metric-toggles">
+                                {HOURLY_METRICS.map(item => (
+                                    <label key={item.key} className="hourly-metric-toggle">
+                                        <input
+                                            type="checkbox"
+                                            checked={visibleMetrics.includes(item.key)}
+                                            onChange={() => toggleMetric(item.key)}
+                                        />
+                                        {t(item.labelKey)}
+                                    </label>
+                                ))}
+                            </div>
+                            <div className="hourly-range-buttons">
+                                {HOURLY_RANGES.map(item => (
+                                    <button
+                                        key={item.key}
+                                        className={`hourly-button ${range === item.key ? 'active' : ''}`}
+                                        onClick={() => setRange(item.key)}
+                                    >
+                                        {t(`forecast.hourly.ranges.${item.key}`)}
+                                    </button>
+                                ))}
+                            </div>
+                            <div className="hourly-zoom-buttons">
+                                <button className="hourly-button" onClick={() => panBy(-1)} disabled={viewport.start === 0} title={t('forecast.hourly.panLeft')}>
+                                    ◀
+                                </button>
+                                <button className="hourly-button" onClick={() => zoomBy(1 / ZOOM_STEP)} disabled={viewport.size <= Math.min(MIN_VISIBLE_HOURS, total)} title={t('forecast.hourly.zoomIn')}>
+                                    +
+                                </button>
+                                <button className="hourly-button" onClick={() => zoomBy(ZOOM_STEP)} disabled={viewport.size >= total} title={t('forecast.hourly.zoomOut')}>
+                                    −
+                                </button>
+                                <button className="hourly-button" onClick={() => panBy(1)} disabled={viewport.start + viewport.size >= total} title={t('forecast.hourly.panRight')}>
+                                    ▶
+                                </button>
+                                <button className="hourly-button" onClick={() => setViewport(getRangeViewport(range, total))}>
+                                    {t('forecast.hourly.reset')}
+                                </button>
+                            </div>
+                        </div>
+                        <div className="hourly-viewport-info">
+                            <span>
+                                {t('forecast.hourly.viewing', {
+                                    from: formatHour(visibleData[0].time),
+                                    to: formatHour(visibleData[visibleData.length - 1].time)
+                                })}
+                            </span>
+                            <span className="hourly-hint">{t('forecast.hourly.hint')}</span>
+                        </div>
+                        <div
+                            className="chart-container hourly-chart-container"
+                            ref={chartContainerRef}
+                            onPointerDown={handlePointerDown}
+                            onPointerMove={handlePointerMove}
+                            onPointerUp={handlePointerUp}
+                            onPointerLeave={handlePointerUp}
+                        >
+                            <Line ref={chartRef} data={chartHourlyData} options={chartHourlyOptions} plugins={[hourlyAnnotationsPlugin]} />
                         </div>
                         {/* Show precipitation warnings if any */}
                         <div className="rain-warning-container">
-                        {data.some(item => item.precipitation_probability > 50) && (
+                        {rainStartIndex !== -1 && (
                             <div className="rain-warning">
-                                ⚠️ Có khả năng mưa trong vài giờ tới
+                                ⚠️ {t('forecast.rainStartsAt', { time: formatHour(data[rainStartIndex].time) })}
                             </div>
                         )}
                         </div>
@@ -330,21 +667,39 @@ const HourlyForecastChart = ({ data, dailyData }) => {
                                         </span>
                                     </div>
                                     <div className="temperature-info">
-                                        <span className="temp-high">{day.temperature_2m_max || day.max_temperature}°C</span>
+                                        <span className="temp-high">{formatter.temperature(day.temperature_2m_max || day.max_temperature)}</span>
                                         <span className="temp-separator">/</span>
-                                        <span className="temp-low">{day.temperature_2m_min || day.min_temperature}°C</span>
+                                        <span className="temp-low">{formatter.temperature(day.temperature_2m_min || day.min_temperature)}</span>
                                     </div>
                                     <div className="rain-info">
-                                        Mưa: {day.precipitation_probability_max || day.precipitation_probability || 0}%
+                                        {t('forecast.rainShort', { value: day.precipitation_probability_max || day.precipitation_probability || 0 })}
+                                    </div>
+                                    <div className="wind-info">
+                                        💨 {formatter.windSpeed(day.windspeed_10m_max || 0)}
+                                        <WindDirection degrees={day.winddirection_10m_dominant} />
                                     </div>
                                     <div className="click-hint">
-                                        👆 Nhấn để xem chi tiết
+                                        👆 {t('forecast.clickHint')}
                                     </div>
                                 </div>
                             ))}
                         </div>
                     </div>
                 )}
+
+                {activeTab === 'history' && (
+                    <div className="tab-panel">
+                        <p className="chart-description">
+                            {t('history.description')}
+                        </p>
+                        <WeatherHistoryChart
+                            history={historyData}
+                            forecast={dailyData}
+                            baseline={anomaly?.average_temp}
+                        />
+                        <WindRose history={historyData} forecast={dailyData} />
+                    </div>
+                )}
             </div>
 
             {/* Day Details Modal */}
@@ -369,9 +724,9 @@ const HourlyForecastChart = ({ data, dailyData }) => {
                                     </span>
                                 </div>
                                 <div className="temperature-overview">
-                                    <div className="temp-main">{details.temperature.mean}°C</div>
+                                    <div className="temp-main">{formatter.temperature(details.temperature.mean)}</div>
                                     <div className="temp-range">
-                                        {details.temperature.max}°C / {details.temperature.min}°C
+                                        {formatter.temperature(details.temperature.max)} / {formatter.temperature(details.temperature.min)}
                                     </div>
                                 </div>
                             </div>
@@ -379,110 +734,120 @@ const HourlyForecastChart = ({ data, dailyData }) => {
                             {/* Detailed Information Grid */}
                             <div className="details-grid">
                                 <div className="detail-item">
-                                    <div className="detail-label">🌡️ Nhiệt độ</div>
+                                    <div className="detail-label">🌡️ {t('weather.temperature')}</div>
                                     <div className="detail-value">
-                                        <div>Cao nhất: {details.temperature.max}°C</div>
-                                        <div>Thấp nhất: {details.temperature.min}°C</div>
-                                        <div>Trung bình: {details.temperature.mean}°C</div>
+                                        <div>{t('forecast.details.max')}: {formatter.temperature(details.temperature.max)}</div>
+                                        <div>{t('forecast.details.min')}: {formatter.temperature(details.temperature.min)}</div>
+                                        <div>{t('forecast.details.mean')}: {formatter.temperature(details.temperature.mean)}</div>
                                     </div>
                                 </div>
 
                                 <div className="detail-item">
-                                    <div className="detail-label">🌧️ Mưa</div>
+                                    <div className="detail-label">🌧️ {t('forecast.details.rain')}</div>
                                     <div className="detail-value">
-                                        <div>Khả năng: {details.precipitation.probability}%</div>
-                                        <div>Tổng lượng: {details.precipitation.sum}mm</div>
-                                        <div>Mưa rào: {details.precipitation.rain}mm</div>
-                                        <div>Mưa phùn: {details.precipitation.showers}mm</div>
-                                        <div>Tuyết: {details.precipitation.snowfall}mm</div>
+                                        <div>{t('forecast.details.probability')}: {details.precipitation.probability}%</div>
+                                        <div>{t('forecast.details.total')}: {formatter.precipitation(details.precipitation.sum)}</div>
+                                        <div>{t('forecast.details.rainSum')}: {formatter.precipitation(details.precipitation.rain)}</div>
+                                        <div>{t('forecast.details.showers')}: {formatter.precipitation(details.precipitation.showers)}</div>
+                                        <div>{t('forecast.details.snowfall')}: {formatter.precipitation(details.precipitation.snowfall)}</div>
                                     </div>
                                 </div>
 
                                 <div className="detail-item">
-                                    <div className="detail-label">💨 Gió</div>
+                                    <div className="detail-label">💨 {t('forecast.details.wind')}</div>
                                     <div className="detail-value">
-                                        <div>Tốc độ tối đa: {details.wind.speed} km/h</div>
-                                        <div>Hướng chủ đạo: {details.wind.direction}°</div>
+                                        <div>{t('forecast.details.maxSpeed')}: {formatter.windSpeed(details.wind.speed)}</div>
+                                        <div>
+                                            {t('forecast.details.dominantDirection')}:{' '}
+                                            <WindDirection degrees={details.wind.direction} />
+                                        </div>
+                                        <div>
+                                            {t('forecast.details.beaufort')}:{' '}
+                                            {t('wind.beaufortLevel', {
+                                                force: details.wind.beaufort.force,
+                                                name: t(`wind.beaufort.${details.wind.beaufort.force}`)
+                                            })}
+                                        </div>
                                     </div>
                                 </div>
 
                                 <div className="detail-item">
-                                    <div className="detail-label">💧 Độ ẩm</div>
+                                    <div className="detail-label">💧 {t('weather.humidity')}</div>
                                     <div className="detail-value">
                                         {details.humidity.max > 0 ? (
                                             <>
-                                                <div>Tối đa: {details.humidity.max}%</div>
-                                                <div>Tối thiểu: {details.humidity.min}%</div>
-                                                <div>Trung bình: {details.humidity.mean}%</div>
+                                                <div>{t('forecast.details.highest')}: {details.humidity.max}%</div>
+                                                <div>{t('forecast.details.lowest')}: {details.humidity.min}%</div>
+                                                <div>{t('forecast.details.mean')}: {details.humidity.mean}%</div>
                                             </>
                                         ) : (
-                                            <div style={{color: '#999', fontStyle: 'italic'}}>Dữ liệu độ ẩm chưa có</div>
+                                            <div style={{color: '#999', fontStyle: 'italic'}}>{t('forecast.details.noHumidity')}</div>
                                         )}
                                     </div>
                                 </div>
 
                                 <div className="detail-item">
-                                    <div className="detail-label">🌬️ Áp suất</div>
+                                    <div className="detail-label">🌬️ {t('weather.pressure')}</div>
                                     <div className="detail-value">
                                         {details.pressure.max > 0 ? (
                                             <>
-                                                <div>Tối đa: {details.pressure.max} hPa</div>
-                                                <div>Tối thiểu: {details.pressure.min} hPa</div>
-                                                <div>Trung bình: {details.pressure.mean} hPa</div>
+                                                <div>{t('forecast.details.highest')}: {formatter.pressure(details.pressure.max)}</div>
+                                                <div>{t('forecast.details.lowest')}: {formatter.pressure(details.pressure.min)}</div>
+                                                <div>{t('forecast.details.mean')}: {formatter.pressure(details.pressure.mean)}</div>
                                             </>
                                         ) : (
-                                            <div style={{color: '#999', fontStyle: 'italic'}}>Dữ liệu áp suất chưa có</div>
+                                            <div style={{color: '#999', fontStyle: 'italic'}}>{t('forecast.details.noPressure')}</div>
                                         )}
                                     </div>
                                 </div>
 
                                 <div className="detail-item">
-                                    <div className="detail-label">☀️ Chỉ số UV</div>
+                                    <div className="detail-label">☀️ {t('weather.uvIndex')}</div>
                                     <div className="detail-value">
-                                        <div>Tối đa: {details.uv.max}</div>
-                                        <div>Trời quang: {details.uv.clearSky}</div>
+                                        <div>{t('forecast.details.highest')}: {details.uv.max}</div>
+                                        <div>{t('forecast.details.clearSky')}: {details.uv.clearSky}</div>
                                         <div className={`uv-level uv-${details.uv.max <= 2 ? 'low' : details.uv.max <= 5 ? 'moderate' : details.uv.max <= 7 ? 'high' : details.uv.max <= 10 ? 'very-high' : 'extreme'}`}>
-                                            {details.uv.max <= 2 ? 'Thấp' : details.uv.max <= 5 ? 'Trung bình' : details.uv.max <= 7 ? 'Cao' : details.uv.max <= 10 ? 'Rất cao' : 'Cực cao'}
+                                            {t(`forecast.uvLevels.${details.uv.max <= 2 ? 'low' : details.uv.max <= 5 ? 'moderate' : details.uv.max <= 7 ? 'high' : details.uv.max <= 10 ? 'veryHigh' : 'extreme'}`)}
                                         </div>
                                     </div>
                                 </div>
 
                                 <div className="detail-item">
-                                    <div className="detail-label">📊 Tổng quan</div>
+                                    <div className="detail-label">📊 {t('forecast.details.overview')}</div>
                                     <div className="detail-value">
-                                        <div>Điều kiện: {details.weather}</div>
-                                        <div>Ngày: {details.date}</div>
+                                        <div>{t('forecast.details.condition')}: {details.weather}</div>
+                                        <div>{t('forecast.details.date')}: {details.date}</div>
                                     </div>
                                 </div>
                             </div>
 
                             {/* Recommendations */}
                             <div className="recommendations">
-                                <h4>💡 Khuyến nghị</h4>
+                                <h4>💡 {t('forecast.advice.title')}</h4>
                                 <ul>
                                     {details.temperature.max > 30 && (
-                                        <li>🌡️ Nhiệt độ cao, nên mặc quần áo mát mẻ và uống nhiều nước</li>
+                                        <li>🌡️ {t('forecast.advice.hot')}</li>
                                     )}
                                     {details.precipitation.probability > 50 && (
-                                        <li>☔ Khả năng mưa cao, nên mang theo ô hoặc áo mưa</li>
+                                        <li>☔ {t('forecast.advice.rainLikely')}</li>
                                     )}
                                     {details.precipitation.sum > 10 && (
-                                        <li>🌧️ Lượng mưa lớn, tránh đi đường ngập nước</li>
+                                        <li>🌧️ {t('forecast.advice.heavyRain')}</li>
                                     )}
                                     {details.uv.max > 6 && (
-                                        <li>☀️ Chỉ số UV cao, nên sử dụng kem chống nắng</li>
+                                        <li>☀️ {t('forecast.advice.highUv')}</li>
                                     )}
                                     {details.wind.speed > 20 && (
-                                        <li>💨 Gió mạnh, cẩn thận khi đi đường</li>
+                                        <li>💨 {t('forecast.advice.strongWind')}</li>
                                     )}
                                     {details.temperature.min < 15 && (
-                                        <li>🧥 Nhiệt độ thấp vào sáng sớm, nên mặc áo ấm</li>
+                                        <li>🧥 {t('forecast.advice.cold')}</li>
                                     )}
                                     {details.humidity.max > 80 && (
-                                        <li>💧 Độ ẩm cao, có thể gây khó chịu</li>
+                                        <li>💧 {t('forecast.advice.humid')}</li>
                                     )}
                                     {details.pressure.mean < 1000 && (
-                                        <li>🌬️ Áp suất thấp, có thể ảnh hưởng đến sức khỏe</li>
+                                        <li>🌬️ {t('forecast.advice.lowPressure')}</li>
                                     )}
                                 </ul>
                             </div>
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Bar } from 'react-chartjs-2';
 import {
     Chart as ChartJS,
@@ -10,7 +10,25 @@ import {
     Legend
 } from 'chart.js';
 import { fetchComparisonData } from '../services/weatherService';
+import { API_ERROR_TYPES } from '../lib/apiClient';
 import { useTheme } from '../contexts/ThemeContext';
+import { useFavourites } from '../contexts/FavouritesContext';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import { getWeatherIcon, getWeatherDescription } from '../lib/weatherCodes';
+import {
+    PNG_BACKGROUNDS,
+    buildExportFileName,
+    toExportColumns,
+    buildJsonExport,
+    downloadCsv,
+    downloadJson,
+    downloadCanvasPng
+} from '../lib/exporters';
+import { isSameLocation } from '../services/favouriteService';
+import SearchModal from './SearchModal';
+import ForecastComparison from './ForecastComparison';
+import { ExportMenu } from './common';
 import './LocationComparator.css';
 
 // Register Chart.js components
@@ -23,35 +41,124 @@ ChartJS.register(
     Legend
 );
 
+// Same limit as the backend comparison endpoint
+const MAX_LOCATIONS = 6;
+
+// Colours (RGB) given to the compared locations, reused in every chart and table
+const LOCATION_COLORS = [
+    '102, 126, 234',
+    '255, 99, 132',
+    '0, 184, 148',
+    '253, 203, 110',
+    '162, 155, 254',
+    '225, 112, 85'
+];
+
+// Metrics shown as a grouped bar chart and a ranked table.
+// Metrics with a `quantity` are shown in the user's preferred unit, the others use `unit` as is.
+// Only metrics that cannot go below zero start their axis at zero; temperatures can.
+const COMPARISON_METRICS = [
+    { key: 'temperature', labelKey: 'weather.temperature', quantity: 'temperature', getValue: (loc) => loc.current_weather.temperature },
+    { key: 'apparent_temperature', labelKey: 'weather.apparentTemperature', quantity: 'temperature', getValue: (loc) => loc.current_weather.apparent_temperature },
+    { key: 'humidity', labelKey: 'weather.humidity', unit: '%', beginAtZero: true, getValue: (loc) => loc.current_weather.humidity },
+    { key: 'wind_speed', labelKey: 'weather.windSpeed', quantity: 'windSpeed', beginAtZero: true, getValue: (loc) => loc.current_weather.wind_speed },
+    { key: 'uv_index', labelKey: 'weather.uvIndex', unit: '', beginAtZero: true, getValue: (loc) => loc.daily_summary.uv_index }
+];
+
+// Columns of the exported comparison tables (see toExportColumns in lib/exporters)
+const CURRENT_EXPORT_COLUMNS = [
+    { key: 'name', labelKey: 'export.columns.location' },
+    { key: 'lat', labelKey: 'export.columns.latitude', getValue: (loc) => loc.coordinates?.lat },
+    { key: 'lon', labelKey: 'export.columns.longitude', getValue: (loc) => loc.coordinates?.lon },
+    { key: 'weather', labelKey: 'export.columns.weather', weatherLabel: true, getValue: (loc) => loc.current_weather.weather_code },
+    { key: 'max_temp', labelKey: 'weather.maxTemperature', quantity: 'temperature', getValue: (loc) => loc.daily_summary.max_temp },
+    { key: 'min_temp', labelKey: 'weather.minTemperature', quantity: 'temperature', getValue: (loc) => loc.daily_summary.min_temp },
+    ...COMPARISON_METRICS
+];
+
+// One row per location and day
+const FORECAST_EXPORT_COLUMNS = [
+    { key: 'name', labelKey: 'export.columns.location' },
+    { key: 'date', labelKey: 'export.columns.date' },
+    { key: 'max_temp', labelKey: 'weather.maxTemperature', quantity: 'temperature' },
+    { key: 'min_temp', labelKey: 'weather.minTemperature', quantity: 'temperature' },
+    { key: 'precipitation', labelKey: 'weather.precipitation', quantity: 'precipitation' },
+    { key: 'weather_code', labelKey: 'export.columns.weatherCode' },
+    { key: 'weather_code', labelKey: 'export.columns.weather', weatherLabel: true }
+];
+
+const DEFAULT_LOCATIONS = [
+    { name: 'Dĩ An', lat: 10.98, lon: 106.75 },
+    { name: 'Hà Nội', lat: 21.03, lon: 105.85 }
+];
+
+let lastLocationId = 0;
+
+// Append a location with its own id and the first colour no other location uses,
+// so a location keeps its colour when others are removed
+const appendLocation = (locations, { name, lat, lon }) => {
+    lastLocationId += 1;
+    const color = LOCATION_COLORS.find(item => !locations.some(location => location.color === item));
+    return [...locations, { id: `location-${lastLocationId}`, name, lat, lon, color }];
+};
+
+// Format a signed difference of a unitless or percentage metric, e.g. "-12%"
+const formatDifference = (value, unit) => {
+    const rounded = Math.round(value * 10) / 10;
+    return `${rounded > 0 ? '+' : ''}${rounded}${unit}`;
+};
+
 /**
  * LocationComparator Component
- * Allows users to compare weather between two locations
+ * Allows users to compare weather between up to 6 locations,
+ * either current conditions or the 7-day forecast
  */
 const LocationComparator = () => {
     const { isDark } = useTheme();
-    
-    const [location1, setLocation1] = useState({
-        name: 'Dĩ An',
-        lat: '10.98',
-        lon: '106.75'
-    });
-
-    const [location2, setLocation2] = useState({
-        name: 'Hà Nội',
-        lat: '21.03',
-        lon: '105.85'
-    });
+    const { favourites } = useFavourites();
+    const { formatter } = usePreferences();
+    const { t } = useLanguage();
 
+    const [locations, setLocations] = useState(() => DEFAULT_LOCATIONS.reduce(appendLocation, []));
+    const [isPickerOpen, setIsPickerOpen] = useState(false);
     const [comparisonData, setComparisonData] = useState(null);
+    const [mode, setMode] = useState('current'); // 'current' | 'forecast'
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
+    const controllerRef = useRef(null);
+    const resultsRef = useRef(null);
+
+    // Abort a running comparison when the component unmounts
+    useEffect(() => {
+        return () => controllerRef.current?.abort();
+    }, []);
+
+    const canAddLocation = locations.length < MAX_LOCATIONS;
+    const availableFavourites = favourites.filter(
+        favourite => !locations.some(location => isSameLocation(location, favourite))
+    );
 
-    const validateCoordinates = (loc) => {
-        const lat = parseFloat(loc.lat);
-        const lon = parseFloat(loc.lon);
-        const isLatValid = !isNaN(lat) && lat >= -90 && lat <= 90;
-        const isLonValid = !isNaN(lon) && lon >= -180 && lon <= 180;
-        return isLatValid && isLonValid;
+    const addLocation = (location) => {
+        setError(null);
+        if (locations.some(existing => isSameLocation(existing, location))) {
+            setError(t('comparator.alreadyAdded', { name: location.name }));
+            return;
+        }
+        if (!canAddLocation) {
+            setError(t('comparator.limitReached', { count: MAX_LOCATIONS }));
+            return;
+        }
+        setLocations(appendLocation(locations, location));
+    };
+
+    const removeLocation = (id) => {
+        setLocations(locations.filter(location => location.id !== id));
+    };
+
+    const handleFavouriteSelect = (e) => {
+        const favourite = favourites.find(item => item.id === e.target.value);
+        if (favourite) addLocation(favourite);
+        e.target.value = '';
     };
 
     // Handle form submission
@@ -59,88 +166,93 @@ const LocationComparator = () => {
         e.preventDefault();
         setError(null);
 
-        if (!validateCoordinates(location1) || !validateCoordinates(location2)) {
-            setError('Tọa độ không hợp lệ. Vĩ độ [-90, 90], Kinh độ [-180, 180].');
+        if (locations.length < 2) {
+            setError(t('comparator.tooFew', { count: 2 }));
             return;
         }
 
+        controllerRef.current?.abort();
+        const controller = new AbortController();
+        controllerRef.current = controller;
         setLoading(true);
 
         try {
             const data = await fetchComparisonData(
-                {
-                    lat: parseFloat(location1.lat),
-                    lon: parseFloat(location1.lon),
-                    name: location1.name
-                },
-                {
-                    lat: parseFloat(location2.lat),
-                    lon: parseFloat(location2.lon),
-                    name: location2.name
-                }
+                locations.map(({ name, lat, lon }) => ({ name, lat, lon })),
+                { signal: controller.signal }
             );
-            setComparisonData(data);
+            // Results come back in request order; keep the colour each location had when compared
+            setComparisonData({ ...data, colors: locations.map(location => location.color) });
         } catch (err) {
-            setError('Không thể so sánh thời tiết. Vui lòng kiểm tra lại tọa độ.');
+            if (err.type === API_ERROR_TYPES.CANCELLED) return;
+            setError(err.message || t('comparator.failed'));
             console.error('Comparison error:', err);
         } finally {
-            setLoading(false);
+            if (!controller.signal.aborted) setLoading(false);
         }
     };
 
-    // Prepare chart data
-    const getChartData = () => {
-        if (!comparisonData) return null;
-
-        const loc1 = comparisonData.location1;
-        const loc2 = comparisonData.location2;
-
-        return {
-            labels: ['Nhiệt độ (°C)', 'Cảm giác như (°C)', 'Độ ẩm (%)', 'Tốc độ gió (km/h)'],
-            datasets: [
-                {
-                    label: loc1.name,
-                    data: [
-                        loc1.current_weather.temperature,
-                        loc1.current_weather.apparent_temperature,
-                        loc1.current_weather.humidity,
-                        loc1.current_weather.wind_speed
-                    ],
-                    backgroundColor: 'rgba(102, 126, 234, 0.7)',
-                    borderColor: 'rgb(102, 126, 234)',
-                    borderWidth: 2
-                },
-                {
-                    label: loc2.name,
-                    data: [
-                        loc2.current_weather.temperature,
-                        loc2.current_weather.apparent_temperature,
-                        loc2.current_weather.humidity,
-                        loc2.current_weather.wind_speed
-                    ],
-                    backgroundColor: 'rgba(255, 99, 132, 0.7)',
-                    borderColor: 'rgb(255, 99, 132)',
-                    borderWidth: 2
-                }
-            ]
-        };
+    const describeWeather = (weather) => (
+        `${getWeatherIcon(weather.weather_code, weather.is_day)} ${getWeatherDescription(weather, t)}`
+    );
+
+    const getMetricUnit = (metric) => (metric.quantity ? formatter.unit(metric.quantity) : metric.unit);
+
+    const formatMetricValue = (metric, value) => (
+        metric.quantity ? formatter[metric.quantity](value) : `${value}${metric.unit}`
+    );
+
+    const formatMetricDifference = (metric, value) => (
+        metric.quantity
+            ? formatter[metric.quantity](value, { difference: true })
+            : formatDifference(value, metric.unit)
+    );
+
+    // Grouped bar chart for one metric: one bar per location
+    const getChartData = (metric) => ({
+        labels: [`${t(metric.labelKey)}${getMetricUnit(metric) ? ` (${getMetricUnit(metric)})` : ''}`],
+        datasets: comparisonData.locations.map((location, index) => ({
+            label: location.name,
+            data: [metric.quantity ? formatter.convert(metric.quantity, metric.getValue(location)) : metric.getValue(location)],
+            backgroundColor: `rgba(${comparisonData.colors[index]}, 0.7)`,
+            borderColor: `rgb(${comparisonData.colors[index]})`,
+            borderWidth: 2
+        }))
+    });
+
+    // Locations sorted from highest to lowest value of the metric
+    const getRanking = (metric) => (
+        comparisonData.locations
+            .map((location, index) => ({ location, index, value: metric.getValue(location) }))
+            .sort((a, b) => b.value - a.value)
+    );
+
+    // Export the table of the active mode, or its charts as one PNG
+    const handleExport = (format) => {
+        const names = comparisonData.locations.map(location => location.name).join(' vs ');
+        const kind = mode === 'forecast' ? 'comparison-forecast' : 'comparison';
+        const fileName = buildExportFileName(format === 'png' ? `${kind}-chart` : kind, names);
+
+        if (format === 'csv') {
+            const rows = mode === 'forecast'
+                ? comparisonData.locations.flatMap(location => (location.daily_forecast || []).map(day => ({ name: location.name, ...day })))
+                : comparisonData.locations;
+            const columns = mode === 'forecast' ? FORECAST_EXPORT_COLUMNS : CURRENT_EXPORT_COLUMNS;
+            downloadCsv(fileName, toExportColumns(columns, t, formatter), rows);
+        } else if (format === 'json') {
+            downloadJson(fileName, buildJsonExport(kind, null, comparisonData.locations));
+        } else {
+            downloadCanvasPng(fileName, resultsRef.current, isDark ? PNG_BACKGROUNDS.dark : PNG_BACKGROUNDS.light);
+        }
     };
 
-    // Chart options
-    const chartOptions = {
+    // Chart options of one metric
+    const getChartOptions = (metric) => ({
         responsive: true,
         maintainAspectRatio: false,
         plugins: {
             legend: {
-                position: 'top',
-                labels: {
-                    font: {
-                        size: 14,
-                        weight: '600'
-                    },
-                    padding: 15,
-                    color: isDark ? 'rgba(255, 255, 255, 0.8)' : 'rgba(0, 0, 0, 0.8)'
-                }
+                display: false
             },
             tooltip: {
                 backgroundColor: isDark ? 'rgba(0, 0, 0, 0.9)' : 'rgba(255, 255, 255, 0.9)',
@@ -164,7 +276,7 @@ const LocationComparator = () => {
                 }
             },
             y: {
-                beginAtZero: true,
+                beginAtZero: Boolean(metric.beginAtZero),
                 ticks: {
                     color: isDark ? 'rgba(255, 255, 255, 0.8)' : 'rgba(0, 0, 0, 0.8)',
                     font: {
@@ -176,77 +288,63 @@ const LocationComparator = () => {
                 }
             }
         }
-    };
+    });
 
     return (
         <div className="location-comparator">
-            <h2>🔍 So Sánh Thời Tiết</h2>
+            <h2>🔍 {t('comparator.title')}</h2>
 
             <form onSubmit={handleCompare} className="comparison-form">
-                <div className="location-inputs">
-                    {/* Location 1 */}
-                    <div className="location-group">
-                        <h3>Địa điểm 1</h3>
-                        <input
-                            type="text"
-                            placeholder="Tên địa điểm"
-                            value={location1.name}
-                            onChange={(e) => setLocation1({ ...location1, name: e.target.value })}
-                            required
-                        />
-                        <div className="coord-inputs">
-                            <input
-                                type="number"
-                                step="any"
-                                placeholder="Vĩ độ (Latitude)"
-                                value={location1.lat}
-                                onChange={(e) => setLocation1({ ...location1, lat: e.target.value })}
-                                required
-                            />
-                            <input
-                                type="number"
-                                step="any"
-                                placeholder="Kinh độ (Longitude)"
-                                value={location1.lon}
-                                onChange={(e) => setLocation1({ ...location1, lon: e.target.value })}
-                                required
-                            />
+                {/* Selected locations */}
+                <div className="comparison-locations">
+                    {locations.map(location => (
+                        <div key={location.id} className="comparison-location-chip">
+                            <span
+                                className="comparison-color-dot"
+                                style={{ backgroundColor: `rgb(${location.color})` }}
+                            ></span>
+                            <span className="comparison-location-name">{location.name}</span>
+                            <button
+                                type="button"
+                                className="comparison-remove-button"
+                                onClick={() => removeLocation(location.id)}
+                                title={t('comparator.remove', { name: location.name })}
+                                aria-label={t('comparator.remove', { name: location.name })}
+                            >
+                                ✕
+                            </button>
                         </div>
-                    </div>
+                    ))}
+                </div>
 
-                    {/* Location 2 */}
-                    <div className="location-group">
-                        <h3>Địa điểm 2</h3>
-                        <input
-                            type="text"
-                            placeholder="Tên địa điểm"
-                            value={location2.name}
-                            onChange={(e) => setLocation2({ ...location2, name: e.target.value })}
-                            required
-                        />
-                        <div className="coord-inputs">
-                            <input
-                                type="number"
-                                step="any"
-                                placeholder="Vĩ độ (Latitude)"
-                                value={location2.lat}
-                                onChange={(e) => setLocation2({ ...location2, lat: e.target.value })}
-                                required
-                            />
-                            <input
-                                type="number"
-                                step="any"
-                                placeholder="Kinh độ (Longitude)"
-                                value={location2.lon}
-                                onChange={(e) => setLocation2({ ...location2, lon: e.target.value })}
-                                required
-                            />
-                        </div>
-                    </div>
+                {/* Add locations */}
+                <div className="comparison-add-row">
+                    <button
+                        type="button"
+                        className="comparison-add-button"
+                        onClick={() => setIsPickerOpen(true)}
+                        disabled={!canAddLocation}
+                    >
+                        ➕ {t('comparator.addLocation')}
+                    </button>
+                    {availableFavourites.length > 0 && (
+                        <select
+                            className="comparison-favourite-select"
+                            onChange={handleFavouriteSelect}
+                            defaultValue=""
+                            disabled={!canAddLocation}
+                        >
+                            <option value="" disabled>⭐ {t('comparator.addFavourite')}</option>
+                            {availableFavourites.map(favourite => (
+                                <option key={favourite.id} value={favourite.id}>{favourite.name}</option>
+                            ))}
+                        </select>
+                    )}
+                    <span className="comparison-count">{t('comparator.count', { count: locations.length, max: MAX_LOCATIONS })}</span>
                 </div>
 
-                <button type="submit" className="compare-button" disabled={loading}>
-                    {loading ? 'Đang so sánh...' : 'So Sánh'}
+                <button type="submit" className="compare-button" disabled={loading || locations.length < 2}>
+                    {loading ? t('comparator.comparing') : t('comparator.compare')}
                 </button>
             </form>
 
@@ -257,74 +355,121 @@ const LocationComparator = () => {
             )}
 
             {comparisonData && (
-                <div className="comparison-results">
-                    {/* Comparison Table */}
+                <div className="comparison-mode-tabs">
+                    <button
+                        className={`comparison-mode-button ${mode === 'current' ? 'active' : ''}`}
+                        onClick={() => setMode('current')}
+                    >
+                        {t('comparator.modes.current')}
+                    </button>
+                    <button
+                        className={`comparison-mode-button ${mode === 'forecast' ? 'active' : ''}`}
+                        onClick={() => setMode('forecast')}
+                    >
+                        {t('comparator.modes.forecast')}
+                    </button>
+                    <ExportMenu className="comparison-export" onExport={handleExport} />
+                </div>
+            )}
+
+            {comparisonData && mode === 'forecast' && (
+                <div className="comparison-results" ref={resultsRef}>
+                    <ForecastComparison
+                        locations={comparisonData.locations}
+                        colors={comparisonData.colors}
+                        isDark={isDark}
+                    />
+                </div>
+            )}
+
+            {comparisonData && mode === 'current' && (
+                <div className="comparison-results" ref={resultsRef}>
+                    {/* Overview Table */}
                     <div className="comparison-table">
                         <table>
                             <thead>
                                 <tr>
-                                    <th>Thông số</th>
-                                    <th>{comparisonData.location1.name}</th>
-                                    <th>{comparisonData.location2.name}</th>
-                                    <th>Chênh lệch</th>
+                                    <th>{t('comparator.location')}</th>
+                                    <th>{t('comparator.weather')}</th>
+                                    <th>{t('comparator.todayRange')}</th>
                                 </tr>
                             </thead>
                             <tbody>
-                                <tr>
-                                    <td>Nhiệt độ</td>
-                                    <td>{comparisonData.location1.current_weather.temperature}°C</td>
-                                    <td>{comparisonData.location2.current_weather.temperature}°C</td>
-                                    <td className={comparisonData.differences.temperature_diff > 0 ? 'positive' : 'negative'}>
-                                        {comparisonData.differences.temperature_diff > 0 ? '+' : ''}
-                                        {comparisonData.differences.temperature_diff}°C
-                                    </td>
-                                </tr>
-                                <tr>
-                                    <td>Cảm giác như</td>
-                                    <td>{comparisonData.location1.current_weather.apparent_temperature}°C</td>
-                                    <td>{comparisonData.location2.current_weather.apparent_temperature}°C</td>
-                                    <td className={comparisonData.differences.apparent_temperature_diff > 0 ? 'positive' : 'negative'}>
-                                        {comparisonData.differences.apparent_temperature_diff > 0 ? '+' : ''}
-                                        {comparisonData.differences.apparent_temperature_diff}°C
-                                    </td>
-                                </tr>
-                                <tr>
-                                    <td>Độ ẩm</td>
-                                    <td>{comparisonData.location1.current_weather.humidity}%</td>
-                                    <td>{comparisonData.location2.current_weather.humidity}%</td>
-                                    <td className={comparisonData.differences.humidity_diff > 0 ? 'positive' : 'negative'}>
-                                        {comparisonData.differences.humidity_diff > 0 ? '+' : ''}
-                                        {comparisonData.differences.humidity_diff}%
-                                    </td>
-                                </tr>
-                                <tr>
-                                    <td>Tốc độ gió</td>
-                                    <td>{comparisonData.location1.current_weather.wind_speed} km/h</td>
-                                    <td>{comparisonData.location2.current_weather.wind_speed} km/h</td>
-                                    <td className={comparisonData.differences.wind_speed_diff > 0 ? 'positive' : 'negative'}>
-                                        {comparisonData.differences.wind_speed_diff > 0 ? '+' : ''}
-                                        {comparisonData.differences.wind_speed_diff} km/h
-                                    </td>
-                                </tr>
-                                <tr>
-                                    <td>Thời tiết</td>
-                                    <td>{comparisonData.location1.current_weather.weather_description}</td>
-                                    <td>{comparisonData.location2.current_weather.weather_description}</td>
-                                    <td>-</td>
-                                </tr>
+                                {comparisonData.locations.map((location, index) => (
+                                    <tr key={index}>
+                                        <td>
+                                            <span
+                                                className="comparison-color-dot"
+                                                style={{ backgroundColor: `rgb(${comparisonData.colors[index]})` }}
+                                            ></span>
+                                            {location.name}
+                                        </td>
+                                        <td>{describeWeather(location.current_weather)}</td>
+                                        <td>{formatter.temperature(location.daily_summary.max_temp)} / {formatter.temperature(location.daily_summary.min_temp)}</td>
+                                    </tr>
+                                ))}
                             </tbody>
                         </table>
                     </div>
 
-                    {/* Comparison Chart */}
-                    <div className="comparison-chart">
-                        <h3>Biểu đồ so sánh</h3>
-                        <div className="chart-container">
-                            <Bar data={getChartData()} options={chartOptions} />
-                        </div>
+                    {/* One chart and ranking per metric */}
+                    <div className="comparison-metrics">
+                        {COMPARISON_METRICS.map((metric) => {
+                            const ranking = getRanking(metric);
+                            const top = ranking[0];
+
+                            return (
+                                <div key={metric.key} className="comparison-metric">
+                                    <h3>{t(metric.labelKey)}</h3>
+                                    <div className="comparison-chart">
+                                        <div className="chart-container">
+                                            <Bar data={getChartData(metric)} options={getChartOptions(metric)} />
+                                        </div>
+                                    </div>
+                                    <div className="comparison-table comparison-ranking">
+                                        <table>
+                                            <thead>
+                                                <tr>
+                                                    <th>#</th>
+                                                    <th>{t('comparator.location')}</th>
+                                                    <th>{t('comparator.value')}</th>
+                                                    <th>{t('comparator.versusFirst')}</th>
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {ranking.map((item, rank) => (
+                                                    <tr key={item.index}>
+                                                        <td>{rank + 1}</td>
+                                                        <td>
+                                                            <span
+                                                                className="comparison-color-dot"
+                                                                style={{ backgroundColor: `rgb(${comparisonData.colors[item.index]})` }}
+                                                            ></span>
+                                                            {item.location.name}
+                                                        </td>
+                                                        <td>{formatMetricValue(metric, item.value)}</td>
+                                                        <td className={rank === 0 ? '' : 'negative'}>
+                                                            {rank === 0 ? '-' : formatMetricDifference(metric, item.value - top.value)}
+                                                        </td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                </div>
+                            );
+                        })}
                     </div>
                 </div>
             )}
+
+            {/* Location picker (name, map or coordinates) */}
+            <SearchModal
+                isOpen={isPickerOpen}
+                onClose={() => setIsPickerOpen(false)}
+                onLocationSelect={addLocation}
+                title={t('comparator.pickerTitle')}
+            />
         </div>
     );
 };
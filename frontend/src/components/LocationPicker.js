@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { MapTab, ManualTab, NameTab } from './LocationPickerComponents';
+import { useLanguage } from '../contexts/LanguageContext';
 import './LocationPicker.css';
 
 
@@ -16,6 +17,7 @@ const LocationPicker = ({
   setError,
   onSelectLocation
 }) => {
+  const { t } = useLanguage();
   // Tab state
   const [activeTab, setActiveTab] = useState('name'); // 'map' | 'manual' | 'name'
 
@@ -27,19 +29,19 @@ const LocationPicker = ({
           className={`tab-button ${activeTab === 'name' ? 'active' : ''}`}
           onClick={() => setActiveTab('name')}
         >
-          Tìm theo Tên
+          {t('locationPicker.tabs.name')}
         </button>
         <button 
           className={`tab-button ${activeTab === 'map' ? 'active' : ''}`}
           onClick={() => setActiveTab('map')}
         >
-          Chọn trên Bản đồ
+          {t('locationPicker.tabs.map')}
         </button>
         <button 
           className={`tab-button ${activeTab === 'manual' ? 'active' : ''}`}
           onClick={() => setActiveTab('manual')}
         >
-          Nhập Tọa độ Thủ công
+          {t('locationPicker.tabs.manual')}
         </button>
       </div>
 
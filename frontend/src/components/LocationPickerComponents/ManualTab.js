@@ -1,4 +1,7 @@
 import React, { useState } from 'react';
+import FavouriteButton from '../FavouriteButton';
+import { useLanguage } from '../../contexts/LanguageContext';
+import { reverseGeocode } from '../../services/weatherService';
 import './ManualTab.css';
 
 const ManualTab = ({ 
@@ -13,6 +16,7 @@ const ManualTab = ({
   onSelectLocation
   
 }) => {
+  const { t } = useLanguage();
   // Manual input state
   const [manualLat, setManualLat] = useState('');
   const [manualLon, setManualLon] = useState('');
@@ -27,25 +31,26 @@ const ManualTab = ({
   };
 
   // Handle manual search
-  const handleManualSearch = () => {
+  const handleManualSearch = async () => {
     if (isValidCoordinates(manualLat, manualLon)) {
       if (setError) setError('');
       if (setLoading) setLoading(true);
-      
-      // Simulate API call giống SearchModal
-      setTimeout(() => {
-        const locationName = `Tọa độ ${parseFloat(manualLat).toFixed(4)}, ${parseFloat(manualLon).toFixed(4)}`;
-        const locationData = {
-          name: locationName,
-          latitude: parseFloat(manualLat),
-          longitude: parseFloat(manualLon)
-        };
-        
-        if (setSelectedLocation) {
-          setSelectedLocation(locationData);
-        }
-        if (setLoading) setLoading(false);
-      }, 1000);
+
+      const latitude = parseFloat(manualLat);
+      const longitude = parseFloat(manualLon);
+
+      // Name the place; fall back to coordinates if reverse geocoding finds nothing
+      const place = await reverseGeocode(latitude, longitude);
+      const locationData = {
+        name: place?.name || t('locationPicker.coordinatesName', { lat: latitude.toFixed(4), lon: longitude.toFixed(4) }),
+        latitude,
+        longitude
+      };
+
+      if (setSelectedLocation) {
+        setSelectedLocation(locationData);
+      }
+      if (setLoading) setLoading(false);
     }
   };
 
@@ -54,24 +59,24 @@ const ManualTab = ({
       {/* Manual Input Form */}
       <div className="manual-input-form">
         <div className="input-group">
-          <label>Vĩ độ</label>
+          <label>{t('locationPicker.latitude')}</label>
           <input 
             type="number" 
             value={manualLat}
             onChange={(e) => setManualLat(e.target.value)}
-            placeholder="Khoảng: -90 đến 90"
+            placeholder={t('locationPicker.range', { min: -90, max: 90 })}
             min="-90" 
             max="90"
             step="any"
           />
         </div>
         <div className="input-group">
-          <label>Kinh độ</label>
+          <label>{t('locationPicker.longitude')}</label>
           <input 
             type="number" 
             value={manualLon}
             onChange={(e) => setManualLon(e.target.value)}
-            placeholder="Khoảng: -180 đến 180"
+            placeholder={t('locationPicker.range', { min: -180, max: 180 })}
             min="-180" 
             max="180"
             step="any"
@@ -85,23 +90,24 @@ const ManualTab = ({
           onClick={handleManualSearch}
           disabled={loading || !isValidCoordinates(manualLat, manualLon)}
         >
-          {loading ? 'Đang tìm...' : 'Tìm Vị Trí'}
+          {loading ? t('locationPicker.searching') : t('locationPicker.find')}
         </button>
         
         {/* Add selected location display giống SearchModal */}
         {selectedLocation && (
           <div className="selected-location">
-            <h3>Vị Trí Đã Chọn:</h3>
+            <h3>{t('locationPicker.selected')}:</h3>
             <div className="location-info">
-              <p><strong>Tên:</strong> {selectedLocation.name}</p>
-              <p><strong>Vĩ độ:</strong> {selectedLocation.latitude}</p>
-              <p><strong>Kinh độ:</strong> {selectedLocation.longitude}</p>
+              <p><strong>{t('locationPicker.name')}:</strong> {selectedLocation.name}</p>
+              <p><strong>{t('locationPicker.latitude')}:</strong> {selectedLocation.latitude}</p>
+              <p><strong>{t('locationPicker.longitude')}:</strong> {selectedLocation.longitude}</p>
             </div>
+            <FavouriteButton location={selectedLocation} />
             <button 
               className="select-button"
               onClick={onSelectLocation}
             >
-              Xem Thời Tiết Tại Đây
+              {t('locationPicker.viewWeather')}
             </button>
           </div>
         )}
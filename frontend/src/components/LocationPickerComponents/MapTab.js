@@ -2,6 +2,10 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { MapContainer, TileLayer, Marker, Tooltip, useMap, useMapEvents } from 'react-leaflet';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
+import { useFavourites } from '../../contexts/FavouritesContext';
+import { useLanguage } from '../../contexts/LanguageContext';
+import FavouriteButton from '../FavouriteButton';
+import { reverseGeocode } from '../../services/weatherService';
 import './MapTab.css';
 
 // Fix for default markers in react-leaflet
@@ -48,35 +52,25 @@ const createCustomIcon = (color) => {
 const blueIcon = createCustomIcon('#007bff'); // Blue for current position
 const redIcon = createCustomIcon('#dc3545');  // Red for selected position
 
-// Popular locations data
-const popularLocations = [
-  { name: 'Hà Nội', coords: [21.0285, 105.8542] },
-  { name: 'TPHCM', coords: [10.8231, 106.6297] },
-  { name: 'Tokyo', coords: [35.6762, 139.6503] },
-  { name: 'New York', coords: [40.7128, -74.0060] },
-  { name: 'London', coords: [51.5074, -0.1278] },
-  { name: 'Paris', coords: [48.8566, 2.3522] }
-];
-
-// Map type configurations
+// Map type configurations; labels live in locationPicker.mapTypes of src/locales
 const mapConfigs = {
   standard: {
-    name: 'OpenStreetMap Standard (Tiêu chuẩn)',
+    labelKey: 'locationPicker.mapTypes.standard',
     url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
     attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
   },
   satellite: {
-    name: 'Esri World Imagery (Vệ tinh)',
+    labelKey: 'locationPicker.mapTypes.satellite',
     url: "https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}",
     attribution: '&copy; <a href="https://www.esri.com/">Esri</a>',
   },
   terrain: {
-    name: 'OpenTopoMap (Địa hình)',
+    labelKey: 'locationPicker.mapTypes.terrain',
     url: "https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png",
     attribution: '&copy; <a href="https://opentopomap.org/">OpenTopoMap</a>',
   },
   dark: {
-    name: 'CartoDB Dark (Tối)',
+    labelKey: 'locationPicker.mapTypes.dark',
     url: "https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png",
     attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>',
   }
@@ -93,6 +87,7 @@ const MapControls = ({
   onMapClick
 }) => {
   const map = useMap();
+  const { t } = useLanguage();
   const [currentCenter, setCurrentCenter] = useState(map.getCenter());
   const [clickedPosition, setClickedPosition] = useState(null);
   
@@ -133,7 +128,7 @@ const MapControls = ({
     }
   }, [map, onCoordinatesChange]);
 
-  // Handle map center changes from parent (popular locations)
+  // Handle map center changes from parent (favourite locations)
   const handleMapCenterChange = useCallback((coords) => {
     map.setView(coords, map.getZoom());
     if (onCoordinatesChange) {
@@ -180,8 +175,8 @@ const MapControls = ({
       {/* Floating Card */}
       <div className="floating-card">
         <div className="coordinate-display">
-          <span>Vĩ độ: {currentCenter.lat.toFixed(5)}</span>
-          <span>Kinh độ: {currentCenter.lng.toFixed(5)}</span>
+          <span>{t('locationPicker.latitude')}: {currentCenter.lat.toFixed(5)}</span>
+          <span>{t('locationPicker.longitude')}: {currentCenter.lng.toFixed(5)}</span>
         </div>
       </div>
 
@@ -190,7 +185,7 @@ const MapControls = ({
         <Marker position={currentPosition} icon={blueIcon}>
           <Tooltip direction="top" offset={[0, -10]} opacity={1}>
             <div className="location-tooltip">
-              <strong>📍 Vị trí hiện tại</strong><br/>
+              <strong>📍 {t('header.currentLocation')}</strong><br/>
               <span>{currentPosition[0].toFixed(4)}, {currentPosition[1].toFixed(4)}</span>
             </div>
           </Tooltip>
@@ -202,7 +197,7 @@ const MapControls = ({
         <Marker position={clickedPosition} icon={redIcon}>
           <Tooltip direction="top" offset={[0, -10]} opacity={1}>
             <div className="location-tooltip">
-              <strong>🎯 Vị trí đã chọn</strong><br/>
+              <strong>🎯 {t('locationPicker.selected')}</strong><br/>
               <span>{clickedPosition[0].toFixed(4)}, {clickedPosition[1].toFixed(4)}</span>
             </div>
           </Tooltip>
@@ -219,12 +214,12 @@ const MapControls = ({
             handleReturnToCurrentLocation();
           }}
           disabled={isLoadingLocation}
-          title="Về vị trí hiện tại"
+          title={t('locationPicker.backToCurrent')}
         >
           <svg viewBox="0 0 24 24" width="20" height="20">
             <path fill="currentColor" d="M12 2C8.13 2 5 5.13 5 9c0 5.25 7 13 7 13s7-7.75 7-13c0-3.87-3.13-7-7-7zm0 9.5c-1.38 0-2.5-1.12-2.5-2.5s1.12-2.5 2.5-2.5 2.5 1.12 2.5 2.5-1.12 2.5-2.5 2.5z"/>
           </svg>
-          <span>Về vị trí hiện tại</span>
+          <span>{t('locationPicker.backToCurrent')}</span>
         </button>
       </div>
     </>
@@ -250,6 +245,8 @@ const MapTab = ({
   const [isLoadingLocation, setIsLoadingLocation] = useState(true);
   const [resetClickedPosition, setResetClickedPosition] = useState(false);
   const [mapCenterToSet, setMapCenterToSet] = useState(null);
+  const { favourites } = useFavourites();
+  const { t } = useLanguage();
 
   const currentMapConfig = mapConfigs[mapType] || mapConfigs.standard;
 
@@ -281,7 +278,7 @@ const MapTab = ({
     }
   }, []);
 
-  // Handle popular location selection
+  // Handle favourite location selection
   const handleLocationSelect = useCallback((coords) => {
     setMapCenterToSet(coords);
     setResetClickedPosition(true); // Reset clicked marker
@@ -293,37 +290,16 @@ const MapTab = ({
     // Coordinates are handled by MapControls component
   }, []);
 
-  const reverseGeocodeName = async (lat, lon) => {
-    try {
-      const url = `https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lon}&zoom=10&accept-language=vi`;
-      const res = await fetch(url, {
-        headers: {
-          'User-Agent': 'weather-dashboard/1.0 (+https://localhost)'
-        }
-      });
-      if (!res.ok) return null;
-      const data = await res.json();
-      return data?.address?.city
-        || data?.address?.town
-        || data?.address?.village
-        || data?.display_name
-        || null;
-    } catch (e) {
-      console.warn('Reverse geocode (Nominatim) failed', e);
-      return null;
-    }
-  };
-
   // Handle map click to set selected location
   const handleMapClick = useCallback(async (coordinates) => {
     if (setError) setError('');
     if (setLoading) setLoading(true);
     
-    const fallbackName = `Tọa độ ${coordinates.lat.toFixed(4)}, ${coordinates.lon.toFixed(4)}`;
+    const fallbackName = t('locationPicker.coordinatesName', { lat: coordinates.lat.toFixed(4), lon: coordinates.lon.toFixed(4) });
     let locationName = fallbackName;
 
-    const name = await reverseGeocodeName(coordinates.lat, coordinates.lon);
-    if (name) locationName = name;
+    const place = await reverseGeocode(coordinates.lat, coordinates.lon);
+    if (place?.name) locationName = place.name;
 
     const locationData = {
       name: locationName,
@@ -335,7 +311,7 @@ const MapTab = ({
       setSelectedLocation(locationData);
     }
     if (setLoading) setLoading(false);
-  }, [setSelectedLocation, setLoading, setError]);
+  }, [setSelectedLocation, setLoading, setError, t]);
 
   // Reset map center after it's been used
   const resetMapCenter = useCallback(() => {
@@ -344,24 +320,32 @@ const MapTab = ({
 
   return (
     <div className={`map-tab ${isDark ? 'theme-dark' : 'theme-light'}`}>
-      {/* Popular Locations */}
+      {/* Favourite Locations */}
       <div className="popular-locations">
-        {popularLocations.map(location => (
+        {favourites.map(location => (
           <button 
-            key={location.name}
+            key={location.id}
             className="location-chip"
-            onClick={() => handleLocationSelect(location.coords)}
+            onClick={() => handleLocationSelect([location.lat, location.lon])}
           >
-            {location.name}
+            ⭐ {location.name}
           </button>
         ))}
+        {favourites.length === 0 && (
+          <span className="popular-locations-empty">{t('locationPicker.mapFavouritesEmpty')}</span>
+        )}
       </div>
 
 
       {/* Map and Selected Location Container */}
       <div className="map-and-location-wrapper">
         {/* Map Container */}
-        <div style={{height: '100%'}} className="map-container">
+        <div
+          style={{height: '100%'}}
+          className="map-container"
+          title={t(currentMapConfig.labelKey)}
+          aria-label={t(currentMapConfig.labelKey)}
+        >
           <MapContainer
             center={[21.0285, 105.8542]} // Default center, will be changed by setView
             zoom={10}
@@ -387,18 +371,19 @@ const MapTab = ({
         {/* Selected Location Display */}
         {selectedLocation && (
           <div className="selected-location sidebar">
-            <h3>Vị Trí Đã Chọn:</h3>
+            <h3>{t('locationPicker.selected')}:</h3>
             <div className="location-info">
-              <p><strong>Tên:</strong> {selectedLocation.name}</p>
-              <p><strong>Vĩ độ:</strong> {selectedLocation.latitude}</p>
-              <p><strong>Kinh độ:</strong> {selectedLocation.longitude}</p>
+              <p><strong>{t('locationPicker.name')}:</strong> {selectedLocation.name}</p>
+              <p><strong>{t('locationPicker.latitude')}:</strong> {selectedLocation.latitude}</p>
+              <p><strong>{t('locationPicker.longitude')}:</strong> {selectedLocation.longitude}</p>
             </div>
+            <FavouriteButton location={selectedLocation} />
             <button 
               className="select-button"
               onClick={onSelectLocation}
               disabled={loading}
             >
-              {loading ? 'Đang xử lý...' : 'Xem Thời Tiết Tại Đây'}
+              {loading ? t('locationPicker.processing') : t('locationPicker.viewWeather')}
             </button>
           </div>
         )}
@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { fetchLocationByName } from '../../services/weatherService';
+import FavouriteButton from '../FavouriteButton';
+import { useLanguage } from '../../contexts/LanguageContext';
 import './NameTab.css';
 
 /**
@@ -16,6 +18,7 @@ const NameTab = ({
   setError,
   onSelectLocation
 }) => {
+  const { t } = useLanguage();
   // Internal state for search
   const [searchQuery, setSearchQuery] = useState('');
   const [searchResults, setSearchResults] = useState([]);
@@ -43,11 +46,11 @@ const NameTab = ({
         
         // If no results, show friendly message
         if (!results || results.length === 0) {
-          setError('Không tìm thấy địa điểm nào phù hợp');
+          setError(t('locationPicker.noMatches'));
         }
       } catch (err) {
         console.error('❌ Search error:', err);
-        setError(err.message || 'Không thể tìm kiếm địa điểm. Vui lòng kiểm tra kết nối mạng.');
+        setError(err.message || t('locationPicker.searchFailed'));
         setSearchResults([]);
       } finally {
         setIsSearching(false);
@@ -56,7 +59,7 @@ const NameTab = ({
 
     // Cleanup timer on query change
     return () => clearTimeout(timer);
-  }, [searchQuery, setError]);
+  }, [searchQuery, setError, t]);
 
   // Handle result selection
   const handleSelectResult = (result) => {
@@ -87,16 +90,16 @@ const NameTab = ({
           <input
             type="text"
             className="search-input"
-            placeholder="Nhập tên thành phố, quốc gia..."
+            placeholder={t('locationPicker.namePlaceholder')}
             value={searchQuery}
             onChange={(e) => setSearchQuery(e.target.value)}
-            aria-label="Tìm kiếm địa điểm theo tên"
+            aria-label={t('locationPicker.nameLabel')}
           />
           {searchQuery && (
             <button 
               className="clear-button"
               onClick={handleClearSearch}
-              aria-label="Xóa tìm kiếm"
+              aria-label={t('locationPicker.clearSearch')}
             >
               ✕
             </button>
@@ -105,7 +108,7 @@ const NameTab = ({
 
         {/* Search hint */}
         {searchQuery.length === 1 && (
-          <p className="search-hint">Nhập ít nhất 2 ký tự để tìm kiếm</p>
+          <p className="search-hint">{t('locationPicker.minChars', { count: 2 })}</p>
         )}
       </div>
 
@@ -113,7 +116,7 @@ const NameTab = ({
       {isSearching && (
         <div className="search-loading">
           <div className="loading-spinner"></div>
-          <p>Đang tìm kiếm...</p>
+          <p>{t('locationPicker.searching')}</p>
         </div>
       )}
 
@@ -132,7 +135,7 @@ const NameTab = ({
                   setTimeout(() => setSearchQuery(searchQuery.trim()), 100);
                 }}
               >
-                🔄 Thử lại
+                🔄 {t('common.retry')}
               </button>
             )}
           </div>
@@ -143,7 +146,7 @@ const NameTab = ({
       {!isSearching && searchResults.length > 0 && (
         <div className="search-results">
           <p className="results-count">
-            Tìm thấy {searchResults.length} kết quả
+            {t('locationPicker.resultCount', { count: searchResults.length })}
           </p>
           <div className="results-list" role="listbox">
             {searchResults.map((result) => (
@@ -174,15 +177,15 @@ const NameTab = ({
       {!isSearching && searchQuery.length >= 2 && searchResults.length === 0 && !error && (
         <div className="no-results">
           <span className="no-results-icon">🔍</span>
-          <p>Không tìm thấy địa điểm nào</p>
-          <p className="no-results-hint">Thử tìm kiếm với từ khóa khác</p>
+          <p>{t('weatherService.noLocationsFound')}</p>
+          <p className="no-results-hint">{t('locationPicker.tryAnother')}</p>
         </div>
       )}
 
       {/* Selected Location Display */}
       {selectedLocation && (
         <div className="selected-location-display">
-          <h4>📍 Địa điểm đã chọn</h4>
+          <h4>📍 {t('locationPicker.selected')}</h4>
           <div className="selected-location-info">
             <p className="location-name">{selectedLocation.name}</p>
             {selectedLocation.admin1 && (
@@ -192,15 +195,16 @@ const NameTab = ({
               <p className="location-region">{selectedLocation.country}</p>
             )}
             <p className="location-coords">
-              Vĩ độ: {selectedLocation.latitude}° | Kinh độ: {selectedLocation.longitude}°
+              {t('locationPicker.latitude')}: {selectedLocation.latitude}° | {t('locationPicker.longitude')}: {selectedLocation.longitude}°
             </p>
           </div>
+          <FavouriteButton location={selectedLocation} />
           <button 
             className="confirm-button"
             onClick={onSelectLocation}
             disabled={!selectedLocation}
           >
-            ✅ Chọn vị trí này
+            ✅ {t('locationPicker.choose')}
           </button>
         </div>
       )}
@@ -209,10 +213,10 @@ const NameTab = ({
       {!searchQuery && !selectedLocation && searchResults.length === 0 && (
         <div className="empty-state">
           <span className="empty-state-icon">🗺️</span>
-          <h3>Tìm kiếm địa điểm</h3>
-          <p>Nhập tên thành phố, quốc gia hoặc địa danh để tìm kiếm</p>
+          <h3>{t('locationPicker.emptyTitle')}</h3>
+          <p>{t('locationPicker.emptyDescription')}</p>
           <div className="search-examples">
-            <p className="examples-title">Ví dụ:</p>
+            <p className="examples-title">{t('locationPicker.examples')}</p>
             <div className="example-chips">
               <span className="example-chip" onClick={() => setSearchQuery('Hà Nội')}>Hà Nội</span>
               <span className="example-chip" onClick={() => setSearchQuery('Paris')}>Paris</span>
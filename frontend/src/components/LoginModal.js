@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import Modal from './common/Modal';
 import authService from '../services/authService';
+import { useLanguage } from '../contexts/LanguageContext';
 import './LoginModal.css';
 
 const LoginModal = ({ isOpen, onClose, onLoginSuccess }) => {
@@ -12,6 +13,7 @@ const LoginModal = ({ isOpen, onClose, onLoginSuccess }) => {
   const [confirmPassword, setConfirmPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  const { t } = useLanguage();
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -35,7 +37,7 @@ const LoginModal = ({ isOpen, onClose, onLoginSuccess }) => {
         }
       } else {
         if (password !== confirmPassword) {
-          setError('Mật khẩu xác nhận không khớp');
+          setError(t('auth.passwordMismatch'));
           setLoading(false);
           return;
         }
@@ -62,7 +64,7 @@ const LoginModal = ({ isOpen, onClose, onLoginSuccess }) => {
       }
       
     } catch (err) {
-      setError(err.response?.data?.message || 'Authentication failed');
+      setError(err.message || t('auth.failed'));
     } finally {
       setLoading(false);
     }
@@ -83,7 +85,7 @@ const LoginModal = ({ isOpen, onClose, onLoginSuccess }) => {
     <Modal
       isOpen={isOpen}
       onClose={handleClose}
-      title={activeTab === 'login' ? 'Weather Dashboard Login' : 'Đăng ký tài khoản'}
+      title={activeTab === 'login' ? t('auth.loginTitle') : t('auth.registerTitle')}
       size="small"
     >
       <div className="login-tabs">
@@ -92,14 +94,14 @@ const LoginModal = ({ isOpen, onClose, onLoginSuccess }) => {
           className={activeTab === 'login' ? 'active' : ''}
           onClick={() => setActiveTab('login')}
         >
-          Đăng nhập
+          {t('auth.login')}
         </button>
         <button
           type="button"
           className={activeTab === 'register' ? 'active' : ''}
           onClick={() => setActiveTab('register')}
         >
-          Đăng ký
+          {t('auth.register')}
         </button>
       </div>
 
@@ -107,10 +109,10 @@ const LoginModal = ({ isOpen, onClose, onLoginSuccess }) => {
         {error && <div className="error-message">{error}</div>}
         {activeTab === 'register' && (
           <div className="form-group">
-            <label>Họ và tên (tuỳ chọn)</label>
+            <label>{t('auth.fullName')}</label>
             <input
               type="text"
-              placeholder="Nhập họ và tên"
+              placeholder={t('auth.fullNamePlaceholder')}
               value={name}
               onChange={(e) => setName(e.target.value)}
             />
@@ -118,10 +120,10 @@ const LoginModal = ({ isOpen, onClose, onLoginSuccess }) => {
         )}
 
         <div className="form-group">
-          <label>Username</label>
+          <label>{t('auth.username')}</label>
           <input
             type="text"
-            placeholder="Nhập username"
+            placeholder={t('auth.usernamePlaceholder')}
             value={username}
             onChange={(e) => setUsername(e.target.value)}
             required
@@ -131,10 +133,10 @@ const LoginModal = ({ isOpen, onClose, onLoginSuccess }) => {
 
         {activeTab === 'register' && (
           <div className="form-group">
-            <label>Email</label>
+            <label>{t('auth.email')}</label>
             <input
               type="email"
-              placeholder="Nhập email"
+              placeholder={t('auth.emailPlaceholder')}
               value={email}
               onChange={(e) => setEmail(e.target.value)}
               required
@@ -143,10 +145,10 @@ const LoginModal = ({ isOpen, onClose, onLoginSuccess }) => {
         )}
 
         <div className="form-group">
-          <label>Password</label>
+          <label>{t('auth.password')}</label>
           <input
             type="password"
-            placeholder="Nhập password"
+            placeholder={t('auth.passwordPlaceholder')}
             value={password}
             onChange={(e) => setPassword(e.target.value)}
             required
@@ -155,10 +157,10 @@ const LoginModal = ({ isOpen, onClose, onLoginSuccess }) => {
 
         {activeTab === 'register' && (
           <div className="form-group">
-            <label>Confirm Password</label>
+            <label>{t('auth.confirmPassword')}</label>
             <input
               type="password"
-              placeholder="Nhập lại password"
+              placeholder={t('auth.confirmPasswordPlaceholder')}
               value={confirmPassword}
               onChange={(e) => setConfirmPassword(e.target.value)}
               required
@@ -167,7 +169,7 @@ const LoginModal = ({ isOpen, onClose, onLoginSuccess }) => {
         )}
 
         <button type="submit" disabled={loading} className="login-submit-button">
-          {loading ? (activeTab === 'login' ? 'Logging in...' : 'Signing up...') : (activeTab === 'login' ? 'Login' : 'Register')}
+          {loading ? (activeTab === 'login' ? t('auth.loggingIn') : t('auth.registering')) : (activeTab === 'login' ? t('auth.login') : t('auth.register'))}
         </button>
 
         {activeTab === 'login' && (
@@ -1,24 +1,24 @@
 import React from 'react';
+import { useLanguage } from '../contexts/LanguageContext';
 import './LoginPrompt.css';
 
 const LoginPrompt = ({ onLoginClick }) => {
+    const { t } = useLanguage();
+
     return (
         <div className="login-prompt">
             <div className="login-prompt-icon">🔒</div>
-            <h3>Đăng nhập để xem nhiều thông tin hơn</h3>
-            <p>
-                Bạn đang xem phiên bản giới hạn với thông tin thời tiết hiện tại.
-                Đăng nhập để truy cập đầy đủ các tính năng:
-            </p>
+            <h3>{t('loginPrompt.title')}</h3>
+            <p>{t('loginPrompt.description')}</p>
             <ul className="prompt-features">
-                <li>📊 Dự báo thời tiết theo giờ</li>
-                <li>📈 Phân tích bất thường</li>
-                <li>💡 Khuyến nghị thông minh</li>
-                <li>🗺️ So sánh địa điểm</li>
-                <li>📰 Tin tức và câu chuyện</li>
+                <li>📊 {t('loginPrompt.features.hourly')}</li>
+                <li>📈 {t('loginPrompt.features.anomaly')}</li>
+                <li>💡 {t('loginPrompt.features.recommendations')}</li>
+                <li>🗺️ {t('loginPrompt.features.comparison')}</li>
+                <li>📰 {t('loginPrompt.features.stories')}</li>
             </ul>
             <button onClick={onLoginClick} className="prompt-login-button">
-                Đăng nhập ngay
+                {t('loginPrompt.loginNow')}
             </button>
         </div>
     );
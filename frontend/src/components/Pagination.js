@@ -1,4 +1,5 @@
 import React from 'react';
+import { useLanguage } from '../contexts/LanguageContext';
 import './Pagination.css';
 
 const Pagination = ({ 
@@ -8,9 +9,11 @@ const Pagination = ({
   itemsPerPage,
   onPageChange,
   showInfo = true,
-  itemName = 'items',
+  itemName,
   className = ''
 }) => {
+  const { t } = useLanguage();
+
   // Don't render if only one page
   if (totalPages <= 1) return null;
 
@@ -79,7 +82,7 @@ const Pagination = ({
     <div className={`pagination-container ${className}`}>
       {showInfo && (
         <div className="pagination-info">
-          Hiển thị {from} - {to} trong tổng {totalItems} {itemName}
+          {t('pagination.info', { from, to, total: totalItems, itemName: itemName || t('pagination.items', { count: totalItems }) })}
         </div>
       )}
       
@@ -88,9 +91,9 @@ const Pagination = ({
           className="pagination-btn"
           onClick={() => handlePageChange(currentPage - 1)}
           disabled={currentPage === 1}
-          aria-label="Previous page"
+          aria-label={t('pagination.previousLabel')}
         >
-          ← Trước
+          ← {t('pagination.previous')}
         </button>
         
         {renderPageNumbers()}
@@ -99,9 +102,9 @@ const Pagination = ({
           className="pagination-btn"
           onClick={() => handlePageChange(currentPage + 1)}
           disabled={currentPage === totalPages}
-          aria-label="Next page"
+          aria-label={t('pagination.nextLabel')}
         >
-          Sau →
+          {t('pagination.next')} →
         </button>
       </div>
     </div>
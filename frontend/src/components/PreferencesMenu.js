@@ -0,0 +1,136 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import { UNITS, LOCALES, REFRESH_INTERVALS } from '../lib/formatting';
+import './PreferencesMenu.css';
+
+// Unit selects shown in the menu, in display order
+const UNIT_FIELDS = [
+    { key: 'temperatureUnit', quantity: 'temperature', labelKey: 'weather.temperature' },
+    { key: 'windSpeedUnit', quantity: 'windSpeed', labelKey: 'weather.windSpeed' },
+    { key: 'precipitationUnit', quantity: 'precipitation', labelKey: 'weather.precipitation' },
+    { key: 'pressureUnit', quantity: 'pressure', labelKey: 'weather.pressure' }
+];
+
+/**
+ * PreferencesMenu Component
+ * Header dropdown to pick the unit system, individual units, time format, locale and dashboard auto-refresh
+ */
+const PreferencesMenu = () => {
+    const { preferences, unitSystem, setPreference, setUnitSystem, formatter } = usePreferences();
+    const { t } = useLanguage();
+    const [isOpen, setIsOpen] = useState(false);
+    const menuRef = useRef(null);
+
+    // Close menu when clicking outside
+    useEffect(() => {
+        const handleClickOutside = (event) => {
+            if (menuRef.current && !menuRef.current.contains(event.target)) {
+                setIsOpen(false);
+            }
+        };
+
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => {
+            document.removeEventListener('mousedown', handleClickOutside);
+        };
+    }, []);
+
+    return (
+        <div className="preferences-menu" ref={menuRef}>
+            <button
+                className="preferences-toggle"
+                onClick={() => setIsOpen(!isOpen)}
+                title={t('preferences.title')}
+            >
+                {formatter.unit('temperature')}
+            </button>
+
+            {isOpen && (
+                <div className="preferences-panel">
+                    <div className="preferences-group">
+                        <span className="preferences-label">{t('preferences.unitSystem')}</span>
+                        <div className="preferences-segmented">
+                            <button
+                                className={unitSystem === 'metric' ? 'active' : ''}
+                                onClick={() => setUnitSystem('metric')}
+                            >
+                                {t('preferences.metric')}
+                            </button>
+                            <button
+                                className={unitSystem === 'imperial' ? 'active' : ''}
+                                onClick={() => setUnitSystem('imperial')}
+                            >
+                                {t('preferences.imperial')}
+                            </button>
+                        </div>
+                    </div>
+
+                    {UNIT_FIELDS.map(field => (
+                        <label key={field.key} className="preferences-group">
+                            <span className="preferences-label">{t(field.labelKey)}</span>
+                            <select
+                                value={preferences[field.key]}
+                                onChange={(e) => setPreference(field.key, e.target.value)}
+                            >
+                                {Object.entries(UNITS[field.quantity]).map(([unit, definition]) => (
+                                    <option key={unit} value={unit}>{definition.label}</option>
+                                ))}
+                            </select>
+                        </label>
+                    ))}
+
+                    <div className="preferences-divider"></div>
+
+                    <div className="preferences-group">
+                        <span className="preferences-label">{t('preferences.timeFormat')}</span>
+                        <div className="preferences-segmented">
+                            <button
+                                className={preferences.timeFormat === '24h' ? 'active' : ''}
+                                onClick={() => setPreference('timeFormat', '24h')}
+                            >
+                                {t('preferences.hours24')}
+                            </button>
+                            <button
+                                className={preferences.timeFormat === '12h' ? 'active' : ''}
+                                onClick={() => setPreference('timeFormat', '12h')}
+                            >
+                                {t('preferences.hours12')}
+                            </button>
+                        </div>
+                    </div>
+
+                    <label className="preferences-group">
+                        <span className="preferences-label">{t('preferences.locale')}</span>
+                        <select
+                            value={preferences.locale}
+                            onChange={(e) => setPreference('locale', e.target.value)}
+                        >
+                            {LOCALES.map(locale => (
+                                <option key={locale.code} value={locale.code}>{locale.label}</option>
+                            ))}
+                        </select>
+                    </label>
+
+                    <div className="preferences-divider"></div>
+
+                    <label className="preferences-group">
+                        <span className="preferences-label">{t('preferences.refreshInterval')}</span>
+                        <select
+                            value={preferences.refreshInterval}
+                            onChange={(e) => setPreference('refreshInterval', Number(e.target.value))}
+                        >
+                            {REFRESH_INTERVALS.map(minutes => (
+                                <option key={minutes} value={minutes}>
+                                    {minutes ? t('preferences.refreshMinutes', { count: minutes }) : t('preferences.refreshOff')}
+                                </option>
+                            ))}
+                        </select>
+                    </label>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PreferencesMenu;
@@ -1,11 +1,16 @@
 import React, { useState, useEffect } from 'react';
 import { fetchRecommendations } from '../services/affiliateService';
+import { getWeatherLabel, getWeatherTag } from '../lib/weatherCodes';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useLanguage } from '../contexts/LanguageContext';
 import './ProductRecommendations.css';
 
 const ProductRecommendations = ({ weatherData }) => {
     const [recommendations, setRecommendations] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
+    const { formatter } = usePreferences();
+    const { t } = useLanguage();
 
     useEffect(() => {
         const loadRecommendations = async () => {
@@ -18,7 +23,8 @@ const ProductRecommendations = ({ weatherData }) => {
                 return;
             }
 
-            const weatherMain = weatherData.current_weather.weather_main;
+            // Product tags come from the weather code; weather_main covers codes missing from the registry
+            const weatherMain = getWeatherTag(weatherData.current_weather.weather_code) || weatherData.current_weather.weather_main;
             const temperature = weatherData.current_weather.temperature;
             
             console.log('Extracted values:', { weatherMain, temperature });
@@ -26,7 +32,7 @@ const ProductRecommendations = ({ weatherData }) => {
             if (!weatherMain) {
                 console.error('weather_main is missing!');
                 setLoading(false);
-                setError('Thiếu thông tin thời tiết');
+                setError('weather_main is missing');
                 return;
             }
 
@@ -55,7 +61,7 @@ const ProductRecommendations = ({ weatherData }) => {
     if (loading) {
         return (
             <div className="product-recommendations">
-                <div className="loading">Đang tải gợi ý sản phẩm...</div>
+                <div className="loading">{t('products.loading')}</div>
             </div>
         );
     }
@@ -63,7 +69,7 @@ const ProductRecommendations = ({ weatherData }) => {
     if (error) {
         return (
             <div className="product-recommendations">
-                <div className="error">Không thể tải gợi ý sản phẩm</div>
+                <div className="error">{t('products.error')}</div>
             </div>
         );
     }
@@ -75,9 +81,12 @@ const ProductRecommendations = ({ weatherData }) => {
     return (
         <div className="product-recommendations">
             <div className="recommendations-header">
-                <h3>🛒 Sản phẩm gợi ý dựa trên thời tiết</h3>
+                <h3>🛒 {t('products.title')}</h3>
                 <p className="recommendations-subtitle">
-                    Phù hợp với thời tiết {weatherData.current_weather.weather_main} và nhiệt độ {Math.round(weatherData.current_weather.temperature)}°C
+                    {t('products.subtitle', {
+                        weather: getWeatherLabel(weatherData.current_weather.weather_code, t, weatherData.current_weather.weather_main).toLowerCase(),
+                        temperature: formatter.temperature(weatherData.current_weather.temperature)
+                    })}
                 </p>
             </div>
             
@@ -109,7 +118,7 @@ const ProductRecommendations = ({ weatherData }) => {
                                 
                                 {product.temp_range.min !== null && product.temp_range.max !== null && (
                                     <div className="temp-range">
-                                        <span>🌡️ {product.temp_range.min}°C - {product.temp_range.max}°C</span>
+                                        <span>🌡️ {formatter.temperature(product.temp_range.min)} - {formatter.temperature(product.temp_range.max)}</span>
                                     </div>
                                 )}
                             </div>
@@ -121,7 +130,7 @@ const ProductRecommendations = ({ weatherData }) => {
                             rel="noopener noreferrer"
                             className="buy-button"
                         >
-                            Mua ngay
+                            {t('products.buyNow')}
                         </a>
                     </div>
                 ))}
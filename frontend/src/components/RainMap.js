@@ -0,0 +1,252 @@
+import React, { useState, useEffect } from 'react';
+import { MapContainer, TileLayer, CircleMarker, Marker, Tooltip } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { fetchBulkWeatherData } from '../services/weatherService';
+import { API_ERROR_TYPES } from '../lib/apiClient';
+import { getWeatherIcon, getWeatherDescription } from '../lib/weatherCodes';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import './RainMap.css';
+
+// Tile layers for light and dark themes
+const tileLayers = {
+    light: {
+        url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+        attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+    },
+    dark: {
+        url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+        attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>',
+    }
+};
+
+// Get marker color based on precipitation (mm)
+const getPrecipitationColor = (precipitation) => {
+    if (precipitation <= 0) return '#b2bec3';  // No rain - Grey
+    if (precipitation < 2.5) return '#74b9ff'; // Light rain
+    if (precipitation < 7.5) return '#0984e3'; // Moderate rain
+    return '#2d3436';                          // Heavy rain
+};
+
+// Get marker radius based on precipitation (mm)
+const getPrecipitationRadius = (precipitation) => {
+    return Math.min(6 + precipitation * 2, 24);
+};
+
+// Get label color based on temperature (°C)
+const getTemperatureColor = (temperature) => {
+    if (temperature < 0) return '#6c5ce7';   // Freezing - Purple
+    if (temperature < 15) return '#0984e3';  // Cold - Blue
+    if (temperature < 25) return '#00b894';  // Mild - Green
+    if (temperature < 32) return '#fdcb6e';  // Warm - Yellow
+    return '#d63031';                        // Hot - Red
+};
+
+// Temperature label rendered as a Leaflet divIcon
+// The colour uses the °C value, the label is already converted to the preferred unit
+const createTemperatureIcon = (temperature, convertedTemperature) => {
+    return L.divIcon({
+        className: 'rain-map-temp-marker',
+        html: `<span style="background-color: ${getTemperatureColor(temperature)};">${Math.round(convertedTemperature)}°</span>`,
+        iconSize: [36, 22],
+        iconAnchor: [18, 11]
+    });
+};
+
+/**
+ * RainMap Component
+ * World map with precipitation and temperature markers for major cities
+ * Data comes from the /weather/bulk endpoint in a single request
+ */
+const RainMap = ({ isDark, onLocationSelect }) => {
+    const { formatter } = usePreferences();
+    const { t } = useLanguage();
+    const [cities, setCities] = useState([]);
+    const [layer, setLayer] = useState('precipitation'); // 'precipitation' | 'temperature'
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [updatedAt, setUpdatedAt] = useState(null);
+
+    useEffect(() => {
+        const controller = new AbortController();
+
+        const loadBulkWeather = async () => {
+            setLoading(true);
+            setError(null);
+
+            try {
+                const response = await fetchBulkWeatherData({ signal: controller.signal });
+                setCities(response.data || []);
+                setUpdatedAt(response.timestamp);
+            } catch (err) {
+                if (err.type === API_ERROR_TYPES.CANCELLED) return;
+                setError(err);
+            } finally {
+                if (!controller.signal.aborted) setLoading(false);
+            }
+        };
+
+        loadBulkWeather();
+
+        return () => {
+            controller.abort();
+        };
+    }, []);
+
+    // Pass the clicked city up in the same shape used by the dashboard
+    const handleCityClick = (city) => {
+        if (onLocationSelect) {
+            onLocationSelect({
+                name: city.name,
+                lat: city.lat,
+                lon: city.lon
+            });
+        }
+    };
+
+    const tileLayer = isDark ? tileLayers.dark : tileLayers.light;
+
+    const renderTooltip = (city) => (
+        <Tooltip direction="top" offset={[0, -8]} opacity={1}>
+            <div className="rain-map-tooltip">
+                <strong>{city.name}, {city.country}</strong><br />
+                <span>🌧️ {t('weather.precipitation')}: {formatter.precipitation(city.precipitation)}</span><br />
+                <span>🌡️ {t('weather.temperature')}: {formatter.temperature(city.temperature)}</span><br />
+                <span>💧 {t('weather.humidity')}: {city.humidity}%</span><br />
+                <span>{getWeatherIcon(city.weather_code, city.is_day)} {getWeatherDescription(city, t)}</span>
+            </div>
+        </Tooltip>
+    );
+
+    return (
+        <div className="map-card rain-map">
+            <div className="rain-map-header">
+                <h2>🌍 {t('rainMap.title')}</h2>
+                <div className="rain-map-layers">
+                    <button
+                        className={`rain-map-layer-button ${layer === 'precipitation' ? 'active' : ''}`}
+                        onClick={() => setLayer('precipitation')}
+                    >
+                        🌧️ {t('weather.precipitation')}
+                    </button>
+                    <button
+                        className={`rain-map-layer-button ${layer === 'temperature' ? 'active' : ''}`}
+                        onClick={() => setLayer('temperature')}
+                    >
+                        🌡️ {t('weather.temperature')}
+                    </button>
+                </div>
+            </div>
+            <p className="map-instruction">
+                {t('rainMap.instruction')}
+            </p>
+
+            <div className="rain-map-container">
+                <MapContainer
+                    center={[20, 100]}
+                    zoom={2}
+                    minZoom={2}
+                    worldCopyJump={true}
+                    className="rain-map-leaflet"
+                >
+                    <TileLayer url={tileLayer.url} attribution={tileLayer.attribution} />
+
+                    {layer === 'precipitation' && cities.map((city) => (
+                        <CircleMarker
+                            key={city.name}
+                            center={[city.lat, city.lon]}
+                            radius={getPrecipitationRadius(city.precipitation)}
+                            pathOptions={{
+                                color: '#ffffff',
+                                weight: 2,
+                                fillColor: getPrecipitationColor(city.precipitation),
+                                fillOpacity: 0.8
+                            }}
+                            eventHandlers={{ click: () => handleCityClick(city) }}
+                        >
+                            {renderTooltip(city)}
+                        </CircleMarker>
+                    ))}
+
+                    {layer === 'temperature' && cities.map((city) => (
+                        <Marker
+                            key={city.name}
+                            position={[city.lat, city.lon]}
+                            icon={createTemperatureIcon(city.temperature, formatter.convert('temperature', city.temperature))}
+                            eventHandlers={{ click: () => handleCityClick(city) }}
+                        >
+                            {renderTooltip(city)}
+                        </Marker>
+                    ))}
+                </MapContainer>
+
+                {loading && (
+                    <div className="rain-map-overlay">
+                        <div className="loading-spinner"></div>
+                        <p>{t('currentWeather.loading')}</p>
+                    </div>
+                )}
+
+                {!loading && error && (
+                    <div className="rain-map-overlay">
+                        <p>⚠️ {error.message || t('rainMap.loadFailed')}</p>
+                    </div>
+                )}
+            </div>
+
+            {/* Legend */}
+            {layer === 'precipitation' ? (
+                <div className="map-legend">
+                    <div className="legend-item">
+                        <span className="rain-map-swatch" style={{ backgroundColor: getPrecipitationColor(0) }}></span>
+                        {t('rainMap.noRain')}
+                    </div>
+                    <div className="legend-item">
+                        <span className="rain-map-swatch" style={{ backgroundColor: getPrecipitationColor(1) }}></span>
+                        &lt; {formatter.precipitation(2.5)}
+                    </div>
+                    <div className="legend-item">
+                        <span className="rain-map-swatch" style={{ backgroundColor: getPrecipitationColor(5) }}></span>
+                        {formatter.number(formatter.convert('precipitation', 2.5), 2)} - {formatter.precipitation(7.5)}
+                    </div>
+                    <div className="legend-item">
+                        <span className="rain-map-swatch" style={{ backgroundColor: getPrecipitationColor(10) }}></span>
+                        &gt; {formatter.precipitation(7.5)}
+                    </div>
+                </div>
+            ) : (
+                <div className="map-legend">
+                    <div className="legend-item">
+                        <span className="rain-map-swatch" style={{ backgroundColor: getTemperatureColor(-1) }}></span>
+                        &lt; {formatter.temperature(0)}
+                    </div>
+                    <div className="legend-item">
+                        <span className="rain-map-swatch" style={{ backgroundColor: getTemperatureColor(10) }}></span>
+                        {formatter.number(formatter.convert('temperature', 0), 2)} - {formatter.temperature(15)}
+                    </div>
+                    <div className="legend-item">
+                        <span className="rain-map-swatch" style={{ backgroundColor: getTemperatureColor(20) }}></span>
+                        {formatter.number(formatter.convert('temperature', 15), 2)} - {formatter.temperature(25)}
+                    </div>
+                    <div className="legend-item">
+                        <span className="rain-map-swatch" style={{ backgroundColor: getTemperatureColor(28) }}></span>
+                        {formatter.number(formatter.convert('temperature', 25), 2)} - {formatter.temperature(32)}
+                    </div>
+                    <div className="legend-item">
+                        <span className="rain-map-swatch" style={{ backgroundColor: getTemperatureColor(35) }}></span>
+                        &gt; {formatter.temperature(32)}
+                    </div>
+                </div>
+            )}
+
+            {updatedAt && (
+                <div className="rain-map-updated">
+                    {t('rainMap.cityCount', { count: cities.length })} · {t('currentWeather.updatedAt', { time: formatter.dateTime(updatedAt) })}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default RainMap;
@@ -1,4 +1,5 @@
 import React from 'react';
+import { useLanguage } from '../contexts/LanguageContext';
 import './Recommendation.css';
 
 /**
@@ -6,12 +7,14 @@ import './Recommendation.css';
  * Displays smart weather-based recommendations to users
  */
 const Recommendation = ({ recommendation }) => {
+    const { t } = useLanguage();
+
     if (!recommendation) {
         return (
             <div className="recommendation-card">
-                <h2 className="section-title">Gợi Ý Thông Minh</h2>
+                <h2 className="section-title">{t('recommendation.title')}</h2>
                 <div className="no-recommendation">
-                    <p>Không có khuyến nghị đặc biệt cho thời tiết hiện tại.</p>
+                    <p>{t('recommendation.empty')}</p>
                 </div>
             </div>
         );
@@ -22,7 +25,7 @@ const Recommendation = ({ recommendation }) => {
 
     return (
         <div className="recommendation-card">
-            <h2 className="section-title">Gợi Ý Thông Minh</h2>
+            <h2 className="section-title">{t('recommendation.title')}</h2>
             
             <div className="recommendation-content">
                 {recommendations.map((item, index) => (
@@ -33,7 +36,7 @@ const Recommendation = ({ recommendation }) => {
             </div>
 
             <div className="recommendation-footer">
-                <small>Dựa trên điều kiện thời tiết hiện tại và dự báo</small>
+                <small>{t('recommendation.footer')}</small>
             </div>
         </div>
     );
@@ -0,0 +1,64 @@
+import React, { useState, useEffect } from 'react';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import './RefreshControl.css';
+
+// How often the "updated ... ago" text is recomputed
+const TICK_INTERVAL = 30 * 1000;
+
+/**
+ * RefreshControl Component
+ * Live "updated 3 minutes ago" text, auto-refresh status and a refresh button for the dashboard
+ */
+const RefreshControl = ({ updatedAt, isRefreshing, hasError, onRefresh }) => {
+    const { preferences, formatter } = usePreferences();
+    const { t } = useLanguage();
+    const [now, setNow] = useState(Date.now());
+
+    // Tick so the relative time stays current on a dashboard left open all day
+    useEffect(() => {
+        setNow(Date.now());
+        const timer = setInterval(() => setNow(Date.now()), TICK_INTERVAL);
+        return () => clearInterval(timer);
+    }, [updatedAt]);
+
+    const { refreshInterval } = preferences;
+    // Under a minute reads better as "just now" than in seconds
+    const updatedText = !updatedAt
+        ? null
+        : now - updatedAt < 60 * 1000
+            ? t('refresh.justNow')
+            : t('refresh.updatedAgo', { time: formatter.relativeTime(updatedAt, now) });
+
+    return (
+        <div className="refresh-control">
+            {updatedText && (
+                <span
+                    className="refresh-updated"
+                    title={t('currentWeather.updatedAt', { time: formatter.dateTime(updatedAt) })}
+                >
+                    🕒 {updatedText}
+                </span>
+            )}
+            {refreshInterval > 0 ? (
+                <span className="refresh-status" title={t('refresh.pauseHint')}>
+                    {t('refresh.every', { count: refreshInterval })}
+                </span>
+            ) : (
+                <span className="refresh-status">{t('refresh.autoOff')}</span>
+            )}
+            {hasError && <span className="refresh-error">⚠️ {t('refresh.failed')}</span>}
+            <button
+                className={`refresh-button ${isRefreshing ? 'refreshing' : ''}`}
+                onClick={onRefresh}
+                disabled={isRefreshing}
+                title={t('refresh.refreshNow')}
+            >
+                <span className="refresh-icon">🔄</span>
+                {isRefreshing ? t('refresh.refreshing') : t('refresh.refresh')}
+            </button>
+        </div>
+    );
+};
+
+export default RefreshControl;
@@ -0,0 +1,220 @@
+import React, { useState, useEffect } from 'react';
+import { getReportHistory, deleteReportFromHistory } from '../services/reportHistoryService';
+import { diffSideBySide, summarizeDiff } from '../lib/textDiff';
+import { getWeatherLabel } from '../lib/weatherCodes';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import './ReportHistory.css';
+
+const MAX_SELECTED = 2;
+
+const isMissing = (value) => value === null || value === undefined || isNaN(Number(value));
+
+// Highest forecast temperature of the stored week; null when there is no forecast
+const getWeekHigh = (weather) => {
+    const highs = (weather.daily_forecast || [])
+        .map(day => day.temperature_2m_max)
+        .filter(value => !isMissing(value));
+    return highs.length ? Math.max(...highs) : null;
+};
+
+// Weather inputs compared between two reports
+// quantity: formatted in the preferred unit, unit: fixed unit, text: compared as text only
+const INPUT_ROWS = [
+    { key: 'temperature', labelKey: 'weather.temperature', quantity: 'temperature', getValue: entry => entry.weather.current_weather?.temperature },
+    { key: 'apparentTemperature', labelKey: 'weather.apparentTemperature', quantity: 'temperature', getValue: entry => entry.weather.current_weather?.apparent_temperature },
+    { key: 'humidity', labelKey: 'weather.humidity', unit: '%', getValue: entry => entry.weather.current_weather?.humidity },
+    { key: 'windSpeed', labelKey: 'weather.windSpeed', quantity: 'windSpeed', getValue: entry => entry.weather.current_weather?.wind_speed },
+    { key: 'precipitation', labelKey: 'weather.precipitation', quantity: 'precipitation', getValue: entry => entry.weather.current_weather?.precipitation },
+    { key: 'weekHigh', labelKey: 'report.history.weekHigh', quantity: 'temperature', getValue: entry => getWeekHigh(entry.weather) },
+    { key: 'condition', labelKey: 'report.history.condition', text: true, getValue: (entry, t) => getWeatherLabel(entry.weather.current_weather?.weather_code, t, '-') },
+    { key: 'anomaly', labelKey: 'anomaly.title', text: true, getValue: (entry, t) => t(entry.weather.anomaly?.is_anomaly ? 'report.history.anomalyDetected' : 'report.history.anomalyNone') },
+    { key: 'source', labelKey: 'report.pdf.source', text: true, getValue: (entry, t) => t(`report.pdf.sources.${entry.source}`) }
+];
+
+/**
+ * ReportDiff Component
+ * Compares two stored reports: the weather they were written from, then the report
+ * text line by line, older on the left and newer on the right
+ */
+const ReportDiff = ({ older, newer }) => {
+    const { formatter } = usePreferences();
+    const { t } = useLanguage();
+
+    const formatInput = (row, value, options) => {
+        if (row.text) return value;
+        if (row.quantity) return formatter[row.quantity](value, options);
+        if (isMissing(value)) return '-';
+        const sign = options?.difference && value > 0 ? '+' : '';
+        return `${sign}${formatter.number(value, 0)}${row.unit}`;
+    };
+
+    const rows = diffSideBySide(older.report, newer.report);
+    const summary = summarizeDiff(rows);
+
+    return (
+        <div className="report-diff">
+            <table className="report-diff-inputs">
+                <thead>
+                    <tr>
+                        <th></th>
+                        <th>{formatter.dateTime(older.generatedAt)}</th>
+                        <th>{formatter.dateTime(newer.generatedAt)}</th>
+                        <th>{t('report.history.change')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {INPUT_ROWS.map(row => {
+                        const before = row.getValue(older, t);
+                        const after = row.getValue(newer, t);
+                        const changed = row.text ? before !== after : !isMissing(before) && !isMissing(after) && before !== after;
+                        const delta = row.text || isMissing(before) || isMissing(after)
+                            ? null
+                            : Math.round((after - before) * 10) / 10;
+                        return (
+                            <tr key={row.key} className={changed ? 'changed' : ''}>
+                                <th>{t(row.labelKey)}</th>
+                                <td>{formatInput(row, before)}</td>
+                                <td>{formatInput(row, after)}</td>
+                                <td className="report-diff-delta">
+                                    {delta !== null && delta !== 0 ? formatInput(row, delta, { difference: true }) : (changed ? '≠' : '')}
+                                </td>
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+
+            <div className="report-diff-summary">
+                {t('report.history.diffSummary', summary)}
+            </div>
+
+            <div className="report-diff-text">
+                {rows.map((row, index) => (
+                    <div key={index} className={`report-diff-row ${row.type}`}>
+                        <div className="report-diff-cell left">
+                            {row.leftParts
+                                ? row.leftParts.map((part, i) => (
+                                    part.changed ? <mark key={i}>{part.text}</mark> : <span key={i}>{part.text}</span>
+                                ))
+                                : row.left}
+                        </div>
+                        <div className="report-diff-cell right">
+                            {row.rightParts
+                                ? row.rightParts.map((part, i) => (
+                                    part.changed ? <mark key={i}>{part.text}</mark> : <span key={i}>{part.text}</span>
+                                ))
+                                : row.right}
+                        </div>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+/**
+ * ReportHistory Component
+ * Lists the reports stored for a location, newest first; picking two of them
+ * shows how the weather and the report changed between them
+ */
+const ReportHistory = ({ location }) => {
+    const [entries, setEntries] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [selectedIds, setSelectedIds] = useState([]);
+    const { formatter } = usePreferences();
+    const { t } = useLanguage();
+
+    useEffect(() => {
+        let isActive = true;
+        setLoading(true);
+        getReportHistory(location.lat, location.lon).then(history => {
+            if (!isActive) return;
+            setEntries(history);
+            // Start with the latest report against the one before it
+            setSelectedIds(history.slice(0, MAX_SELECTED).map(entry => entry.id));
+            setLoading(false);
+        });
+        return () => {
+            isActive = false;
+        };
+    }, [location.lat, location.lon]);
+
+    const toggleSelected = (id) => {
+        setSelectedIds(prev => (
+            prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id].slice(-MAX_SELECTED)
+        ));
+    };
+
+    const handleDelete = async (id) => {
+        const updated = await deleteReportFromHistory(location.lat, location.lon, id);
+        setEntries(updated);
+        setSelectedIds(prev => prev.filter(item => item !== id));
+    };
+
+    if (loading) {
+        return <p className="report-history-empty">{t('common.loading')}</p>;
+    }
+
+    if (entries.length === 0) {
+        return <p className="report-history-empty">{t('report.history.empty')}</p>;
+    }
+
+    // Older report on the left
+    const selected = entries
+        .filter(entry => selectedIds.includes(entry.id))
+        .sort((a, b) => new Date(a.generatedAt) - new Date(b.generatedAt));
+
+    return (
+        <div className="report-history">
+            <p className="report-history-hint">
+                {t('report.history.count', { count: entries.length })} {t('report.history.selectHint')}
+            </p>
+
+            <ul className="report-history-list">
+                {entries.map(entry => {
+                    const isSelected = selectedIds.includes(entry.id);
+                    const current = entry.weather.current_weather;
+                    return (
+                        <li key={entry.id} className={`report-history-item ${isSelected ? 'selected' : ''}`}>
+                            <label>
+                                <input
+                                    type="checkbox"
+                                    checked={isSelected}
+                                    onChange={() => toggleSelected(entry.id)}
+                                />
+                                <span className="report-history-time">{formatter.dateTime(entry.generatedAt)}</span>
+                                <span className={entry.source === 'gemini_ai' ? 'ai-badge' : 'fallback-badge'}>
+                                    {t(`report.pdf.sources.${entry.source}`)}
+                                </span>
+                                {current && (
+                                    <span className="report-history-weather">
+                                        {formatter.temperature(current.temperature)} · {getWeatherLabel(current.weather_code, t, '-')}
+                                    </span>
+                                )}
+                                {entry.weather.anomaly?.is_anomaly && (
+                                    <span className="report-history-anomaly">⚠️ {t('report.history.anomalyDetected')}</span>
+                                )}
+                            </label>
+                            <button
+                                className="report-history-delete"
+                                onClick={() => handleDelete(entry.id)}
+                                title={t('common.delete')}
+                            >
+                                ✕
+                            </button>
+                        </li>
+                    );
+                })}
+            </ul>
+
+            {selected.length === MAX_SELECTED ? (
+                <ReportDiff older={selected[0]} newer={selected[1]} />
+            ) : (
+                <p className="report-history-empty">{t('report.history.pickTwo')}</p>
+            )}
+        </div>
+    );
+};
+
+export default ReportHistory;
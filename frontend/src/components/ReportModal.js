@@ -1,69 +1,187 @@
-import React from 'react';
+import React, { useState } from 'react';
 import ReactMarkdown from 'react-markdown';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import { createReportPdf } from '../lib/reportPdf';
+import { buildExportFileName, downloadBlob } from '../lib/exporters';
+import ReportHistory from './ReportHistory';
 import './ReportModal.css';
 
 /**
  * ReportModal Component
- * Displays detailed weather report in a modal overlay
+ * Displays the detailed weather report in a modal overlay while it is streamed section
+ * by section, with cancel and regenerate, and downloads it as a PDF with a cover page,
+ * the report, forecast and anomaly charts
+ * - report: { status, meta, sections, generatedAt, error } kept by AnomalyDisplay
+ * - the history view compares the reports stored for the location (see ReportHistory)
  */
-const ReportModal = ({ isOpen, onClose, reportData, loading, error }) => {
+const ReportModal = ({ isOpen, onClose, report, onCancel, onRegenerate, location, weatherData }) => {
+    const { formatter } = usePreferences();
+    const { t } = useLanguage();
+    const [isCreatingPdf, setIsCreatingPdf] = useState(false);
+    const [pdfError, setPdfError] = useState(null);
+    const [view, setView] = useState('report');
+
     if (!isOpen) return null;
 
+    const { status, meta, sections, generatedAt, error } = report;
+    const isGenerating = status === 'connecting' || status === 'streaming';
+    const received = sections.length;
+    const expected = Math.max(meta?.expected_sections || 0, received);
+    const reportData = {
+        report: sections.join('\n\n'),
+        source: meta?.source,
+        generated_at: generatedAt
+    };
+
+    // Open on the report next time
+    const handleClose = () => {
+        setView('report');
+        onClose();
+    };
+
+    const handleDownloadPdf = async () => {
+        setIsCreatingPdf(true);
+        setPdfError(null);
+        try {
+            const blob = await createReportPdf({ report: reportData, location, weatherData, t, formatter });
+            downloadBlob(blob, `${buildExportFileName('report', location?.name)}.pdf`);
+        } catch (err) {
+            console.error('PDF report error:', err);
+            setPdfError(t('report.pdf.failed'));
+        } finally {
+            setIsCreatingPdf(false);
+        }
+    };
+
     return (
-        <div className="report-modal-overlay" onClick={onClose}>
+        <div className="report-modal-overlay" onClick={handleClose}>
             <div className="report-modal-content" onClick={(e) => e.stopPropagation()}>
                 {/* Modal Header */}
                 <div className="report-modal-header">
-                    <h2> Báo Cáo Phân Tích Thời Tiết Chi Tiết</h2>
-                    <button className="close-button" onClick={onClose}>
+                    <h2> {t('report.title')}</h2>
+                    <button className="close-button" onClick={handleClose}>
                         ✕
                     </button>
                 </div>
 
+                {/* Report / History switch */}
+                {location && (
+                    <div className="report-modal-views">
+                        {['report', 'history'].map(item => (
+                            <button
+                                key={item}
+                                className={`report-view-button ${view === item ? 'active' : ''}`}
+                                onClick={() => setView(item)}
+                            >
+                                {t(`report.views.${item}`)}
+                            </button>
+                        ))}
+                    </div>
+                )}
+
                 {/* Modal Body */}
                 <div className="report-modal-body">
-                    {loading && (
-                        <div className="loading-state">
-                            <div className="spinner"></div>
-                            <p>Đang tạo báo cáo chi tiết...</p>
-                            <small>Vui lòng đợi 10-15 giây</small>
-                        </div>
-                    )}
+                    {view === 'history' && <ReportHistory location={location} />}
 
-                    {error && (
-                        <div className="error-state">
-                            <span className="error-icon">⚠️</span>
-                            <p>{error}</p>
-                            <button onClick={onClose} className="retry-button">
-                                Đóng
-                            </button>
-                        </div>
-                    )}
+                    {view === 'report' && (
+                        <>
+                            {received === 0 && isGenerating && (
+                                <div className="loading-state">
+                                    <div className="spinner"></div>
+                                    <p>{t('report.generating')}</p>
+                                    <small>{t('report.stream.connecting')}</small>
+                                    <button onClick={onCancel} className="cancel-report-button">
+                                        {t('report.stream.cancel')}
+                                    </button>
+                                </div>
+                            )}
+
+                            {received === 0 && !isGenerating && (
+                                <div className="error-state">
+                                    <span className="error-icon">{status === 'error' ? '⚠️' : '⏹️'}</span>
+                                    <p>{status === 'error' ? error : t('report.stream.cancelled')}</p>
+                                    <div className="report-actions-inline">
+                                        <button onClick={onRegenerate} className="retry-button">
+                                            {t('report.stream.regenerate')}
+                                        </button>
+                                        <button onClick={handleClose} className="close-action-button">
+                                            {t('common.close')}
+                                        </button>
+                                    </div>
+                                </div>
+                            )}
+
+                            {received > 0 && (
+                                <div className="report-content">
+                                    {/* Progress while streaming, generation time once done */}
+                                    <div className="report-source">
+                                        {isGenerating ? (
+                                            <div className="report-progress">
+                                                <span className="report-progress-label">
+                                                    {t('report.stream.progress', { received, total: expected })}
+                                                </span>
+                                                <div className="report-progress-bar">
+                                                    <div
+                                                        className="report-progress-fill"
+                                                        style={{ width: `${Math.round((received / expected) * 100)}%` }}
+                                                    />
+                                                </div>
+                                            </div>
+                                        ) : (
+                                            <span className="timestamp">
+                                                {generatedAt ? formatter.dateTime(generatedAt) : t('report.stream.incomplete')}
+                                            </span>
+                                        )}
+                                        {meta?.source && (
+                                            <span className={meta.source === 'gemini_ai' ? 'ai-badge' : 'fallback-badge'}>
+                                                {t(`report.pdf.sources.${meta.source}`)}
+                                            </span>
+                                        )}
+                                    </div>
+
+                                    {/* Markdown Content, re-rendered as every section arrives */}
+                                    <div className={`markdown-content ${isGenerating ? 'streaming' : ''}`}>
+                                        <ReactMarkdown>{reportData.report}</ReactMarkdown>
+                                    </div>
+
+                                    {status === 'cancelled' && (
+                                        <div className="report-stream-notice">⏹️ {t('report.stream.cancelled')}</div>
+                                    )}
+
+                                    {status === 'error' && (
+                                        <div className="report-pdf-error">⚠️ {error}</div>
+                                    )}
+
+                                    {pdfError && (
+                                        <div className="report-pdf-error">⚠️ {pdfError}</div>
+                                    )}
 
-                    {!loading && !error && reportData && (
-                        <div className="report-content">
-                            {/* Source Indicator */}
-                            <div className="report-source">
-                                <span className="timestamp">
-                                    {new Date(reportData.generated_at).toLocaleString('vi-VN')}
-                                </span>
-                            </div>
-
-                            {/* Markdown Content */}
-                            <div className="markdown-content">
-                                <ReactMarkdown>{reportData.report}</ReactMarkdown>
-                            </div>
-
-                            {/* Footer Actions */}
-                            <div className="report-actions">
-                                <button className="print-button" onClick={() => window.print()}>
-                                    In báo cáo
-                                </button>
-                                <button className="close-action-button" onClick={onClose}>
-                                    Đóng
-                                </button>
-                            </div>
-                        </div>
+                                    {/* Footer Actions */}
+                                    <div className="report-actions">
+                                        {isGenerating ? (
+                                            <button className="cancel-report-button" onClick={onCancel}>
+                                                {t('report.stream.cancel')}
+                                            </button>
+                                        ) : (
+                                            <>
+                                                {status === 'done' && (
+                                                    <button className="pdf-button" onClick={handleDownloadPdf} disabled={isCreatingPdf}>
+                                                        {isCreatingPdf ? t('report.pdf.creating') : t('report.pdf.download')}
+                                                    </button>
+                                                )}
+                                                <button className="regenerate-button" onClick={onRegenerate} disabled={isCreatingPdf}>
+                                                    {t('report.stream.regenerate')}
+                                                </button>
+                                            </>
+                                        )}
+                                        <button className="close-action-button" onClick={handleClose}>
+                                            {t('common.close')}
+                                        </button>
+                                    </div>
+                                </div>
+                            )}
+                        </>
                     )}
                 </div>
             </div>
@@ -1,11 +1,13 @@
 import React, { useState } from 'react';
 import { useTheme } from '../contexts/ThemeContext';
+import { useLanguage } from '../contexts/LanguageContext';
 import LocationPicker from './LocationPicker';
 import Modal from './common/Modal';
 import './SearchModal.css';
 
-const SearchModal = ({ isOpen, onClose, onLocationSelect }) => {
+const SearchModal = ({ isOpen, onClose, onLocationSelect, title }) => {
     const { isDark } = useTheme();
+    const { t } = useLanguage();
     const [selectedLocation, setSelectedLocation] = useState(null);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
@@ -41,7 +43,7 @@ const SearchModal = ({ isOpen, onClose, onLocationSelect }) => {
         <Modal 
             isOpen={isOpen} 
             onClose={handleClose}
-            title="Tìm Kiếm Vị Trí"
+            title={title || t('locationPicker.title')}
             size="large"
             className={`search-modal ${isDark ? 'theme-dark' : 'theme-light'}`}
         >
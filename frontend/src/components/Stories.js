@@ -1,10 +1,14 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import newsService from '../services/newsService';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useLanguage } from '../contexts/LanguageContext';
 import './Stories.css';
 
 const Stories = ({ location }) => {
   const navigate = useNavigate();
+  const { formatter } = usePreferences();
+  const { t } = useLanguage();
   const [stories, setStories] = useState([]);
   const [hotStories, setHotStories] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -48,9 +52,9 @@ const Stories = ({ location }) => {
 
   const getCategoryLabel = (category) => {
     const labels = {
-      'warning': '⚠️ Cảnh báo',
-      'info': 'ℹ️ Thông tin',
-      'normal': '📰 Tin tức'
+      'warning': `⚠️ ${t('stories.categories.warning')}`,
+      'info': `ℹ️ ${t('stories.categories.info')}`,
+      'normal': `📰 ${t('stories.categories.normal')}`
     };
     return labels[category] || category;
   };
@@ -70,45 +74,34 @@ const Stories = ({ location }) => {
   };
 
   const formatPublishedDate = (dateString) => {
-    if (!dateString) return 'Hôm nay';
-    const date = new Date(dateString);
-    return date.toLocaleDateString('vi-VN', {
+    if (!dateString) return t('stories.today');
+    return formatter.date(dateString, {
       day: '2-digit',
       month: '2-digit',
       year: 'numeric'
     });
   };
 
-  const getCurrentTime = () => {
-    const now = new Date();
-    return now.toLocaleString('vi-VN', {
-      hour: '2-digit',
-      minute: '2-digit',
-      second: '2-digit',
-      day: '2-digit',
-      month: '2-digit',
-      year: 'numeric'
-    });
-  };
+  const getCurrentTime = () => formatter.dateTime(new Date());
 
   return (
     <div className="stories-container">
       <div className="stories-header">
         <h2>
           <span className="plus-icon">➕</span>
-          Tin tức & Stories Thời tiết 
+          {t('stories.widgetTitle')}
           {/* tại {location || 'TP.HCM'} */}
         </h2>
         <div className="update-time">
-          Cập nhật lúc: {getCurrentTime()}
+          {t('stories.updatedAt', { time: getCurrentTime() })}
         </div>
       </div>
 
       {/* Stories Section */}
       {loading ? (
-        <div className="loading">Đang tải...</div>
+        <div className="loading">{t('common.loading')}</div>
       ) : storiesToDisplay.length === 0 ? (
-        <div className="no-stories">Chưa có tin tức nào được đăng</div>
+        <div className="no-stories">{t('stories.empty')}</div>
       ) : (
         <div className="hot-section">
           {/* Grid of 5 stories */}
@@ -138,7 +131,7 @@ const Stories = ({ location }) => {
               onClick={() => navigate('/stories')}
             >
               <div className="view-more-icon">➕</div>
-              <div className="view-more-text">Xem Thêm Tin Tức</div>
+              <div className="view-more-text">{t('stories.viewMore')}</div>
             </div>
           </div>
         </div>
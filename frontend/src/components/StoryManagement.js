@@ -1,9 +1,14 @@
 import React, { useState, useEffect } from 'react';
 import newsService from '../services/newsService';
 import Pagination from './Pagination';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useLanguage } from '../contexts/LanguageContext';
 import './StoryManagement.css';
 
 const StoryManagement = () => {
+  const { formatter } = usePreferences();
+  const { t } = useLanguage();
+
   // View state: 'list', 'create', or 'edit'
   const [currentView, setCurrentView] = useState('list');
   const [editingStory, setEditingStory] = useState(null);
@@ -14,7 +19,7 @@ const StoryManagement = () => {
   const [currentStories, setCurrentStories] = useState([]);
   const [loading, setLoading] = useState(false);
   const [loadingStories, setLoadingStories] = useState(false);
-  const [message, setMessage] = useState('');
+  const [message, setMessage] = useState(null); // { type: 'success' | 'error', text }
   
   // Pagination state
   const [currentPage, setCurrentPage] = useState(1);
@@ -49,12 +54,12 @@ const StoryManagement = () => {
 
   const handleSearch = async () => {
     if (!searchTerm.trim()) {
-      setMessage('Vui lòng nhập từ khóa tìm kiếm');
+      setMessage({ type: 'error', text: t('storyManagement.messages.keywordRequired') });
       return;
     }
     
     setLoading(true);
-    setMessage('');
+    setMessage(null);
     try {
       const response = await newsService.searchNews(searchTerm);
       const articles = response.articles || [];
@@ -68,10 +73,10 @@ const StoryManagement = () => {
       
       setArticles(articles);
       if (articles.length === 0) {
-        setMessage('Không tìm thấy bài viết nào');
+        setMessage({ type: 'error', text: t('storyManagement.messages.noResults') });
       }
     } catch (error) {
-      setMessage('Lỗi khi tìm kiếm tin tức');
+      setMessage({ type: 'error', text: t('storyManagement.messages.searchFailed') });
       console.error('Error searching news:', error);
     } finally {
       setLoading(false);
@@ -82,8 +87,8 @@ const StoryManagement = () => {
   const toggleSelectArticle = (article) => {
     // Don't allow selection if article already exists
     if (isArticleExists(article.url)) {
-      setMessage('Bài viết này đã được thêm vào hệ thống!');
-      setTimeout(() => setMessage(''), 3000);
+      setMessage({ type: 'error', text: t('storyManagement.messages.alreadyAdded') });
+      setTimeout(() => setMessage(null), 3000);
       return;
     }
     
@@ -116,7 +121,7 @@ const StoryManagement = () => {
   // Save all selected articles
   const handleSaveAll = async () => {
     if (selectedArticles.length === 0) {
-      setMessage('Chưa có bài viết nào được chọn');
+      setMessage({ type: 'error', text: t('storyManagement.messages.noneSelected') });
       return;
     }
 
@@ -139,7 +144,7 @@ const StoryManagement = () => {
 
       await Promise.all(promises);
       
-      setMessage(`Đã lưu ${selectedArticles.length} bài viết thành công!`);
+      setMessage({ type: 'success', text: t('storyManagement.messages.saved', { count: selectedArticles.length }) });
       setSelectedArticles([]); // Clear selected
       setArticles([]); // Clear search results
       setSearchTerm(''); // Clear search term
@@ -147,11 +152,11 @@ const StoryManagement = () => {
       loadStatistics(); // Reload statistics
       
       setTimeout(() => {
-        setMessage('');
+        setMessage(null);
         setCurrentView('list'); // Navigate back to list view
       }, 2000);
     } catch (error) {
-      setMessage('Lỗi khi lưu bài viết');
+      setMessage({ type: 'error', text: t('storyManagement.messages.saveFailed') });
       console.error('Error saving stories:', error);
     } finally {
       setLoading(false);
@@ -211,18 +216,18 @@ const StoryManagement = () => {
 
   // Delete story
   const handleDeleteStory = async (storyId) => {
-    if (!window.confirm('Bạn có chắc chắn muốn xóa bài viết này?')) {
+    if (!window.confirm(t('storyManagement.deleteConfirm'))) {
       return;
     }
 
     try {
       await newsService.deleteStory(storyId);
-      setMessage('Đã xóa bài viết thành công!');
+      setMessage({ type: 'success', text: t('storyManagement.messages.deleted') });
       loadCurrentStories(currentPage); // Reload current page
       loadStatistics(); // Reload statistics
-      setTimeout(() => setMessage(''), 3000);
+      setTimeout(() => setMessage(null), 3000);
     } catch (error) {
-      setMessage('Lỗi khi xóa bài viết');
+      setMessage({ type: 'error', text: t('storyManagement.messages.deleteFailed') });
       console.error('Error deleting story:', error);
     }
   };
@@ -255,10 +260,13 @@ const StoryManagement = () => {
       loadStatistics();
       loadHotStories();
       
-      setMessage(newValue ? 'Đã đánh dấu Hot!' : 'Đã bỏ đánh dấu Hot!');
-      setTimeout(() => setMessage(''), 2000);
+      setMessage({
+        type: 'success',
+        text: newValue ? t('storyManagement.messages.markedHot') : t('storyManagement.messages.unmarkedHot')
+      });
+      setTimeout(() => setMessage(null), 2000);
     } catch (error) {
-      setMessage('Lỗi khi cập nhật trạng thái');
+      setMessage({ type: 'error', text: t('storyManagement.messages.statusFailed') });
       console.error('Error:', error);
     }
   };
@@ -279,16 +287,16 @@ const StoryManagement = () => {
         category: editingStory.category
       });
       
-      setMessage('Đã cập nhật bài viết thành công!');
+      setMessage({ type: 'success', text: t('storyManagement.messages.updated') });
       loadCurrentStories(currentPage);
       loadStatistics();
       setTimeout(() => {
-        setMessage('');
+        setMessage(null);
         setCurrentView('list');
         setEditingStory(null);
       }, 2000);
     } catch (error) {
-      setMessage('Lỗi khi cập nhật bài viết');
+      setMessage({ type: 'error', text: t('storyManagement.messages.updateFailed') });
       console.error('Error updating story:', error);
     }
   };
@@ -296,17 +304,16 @@ const StoryManagement = () => {
   // Helper functions
   const getCategoryLabel = (category) => {
     const labels = {
-      'warning': '⚠️ Cảnh báo',
-      'info': 'ℹ️ Thông tin',
-      'normal': '📰 Tin tức'
+      'warning': `⚠️ ${t('stories.categories.warning')}`,
+      'info': `ℹ️ ${t('stories.categories.info')}`,
+      'normal': `📰 ${t('stories.categories.normal')}`
     };
     return labels[category] || category;
   };
 
   const formatPublishedDate = (dateString) => {
-    if (!dateString) return 'Chưa có ngày';
-    const date = new Date(dateString);
-    return date.toLocaleDateString('vi-VN', {
+    if (!dateString) return t('storyManagement.noDate');
+    return formatter.date(dateString, {
       day: '2-digit',
       month: '2-digit',
       year: 'numeric'
@@ -321,7 +328,7 @@ const StoryManagement = () => {
   // Render Statistics Section
   const renderStatistics = () => (
     <div className="statistics-section">
-      <h3>📊 Thống kê</h3>
+      <h3>📊 {t('storyManagement.statistics')}</h3>
       <div className="statistics-grid">
         <div 
           className={`stat-card stat-total ${filter === null ? 'active' : ''}`}
@@ -331,7 +338,7 @@ const StoryManagement = () => {
           <div className="stat-icon">📰</div>
           <div className="stat-content">
             <div className="stat-value">{statistics.total}</div>
-            <div className="stat-label">Tổng số bài viết</div>
+            <div className="stat-label">{t('storyManagement.stats.total')}</div>
           </div>
         </div>
         
@@ -343,7 +350,7 @@ const StoryManagement = () => {
           <div className="stat-icon">🔥</div>
           <div className="stat-content">
             <div className="stat-value">{statistics.hot_count}</div>
-            <div className="stat-label">Bài viết Hot</div>
+            <div className="stat-label">{t('storyManagement.stats.hot')}</div>
           </div>
         </div>
         
@@ -355,7 +362,7 @@ const StoryManagement = () => {
           <div className="stat-icon">⚠️</div>
           <div className="stat-content">
             <div className="stat-value">{statistics.by_category.warning}</div>
-            <div className="stat-label">Cảnh báo</div>
+            <div className="stat-label">{t('stories.categories.warning')}</div>
           </div>
         </div>
         
@@ -367,7 +374,7 @@ const StoryManagement = () => {
           <div className="stat-icon">ℹ️</div>
           <div className="stat-content">
             <div className="stat-value">{statistics.by_category.info}</div>
-            <div className="stat-label">Thông tin</div>
+            <div className="stat-label">{t('stories.categories.info')}</div>
           </div>
         </div>
         
@@ -379,7 +386,7 @@ const StoryManagement = () => {
           <div className="stat-icon">📝</div>
           <div className="stat-content">
             <div className="stat-value">{statistics.by_category.normal}</div>
-            <div className="stat-label">Tin tức</div>
+            <div className="stat-label">{t('stories.categories.normal')}</div>
           </div>
         </div>
       </div>
@@ -389,10 +396,10 @@ const StoryManagement = () => {
   // Render Hot Stories Section
   const renderHotStoriesSection = () => (
     <div className="hot-stories-section">
-      <h3>🔥 Bài viết Hot</h3>
+      <h3>🔥 {t('storyManagement.stats.hot')}</h3>
       {hotStories.length === 0 ? (
         <div className="no-hot-stories">
-          <p>Chưa có bài viết Hot nào</p>
+          <p>{t('storyManagement.noHotStories')}</p>
         </div>
       ) : (
         <div className="hot-stories-list">
@@ -420,7 +427,7 @@ const StoryManagement = () => {
                 <button
                   className="hot-toggle active"
                   onClick={() => toggleHotStatus(story.id)}
-                  title="Bỏ đánh dấu Hot"
+                  title={t('storyManagement.unmarkHot')}
                 >
                   🔥 Hot
                 </button>
@@ -428,7 +435,7 @@ const StoryManagement = () => {
                   className="delete-story-button"
                   onClick={() => handleDeleteStory(story.id)}
                 >
-                  🗑️ Xóa
+                  🗑️ {t('common.delete')}
                 </button>
               </div>
             </div>
@@ -443,19 +450,19 @@ const StoryManagement = () => {
     <div className="story-list-view">
       {/* Header with Create Button */}
       <div className="view-header">
-        <h2>📋 Danh sách bài viết</h2>
+        <h2>📋 {t('storyManagement.listTitle')}</h2>
         <button 
           className="create-story-button"
           onClick={() => setCurrentView('create')}
         >
-          ➕ Tạo bài viết mới
+          ➕ {t('storyManagement.create')}
         </button>
       </div>
 
       {/* Message */}
       {message && (
-        <div className={`message ${message.includes('thành công') ? 'success' : 'error'}`}>
-          {message}
+        <div className={`message ${message.type}`}>
+          {message.text}
         </div>
       )}
 
@@ -464,25 +471,21 @@ const StoryManagement = () => {
 
       {/* Current Stories List */}
       {loadingStories ? (
-        <div className="loading">Đang tải...</div>
+        <div className="loading">{t('common.loading')}</div>
       ) : currentStories.length === 0 ? (
         <div className="no-stories">
-          <p>Chưa có bài viết nào</p>
+          <p>{t('storyManagement.empty')}</p>
           <button 
             className="create-story-button-alt"
             onClick={() => setCurrentView('create')}
           >
-            ➕ Tạo bài viết đầu tiên
+            ➕ {t('storyManagement.createFirst')}
           </button>
         </div>
       ) : (
         <>
           <h3 style={{ marginTop: '30px', marginBottom: '20px', color: '#333' }}>
-            📰 {filter === null ? 'Tất cả bài viết' : 
-                filter === 'hot' ? 'Bài viết Hot' :
-                filter === 'warning' ? 'Bài viết Cảnh báo' :
-                filter === 'info' ? 'Bài viết Thông tin' :
-                'Bài viết Tin tức'}
+            📰 {t(`storyManagement.filters.${filter || 'all'}`)}
             {filter && (
               <button 
                 className="clear-filter-btn"
@@ -498,7 +501,7 @@ const StoryManagement = () => {
                   cursor: 'pointer'
                 }}
               >
-                ✕ Xóa bộ lọc
+                ✕ {t('storyManagement.clearFilter')}
               </button>
             )}
           </h3>
@@ -531,13 +534,13 @@ const StoryManagement = () => {
                     className="edit-story-button"
                     onClick={() => handleEditStory(story)}
                   >
-                    ✏️ Chỉnh sửa
+                    ✏️ {t('common.edit')}
                   </button>
                   <button
                     className="delete-story-button"
                     onClick={() => handleDeleteStory(story.id)}
                   >
-                    🗑️ Xóa
+                    🗑️ {t('common.delete')}
                   </button>
                 </div>
               </div>
@@ -551,7 +554,7 @@ const StoryManagement = () => {
             totalItems={pagination.total}
             itemsPerPage={pagination.per_page}
             onPageChange={handlePageChange}
-            itemName="bài viết"
+            itemName={t('storyManagement.articles', { count: pagination.total })}
           />
         </>
       )}
@@ -570,12 +573,12 @@ const StoryManagement = () => {
             setArticles([]);
             setSelectedArticles([]);
             setSearchTerm('');
-            setMessage('');
+            setMessage(null);
           }}
         >
-          ← Quay lại danh sách
+          ← {t('storyManagement.backToList')}
         </button>
-        <h2>➕ Tạo bài viết mới</h2>
+        <h2>➕ {t('storyManagement.create')}</h2>
       </div>
 
       {/* Search Section */}
@@ -583,18 +586,18 @@ const StoryManagement = () => {
         <div className="search-box">
           <input
             type="text"
-            placeholder="Nhập từ khóa tìm kiếm tin tức..."
+            placeholder={t('storyManagement.searchPlaceholder')}
             value={searchTerm}
             onChange={(e) => setSearchTerm(e.target.value)}
             onKeyPress={(e) => e.key === 'Enter' && handleSearch()}
           />
           <button onClick={handleSearch} disabled={loading}>
-            {loading ? 'Đang tìm...' : '🔍 Tìm kiếm'}
+            {loading ? t('storyManagement.searching') : `🔍 ${t('storyManagement.search')}`}
           </button>
         </div>
         {message && (
-          <div className={`message ${message.includes('thành công') ? 'success' : 'error'}`}>
-            {message}
+          <div className={`message ${message.type}`}>
+            {message.text}
           </div>
         )}
       </div>
@@ -602,7 +605,7 @@ const StoryManagement = () => {
       {/* Search Results */}
       {articles.length > 0 && (
         <div className="search-results-section">
-          <h3>Kết quả tìm kiếm ({articles.length})</h3>
+          <h3>{t('storyManagement.results', { count: articles.length })}</h3>
           <div className="articles-list">
             {articles.map((article, index) => {
               const isSelected = isArticleSelected(article.url);
@@ -622,13 +625,13 @@ const StoryManagement = () => {
                     <div className="article-footer">
                       <span className="article-source">{article.source?.name}</span>
                       <span className="article-date">
-                        {new Date(article.publishedAt).toLocaleDateString('vi-VN')}
+                        {formatter.date(article.publishedAt, { day: '2-digit', month: '2-digit', year: 'numeric' })}
                       </span>
                       {isSelected && (
-                        <span className="selected-badge">✓ Đã chọn</span>
+                        <span className="selected-badge">✓ {t('storyManagement.selected')}</span>
                       )}
                       {isExists && (
-                        <span className="exists-badge">✓ Đã thêm</span>
+                        <span className="exists-badge">✓ {t('storyManagement.added')}</span>
                       )}
                     </div>
                   </div>
@@ -642,7 +645,7 @@ const StoryManagement = () => {
       {/* Selected Articles Section */}
       {selectedArticles.length > 0 && (
         <div className="selected-section">
-          <h3>Bài viết đã chọn ({selectedArticles.length})</h3>
+          <h3>{t('storyManagement.selectedTitle', { count: selectedArticles.length })}</h3>
           <div className="selected-list">
             {selectedArticles.map((article, index) => (
               <div key={index} className="selected-item">
@@ -656,9 +659,9 @@ const StoryManagement = () => {
                     onChange={(e) => updateCategory(article.url, e.target.value)}
                     className="category-select"
                   >
-                    <option value="normal">📰 Tin tức</option>
-                    <option value="info">ℹ️ Thông tin</option>
-                    <option value="warning">⚠️ Cảnh báo</option>
+                    <option value="normal">{getCategoryLabel('normal')}</option>
+                    <option value="info">{getCategoryLabel('info')}</option>
+                    <option value="warning">{getCategoryLabel('warning')}</option>
                   </select>
                   <button
                     className="remove-button"
@@ -676,7 +679,7 @@ const StoryManagement = () => {
               onClick={handleSaveAll}
               disabled={loading}
             >
-              {loading ? 'Đang lưu...' : `💾 Lưu ${selectedArticles.length} bài viết`}
+              {loading ? t('storyManagement.saving') : `💾 ${t('storyManagement.saveCount', { count: selectedArticles.length })}`}
             </button>
           </div>
         </div>
@@ -695,14 +698,14 @@ const StoryManagement = () => {
             setEditingStory(null);
           }}
         >
-          ← Quay lại danh sách
+          ← {t('storyManagement.backToList')}
         </button>
-        <h2>✏️ Chỉnh sửa bài viết</h2>
+        <h2>✏️ {t('storyManagement.editTitle')}</h2>
       </div>
 
       {message && (
-        <div className={`message ${message.includes('thành công') ? 'success' : 'error'}`}>
-          {message}
+        <div className={`message ${message.type}`}>
+          {message.text}
         </div>
       )}
 
@@ -735,12 +738,12 @@ const StoryManagement = () => {
                   is_hot: e.target.checked
                 })}
               />
-              🔥 Đánh dấu là Hot Story
+              🔥 {t('storyManagement.markHot')}
             </label>
           </div>
 
           <div className="form-section">
-            <label>Phân loại:</label>
+            <label>{t('storyManagement.category')}:</label>
             <select
               value={editingStory.category}
               onChange={(e) => setEditingStory({
@@ -749,9 +752,9 @@ const StoryManagement = () => {
               })}
               className="category-select-edit"
             >
-              <option value="normal">📰 Tin tức</option>
-              <option value="info">ℹ️ Thông tin</option>
-              <option value="warning">⚠️ Cảnh báo</option>
+              <option value="normal">{getCategoryLabel('normal')}</option>
+              <option value="info">{getCategoryLabel('info')}</option>
+              <option value="warning">{getCategoryLabel('warning')}</option>
             </select>
           </div>
 
@@ -760,7 +763,7 @@ const StoryManagement = () => {
               className="save-button"
               onClick={handleUpdateStory}
             >
-              💾 Lưu thay đổi
+              💾 {t('storyManagement.saveChanges')}
             </button>
             <button 
               className="cancel-button"
@@ -769,7 +772,7 @@ const StoryManagement = () => {
                 setEditingStory(null);
               }}
             >
-              ❌ Hủy
+              ❌ {t('common.cancel')}
             </button>
           </div>
         </div>
@@ -0,0 +1,299 @@
+import React, { useState } from 'react';
+import { Line } from 'react-chartjs-2';
+import {
+    Chart as ChartJS,
+    CategoryScale,
+    LinearScale,
+    PointElement,
+    LineElement,
+    BarElement,
+    BarController,
+    Tooltip,
+    Legend
+} from 'chart.js';
+import { useTheme } from '../contexts/ThemeContext';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import './WeatherHistoryChart.css';
+
+// Register Chart.js components
+ChartJS.register(
+    CategoryScale,
+    LinearScale,
+    PointElement,
+    LineElement,
+    BarElement,
+    BarController,
+    Tooltip,
+    Legend
+);
+
+// Metrics that can be charted, one at a time
+const HISTORY_METRICS = [
+    { key: 'temperature', labelKey: 'weather.temperature' },
+    { key: 'precipitation', labelKey: 'weather.precipitation' },
+    { key: 'pressure', labelKey: 'weather.pressure' }
+];
+
+// Temperature series, drawn with the same colors for observed and forecast days
+const TEMPERATURE_SERIES = [
+    { key: 'temperature_2m_max', labelKey: 'weather.maxTemperature', color: '255, 99, 71' },
+    { key: 'temperature_2m_mean', labelKey: 'history.mean', color: '102, 126, 234' },
+    { key: 'temperature_2m_min', labelKey: 'weather.minTemperature', color: '33, 150, 243' }
+];
+
+// Daily precipitation (mm) from which a day counts as rainy
+const RAINY_DAY_THRESHOLD = 1;
+
+// Shades the forecast days and labels them at the top of the chart area
+const forecastRegionPlugin = {
+    id: 'forecastRegion',
+    beforeDatasetsDraw(chart, args, options) {
+        const { ctx, chartArea, scales: { x } } = chart;
+        const count = chart.data.labels.length;
+        if (!chartArea || !x || options.startIndex === null || options.startIndex >= count) return;
+
+        const step = count > 1 ? x.getPixelForValue(1) - x.getPixelForValue(0) : chartArea.width;
+        const left = Math.max(x.getPixelForValue(options.startIndex) - step / 2, chartArea.left);
+
+        ctx.save();
+        ctx.fillStyle = options.color;
+        ctx.fillRect(left, chartArea.top, chartArea.right - left, chartArea.height);
+
+        ctx.strokeStyle = options.lineColor;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(left, chartArea.top);
+        ctx.lineTo(left, chartArea.bottom);
+        ctx.stroke();
+
+        ctx.fillStyle = options.lineColor;
+        ctx.font = '600 12px sans-serif';
+        ctx.textBaseline = 'top';
+        ctx.fillText(options.label, left + 6, chartArea.top + 6);
+        ctx.restore();
+    }
+};
+
+// Highest, lowest and summed values over the observed days; null when there is no value
+const maxOf = (values) => (values.length ? Math.max(...values) : null);
+const minOf = (values) => (values.length ? Math.min(...values) : null);
+const valuesOf = (days, key) => days.map(day => day[key]).filter(value => value !== null && value !== undefined);
+
+/**
+ * WeatherHistoryChart Component
+ * Charts the observed daily temperature, precipitation and pressure of the past 30 days
+ * followed by the forecast days, with the anomaly baseline over the temperatures
+ */
+const WeatherHistoryChart = ({ history, forecast, baseline }) => {
+    const [metric, setMetric] = useState('temperature');
+    const { isDark } = useTheme();
+    const { formatter } = usePreferences();
+    const { t } = useLanguage();
+
+    if (!history || history.length === 0) {
+        return (
+            <p className="history-empty">{t('history.unavailable')}</p>
+        );
+    }
+
+    const forecastDays = forecast || [];
+    const days = [...history, ...forecastDays];
+    const forecastStart = forecastDays.length ? history.length : null;
+    const isForecast = (index) => forecastStart !== null && index >= forecastStart;
+
+    // Forecast days are drawn dashed
+    const forecastSegment = {
+        borderDash: (context) => (isForecast(context.p1DataIndex) ? [6, 4] : undefined)
+    };
+
+    const buildDatasets = () => {
+        if (metric === 'precipitation') {
+            return [{
+                type: 'bar',
+                label: `${t('weather.precipitation')} (${formatter.unit('precipitation')})`,
+                data: days.map(day => formatter.convert('precipitation', day.precipitation_sum)),
+                backgroundColor: days.map((day, index) => (
+                    isForecast(index) ? 'rgba(135, 206, 235, 0.35)' : 'rgba(33, 150, 243, 0.7)'
+                )),
+                borderColor: 'rgba(33, 150, 243, 1)',
+                borderWidth: 1
+            }];
+        }
+
+        if (metric === 'pressure') {
+            return [{
+                label: `${t('weather.pressure')} (${formatter.unit('pressure')})`,
+                data: days.map(day => formatter.convert('pressure', day.pressure_msl_mean)),
+                borderColor: 'rgb(156, 39, 176)',
+                backgroundColor: 'rgba(156, 39, 176, 0.2)',
+                tension: 0.3,
+                pointRadius: 2,
+                spanGaps: true,
+                segment: forecastSegment
+            }];
+        }
+
+        const temperatures = TEMPERATURE_SERIES.map(item => ({
+            label: t(item.labelKey),
+            data: days.map(day => formatter.convert('temperature', day[item.key])),
+            borderColor: `rgb(${item.color})`,
+            backgroundColor: `rgba(${item.color}, 0.2)`,
+            borderWidth: item.key === 'temperature_2m_mean' ? 2.5 : 1.5,
+            tension: 0.3,
+            pointRadius: 2,
+            pointHoverRadius: 5,
+            spanGaps: true,
+            segment: forecastSegment
+        }));
+
+        if (baseline === null || baseline === undefined) return temperatures;
+
+        return [
+            ...temperatures,
+            {
+                label: t('history.baseline'),
+                data: days.map(() => formatter.convert('temperature', baseline)),
+                borderColor: isDark ? 'rgba(255, 255, 255, 0.7)' : 'rgba(0, 0, 0, 0.6)',
+                borderDash: [10, 5],
+                borderWidth: 1.5,
+                pointRadius: 0,
+                pointHoverRadius: 0
+            }
+        ];
+    };
+
+    // Degrees stick to the number, other units are spaced
+    const unitLabel = formatter.unit(metric);
+    const unit = unitLabel.startsWith('°') ? unitLabel : ` ${unitLabel}`;
+    const textColor = isDark ? 'rgba(255, 255, 255, 0.8)' : 'rgba(0, 0, 0, 0.8)';
+    const gridColor = isDark ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
+
+    const chartData = {
+        labels: days.map(day => formatter.date(day.date)),
+        datasets: buildDatasets()
+    };
+
+    const chartOptions = {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: {
+            mode: 'index',
+            intersect: false
+        },
+        plugins: {
+            legend: {
+                position: 'top',
+                labels: {
+                    color: textColor,
+                    usePointStyle: true,
+                    boxWidth: 8,
+                    font: {
+                        size: 12
+                    }
+                }
+            },
+            tooltip: {
+                backgroundColor: isDark ? 'rgba(0, 0, 0, 0.9)' : 'rgba(255, 255, 255, 0.9)',
+                titleColor: isDark ? 'white' : 'black',
+                bodyColor: isDark ? 'white' : 'black',
+                borderColor: isDark ? 'rgba(255, 255, 255, 0.2)' : 'rgba(0, 0, 0, 0.2)',
+                borderWidth: 1,
+                padding: 12,
+                callbacks: {
+                    title: function(items) {
+                        if (!items.length) return '';
+                        const index = items[0].dataIndex;
+                        const date = formatter.day(days[index].date, 'long');
+                        return isForecast(index) ? `${date} (${t('history.forecast')})` : date;
+                    },
+                    label: function(context) {
+                        const label = context.dataset.label.replace(/ \(.*\)$/, '');
+                        return `${label}: ${context.parsed.y}${unit}`;
+                    }
+                }
+            },
+            forecastRegion: {
+                startIndex: forecastStart,
+                label: t('history.forecast'),
+                color: isDark ? 'rgba(255, 255, 255, 0.05)' : 'rgba(0, 0, 0, 0.04)',
+                lineColor: textColor
+            }
+        },
+        scales: {
+            x: {
+                grid: {
+                    display: false
+                },
+                ticks: {
+                    color: textColor,
+                    autoSkip: true,
+                    maxTicksLimit: 14,
+                    maxRotation: 45,
+                    minRotation: 45
+                }
+            },
+            y: {
+                beginAtZero: metric === 'precipitation',
+                grid: {
+                    color: gridColor
+                },
+                ticks: {
+                    color: textColor,
+                    callback: function(value) {
+                        return `${value}${unit}`;
+                    }
+                }
+            }
+        }
+    };
+
+    // Summary of the observed days only
+    const maxTemperatures = valuesOf(history, 'temperature_2m_max');
+    const minTemperatures = valuesOf(history, 'temperature_2m_min');
+    const precipitation = valuesOf(history, 'precipitation_sum');
+    const summary = [
+        { key: 'highest', value: formatter.temperature(maxOf(maxTemperatures)) },
+        { key: 'lowest', value: formatter.temperature(minOf(minTemperatures)) },
+        { key: 'totalPrecipitation', value: formatter.precipitation(precipitation.reduce((sum, value) => sum + value, 0)) },
+        { key: 'rainyDays', value: precipitation.filter(value => value >= RAINY_DAY_THRESHOLD).length }
+    ];
+
+    return (
+        <div className="weather-history">
+            <div className="history-metric-buttons">
+                {HISTORY_METRICS.map(item => (
+                    <button
+                        key={item.key}
+                        className={`history-metric-button ${metric === item.key ? 'active' : ''}`}
+                        onClick={() => setMetric(item.key)}
+                    >
+                        {t(item.labelKey)}
+                    </button>
+                ))}
+            </div>
+
+            <div className="history-chart-container">
+                <Line data={chartData} options={chartOptions} plugins={[forecastRegionPlugin]} />
+            </div>
+
+            <div className="history-summary">
+                {summary.map(item => (
+                    <div key={item.key} className="history-summary-item">
+                        <span className="history-summary-label">{t(`history.summary.${item.key}`)}</span>
+                        <span className="history-summary-value">{item.value}</span>
+                    </div>
+                ))}
+                {baseline !== null && baseline !== undefined && (
+                    <div className="history-summary-item">
+                        <span className="history-summary-label">{t('history.baseline')}</span>
+                        <span className="history-summary-value">{formatter.temperature(baseline)}</span>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default WeatherHistoryChart;
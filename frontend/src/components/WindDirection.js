@@ -0,0 +1,40 @@
+import React from 'react';
+import { getCompassPoint, getBeaufort } from '../lib/wind';
+import { useLanguage } from '../contexts/LanguageContext';
+import './WindDirection.css';
+
+/**
+ * WindDirection Component
+ * Compass arrow pointing where the wind blows to, with the compass point it blows from
+ * and, when `speed` (km/h) is given, its Beaufort force.
+ */
+const WindDirection = ({ degrees, speed }) => {
+    const { t } = useLanguage();
+    const point = getCompassPoint(degrees);
+    const beaufort = getBeaufort(speed);
+
+    if (!point) return null;
+
+    return (
+        <span className="wind-direction">
+            <span
+                className="wind-arrow"
+                style={{ transform: `rotate(${degrees + 180}deg)` }}
+                title={t('wind.from', { direction: t(`wind.compass.${point.id}`), degrees: Math.round(degrees) })}
+                aria-hidden="true"
+            >
+                ↑
+            </span>
+            <span className="wind-compass">
+                {t(`wind.compass.${point.id}`)} <small>{Math.round(degrees)}°</small>
+            </span>
+            {beaufort && (
+                <span className={`wind-beaufort force-${Math.min(beaufort.force, 8)}`}>
+                    {t('wind.beaufortLevel', { force: beaufort.force, name: t(`wind.beaufort.${beaufort.force}`) })}
+                </span>
+            )}
+        </span>
+    );
+};
+
+export default WindDirection;
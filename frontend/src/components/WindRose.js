@@ -0,0 +1,196 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { select, scaleBand, scaleRadial, stack, arc } from 'd3';
+import { WIND_ROSE_BANDS, buildWindRose, getBeaufort } from '../lib/wind';
+import { useTheme } from '../contexts/ThemeContext';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import WindDirection from './WindDirection';
+import './WindRose.css';
+
+// Days the rose is drawn from
+const WIND_ROSE_SOURCES = ['all', 'history', 'forecast'];
+
+// Chart geometry (SVG units), centered on the origin
+const SIZE = 360;
+const INNER_RADIUS = 28;
+const OUTER_RADIUS = SIZE / 2 - 34;
+
+// Compass points labelled around the rose
+const LABELLED_POINTS = ['N', 'E', 'S', 'W'];
+
+/**
+ * WindRose Component
+ * d3 wind rose of the daily dominant wind direction, one stacked petal per compass point
+ * split by Beaufort speed band, for the past 30 days, the forecast days or both.
+ */
+const WindRose = ({ history, forecast }) => {
+    const svgRef = useRef(null);
+    const [source, setSource] = useState('all');
+    const { isDark } = useTheme();
+    const { formatter } = usePreferences();
+    const { t } = useLanguage();
+
+    // Recomputed only when the data or the source changes, so the chart is not redrawn on every render
+    const { rose, meanSpeed } = useMemo(() => {
+        const days = [
+            ...(source !== 'forecast' ? history || [] : []),
+            ...(source !== 'history' ? forecast || [] : [])
+        ];
+        const windDays = days.filter(day => typeof day.windspeed_10m_max === 'number');
+
+        return {
+            rose: buildWindRose(days),
+            meanSpeed: windDays.length > 0
+                ? windDays.reduce((sum, day) => sum + day.windspeed_10m_max, 0) / windDays.length
+                : null
+        };
+    }, [history, forecast, source]);
+
+    useEffect(() => {
+        const svg = select(svgRef.current);
+        svg.selectAll('*').remove();
+        if (rose.total === 0) return;
+
+        const textColor = isDark ? 'rgba(255, 255, 255, 0.8)' : 'rgba(0, 0, 0, 0.7)';
+        const gridColor = isDark ? 'rgba(255, 255, 255, 0.15)' : 'rgba(0, 0, 0, 0.12)';
+
+        // Petals are centered on their compass point
+        const angle = scaleBand()
+            .domain(rose.sectors.map(sector => sector.id))
+            .range([0, 2 * Math.PI])
+            .align(0);
+        const offset = angle.bandwidth() / 2;
+
+        const maxShare = Math.max(...rose.sectors.map(sector => sector.total)) / rose.total;
+        const radius = scaleRadial()
+            .domain([0, maxShare])
+            .range([INNER_RADIUS, OUTER_RADIUS]);
+
+        const series = stack()
+            .keys(WIND_ROSE_BANDS.map(band => band.id))
+            .value((sector, key) => sector[key] / rose.total)(rose.sectors);
+
+        const chart = svg.append('g');
+
+        // Frequency rings
+        const rings = radius.ticks(4).filter(tick => tick > 0);
+        const ring = chart.append('g')
+            .selectAll('g')
+            .data(rings)
+            .join('g');
+        ring.append('circle')
+            .attr('r', radius)
+            .attr('fill', 'none')
+            .attr('stroke', gridColor);
+        ring.append('text')
+            .attr('x', 4)
+            .attr('y', tick => -radius(tick) - 2)
+            .attr('fill', textColor)
+            .attr('font-size', 10)
+            .text(tick => `${Math.round(tick * 100)}%`);
+
+        // Petals
+        const petal = arc()
+            .innerRadius(segment => radius(segment[0]))
+            .outerRadius(segment => radius(segment[1]))
+            .startAngle(segment => angle(segment.data.id) - offset)
+            .endAngle(segment => angle(segment.data.id) + offset)
+            .padAngle(0.03)
+            .padRadius(INNER_RADIUS);
+
+        chart.append('g')
+            .selectAll('g')
+            .data(series)
+            .join('g')
+            .attr('fill', layer => WIND_ROSE_BANDS.find(band => band.id === layer.key).color)
+            .selectAll('path')
+            .data(layer => layer.map(segment => Object.assign(segment, { key: layer.key })))
+            .join('path')
+            .attr('d', petal)
+            .append('title')
+            .text(segment => t('wind.rose.petalTooltip', {
+                direction: t(`wind.compass.${segment.data.id}`),
+                band: t(`wind.bands.${segment.key}`),
+                count: segment.data[segment.key]
+            }));
+
+        // Cardinal labels
+        chart.append('g')
+            .selectAll('text')
+            .data(rose.sectors.filter(sector => LABELLED_POINTS.includes(sector.id)))
+            .join('text')
+            .attr('x', sector => Math.sin(angle(sector.id)) * (OUTER_RADIUS + 18))
+            .attr('y', sector => -Math.cos(angle(sector.id)) * (OUTER_RADIUS + 18))
+            .attr('text-anchor', 'middle')
+            .attr('dominant-baseline', 'middle')
+            .attr('fill', textColor)
+            .attr('font-size', 14)
+            .attr('font-weight', 600)
+            .text(sector => t(`wind.compass.${sector.id}`));
+    }, [rose, isDark, t]);
+
+    const beaufort = getBeaufort(meanSpeed);
+
+    return (
+        <div className="wind-rose">
+            <div className="wind-rose-header">
+                <h3>🧭 {t('wind.rose.title')}</h3>
+                <div className="wind-rose-sources">
+                    {WIND_ROSE_SOURCES.map(item => (
+                        <button
+                            key={item}
+                            className={`wind-rose-source ${source === item ? 'active' : ''}`}
+                            onClick={() => setSource(item)}
+                        >
+                            {t(`wind.rose.sources.${item}`)}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {rose.total === 0 ? (
+                <p className="wind-rose-empty">{t('wind.rose.empty')}</p>
+            ) : (
+                <div className="wind-rose-body">
+                    <svg
+                        ref={svgRef}
+                        className="wind-rose-chart"
+                        viewBox={`${-SIZE / 2} ${-SIZE / 2} ${SIZE} ${SIZE}`}
+                        role="img"
+                        aria-label={t('wind.rose.title')}
+                    />
+
+                    <div className="wind-rose-side">
+                        <div className="wind-rose-summary">
+                            <div>
+                                <span className="summary-label">{t('wind.rose.prevailing')}</span>
+                                <WindDirection degrees={rose.prevailing.degrees} />
+                            </div>
+                            <div>
+                                <span className="summary-label">{t('wind.rose.meanMaxSpeed')}</span>
+                                <span>
+                                    {formatter.windSpeed(meanSpeed)}
+                                    {beaufort && ` · ${t('wind.beaufortLevel', { force: beaufort.force, name: t(`wind.beaufort.${beaufort.force}`) })}`}
+                                </span>
+                            </div>
+                            <div>
+                                <span className="summary-label">{t('wind.rose.days', { count: rose.total })}</span>
+                            </div>
+                        </div>
+
+                        <ul className="wind-rose-legend">
+                            {WIND_ROSE_BANDS.map(band => (
+                                <li key={band.id}>
+                                    <span className="legend-swatch" style={{ background: band.color }} />
+                                    {t(`wind.bands.${band.id}`)}
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default WindRose;
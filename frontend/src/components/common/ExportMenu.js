@@ -0,0 +1,72 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { useLanguage } from '../../contexts/LanguageContext';
+import { EXPORT_FORMATS } from '../../lib/exporters';
+import './ExportMenu.css';
+
+/**
+ * ExportMenu Component
+ * Dropdown button listing the export formats of a panel; onExport receives 'csv', 'json' or 'png'
+ */
+const ExportMenu = ({
+  onExport,
+  formats = EXPORT_FORMATS,
+  disabled = false,
+  className = ''
+}) => {
+  const { t } = useLanguage();
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  // Close menu when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, []);
+
+  const handleSelect = (format) => {
+    setIsOpen(false);
+    onExport(format);
+  };
+
+  return (
+    <div className={`export-menu ${className}`} ref={menuRef}>
+      <button
+        type="button"
+        className="export-toggle"
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={disabled}
+        aria-haspopup="true"
+        aria-expanded={isOpen}
+      >
+        ⬇️ {t('export.button')}
+      </button>
+
+      {isOpen && (
+        <div className="export-panel" role="menu">
+          {formats.map(format => (
+            <button
+              key={format}
+              type="button"
+              className="export-option"
+              role="menuitem"
+              onClick={() => handleSelect(format)}
+            >
+              <span className="export-format">{format.toUpperCase()}</span>
+              <span className="export-format-description">{t(`export.formats.${format}`)}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -1,5 +1,6 @@
 import React from 'react';
 import { createPortal } from 'react-dom';
+import { useLanguage } from '../../contexts/LanguageContext';
 import './Modal.css';
 
 const Modal = ({ 
@@ -13,6 +14,8 @@ const Modal = ({
   size = 'medium', // small, medium, large
   portalId = 'modal-portal' // ID của portal container
 }) => {
+  const { t } = useLanguage();
+
   if (!isOpen) return null;
 
   const handleOverlayClick = (e) => {
@@ -56,7 +59,7 @@ const Modal = ({
             <button 
               className="custom-modal-close"
               onClick={onClose}
-              aria-label="Close"
+              aria-label={t('common.close')}
             >
               ×
             </button>
@@ -1,2 +1,3 @@
 // Common components exports
 export { default as Modal } from './Modal';
+export { default as ExportMenu } from './ExportMenu';
@@ -0,0 +1,265 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import { AUTH_CHANGE_EVENT } from '../lib/apiClient';
+import { t } from '../lib/i18n';
+import {
+    evaluateAlertRule,
+    getAlertRuleSignature,
+    groupRulesByLocation,
+    describeAlert
+} from '../lib/alertRules';
+import authService from '../services/authService';
+import { fetchWeatherData } from '../services/weatherService';
+import {
+    MAX_ALERT_RULES,
+    createAlertRule,
+    getGuestAlertRules,
+    saveGuestAlertRules,
+    fetchUserAlertRules,
+    saveUserAlertRules,
+    mergeGuestAlertRules,
+    getAlertHistory,
+    saveAlertHistory,
+    createAlert,
+    getTriggeredRules,
+    saveTriggeredRules,
+    showBrowserNotification
+} from '../services/alertService';
+import { usePreferences } from './PreferencesContext';
+
+// How often enabled rules are checked; each check skips the weather cache so rules see current data
+export const ALERT_POLL_INTERVAL = 15 * 60 * 1000;
+
+const getNotificationPermission = () => (
+    typeof window !== 'undefined' && 'Notification' in window ? Notification.permission : 'unsupported'
+);
+
+// Alerts Context
+const AlertsContext = createContext();
+
+// Alerts Provider Component
+export const AlertsProvider = ({ children }) => {
+    const [rules, setRules] = useState(() => (
+        authService.isAuthenticated() ? [] : getGuestAlertRules()
+    ));
+    const [alerts, setAlerts] = useState(getAlertHistory);
+    // Result of the last check of each rule: { triggered, value, time, checkedAt }
+    const [ruleStatus, setRuleStatus] = useState({});
+    const [error, setError] = useState(null);
+    const [notificationPermission, setNotificationPermission] = useState(getNotificationPermission);
+    const { formatter } = usePreferences();
+    // Last list confirmed by storage, restored when a sync fails
+    const savedRulesRef = useRef(rules);
+    const isCheckingRef = useRef(false);
+    // Rules of a check requested while another one was running, checked when it finishes
+    const pendingCheckRef = useRef(null);
+    // Notifications are written when rules fire, outside of rendering
+    const formatterRef = useRef(formatter);
+    formatterRef.current = formatter;
+
+    // Load guest rules, or the account rules (merged with guest ones) when signed in
+    const loadRules = useCallback(async () => {
+        setError(null);
+
+        if (!authService.isAuthenticated()) {
+            const guestRules = getGuestAlertRules();
+            savedRulesRef.current = guestRules;
+            setRules(guestRules);
+            return;
+        }
+
+        try {
+            const userRules = await mergeGuestAlertRules(await fetchUserAlertRules());
+            savedRulesRef.current = userRules;
+            setRules(userRules);
+        } catch (err) {
+            console.error('Error loading alert rules:', err);
+            setError(err.message || t('alerts.loadFailed'));
+        }
+    }, []);
+
+    // Reload on mount, on login/logout, and when another tab changes storage
+    useEffect(() => {
+        const handleStorage = () => {
+            loadRules();
+            setAlerts(getAlertHistory());
+        };
+
+        loadRules();
+
+        window.addEventListener(AUTH_CHANGE_EVENT, loadRules);
+        window.addEventListener('storage', handleStorage);
+
+        return () => {
+            window.removeEventListener(AUTH_CHANGE_EVENT, loadRules);
+            window.removeEventListener('storage', handleStorage);
+        };
+    }, [loadRules]);
+
+    // Update the list right away, then persist it; roll back if the backend rejects it
+    const saveRules = useCallback(async (nextRules) => {
+        setError(null);
+        setRules(nextRules);
+
+        if (!authService.isAuthenticated()) {
+            saveGuestAlertRules(nextRules);
+            savedRulesRef.current = nextRules;
+            return;
+        }
+
+        try {
+            const saved = await saveUserAlertRules(nextRules);
+            savedRulesRef.current = saved;
+            setRules(saved);
+        } catch (err) {
+            console.error('Error saving alert rules:', err);
+            setError(err.message || t('alerts.saveFailed'));
+            setRules(savedRulesRef.current);
+        }
+    }, []);
+
+    /**
+     * Check the enabled rules against the weather of their locations.
+     * A rule fires when its condition becomes true; it fires again only after the
+     * condition was false at a check in between, or after the rule was edited.
+     * A check requested while one is running is queued and runs right after it.
+     */
+    const checkRules = useCallback(async (rulesToCheck) => {
+        if (isCheckingRef.current) {
+            pendingCheckRef.current = rulesToCheck;
+            return;
+        }
+        isCheckingRef.current = true;
+
+        const previous = new Set(getTriggeredRules());
+        const triggered = [];
+        const fired = [];
+        const status = {};
+
+        try {
+            for (const group of groupRulesByLocation(rulesToCheck)) {
+                let weatherData;
+                try {
+                    // The cache may be older than the poll interval; a cached payload would fire alerts late
+                    weatherData = await fetchWeatherData(group.location.lat, group.location.lon, { forceRefresh: true });
+                } catch (err) {
+                    console.warn(`Alert check failed for ${group.location.name}:`, err.message);
+                    // Unknown this time: keep the rules as they were so they do not fire twice
+                    group.rules.forEach(rule => {
+                        const signature = getAlertRuleSignature(rule);
+                        if (previous.has(signature)) triggered.push(signature);
+                    });
+                    continue;
+                }
+
+                const checkedAt = new Date().toISOString();
+                group.rules.forEach(rule => {
+                    const result = evaluateAlertRule(rule, weatherData);
+                    status[rule.id] = { ...result, checkedAt };
+                    if (!result.triggered) return;
+
+                    const signature = getAlertRuleSignature(rule);
+                    triggered.push(signature);
+                    if (!previous.has(signature)) fired.push(createAlert(rule, result, weatherData));
+                });
+            }
+        } finally {
+            isCheckingRef.current = false;
+        }
+
+        saveTriggeredRules(triggered);
+        setRuleStatus(status);
+
+        if (fired.length > 0) {
+            setAlerts(saveAlertHistory([...fired, ...getAlertHistory()]));
+            fired.forEach(alert => {
+                showBrowserNotification(t('alerts.notificationTitle'), {
+                    body: describeAlert(alert, t, formatterRef.current),
+                    tag: alert.ruleId
+                });
+            });
+        }
+
+        // Rules added or edited during this check
+        const pendingRules = pendingCheckRef.current;
+        if (pendingRules) {
+            pendingCheckRef.current = null;
+            checkRules(pendingRules);
+        }
+    }, []);
+
+    // Check right away when the rules change, then on a schedule
+    useEffect(() => {
+        if (!rules.some(rule => rule.enabled)) {
+            pendingCheckRef.current = null;
+            setRuleStatus({});
+            return undefined;
+        }
+
+        checkRules(rules);
+        const timer = setInterval(() => checkRules(rules), ALERT_POLL_INTERVAL);
+        return () => clearInterval(timer);
+    }, [rules, checkRules]);
+
+    const addRule = (location, type, options) => {
+        if (rules.length >= MAX_ALERT_RULES) {
+            setError(t('alerts.limitReached', { count: MAX_ALERT_RULES }));
+            return;
+        }
+        saveRules([...rules, createAlertRule(location, type, options)]);
+    };
+
+    const removeRule = (id) => {
+        saveRules(rules.filter(rule => rule.id !== id));
+    };
+
+    const toggleRule = (id) => {
+        saveRules(rules.map(rule => (
+            rule.id === id ? { ...rule, enabled: !rule.enabled } : rule
+        )));
+    };
+
+    const requestNotificationPermission = async () => {
+        if (notificationPermission === 'unsupported') return;
+        setNotificationPermission(await Notification.requestPermission());
+    };
+
+    const markAllRead = () => {
+        setAlerts(saveAlertHistory(alerts.map(alert => ({ ...alert, read: true }))));
+    };
+
+    const clearAlerts = () => {
+        setAlerts(saveAlertHistory([]));
+    };
+
+    const value = {
+        rules,
+        alerts,
+        ruleStatus,
+        error,
+        unreadCount: alerts.filter(alert => !alert.read).length,
+        notificationPermission,
+        addRule,
+        removeRule,
+        toggleRule,
+        requestNotificationPermission,
+        markAllRead,
+        clearAlerts
+    };
+
+    return (
+        <AlertsContext.Provider value={value}>
+            {children}
+        </AlertsContext.Provider>
+    );
+};
+
+// Custom hook to use alerts
+export const useAlerts = () => {
+    const context = useContext(AlertsContext);
+    if (!context) {
+        throw new Error('useAlerts must be used within an AlertsProvider');
+    }
+    return context;
+};
+
+export default AlertsContext;
@@ -0,0 +1,157 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import { AUTH_CHANGE_EVENT } from '../lib/apiClient';
+import { t } from '../lib/i18n';
+import authService from '../services/authService';
+import {
+    MAX_FAVOURITES,
+    createFavourite,
+    isSameLocation,
+    getGuestFavourites,
+    saveGuestFavourites,
+    fetchUserFavourites,
+    saveUserFavourites,
+    mergeGuestFavourites
+} from '../services/favouriteService';
+
+// Favourites Context
+const FavouritesContext = createContext();
+
+// Favourites Provider Component
+export const FavouritesProvider = ({ children }) => {
+    const [favourites, setFavourites] = useState(() => (
+        authService.isAuthenticated() ? [] : getGuestFavourites()
+    ));
+    const [error, setError] = useState(null);
+    // Last list confirmed by storage, restored when a sync fails
+    const savedFavouritesRef = useRef(favourites);
+
+    // Load guest favourites, or the account list (merged with guest ones) when signed in
+    const loadFavourites = useCallback(async () => {
+        setError(null);
+
+        if (!authService.isAuthenticated()) {
+            const guestFavourites = getGuestFavourites();
+            savedFavouritesRef.current = guestFavourites;
+            setFavourites(guestFavourites);
+            return;
+        }
+
+        try {
+            const userFavourites = await mergeGuestFavourites(await fetchUserFavourites());
+            savedFavouritesRef.current = userFavourites;
+            setFavourites(userFavourites);
+        } catch (err) {
+            console.error('Error loading favourites:', err);
+            setError(err.message || t('favourites.loadFailed'));
+        }
+    }, []);
+
+    // Reload on mount, on login/logout, and when another tab changes storage
+    useEffect(() => {
+        loadFavourites();
+
+        window.addEventListener(AUTH_CHANGE_EVENT, loadFavourites);
+        window.addEventListener('storage', loadFavourites);
+
+        return () => {
+            window.removeEventListener(AUTH_CHANGE_EVENT, loadFavourites);
+            window.removeEventListener('storage', loadFavourites);
+        };
+    }, [loadFavourites]);
+
+    // Update the list right away, then persist it; roll back if the backend rejects it
+    const saveFavourites = useCallback(async (nextFavourites) => {
+        setError(null);
+        setFavourites(nextFavourites);
+
+        if (!authService.isAuthenticated()) {
+            saveGuestFavourites(nextFavourites);
+            savedFavouritesRef.current = nextFavourites;
+            return;
+        }
+
+        try {
+            const saved = await saveUserFavourites(nextFavourites);
+            savedFavouritesRef.current = saved;
+            setFavourites(saved);
+        } catch (err) {
+            console.error('Error saving favourites:', err);
+            setError(err.message || t('favourites.saveFailed'));
+            setFavourites(savedFavouritesRef.current);
+        }
+    }, []);
+
+    const findFavourite = useCallback((location) => (
+        location ? favourites.find(favourite => isSameLocation(favourite, location)) : undefined
+    ), [favourites]);
+
+    const addFavourite = (location) => {
+        if (findFavourite(location)) return;
+        if (favourites.length >= MAX_FAVOURITES) {
+            setError(t('favourites.limitReached', { count: MAX_FAVOURITES }));
+            return;
+        }
+        saveFavourites([...favourites, createFavourite(location)]);
+    };
+
+    const removeFavourite = (id) => {
+        saveFavourites(favourites.filter(favourite => favourite.id !== id));
+    };
+
+    const renameFavourite = (id, name) => {
+        const trimmed = name.trim();
+        if (!trimmed) return;
+        saveFavourites(favourites.map(favourite => (
+            favourite.id === id ? { ...favourite, name: trimmed } : favourite
+        )));
+    };
+
+    // Move a favourite up (-1) or down (+1) in the list
+    const moveFavourite = (id, offset) => {
+        const index = favourites.findIndex(favourite => favourite.id === id);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= favourites.length) return;
+
+        const reordered = [...favourites];
+        [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+        saveFavourites(reordered);
+    };
+
+    const toggleFavourite = (location) => {
+        const existing = findFavourite(location);
+        if (existing) {
+            removeFavourite(existing.id);
+        } else {
+            addFavourite(location);
+        }
+    };
+
+    const value = {
+        favourites,
+        error,
+        findFavourite,
+        isFavourite: (location) => !!findFavourite(location),
+        addFavourite,
+        removeFavourite,
+        renameFavourite,
+        moveFavourite,
+        toggleFavourite
+    };
+
+    return (
+        <FavouritesContext.Provider value={value}>
+            {children}
+        </FavouritesContext.Provider>
+    );
+};
+
+// Custom hook to use favourites
+export const useFavourites = () => {
+    const context = useContext(FavouritesContext);
+    if (!context) {
+        throw new Error('useFavourites must be used within a FavouritesProvider');
+    }
+    return context;
+};
+
+export default FavouritesContext;
@@ -0,0 +1,67 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import {
+    LANGUAGES,
+    LANGUAGE_CHANGE_EVENT,
+    getLanguage,
+    getLanguageLocale,
+    setLanguage as saveLanguage,
+    translate
+} from '../lib/i18n';
+import { usePreferences } from './PreferencesContext';
+
+// Language Context
+const LanguageContext = createContext();
+
+// Language Provider Component
+export const LanguageProvider = ({ children }) => {
+    const [language, setLanguageState] = useState(getLanguage);
+    const { preferences, setPreference } = usePreferences();
+
+    // Follow changes made through lib/i18n (e.g. by another provider or tab)
+    useEffect(() => {
+        const handleLanguageChange = () => setLanguageState(getLanguage());
+        window.addEventListener(LANGUAGE_CHANGE_EVENT, handleLanguageChange);
+        return () => {
+            window.removeEventListener(LANGUAGE_CHANGE_EVENT, handleLanguageChange);
+        };
+    }, []);
+
+    const setLanguage = (code) => {
+        saveLanguage(code);
+        // Date and number formats follow the language unless a locale of that language is already chosen
+        if (!preferences.locale.startsWith(`${code}-`)) {
+            setPreference('locale', getLanguageLocale(code));
+        }
+    };
+
+    const t = useCallback((key, params) => translate(language, key, params), [language]);
+
+    // Keep the document language in sync for screen readers and hyphenation
+    useEffect(() => {
+        document.documentElement.lang = language;
+    }, [language]);
+
+    const value = {
+        language,
+        languages: LANGUAGES,
+        setLanguage,
+        t
+    };
+
+    return (
+        <LanguageContext.Provider value={value}>
+            {children}
+        </LanguageContext.Provider>
+    );
+};
+
+// Custom hook to use the current language
+export const useLanguage = () => {
+    const context = useContext(LanguageContext);
+    if (!context) {
+        throw new Error('useLanguage must be used within a LanguageProvider');
+    }
+    return context;
+};
+
+export default LanguageContext;
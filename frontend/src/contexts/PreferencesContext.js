@@ -0,0 +1,70 @@
+import React, { createContext, useContext, useState, useEffect, useMemo } from 'react';
+import {
+    DEFAULT_PREFERENCES,
+    UNIT_SYSTEMS,
+    getUnitSystem,
+    createFormatter
+} from '../lib/formatting';
+
+const PREFERENCES_KEY = 'weather-dashboard-preferences';
+
+// Read saved preferences, keeping defaults for keys added since they were saved
+const loadPreferences = () => {
+    try {
+        const saved = localStorage.getItem(PREFERENCES_KEY);
+        return saved ? { ...DEFAULT_PREFERENCES, ...JSON.parse(saved) } : DEFAULT_PREFERENCES;
+    } catch (error) {
+        console.warn('Invalid preferences in localStorage:', error);
+        return DEFAULT_PREFERENCES;
+    }
+};
+
+// Preferences Context
+const PreferencesContext = createContext();
+
+// Preferences Provider Component
+export const PreferencesProvider = ({ children }) => {
+    const [preferences, setPreferences] = useState(loadPreferences);
+
+    // Save preferences to localStorage whenever they change
+    useEffect(() => {
+        localStorage.setItem(PREFERENCES_KEY, JSON.stringify(preferences));
+    }, [preferences]);
+
+    const setPreference = (key, value) => {
+        setPreferences(current => ({ ...current, [key]: value }));
+    };
+
+    // Switch every unit at once to the metric or imperial preset
+    const setUnitSystem = (system) => {
+        if (!UNIT_SYSTEMS[system]) return;
+        setPreferences(current => ({ ...current, ...UNIT_SYSTEMS[system] }));
+    };
+
+    const formatter = useMemo(() => createFormatter(preferences), [preferences]);
+
+    const value = {
+        preferences,
+        unitSystem: getUnitSystem(preferences),
+        setPreference,
+        setUnitSystem,
+        formatter
+    };
+
+    return (
+        <PreferencesContext.Provider value={value}>
+            {children}
+        </PreferencesContext.Provider>
+    );
+};
+
+// Custom hook to use preferences
+export const usePreferences = () => {
+    const context = useContext(PreferencesContext);
+    if (!context) {
+        throw new Error('usePreferences must be used within a PreferencesProvider');
+    }
+    return context;
+};
+
+export default PreferencesContext;
@@ -0,0 +1,63 @@
+/**
+ * Air quality
+ * US EPA AQI levels and the pollutants shown by the AirQuality panel:
+ *   getAqiLevel(156)           -> { id: 'unhealthy', max: 200, color: '#ff0000', ... }
+ *   getPollutantRatio(62, pm2_5) -> 4.13 (times the WHO 24h guideline)
+ * Labels and health advice live in the `airQuality` namespace of src/locales/<language>.json,
+ * under `airQuality.levels.<id>` and `airQuality.advice.<id>`.
+ */
+
+// Upper bound of each level on the 0-500 scale; `textColor` keeps the AQI readable on `color`
+export const AQI_LEVELS = [
+    { id: 'good', max: 50, color: '#00e400', textColor: '#1e272e', icon: '😊' },
+    { id: 'moderate', max: 100, color: '#ffff00', textColor: '#1e272e', icon: '🙂' },
+    { id: 'sensitive', max: 150, color: '#ff7e00', textColor: '#1e272e', icon: '😐' },
+    { id: 'unhealthy', max: 200, color: '#ff0000', textColor: '#ffffff', icon: '😷' },
+    { id: 'veryUnhealthy', max: 300, color: '#8f3f97', textColor: '#ffffff', icon: '🤢' },
+    { id: 'hazardous', max: Infinity, color: '#7e0023', textColor: '#ffffff', icon: '☠️' }
+];
+
+// Concentrations in µg/m³ with their WHO 2021 air quality guideline (24h mean, 8h for ozone)
+export const POLLUTANTS = [
+    { key: 'pm2_5', label: 'PM2.5', guideline: 15 },
+    { key: 'pm10', label: 'PM10', guideline: 45 },
+    { key: 'ozone', label: 'O₃', guideline: 100 },
+    { key: 'nitrogen_dioxide', label: 'NO₂', guideline: 25 },
+    { key: 'sulphur_dioxide', label: 'SO₂', guideline: 40 },
+    { key: 'carbon_monoxide', label: 'CO', guideline: 4000 }
+];
+
+/**
+ * Get the level of an AQI value
+ * @param {number|null} aqi - US AQI
+ * @returns {Object|null} - Entry of AQI_LEVELS, null when the value is missing
+ */
+export const getAqiLevel = (aqi) => {
+    if (aqi === null || aqi === undefined || Number.isNaN(aqi)) return null;
+    return AQI_LEVELS.find(level => aqi <= level.max);
+};
+
+/**
+ * Compare a concentration with the pollutant's guideline
+ * @param {number|null} value - Concentration in µg/m³
+ * @param {Object} pollutant - Entry of POLLUTANTS
+ * @returns {number|null} - 1 means exactly at the guideline
+ */
+export const getPollutantRatio = (value, pollutant) => {
+    if (value === null || value === undefined) return null;
+    return value / pollutant.guideline;
+};
+
+/**
+ * Find the pollutant furthest above its guideline
+ * @param {Object} current - Current air quality ({ pm2_5, pm10, ... })
+ * @returns {Object|null} - Entry of POLLUTANTS, null when all are within their guideline
+ */
+export const getDominantPollutant = (current) => {
+    const ranked = POLLUTANTS
+        .map(pollutant => ({ pollutant, ratio: getPollutantRatio(current?.[pollutant.key], pollutant) }))
+        .filter(item => item.ratio !== null && item.ratio > 1)
+        .sort((a, b) => b.ratio - a.ratio);
+
+    return ranked.length > 0 ? ranked[0].pollutant : null;
+};
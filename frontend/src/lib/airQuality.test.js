@@ -0,0 +1,71 @@
+import en from '../locales/en.json';
+import vi from '../locales/vi.json';
+import { AQI_LEVELS, POLLUTANTS, getAqiLevel, getPollutantRatio, getDominantPollutant } from './airQuality';
+
+const pollutant = (key) => POLLUTANTS.find(item => item.key === key);
+
+describe('getAqiLevel', () => {
+    test.each([
+        [0, 'good'],
+        [50, 'good'],
+        [51, 'moderate'],
+        [100, 'moderate'],
+        [101, 'sensitive'],
+        [150, 'sensitive'],
+        [151, 'unhealthy'],
+        [200, 'unhealthy'],
+        [201, 'veryUnhealthy'],
+        [300, 'veryUnhealthy'],
+        [301, 'hazardous'],
+        [500, 'hazardous'],
+        [812, 'hazardous']
+    ])('puts AQI %p in %s', (aqi, id) => {
+        expect(getAqiLevel(aqi).id).toBe(id);
+    });
+
+    test('puts fractional values above a bound in the next level', () => {
+        expect(getAqiLevel(50.4).id).toBe('moderate');
+    });
+
+    test('returns null without a value', () => {
+        expect(getAqiLevel(null)).toBeNull();
+        expect(getAqiLevel(undefined)).toBeNull();
+        expect(getAqiLevel(NaN)).toBeNull();
+    });
+
+    test.each(AQI_LEVELS.map(level => level.id))('has a label and advice for everyone and sensitive groups at %s in both catalogs', (id) => {
+        [en, vi].forEach(catalog => {
+            expect(catalog.airQuality.levels[id]).toEqual(expect.any(String));
+            expect(catalog.airQuality.advice[id]).toEqual({ general: expect.any(String), sensitive: expect.any(String) });
+        });
+    });
+});
+
+describe('getPollutantRatio', () => {
+    test('divides the concentration by the guideline', () => {
+        expect(getPollutantRatio(15, pollutant('pm2_5'))).toBe(1);
+        expect(getPollutantRatio(62, pollutant('pm2_5'))).toBeCloseTo(4.13, 2);
+        expect(getPollutantRatio(0, pollutant('ozone'))).toBe(0);
+    });
+
+    test('returns null for a missing value', () => {
+        expect(getPollutantRatio(null, pollutant('pm10'))).toBeNull();
+        expect(getPollutantRatio(undefined, pollutant('pm10'))).toBeNull();
+    });
+});
+
+describe('getDominantPollutant', () => {
+    test('picks the pollutant furthest above its guideline', () => {
+        expect(getDominantPollutant({ pm2_5: 30, pm10: 135, nitrogen_dioxide: 20 }).key).toBe('pm10');
+    });
+
+    test('skips missing pollutants', () => {
+        expect(getDominantPollutant({ pm2_5: null, pm10: undefined, ozone: 150 }).key).toBe('ozone');
+    });
+
+    test('returns null when every value is within its guideline, missing or the data is absent', () => {
+        expect(getDominantPollutant({ pm2_5: 15, pm10: 20 })).toBeNull();
+        expect(getDominantPollutant({})).toBeNull();
+        expect(getDominantPollutant(null)).toBeNull();
+    });
+});
@@ -0,0 +1,160 @@
+/**
+ * Alert Rules
+ * Conditions a user can watch for a saved location, checked against the data of fetchWeatherData():
+ *   evaluateAlertRule({ type: 'rain_probability', threshold: 70, hours: 6 }, weatherData)
+ *   -> { triggered: true, value: 80, time: '2025-11-02T14:00' }
+ * - Thresholds are stored in metric units (°C, %), like the backend data
+ * - `day` counts from today (0) in the 7-day forecast
+ */
+
+export const ALERT_RULE_TYPES = {
+    rain_probability: { icon: '🌧️', defaults: { threshold: 70, hours: 6 }, unit: '%' },
+    temperature_max: { icon: '🔥', defaults: { threshold: 35, day: 1 }, quantity: 'temperature' },
+    temperature_min: { icon: '🥶', defaults: { threshold: 15, day: 1 }, quantity: 'temperature' },
+    anomaly: { icon: '⚠️', defaults: {} }
+};
+
+// Days of the forecast a temperature rule can watch
+export const ALERT_RULE_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+// Hours ahead a rain rule can watch, within the backend hourly forecast
+export const ALERT_RULE_MAX_HOURS = 48;
+
+const NOT_TRIGGERED = { triggered: false, value: null, time: null };
+
+const isNumber = (value) => typeof value === 'number' && !isNaN(value);
+
+/**
+ * Check a rule against the weather data of its location
+ * @param {Object} rule - { type, threshold, hours, day }
+ * @param {Object} weatherData - Data from fetchWeatherData()
+ * @returns {{triggered: boolean, value: number|null, time: string|null}}
+ *   - value: the forecast value that crossed the threshold (the highest/lowest one)
+ *   - time: hour (rain) or date (temperature) of that value
+ */
+export const evaluateAlertRule = (rule, weatherData) => {
+    if (!weatherData) return NOT_TRIGGERED;
+
+    if (rule.type === 'rain_probability') {
+        // The hourly forecast starts at the current hour
+        const hours = (weatherData.hourly_forecast || []).slice(0, rule.hours || ALERT_RULE_TYPES.rain_probability.defaults.hours);
+        const wettest = hours.reduce((best, hour) => (
+            isNumber(hour.precipitation_probability) && (!best || hour.precipitation_probability > best.precipitation_probability)
+                ? hour
+                : best
+        ), null);
+        return wettest && wettest.precipitation_probability > rule.threshold
+            ? { triggered: true, value: wettest.precipitation_probability, time: wettest.time }
+            : NOT_TRIGGERED;
+    }
+
+    if (rule.type === 'temperature_max' || rule.type === 'temperature_min') {
+        const day = (weatherData.daily_forecast || [])[rule.day || 0];
+        if (!day) return NOT_TRIGGERED;
+
+        const isMax = rule.type === 'temperature_max';
+        const value = isMax ? day.temperature_2m_max : day.temperature_2m_min;
+        if (!isNumber(value)) return NOT_TRIGGERED;
+
+        const triggered = isMax ? value > rule.threshold : value < rule.threshold;
+        return triggered ? { triggered, value, time: day.date } : NOT_TRIGGERED;
+    }
+
+    if (rule.type === 'anomaly') {
+        const anomaly = weatherData.anomaly;
+        return anomaly?.is_anomaly
+            ? { triggered: true, value: isNumber(anomaly.difference) ? anomaly.difference : null, time: null }
+            : NOT_TRIGGERED;
+    }
+
+    return NOT_TRIGGERED;
+};
+
+/**
+ * Key that changes whenever what a rule watches changes, so an edited rule can fire again
+ * @param {Object} rule - Alert rule
+ * @returns {string}
+ */
+export const getAlertRuleSignature = (rule) => (
+    [rule.id, rule.type, rule.threshold, rule.hours, rule.day, rule.location.lat, rule.location.lon].join('|')
+);
+
+/**
+ * Label of a forecast day: today, tomorrow or in N days
+ * @param {number} day - Days from today
+ * @param {Function} t - Translate function
+ * @returns {string}
+ */
+export const getAlertDayLabel = (day, t) => {
+    if (!day) return t('alerts.day.today');
+    if (day === 1) return t('alerts.day.tomorrow');
+    return t('alerts.day.later', { count: day });
+};
+
+// Threshold in the preferred unit, e.g. "35°C" or "70%"
+const formatThreshold = (type, value, formatter) => {
+    const { quantity } = ALERT_RULE_TYPES[type];
+    return quantity ? formatter[quantity](value) : `${formatter.number(value, 0)}%`;
+};
+
+/**
+ * Describe what a rule watches, e.g. "Khả năng mưa trên 70% trong 6 giờ tới"
+ * @param {Object} rule - Alert rule
+ * @param {Function} t - Translate function
+ * @param {Object} formatter - Formatter from usePreferences()
+ * @returns {string}
+ */
+export const describeAlertRule = (rule, t, formatter) => t(`alerts.rules.${rule.type}`, {
+    threshold: rule.threshold === null ? '' : formatThreshold(rule.type, rule.threshold, formatter),
+    count: rule.hours,
+    day: getAlertDayLabel(rule.day, t)
+});
+
+/**
+ * Describe a fired alert, e.g. "Dĩ An: khả năng mưa 80% lúc 14:00"
+ * @param {Object} alert - Alert from createAlert()
+ * @param {Function} t - Translate function
+ * @param {Object} formatter - Formatter from usePreferences()
+ * @returns {string}
+ */
+export const describeAlert = (alert, t, formatter) => {
+    if (alert.type === 'anomaly' && alert.message) {
+        return t('alerts.fired.anomalyMessage', { location: alert.location, message: alert.message });
+    }
+    return t(`alerts.fired.${alert.type}`, {
+        location: alert.location,
+        value: alert.value === null ? '' : formatThreshold(alert.type, alert.value, formatter),
+        threshold: alert.threshold === null ? '' : formatThreshold(alert.type, alert.threshold, formatter),
+        time: alert.time && alert.type === 'rain_probability' ? formatter.time(alert.time) : '',
+        day: getAlertDayLabel(alert.day, t)
+    });
+};
+
+/**
+ * Group enabled rules by location so each location is fetched once
+ * @param {Array} rules - Alert rules
+ * @returns {Array<{location: Object, rules: Array}>}
+ */
+export const groupRulesByLocation = (rules) => {
+    const groups = new Map();
+    rules.filter(rule => rule.enabled).forEach(rule => {
+        const key = `${Number(rule.location.lat).toFixed(2)}:${Number(rule.location.lon).toFixed(2)}`;
+        if (!groups.has(key)) groups.set(key, { location: rule.location, rules: [] });
+        groups.get(key).rules.push(rule);
+    });
+    return Array.from(groups.values());
+};
+
+const alertRules = {
+    ALERT_RULE_TYPES,
+    ALERT_RULE_DAYS,
+    ALERT_RULE_MAX_HOURS,
+    evaluateAlertRule,
+    getAlertRuleSignature,
+    getAlertDayLabel,
+    describeAlertRule,
+    describeAlert,
+    groupRulesByLocation
+};
+
+export default alertRules;
@@ -0,0 +1,134 @@
+import { evaluateAlertRule, getAlertRuleSignature, groupRulesByLocation } from './alertRules';
+
+const location = { name: 'Dĩ An', lat: 10.9, lon: 106.77 };
+
+const hour = (time, probability) => ({ time, precipitation_probability: probability });
+
+const weatherData = {
+    hourly_forecast: [
+        hour('2025-11-02T12:00', 10),
+        hour('2025-11-02T13:00', 40),
+        hour('2025-11-02T14:00', 80),
+        hour('2025-11-02T15:00', 20),
+        hour('2025-11-02T16:00', 95)
+    ],
+    daily_forecast: [
+        { date: '2025-11-02', temperature_2m_max: 31, temperature_2m_min: 24 },
+        { date: '2025-11-03', temperature_2m_max: 36, temperature_2m_min: 14 }
+    ],
+    anomaly: { is_anomaly: false, difference: 1.2 }
+};
+
+describe('evaluateAlertRule', () => {
+    describe('rain_probability', () => {
+        test('fires on the wettest hour above the threshold', () => {
+            const result = evaluateAlertRule({ type: 'rain_probability', threshold: 70, hours: 3 }, weatherData);
+            expect(result).toEqual({ triggered: true, value: 80, time: '2025-11-02T14:00' });
+        });
+
+        test('does not fire at or below the threshold', () => {
+            expect(evaluateAlertRule({ type: 'rain_probability', threshold: 80, hours: 3 }, weatherData).triggered).toBe(false);
+            expect(evaluateAlertRule({ type: 'rain_probability', threshold: 90, hours: 3 }, weatherData).triggered).toBe(false);
+        });
+
+        test('only looks at the hours of its window', () => {
+            expect(evaluateAlertRule({ type: 'rain_probability', threshold: 50, hours: 2 }, weatherData).triggered).toBe(false);
+            expect(evaluateAlertRule({ type: 'rain_probability', threshold: 90, hours: 5 }, weatherData))
+                .toEqual({ triggered: true, value: 95, time: '2025-11-02T16:00' });
+        });
+
+        test('skips hours without a probability', () => {
+            const data = { hourly_forecast: [hour('2025-11-02T12:00', null), hour('2025-11-02T13:00', 75)] };
+            expect(evaluateAlertRule({ type: 'rain_probability', threshold: 70, hours: 6 }, data).value).toBe(75);
+        });
+
+        test('does not fire without hourly data', () => {
+            expect(evaluateAlertRule({ type: 'rain_probability', threshold: 0, hours: 6 }, {}).triggered).toBe(false);
+            expect(evaluateAlertRule({ type: 'rain_probability', threshold: 0, hours: 6 }, { hourly_forecast: [] }).triggered).toBe(false);
+        });
+    });
+
+    describe('temperature_max', () => {
+        test('fires above the threshold on the watched day', () => {
+            expect(evaluateAlertRule({ type: 'temperature_max', threshold: 35, day: 1 }, weatherData))
+                .toEqual({ triggered: true, value: 36, time: '2025-11-03' });
+        });
+
+        test('does not fire at or below the threshold', () => {
+            expect(evaluateAlertRule({ type: 'temperature_max', threshold: 36, day: 1 }, weatherData).triggered).toBe(false);
+            expect(evaluateAlertRule({ type: 'temperature_max', threshold: 40, day: 1 }, weatherData).triggered).toBe(false);
+        });
+
+        test('uses the day index, today by default', () => {
+            expect(evaluateAlertRule({ type: 'temperature_max', threshold: 35, day: 0 }, weatherData).triggered).toBe(false);
+            expect(evaluateAlertRule({ type: 'temperature_max', threshold: 30 }, weatherData).time).toBe('2025-11-02');
+        });
+
+        test('does not fire when the day or its value is missing', () => {
+            expect(evaluateAlertRule({ type: 'temperature_max', threshold: 0, day: 5 }, weatherData).triggered).toBe(false);
+            expect(evaluateAlertRule({ type: 'temperature_max', threshold: 0, day: 0 }, {}).triggered).toBe(false);
+            const data = { daily_forecast: [{ date: '2025-11-02', temperature_2m_max: null }] };
+            expect(evaluateAlertRule({ type: 'temperature_max', threshold: 0, day: 0 }, data).triggered).toBe(false);
+        });
+    });
+
+    describe('temperature_min', () => {
+        test('fires below the threshold on the watched day', () => {
+            expect(evaluateAlertRule({ type: 'temperature_min', threshold: 15, day: 1 }, weatherData))
+                .toEqual({ triggered: true, value: 14, time: '2025-11-03' });
+        });
+
+        test('does not fire at or above the threshold', () => {
+            expect(evaluateAlertRule({ type: 'temperature_min', threshold: 14, day: 1 }, weatherData).triggered).toBe(false);
+            expect(evaluateAlertRule({ type: 'temperature_min', threshold: 15, day: 0 }, weatherData).triggered).toBe(false);
+        });
+
+        test('does not fire without daily data', () => {
+            expect(evaluateAlertRule({ type: 'temperature_min', threshold: 50, day: 0 }, { daily_forecast: [] }).triggered).toBe(false);
+        });
+    });
+
+    describe('anomaly', () => {
+        test('fires when the backend flags an anomaly', () => {
+            const data = { anomaly: { is_anomaly: true, difference: 6.5 } };
+            expect(evaluateAlertRule({ type: 'anomaly' }, data)).toEqual({ triggered: true, value: 6.5, time: null });
+        });
+
+        test('does not fire without an anomaly', () => {
+            expect(evaluateAlertRule({ type: 'anomaly' }, weatherData).triggered).toBe(false);
+            expect(evaluateAlertRule({ type: 'anomaly' }, {}).triggered).toBe(false);
+        });
+    });
+
+    test('does not fire without weather data or for an unknown type', () => {
+        expect(evaluateAlertRule({ type: 'rain_probability', threshold: 0, hours: 6 }, null).triggered).toBe(false);
+        expect(evaluateAlertRule({ type: 'wind', threshold: 0 }, weatherData).triggered).toBe(false);
+    });
+});
+
+describe('getAlertRuleSignature', () => {
+    const rule = { id: 'a', type: 'temperature_max', threshold: 35, hours: null, day: 1, location };
+
+    test('stays the same when the rule is only toggled', () => {
+        expect(getAlertRuleSignature({ ...rule, enabled: false })).toBe(getAlertRuleSignature(rule));
+    });
+
+    test('changes when what the rule watches changes', () => {
+        const signature = getAlertRuleSignature(rule);
+        expect(getAlertRuleSignature({ ...rule, threshold: 36 })).not.toBe(signature);
+        expect(getAlertRuleSignature({ ...rule, day: 2 })).not.toBe(signature);
+        expect(getAlertRuleSignature({ ...rule, location: { ...location, lat: 21.03 } })).not.toBe(signature);
+    });
+});
+
+describe('groupRulesByLocation', () => {
+    test('groups enabled rules of nearby coordinates and skips disabled ones', () => {
+        const groups = groupRulesByLocation([
+            { id: 'a', enabled: true, location },
+            { id: 'b', enabled: true, location: { ...location, lat: 10.901 } },
+            { id: 'c', enabled: false, location },
+            { id: 'd', enabled: true, location: { name: 'Hà Nội', lat: 21.03, lon: 105.85 } }
+        ]);
+        expect(groups.map(group => group.rules.map(rule => rule.id))).toEqual([['a', 'b'], ['d']]);
+    });
+});
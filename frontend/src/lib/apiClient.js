@@ -0,0 +1,342 @@
+import axios from 'axios';
+import { t } from './i18n';
+
+/**
+ * API Client
+ * Single axios instance used by every service to talk to the Laravel backend.
+ * The base URL comes from REACT_APP_API_URL at build time, e.g.
+ *   REACT_APP_API_URL=/api npm run build
+ * and defaults to the local development backend.
+ */
+export const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:8000/api';
+
+// Fired on window whenever the stored token is set or cleared
+export const AUTH_CHANGE_EVENT = 'auth-change';
+
+/**
+ * Let listeners (e.g. favourites) know that the signed-in user changed
+ */
+export const notifyAuthChange = () => {
+  window.dispatchEvent(new Event(AUTH_CHANGE_EVENT));
+};
+
+// Error categories exposed to the UI
+export const API_ERROR_TYPES = {
+  NETWORK: 'network',
+  TIMEOUT: 'timeout',
+  VALIDATION: 'validation',
+  AUTH: 'auth',
+  NOT_FOUND: 'not_found',
+  SERVER: 'server',
+  CANCELLED: 'cancelled',
+  UNKNOWN: 'unknown'
+};
+
+// Default user-facing message of each category (see apiErrors in src/locales)
+const getDefaultMessage = (type) => (
+  t(`apiErrors.${Object.values(API_ERROR_TYPES).includes(type) ? type : API_ERROR_TYPES.UNKNOWN}`)
+);
+
+/**
+ * ApiError
+ * Error thrown by every API call
+ * - type: one of API_ERROR_TYPES
+ * - status: HTTP status code (null when no response was received)
+ * - errors: field errors from Laravel validation, e.g. { name: ['The name field is required.'] }
+ * - data: raw response body
+ */
+export class ApiError extends Error {
+  constructor(type, message, { status = null, errors = {}, data = null } = {}) {
+    super(message || getDefaultMessage(type));
+    this.name = 'ApiError';
+    this.type = type;
+    this.status = status;
+    this.errors = errors;
+    this.data = data;
+  }
+}
+
+/**
+ * Map an HTTP status code to an error category
+ * @param {number} status - HTTP status code
+ * @returns {string} - One of API_ERROR_TYPES
+ */
+const getErrorType = (status) => {
+  if (status === 400 || status === 422) return API_ERROR_TYPES.VALIDATION;
+  if (status === 401 || status === 403) return API_ERROR_TYPES.AUTH;
+  if (status === 404) return API_ERROR_TYPES.NOT_FOUND;
+  if (status >= 500) return API_ERROR_TYPES.SERVER;
+  return API_ERROR_TYPES.UNKNOWN;
+};
+
+/**
+ * Convert an axios error into an ApiError
+ * @param {Error} error - Error raised by axios
+ * @returns {ApiError}
+ */
+export const toApiError = (error) => {
+  if (error instanceof ApiError) return error;
+
+  if (axios.isCancel(error)) {
+    return new ApiError(API_ERROR_TYPES.CANCELLED);
+  }
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return new ApiError(API_ERROR_TYPES.TIMEOUT);
+  }
+
+  if (!error.response) {
+    return new ApiError(API_ERROR_TYPES.NETWORK);
+  }
+
+  const { status, data } = error.response;
+  const type = getErrorType(status);
+
+  // Backend messages are shown only where they are meant for the user
+  const useBackendMessage = type === API_ERROR_TYPES.VALIDATION || type === API_ERROR_TYPES.UNKNOWN;
+  const message = useBackendMessage ? data?.message : null;
+
+  if (type === API_ERROR_TYPES.AUTH && status === 403) {
+    return new ApiError(type, t('apiErrors.forbidden'), { status, data });
+  }
+
+  return new ApiError(type, message, {
+    status,
+    errors: data?.errors || {},
+    data
+  });
+};
+
+/**
+ * Split a Server-Sent Events block into its event name and data
+ * @param {string} block - Lines of one event, without the blank line that ends it
+ * @returns {{event: string, data: string}|null} - null for comments and keep-alives
+ */
+const parseServerEvent = (block) => {
+  let event = 'message';
+  const data = [];
+
+  block.split(/\r?\n/).forEach(line => {
+    if (!line || line.startsWith(':')) return;
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+    if (field === 'event') event = value;
+    if (field === 'data') data.push(value);
+  });
+
+  return data.length ? { event, data: data.join('\n') } : null;
+};
+
+/**
+ * Read a text/event-stream response from the backend as it arrives
+ * axios cannot hand over a response before it is complete, so this uses fetch
+ * with the same base URL, token and error types as apiClient. Not retried.
+ *   await streamServerEvents('/weather/report/10.8/106.6/stream', {
+ *     signal,
+ *     onEvent: (event, data) => { ... }   // data is parsed as JSON
+ *   });
+ * @param {string} url - Path relative to API_BASE_URL
+ * @param {Object} options - { params: query parameters, signal: AbortSignal, onEvent }
+ * @returns {Promise} - Resolves when the backend closes the stream
+ */
+export const streamServerEvents = async (url, { params, signal, onEvent } = {}) => {
+  const query = params ? `?${new URLSearchParams(params)}` : '';
+  const token = localStorage.getItem('token');
+  let response;
+
+  try {
+    response = await fetch(`${API_BASE_URL}${url}${query}`, {
+      headers: {
+        'Accept': 'text/event-stream',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      signal
+    });
+  } catch (error) {
+    throw new ApiError(error.name === 'AbortError' ? API_ERROR_TYPES.CANCELLED : API_ERROR_TYPES.NETWORK);
+  }
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => null);
+    throw toApiError({ response: { status: response.status, data } });
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  // A data line that is not JSON is a broken response, not a lost connection
+  const dispatch = (block) => {
+    const parsed = parseServerEvent(block);
+    if (!parsed) return;
+
+    let data;
+    try {
+      data = JSON.parse(parsed.data);
+    } catch (error) {
+      throw new ApiError(API_ERROR_TYPES.SERVER, null, { status: response.status, data: parsed.data });
+    }
+    onEvent(parsed.event, data);
+  };
+
+  // Only a failed read means the connection was lost or aborted
+  const read = async () => {
+    try {
+      return await reader.read();
+    } catch (error) {
+      throw new ApiError(error.name === 'AbortError' ? API_ERROR_TYPES.CANCELLED : API_ERROR_TYPES.NETWORK);
+    }
+  };
+
+  try {
+    for (;;) {
+      const { done, value } = await read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      // An event ends with a blank line; the last block may still be incomplete
+      const blocks = buffer.split(/\r?\n\r?\n/);
+      buffer = blocks.pop();
+      blocks.forEach(dispatch);
+    }
+
+    buffer += decoder.decode();
+    if (buffer.trim()) dispatch(buffer);
+  } catch (error) {
+    // Close the body so the backend stops generating a report nobody reads
+    reader.cancel().catch(() => {});
+    throw error;
+  }
+};
+
+// Retry settings for idempotent GET requests
+// Override per request with `retry: { retries, baseDelay, maxDelay }`, or disable with `retry: false`
+export const DEFAULT_RETRY = {
+  retries: 2,
+  baseDelay: 500, // ms, doubled on every attempt
+  maxDelay: 5000
+};
+
+// Only transient failures are worth another attempt
+const RETRYABLE_TYPES = [API_ERROR_TYPES.NETWORK, API_ERROR_TYPES.TIMEOUT, API_ERROR_TYPES.SERVER];
+
+/**
+ * Delay before the next attempt: exponential backoff with jitter
+ * @param {number} attempt - Attempt number, starting at 1
+ * @param {Object} retry - Retry settings
+ * @returns {number} - Delay in milliseconds
+ */
+const getRetryDelay = (attempt, retry) => {
+  const exponential = retry.baseDelay * 2 ** (attempt - 1);
+  const jitter = Math.random() * retry.baseDelay;
+  return Math.min(exponential + jitter, retry.maxDelay);
+};
+
+/**
+ * Wait for the given time, rejecting early if the request is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Abort signal of the request
+ * @returns {Promise}
+ */
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new ApiError(API_ERROR_TYPES.CANCELLED));
+    return;
+  }
+
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new ApiError(API_ERROR_TYPES.CANCELLED));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Decide whether a failed request should be sent again
+ * @param {Object} config - axios request config
+ * @param {ApiError} apiError - Error of the last attempt
+ * @returns {Object|null} - Retry settings, or null when no retry should happen
+ */
+const getRetrySettings = (config, apiError) => {
+  if (!config || config.retry === false) return null;
+  if ((config.method || 'get').toLowerCase() !== 'get') return null;
+  if (!RETRYABLE_TYPES.includes(apiError.type)) return null;
+  // No point backing off while the browser knows it is offline
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return null;
+
+  const retry = { ...DEFAULT_RETRY, ...(config.retry || {}) };
+  const attempt = config.retryAttempt || 0;
+  return attempt < retry.retries ? retry : null;
+};
+
+const apiClient = axios.create({
+  baseURL: API_BASE_URL,
+  headers: {
+    'Accept': 'application/json',
+    'Content-Type': 'application/json'
+  }
+});
+
+// Request interceptor
+apiClient.interceptors.request.use(
+  (config) => {
+    const token = localStorage.getItem('token');
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
+    return config;
+  },
+  (error) => Promise.reject(error)
+);
+
+// Response interceptor
+apiClient.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    if (error.response?.status === 401) {
+      // Check if user had a token before removing it
+      const hadToken = !!localStorage.getItem('token');
+
+      // Clear authentication data
+      localStorage.removeItem('token');
+      localStorage.removeItem('user');
+      if (hadToken) notifyAuthChange();
+
+      // Only redirect to dashboard if:
+      // 1. User was previously authenticated (had a token that expired)
+      // 2. Not already on dashboard page
+      const currentPath = window.location.pathname;
+      if (hadToken && currentPath !== '/' && currentPath !== '/dashboard') {
+        window.location.href = '/dashboard';
+      }
+    }
+
+    const apiError = toApiError(error);
+    const { config } = error;
+
+    // Superseded requests are expected, not worth logging
+    if (apiError.type === API_ERROR_TYPES.CANCELLED) {
+      return Promise.reject(apiError);
+    }
+
+    const retry = getRetrySettings(config, apiError);
+    if (retry) {
+      config.retryAttempt = (config.retryAttempt || 0) + 1;
+      const delay = getRetryDelay(config.retryAttempt, retry);
+      console.warn(`Retrying ${config.url} (${config.retryAttempt}/${retry.retries}) in ${Math.round(delay)}ms after ${apiError.type} error`);
+      await wait(delay, config.signal);
+      return apiClient(config);
+    }
+
+    console.error(`API error [${apiError.type}] ${error.config?.method?.toUpperCase()} ${error.config?.url}:`, apiError.message);
+    return Promise.reject(apiError);
+  }
+);
+
+export default apiClient;
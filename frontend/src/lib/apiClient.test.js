@@ -0,0 +1,228 @@
+import { AxiosError, Cancel } from 'axios';
+import { TextDecoder, TextEncoder } from 'util';
+import apiClient, { ApiError, API_ERROR_TYPES, toApiError, streamServerEvents } from './apiClient';
+
+// Error axios raises for a response with the given status
+const httpError = (status, data = {}, config = {}) => (
+  new AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_RESPONSE', config, null, { status, data, headers: {}, config })
+);
+
+// Adapter answering each attempt with the next outcome: a status code to fail with, or data to return
+const sequenceAdapter = (outcomes) => jest.fn(async (config) => {
+  const outcome = outcomes.shift();
+  if (typeof outcome === 'number') throw httpError(outcome, {}, config);
+  if (outcome instanceof Error) throw outcome;
+  return { data: outcome, status: 200, statusText: 'OK', headers: {}, config };
+});
+
+const noDelay = { retries: 2, baseDelay: 0, maxDelay: 0 };
+
+describe('toApiError', () => {
+  test('keeps an ApiError as it is', () => {
+    const error = new ApiError(API_ERROR_TYPES.SERVER, 'Boom');
+    expect(toApiError(error)).toBe(error);
+  });
+
+  test('maps cancellations, timeouts and missing responses', () => {
+    expect(toApiError(new Cancel('superseded')).type).toBe(API_ERROR_TYPES.CANCELLED);
+    expect(toApiError({ code: 'ECONNABORTED' }).type).toBe(API_ERROR_TYPES.TIMEOUT);
+    expect(toApiError({ code: 'ETIMEDOUT' }).type).toBe(API_ERROR_TYPES.TIMEOUT);
+    expect(toApiError({ message: 'Network Error' }).type).toBe(API_ERROR_TYPES.NETWORK);
+  });
+
+  test.each([
+    [400, API_ERROR_TYPES.VALIDATION],
+    [422, API_ERROR_TYPES.VALIDATION],
+    [401, API_ERROR_TYPES.AUTH],
+    [403, API_ERROR_TYPES.AUTH],
+    [404, API_ERROR_TYPES.NOT_FOUND],
+    [500, API_ERROR_TYPES.SERVER],
+    [503, API_ERROR_TYPES.SERVER],
+    [418, API_ERROR_TYPES.UNKNOWN]
+  ])('maps status %i to %s', (status, type) => {
+    const error = toApiError(httpError(status));
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.type).toBe(type);
+    expect(error.status).toBe(status);
+  });
+
+  test('keeps the validation message and field errors of the backend', () => {
+    const error = toApiError(httpError(422, {
+      message: 'The name field is required.',
+      errors: { name: ['The name field is required.'] }
+    }));
+    expect(error.message).toBe('The name field is required.');
+    expect(error.errors).toEqual({ name: ['The name field is required.'] });
+  });
+
+  test('does not show server error messages to the user', () => {
+    const error = toApiError(httpError(500, { message: 'SQLSTATE[HY000]' }));
+    expect(error.message).not.toContain('SQLSTATE');
+    expect(error.data).toEqual({ message: 'SQLSTATE[HY000]' });
+  });
+});
+
+describe('apiClient retries', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('retries a GET after a server error', async () => {
+    const adapter = sequenceAdapter([503, { ok: true }]);
+    const response = await apiClient.get('/weather', { adapter, retry: noDelay });
+
+    expect(response.data).toEqual({ ok: true });
+    expect(adapter).toHaveBeenCalledTimes(2);
+  });
+
+  test('gives up after the configured retries', async () => {
+    const adapter = sequenceAdapter([500, 502, 503, { ok: true }]);
+
+    await expect(apiClient.get('/weather', { adapter, retry: noDelay }))
+      .rejects.toMatchObject({ type: API_ERROR_TYPES.SERVER, status: 503 });
+    expect(adapter).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not retry errors that would fail again', async () => {
+    const adapter = sequenceAdapter([404, { ok: true }]);
+
+    await expect(apiClient.get('/weather', { adapter, retry: noDelay }))
+      .rejects.toMatchObject({ type: API_ERROR_TYPES.NOT_FOUND });
+    expect(adapter).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not retry requests that are not GETs', async () => {
+    const adapter = sequenceAdapter([503, { ok: true }]);
+
+    await expect(apiClient.post('/favourites', {}, { adapter, retry: noDelay }))
+      .rejects.toMatchObject({ type: API_ERROR_TYPES.SERVER });
+    expect(adapter).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not retry when retries are disabled', async () => {
+    const adapter = sequenceAdapter([503, { ok: true }]);
+
+    await expect(apiClient.get('/weather', { adapter, retry: false }))
+      .rejects.toMatchObject({ type: API_ERROR_TYPES.SERVER });
+    expect(adapter).toHaveBeenCalledTimes(1);
+  });
+
+  test('stops waiting for a retry when the request is aborted', async () => {
+    const controller = new AbortController();
+    const adapter = sequenceAdapter([503, { ok: true }]);
+    const request = apiClient.get('/weather', {
+      adapter,
+      signal: controller.signal,
+      retry: { retries: 2, baseDelay: 60000, maxDelay: 60000 }
+    });
+
+    // Let the first attempt fail and the backoff start
+    await new Promise(resolve => setTimeout(resolve, 0));
+    controller.abort();
+
+    await expect(request).rejects.toMatchObject({ type: API_ERROR_TYPES.CANCELLED });
+    expect(adapter).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('streamServerEvents', () => {
+  const encoder = new TextEncoder();
+
+  // Response whose body yields the given chunks, then fails with readError if there is one
+  // The reader is exposed to check whether the stream was cancelled
+  const streamResponse = (chunks, readError = null) => {
+    const queue = chunks.map(chunk => encoder.encode(chunk));
+    const reader = {
+      read: async () => {
+        if (queue.length) return { done: false, value: queue.shift() };
+        if (readError) throw readError;
+        return { done: true };
+      },
+      cancel: jest.fn().mockResolvedValue()
+    };
+    return { ok: true, status: 200, reader, body: { getReader: () => reader } };
+  };
+
+  // jsdom has no TextDecoder; browsers do
+  beforeAll(() => {
+    global.TextDecoder = TextDecoder;
+  });
+
+  afterAll(() => {
+    delete global.TextDecoder;
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('parses events split across chunks', async () => {
+    const response = streamResponse([
+      'event: section\ndata: {"title":"Tổng',
+      ' quan"}\n\n: keep-alive\n\n',
+      'event: done\ndata: {}'
+    ]);
+    global.fetch = jest.fn().mockResolvedValue(response);
+    const onEvent = jest.fn();
+
+    await streamServerEvents('/weather/report/10.8/106.6/stream', { onEvent });
+
+    expect(onEvent.mock.calls).toEqual([
+      ['section', { title: 'Tổng quan' }],
+      ['done', {}]
+    ]);
+    expect(response.reader.cancel).not.toHaveBeenCalled();
+  });
+
+  test('maps a malformed data line to a server error and cancels the stream', async () => {
+    const response = streamResponse(['event: section\ndata: {"title":\n\n', 'event: done\ndata: {}\n\n']);
+    global.fetch = jest.fn().mockResolvedValue(response);
+    const onEvent = jest.fn();
+
+    await expect(streamServerEvents('/stream', { onEvent }))
+      .rejects.toMatchObject({ type: API_ERROR_TYPES.SERVER, data: '{"title":' });
+    expect(response.reader.cancel).toHaveBeenCalledTimes(1);
+    expect(onEvent).not.toHaveBeenCalled();
+  });
+
+  test('cancels the stream when a handler throws', async () => {
+    const response = streamResponse(['data: {}\n\n', 'data: {}\n\n']);
+    global.fetch = jest.fn().mockResolvedValue(response);
+    const onEvent = jest.fn(() => {
+      throw new Error('render failed');
+    });
+
+    await expect(streamServerEvents('/stream', { onEvent })).rejects.toThrow('render failed');
+    expect(response.reader.cancel).toHaveBeenCalledTimes(1);
+    expect(onEvent).toHaveBeenCalledTimes(1);
+  });
+
+  test('maps a lost connection to a network error', async () => {
+    global.fetch = jest.fn().mockResolvedValue(streamResponse(['data: {}\n\n'], new TypeError('network error')));
+    const onEvent = jest.fn();
+
+    await expect(streamServerEvents('/stream', { onEvent }))
+      .rejects.toMatchObject({ type: API_ERROR_TYPES.NETWORK });
+    expect(onEvent).toHaveBeenCalledTimes(1);
+  });
+
+  test('maps an abort while reading to a cancelled error', async () => {
+    const abort = Object.assign(new Error('aborted'), { name: 'AbortError' });
+    global.fetch = jest.fn().mockResolvedValue(streamResponse([], abort));
+
+    await expect(streamServerEvents('/stream', { onEvent: jest.fn() }))
+      .rejects.toMatchObject({ type: API_ERROR_TYPES.CANCELLED });
+  });
+
+  test('maps an error response like other requests', async () => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 503, json: async () => ({ success: false }) });
+
+    await expect(streamServerEvents('/stream', { onEvent: jest.fn() }))
+      .rejects.toMatchObject({ type: API_ERROR_TYPES.SERVER, status: 503 });
+  });
+});
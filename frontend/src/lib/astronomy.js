@@ -0,0 +1,254 @@
+/**
+ * Astronomy
+ * Sun and moon positions computed in the browser from coordinates and a time zone,
+ * so the astronomy card needs no extra network calls:
+ *   getAstronomy(21.03, 105.85, 'Asia/Bangkok').sun.sunrise -> Date of today's sunrise in Hà Nội
+ *   getMoonPhase(new Date()).id                              -> 'waxingGibbous'
+ * Formulas follow the low-precision solar and lunar positions of the Astronomical
+ * Almanac (accurate to about a minute for sun times), as popularised by SunCalc.
+ * Phase labels live in the `astronomy.phases` namespace of src/locales/<language>.json.
+ */
+
+const RAD = Math.PI / 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const J0 = 0.0009;
+
+// Obliquity of the Earth's axis
+const OBLIQUITY = RAD * 23.4397;
+
+// Mean Sun-Earth distance in km, compared with the Moon's distance for its illumination
+const SUN_DISTANCE = 149598000;
+
+// Sun altitudes (degrees) of the events shown on the card; rise and set include refraction
+const SUN_ALTITUDES = {
+    sunrise: -0.833,
+    civilTwilight: -6,
+    goldenHour: 6
+};
+
+// Phases in order from new moon, each centered on its phase value (0, 0.125, ..., 0.875)
+export const MOON_PHASES = [
+    { id: 'newMoon', icon: '🌑' },
+    { id: 'waxingCrescent', icon: '🌒' },
+    { id: 'firstQuarter', icon: '🌓' },
+    { id: 'waxingGibbous', icon: '🌔' },
+    { id: 'fullMoon', icon: '🌕' },
+    { id: 'waningGibbous', icon: '🌖' },
+    { id: 'lastQuarter', icon: '🌗' },
+    { id: 'waningCrescent', icon: '🌘' }
+];
+
+const toJulian = (date) => date.valueOf() / DAY_MS - 0.5 + J1970;
+const fromJulian = (julian) => new Date((julian + 0.5 - J1970) * DAY_MS);
+const toDays = (date) => toJulian(date) - J2000;
+
+const rightAscension = (longitude, latitude) => Math.atan2(
+    Math.sin(longitude) * Math.cos(OBLIQUITY) - Math.tan(latitude) * Math.sin(OBLIQUITY),
+    Math.cos(longitude)
+);
+
+const declination = (longitude, latitude) => Math.asin(
+    Math.sin(latitude) * Math.cos(OBLIQUITY) + Math.cos(latitude) * Math.sin(OBLIQUITY) * Math.sin(longitude)
+);
+
+const solarMeanAnomaly = (days) => RAD * (357.5291 + 0.98560028 * days);
+
+const eclipticLongitude = (meanAnomaly) => {
+    const center = RAD * (1.9148 * Math.sin(meanAnomaly) + 0.02 * Math.sin(2 * meanAnomaly) + 0.0003 * Math.sin(3 * meanAnomaly));
+    const perihelion = RAD * 102.9372;
+    return meanAnomaly + center + perihelion + Math.PI;
+};
+
+const sunCoordinates = (days) => {
+    const longitude = eclipticLongitude(solarMeanAnomaly(days));
+    return {
+        declination: declination(longitude, 0),
+        rightAscension: rightAscension(longitude, 0)
+    };
+};
+
+const moonCoordinates = (days) => {
+    const meanLongitude = RAD * (218.316 + 13.176396 * days);
+    const meanAnomaly = RAD * (134.963 + 13.064993 * days);
+    const meanDistance = RAD * (93.272 + 13.229350 * days);
+
+    const longitude = meanLongitude + RAD * 6.289 * Math.sin(meanAnomaly);
+    const latitude = RAD * 5.128 * Math.sin(meanDistance);
+
+    return {
+        rightAscension: rightAscension(longitude, latitude),
+        declination: declination(longitude, latitude),
+        distance: 385001 - 20905 * Math.cos(meanAnomaly)
+    };
+};
+
+const solarTransit = (days, meanAnomaly, longitude) => (
+    J2000 + days + 0.0053 * Math.sin(meanAnomaly) - 0.0069 * Math.sin(2 * longitude)
+);
+
+// NaN when the sun never reaches the altitude on that day
+const hourAngle = (altitude, latitude, sunDeclination) => Math.acos(
+    (Math.sin(altitude) - Math.sin(latitude) * Math.sin(sunDeclination)) /
+    (Math.cos(latitude) * Math.cos(sunDeclination))
+);
+
+/**
+ * Check that a time zone is known to the browser
+ * @param {string} timeZone - IANA time zone, e.g. 'Asia/Bangkok'
+ * @returns {boolean}
+ */
+export const isValidTimeZone = (timeZone) => {
+    if (!timeZone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Get the calendar date of a moment in a time zone
+ * @param {Date} date - Moment
+ * @param {string} timeZone - IANA time zone, the browser's when not set
+ * @returns {{year: number, month: number, day: number}}
+ */
+export const getLocalDate = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: isValidTimeZone(timeZone) ? timeZone : undefined,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric'
+    }).formatToParts(date);
+    const part = (type) => Number(parts.find(item => item.type === type).value);
+
+    return { year: part('year'), month: part('month'), day: part('day') };
+};
+
+/**
+ * Compute the sun events of one day
+ * Events the sun does not reach that day (e.g. sunrise during a polar night) are null
+ * @param {Date} date - Any moment of the day, ideally around local noon
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Object} - { solarNoon, sunrise, sunset, dawn, dusk, goldenHourEnd, goldenHour, polar }
+ *   `polar` is 'day' when the sun never sets, 'night' when it never rises, null otherwise
+ */
+export const getSunTimes = (date, lat, lon) => {
+    const observerLongitude = RAD * -lon;
+    const observerLatitude = RAD * lat;
+
+    const days = toDays(date);
+    const cycle = Math.round(days - J0 - observerLongitude / (2 * Math.PI));
+    const transitDays = J0 + observerLongitude / (2 * Math.PI) + cycle;
+    const meanAnomaly = solarMeanAnomaly(transitDays);
+    const longitude = eclipticLongitude(meanAnomaly);
+    const sunDeclination = declination(longitude, 0);
+    const noon = solarTransit(transitDays, meanAnomaly, longitude);
+
+    // Julian dates of the morning and evening times the sun is at an altitude
+    const atAltitude = (altitude) => {
+        const angle = hourAngle(RAD * altitude, observerLatitude, sunDeclination);
+        if (Number.isNaN(angle)) return [null, null];
+
+        const setDays = J0 + (angle + observerLongitude) / (2 * Math.PI) + cycle;
+        const set = solarTransit(setDays, meanAnomaly, longitude);
+        return [fromJulian(noon - (set - noon)), fromJulian(set)];
+    };
+
+    const [sunrise, sunset] = atAltitude(SUN_ALTITUDES.sunrise);
+    const [dawn, dusk] = atAltitude(SUN_ALTITUDES.civilTwilight);
+    const [goldenHourEnd, goldenHour] = atAltitude(SUN_ALTITUDES.goldenHour);
+
+    // Without a sunrise, the noon altitude tells a polar day from a polar night
+    let polar = null;
+    if (!sunrise) {
+        const noonAltitude = 90 - Math.abs(lat - sunDeclination / RAD);
+        polar = noonAltitude > SUN_ALTITUDES.sunrise ? 'day' : 'night';
+    }
+
+    return {
+        solarNoon: fromJulian(noon),
+        sunrise,
+        sunset,
+        dawn,
+        dusk,
+        goldenHourEnd,
+        goldenHour,
+        polar
+    };
+};
+
+/**
+ * Compute the moon phase at a moment
+ * @param {Date} date - Moment
+ * @returns {Object} - { phase: 0 (new) to 1, illumination: 0 to 1, id, icon } (see MOON_PHASES)
+ */
+export const getMoonPhase = (date) => {
+    const days = toDays(date);
+    const sun = sunCoordinates(days);
+    const moon = moonCoordinates(days);
+
+    const elongation = Math.acos(
+        Math.sin(sun.declination) * Math.sin(moon.declination) +
+        Math.cos(sun.declination) * Math.cos(moon.declination) * Math.cos(sun.rightAscension - moon.rightAscension)
+    );
+    const inclination = Math.atan2(
+        SUN_DISTANCE * Math.sin(elongation),
+        moon.distance - SUN_DISTANCE * Math.cos(elongation)
+    );
+    const angle = Math.atan2(
+        Math.cos(sun.declination) * Math.sin(sun.rightAscension - moon.rightAscension),
+        Math.sin(sun.declination) * Math.cos(moon.declination) -
+        Math.cos(sun.declination) * Math.sin(moon.declination) * Math.cos(sun.rightAscension - moon.rightAscension)
+    );
+
+    const phase = 0.5 + 0.5 * inclination * (angle < 0 ? -1 : 1) / Math.PI;
+    const illumination = (1 + Math.cos(inclination)) / 2;
+
+    return {
+        phase,
+        illumination,
+        ...MOON_PHASES[Math.round(phase * MOON_PHASES.length) % MOON_PHASES.length]
+    };
+};
+
+/**
+ * Compute everything shown on the astronomy card for the current day at a location
+ * The day is the calendar day in the location's time zone, not the browser's
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {string} timeZone - IANA time zone of the location (`location.timezone` of /weather/{lat}/{lon})
+ * @param {Date} now - Reference moment, defaults to now
+ * @returns {Object} - { sun: getSunTimes(), dayLength: ms, moon: getMoonPhase() }
+ */
+export const getAstronomy = (lat, lon, timeZone, now = new Date()) => {
+    const { year, month, day } = getLocalDate(now, timeZone);
+    // Solar noon of the local day is roughly 12:00 UTC shifted by the longitude
+    const localNoon = new Date(Date.UTC(year, month - 1, day, 12) - (lon / 15) * 60 * 60 * 1000);
+    const sun = getSunTimes(localNoon, lat, lon);
+
+    let dayLength = sun.polar === 'day' ? DAY_MS : 0;
+    if (sun.sunrise && sun.sunset) {
+        dayLength = sun.sunset - sun.sunrise;
+    }
+
+    return {
+        sun,
+        dayLength,
+        moon: getMoonPhase(now)
+    };
+};
+
+const astronomy = {
+    MOON_PHASES,
+    isValidTimeZone,
+    getLocalDate,
+    getSunTimes,
+    getMoonPhase,
+    getAstronomy
+};
+
+export default astronomy;
@@ -0,0 +1,100 @@
+import { isValidTimeZone, getLocalDate, getSunTimes, getMoonPhase, getAstronomy } from './astronomy';
+
+const MINUTE = 60 * 1000;
+
+// Published times (timeanddate.com), which the formulas should match within a few minutes
+const expectNear = (date, expected, tolerance = 3 * MINUTE) => {
+    expect(Math.abs(date - new Date(expected))).toBeLessThanOrEqual(tolerance);
+};
+
+describe('isValidTimeZone', () => {
+    test('accepts IANA zones and rejects anything else', () => {
+        expect(isValidTimeZone('Asia/Bangkok')).toBe(true);
+        expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+        expect(isValidTimeZone('')).toBe(false);
+        expect(isValidTimeZone(undefined)).toBe(false);
+    });
+});
+
+describe('getLocalDate', () => {
+    test('returns the calendar day of the time zone', () => {
+        const moment = new Date('2024-06-20T20:00:00Z');
+        expect(getLocalDate(moment, 'Asia/Bangkok')).toEqual({ year: 2024, month: 6, day: 21 });
+        expect(getLocalDate(moment, 'America/Los_Angeles')).toEqual({ year: 2024, month: 6, day: 20 });
+    });
+});
+
+describe('getAstronomy', () => {
+    test('matches the sun times of London at the winter solstice', () => {
+        const { sun, dayLength } = getAstronomy(51.5074, -0.1278, 'Europe/London', new Date('2024-12-21T12:00:00Z'));
+
+        expectNear(sun.sunrise, '2024-12-21T08:04:00Z');
+        expectNear(sun.sunset, '2024-12-21T15:53:00Z');
+        expectNear(sun.dawn, '2024-12-21T07:24:00Z');
+        expectNear(sun.solarNoon, '2024-12-21T11:58:00Z');
+        expect(Math.abs(dayLength - (7 * 60 + 49) * MINUTE)).toBeLessThanOrEqual(3 * MINUTE);
+        expect(sun.polar).toBeNull();
+    });
+
+    test('matches the sun times of Hà Nội at the summer solstice', () => {
+        const { sun, dayLength } = getAstronomy(21.0285, 105.8542, 'Asia/Bangkok', new Date('2024-06-21T05:00:00Z'));
+
+        expectNear(sun.sunrise, '2024-06-20T22:16:00Z');
+        expectNear(sun.sunset, '2024-06-21T11:41:00Z');
+        expect(Math.abs(dayLength - (13 * 60 + 25) * MINUTE)).toBeLessThanOrEqual(3 * MINUTE);
+    });
+
+    test('orders the events of a day', () => {
+        const { sun } = getAstronomy(10.9, 106.77, 'Asia/Bangkok', new Date('2024-03-20T05:00:00Z'));
+        const events = [sun.dawn, sun.sunrise, sun.goldenHourEnd, sun.solarNoon, sun.goldenHour, sun.sunset, sun.dusk];
+        events.slice(1).forEach((event, index) => {
+            expect(event.getTime()).toBeGreaterThan(events[index].getTime());
+        });
+    });
+
+    test('uses the day of the location, not the browser', () => {
+        // 20:00 UTC on June 20 is already June 21 in Hà Nội
+        const { sun } = getAstronomy(21.0285, 105.8542, 'Asia/Bangkok', new Date('2024-06-20T20:00:00Z'));
+        expect(getLocalDate(sun.solarNoon, 'Asia/Bangkok')).toEqual({ year: 2024, month: 6, day: 21 });
+    });
+
+    test('reports polar day and night in Tromsø', () => {
+        const summer = getAstronomy(69.6492, 18.9553, 'Europe/Oslo', new Date('2024-06-21T12:00:00Z'));
+        expect(summer.sun.polar).toBe('day');
+        expect(summer.sun.sunrise).toBeNull();
+        expect(summer.dayLength).toBe(24 * 60 * MINUTE);
+
+        const winter = getAstronomy(69.6492, 18.9553, 'Europe/Oslo', new Date('2024-12-21T12:00:00Z'));
+        expect(winter.sun.polar).toBe('night');
+        expect(winter.sun.sunset).toBeNull();
+        expect(winter.dayLength).toBe(0);
+    });
+});
+
+describe('getSunTimes', () => {
+    test('returns the events of the day around the given moment', () => {
+        const sun = getSunTimes(new Date('2024-12-21T12:00:00Z'), 51.5074, -0.1278);
+        expectNear(sun.sunrise, '2024-12-21T08:04:00Z');
+    });
+});
+
+describe('getMoonPhase', () => {
+    test.each([
+        ['2024-06-14T05:18:00Z', 'firstQuarter', 0.25, 0.5],
+        ['2024-06-22T01:08:00Z', 'fullMoon', 0.5, 1],
+        ['2024-06-28T21:53:00Z', 'lastQuarter', 0.75, 0.5],
+        ['2024-07-05T22:57:00Z', 'newMoon', 0, 0]
+    ])('matches the phase at %s (%s)', (moment, id, phase, illumination) => {
+        const moon = getMoonPhase(new Date(moment));
+        expect(moon.id).toBe(id);
+        // New moon sits at both ends of the cycle
+        expect(Math.min(Math.abs(moon.phase - phase), Math.abs(moon.phase - 1 - phase))).toBeLessThan(0.02);
+        expect(moon.illumination).toBeCloseTo(illumination, 1);
+    });
+
+    test('is waxing between new and full moon', () => {
+        const moon = getMoonPhase(new Date('2024-06-18T00:00:00Z'));
+        expect(moon.id).toBe('waxingGibbous');
+        expect(moon.icon).toBe('🌔');
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * Cache Store
+ * Two-level key/value cache: an in-memory Map for instant reads,
+ * backed by IndexedDB so entries survive page reloads.
+ * Every entry is stored as { key, data, storedAt }.
+ * If IndexedDB is unavailable (private mode, old browser) the cache
+ * silently falls back to memory only.
+ */
+
+const DB_NAME = 'weather-dashboard-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'entries';
+
+const memoryCache = new Map();
+let dbPromise = null;
+
+// Open (or create) the IndexedDB database once and reuse the connection
+const openDatabase = () => {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve) => {
+        if (typeof window === 'undefined' || !window.indexedDB) {
+            resolve(null);
+            return;
+        }
+
+        try {
+            const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('IndexedDB unavailable, using memory cache only:', request.error);
+                resolve(null);
+            };
+        } catch (error) {
+            console.warn('IndexedDB unavailable, using memory cache only:', error);
+            resolve(null);
+        }
+    });
+
+    return dbPromise;
+};
+
+// Run a single request against the object store and resolve with its result
+const runTransaction = async (mode, operation) => {
+    const db = await openDatabase();
+    if (!db) return null;
+
+    return new Promise((resolve) => {
+        try {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = operation(transaction.objectStore(STORE_NAME));
+            request.onsuccess = () => resolve(request.result ?? null);
+            request.onerror = () => resolve(null);
+        } catch (error) {
+            console.warn('IndexedDB transaction failed:', error);
+            resolve(null);
+        }
+    });
+};
+
+/**
+ * Read an entry, checking memory first and IndexedDB second
+ * @param {string} key - Cache key
+ * @returns {Promise<{key: string, data: any, storedAt: number}|null>}
+ */
+export const getCacheEntry = async (key) => {
+    if (memoryCache.has(key)) {
+        return memoryCache.get(key);
+    }
+
+    const entry = await runTransaction('readonly', (store) => store.get(key));
+    if (entry) {
+        memoryCache.set(key, entry);
+    }
+    return entry;
+};
+
+/**
+ * Write an entry to both memory and IndexedDB
+ * @param {string} key - Cache key
+ * @param {any} data - Serializable data to store
+ * @returns {Promise<Object>} - The stored entry
+ */
+export const setCacheEntry = async (key, data) => {
+    const entry = { key, data, storedAt: Date.now() };
+    memoryCache.set(key, entry);
+    await runTransaction('readwrite', (store) => store.put(entry));
+    return entry;
+};
+
+/**
+ * Remove a single entry
+ * @param {string} key - Cache key
+ */
+export const deleteCacheEntry = async (key) => {
+    memoryCache.delete(key);
+    await runTransaction('readwrite', (store) => store.delete(key));
+};
+
+/**
+ * Remove every entry whose key starts with the given prefix
+ * @param {string} prefix - Key prefix (e.g. 'weather:')
+ */
+export const clearCacheEntries = async (prefix = '') => {
+    Array.from(memoryCache.keys())
+        .filter((key) => key.startsWith(prefix))
+        .forEach((key) => memoryCache.delete(key));
+
+    const keys = await runTransaction('readonly', (store) => store.getAllKeys());
+    if (!keys) return;
+
+    await Promise.all(
+        keys
+            .filter((key) => key.startsWith(prefix))
+            .map((key) => runTransaction('readwrite', (store) => store.delete(key)))
+    );
+};
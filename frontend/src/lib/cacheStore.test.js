@@ -0,0 +1,48 @@
+import { getCacheEntry, setCacheEntry, deleteCacheEntry, clearCacheEntries } from './cacheStore';
+
+// jsdom has no IndexedDB, so these run against the memory fallback
+
+afterEach(async () => {
+    await clearCacheEntries();
+});
+
+describe('cacheStore', () => {
+    test('returns null for a missing key', async () => {
+        expect(await getCacheEntry('weather:missing')).toBeNull();
+    });
+
+    test('stores data with the time it was written', async () => {
+        const before = Date.now();
+        const stored = await setCacheEntry('weather:10.90:106.77', { temperature: 31 });
+
+        expect(stored).toEqual({ key: 'weather:10.90:106.77', data: { temperature: 31 }, storedAt: expect.any(Number) });
+        expect(stored.storedAt).toBeGreaterThanOrEqual(before);
+        expect(await getCacheEntry('weather:10.90:106.77')).toEqual(stored);
+    });
+
+    test('replaces an entry written again', async () => {
+        await setCacheEntry('weather:a', 1);
+        await setCacheEntry('weather:a', 2);
+        expect((await getCacheEntry('weather:a')).data).toBe(2);
+    });
+
+    test('deletes a single entry', async () => {
+        await setCacheEntry('weather:a', 1);
+        await setCacheEntry('weather:b', 2);
+        await deleteCacheEntry('weather:a');
+
+        expect(await getCacheEntry('weather:a')).toBeNull();
+        expect((await getCacheEntry('weather:b')).data).toBe(2);
+    });
+
+    test('clears only the entries of a prefix', async () => {
+        await setCacheEntry('weather:a', 1);
+        await setCacheEntry('weather:b', 2);
+        await setCacheEntry('snapshot:a', 3);
+        await clearCacheEntries('weather:');
+
+        expect(await getCacheEntry('weather:a')).toBeNull();
+        expect(await getCacheEntry('weather:b')).toBeNull();
+        expect((await getCacheEntry('snapshot:a')).data).toBe(3);
+    });
+});
@@ -0,0 +1,107 @@
+/**
+ * Dashboard Layout
+ * Order, visibility, collapse state and width of the dashboard sections:
+ *   [{ id: 'currentWeather', hidden: false, collapsed: false, size: 'full' }, ...]
+ * - The array order is the display order
+ * - `size` is 'full' (whole row) or 'half' (one of two columns on wide screens)
+ * - Section ids match the backend validation of /dashboard/layout
+ */
+
+export const DASHBOARD_SECTIONS = [
+    { id: 'stories', icon: '📰' },
+    { id: 'currentWeather', icon: '🌤️' },
+    { id: 'airQuality', icon: '🌫️' },
+    { id: 'astronomy', icon: '🌗' },
+    { id: 'products', icon: '🛍️' },
+    { id: 'forecast', icon: '📈' },
+    { id: 'anomaly', icon: '⚠️' },
+    { id: 'recommendation', icon: '💡' },
+    { id: 'comparator', icon: '📊' }
+];
+
+export const SECTION_SIZES = ['full', 'half'];
+
+export const DEFAULT_LAYOUT = DASHBOARD_SECTIONS.map(section => ({
+    id: section.id,
+    hidden: false,
+    collapsed: false,
+    size: 'full'
+}));
+
+/**
+ * Clean a saved layout: drop unknown sections and duplicates, fill in missing fields,
+ * and append sections added since it was saved with their defaults
+ * @param {Array|null} layout - Saved layout
+ * @returns {Array} - Layout with every section exactly once
+ */
+export const normalizeLayout = (layout) => {
+    if (!Array.isArray(layout)) return DEFAULT_LAYOUT;
+
+    const known = DEFAULT_LAYOUT.filter(section => layout.some(item => item?.id === section.id));
+    const sections = known.map(section => {
+        const saved = layout.find(item => item?.id === section.id);
+        return {
+            id: section.id,
+            hidden: !!saved.hidden,
+            collapsed: !!saved.collapsed,
+            size: SECTION_SIZES.includes(saved.size) ? saved.size : section.size
+        };
+    }).sort((a, b) => (
+        layout.findIndex(item => item?.id === a.id) - layout.findIndex(item => item?.id === b.id)
+    ));
+
+    return [
+        ...sections,
+        ...DEFAULT_LAYOUT.filter(section => !sections.some(item => item.id === section.id))
+    ];
+};
+
+/**
+ * Move a section to the position of another one
+ * @param {Array} layout - Current layout
+ * @param {string} id - Section to move
+ * @param {string} targetId - Section whose position it takes
+ * @returns {Array} - New layout
+ */
+export const moveSectionTo = (layout, id, targetId) => {
+    const from = layout.findIndex(section => section.id === id);
+    const to = layout.findIndex(section => section.id === targetId);
+    if (from === -1 || to === -1 || from === to) return layout;
+
+    const next = [...layout];
+    const [moved] = next.splice(from, 1);
+    next.splice(to, 0, moved);
+    return next;
+};
+
+/**
+ * Change the fields of one section
+ * @param {Array} layout - Current layout
+ * @param {string} id - Section to change
+ * @param {Object} changes - { hidden, collapsed, size }
+ * @returns {Array} - New layout
+ */
+export const updateSection = (layout, id, changes) => (
+    layout.map(section => (section.id === id ? { ...section, ...changes } : section))
+);
+
+/**
+ * Check whether a layout is the default one
+ * @param {Array} layout - Layout to check
+ * @returns {boolean}
+ */
+export const isDefaultLayout = (layout) => (
+    JSON.stringify(normalizeLayout(layout)) === JSON.stringify(DEFAULT_LAYOUT)
+);
+
+const dashboardLayout = {
+    DASHBOARD_SECTIONS,
+    SECTION_SIZES,
+    DEFAULT_LAYOUT,
+    normalizeLayout,
+    moveSectionTo,
+    updateSection,
+    isDefaultLayout
+};
+
+export default dashboardLayout;
@@ -0,0 +1,87 @@
+import {
+    DASHBOARD_SECTIONS,
+    DEFAULT_LAYOUT,
+    normalizeLayout,
+    moveSectionTo,
+    updateSection,
+    isDefaultLayout
+} from './dashboardLayout';
+
+const ids = (layout) => layout.map(section => section.id);
+
+describe('normalizeLayout', () => {
+    test('falls back to the default layout', () => {
+        expect(normalizeLayout(null)).toEqual(DEFAULT_LAYOUT);
+        expect(normalizeLayout({ forecast: true })).toEqual(DEFAULT_LAYOUT);
+    });
+
+    test('keeps the saved order and appends sections it does not list', () => {
+        const layout = normalizeLayout([{ id: 'forecast' }, { id: 'stories' }]);
+
+        expect(ids(layout).slice(0, 2)).toEqual(['forecast', 'stories']);
+        expect(ids(layout).slice(2)).toEqual(ids(DEFAULT_LAYOUT).filter(id => id !== 'forecast' && id !== 'stories'));
+        expect(layout).toHaveLength(DASHBOARD_SECTIONS.length);
+    });
+
+    test('drops unknown sections, duplicates and invalid items', () => {
+        const layout = normalizeLayout([
+            { id: 'radar' },
+            null,
+            { id: 'anomaly', hidden: true },
+            { id: 'anomaly', hidden: false }
+        ]);
+
+        expect(ids(layout)).not.toContain('radar');
+        expect(layout.filter(section => section.id === 'anomaly')).toEqual([
+            { id: 'anomaly', hidden: true, collapsed: false, size: 'full' }
+        ]);
+        expect(layout[0].id).toBe('anomaly');
+    });
+
+    test('fills in missing fields and rejects unknown sizes', () => {
+        const [section] = normalizeLayout([{ id: 'comparator', collapsed: 1, size: 'third', extra: 'x' }]);
+        expect(section).toEqual({ id: 'comparator', hidden: false, collapsed: true, size: 'full' });
+
+        expect(normalizeLayout([{ id: 'comparator', size: 'half' }])[0].size).toBe('half');
+    });
+
+    test('returns a normalized layout unchanged', () => {
+        const layout = updateSection(moveSectionTo(DEFAULT_LAYOUT, 'comparator', 'stories'), 'forecast', { size: 'half', collapsed: true });
+        expect(normalizeLayout(layout)).toEqual(layout);
+        expect(normalizeLayout(JSON.parse(JSON.stringify(layout)))).toEqual(layout);
+    });
+});
+
+describe('moveSectionTo', () => {
+    test('moves a section up to the position of another', () => {
+        const layout = moveSectionTo(DEFAULT_LAYOUT, 'forecast', 'stories');
+        expect(ids(layout)[0]).toBe('forecast');
+        expect(ids(layout)[1]).toBe('stories');
+    });
+
+    test('moves a section down to the position of another', () => {
+        const layout = moveSectionTo(DEFAULT_LAYOUT, 'stories', 'currentWeather');
+        expect(ids(layout).slice(0, 2)).toEqual(['currentWeather', 'stories']);
+    });
+
+    test('returns the same layout for unknown or identical sections', () => {
+        expect(moveSectionTo(DEFAULT_LAYOUT, 'radar', 'stories')).toBe(DEFAULT_LAYOUT);
+        expect(moveSectionTo(DEFAULT_LAYOUT, 'stories', 'radar')).toBe(DEFAULT_LAYOUT);
+        expect(moveSectionTo(DEFAULT_LAYOUT, 'stories', 'stories')).toBe(DEFAULT_LAYOUT);
+    });
+
+    test('does not change the layout it was given', () => {
+        const before = ids(DEFAULT_LAYOUT);
+        moveSectionTo(DEFAULT_LAYOUT, 'comparator', 'stories');
+        expect(ids(DEFAULT_LAYOUT)).toEqual(before);
+    });
+});
+
+describe('isDefaultLayout', () => {
+    test('tells the default layout from a changed one', () => {
+        expect(isDefaultLayout(DEFAULT_LAYOUT)).toBe(true);
+        expect(isDefaultLayout(null)).toBe(true);
+        expect(isDefaultLayout(updateSection(DEFAULT_LAYOUT, 'stories', { hidden: true }))).toBe(false);
+        expect(isDefaultLayout(moveSectionTo(DEFAULT_LAYOUT, 'comparator', 'stories'))).toBe(false);
+    });
+});
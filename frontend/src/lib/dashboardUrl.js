@@ -0,0 +1,96 @@
+import { t } from './i18n';
+
+/**
+ * Dashboard URL
+ * Encodes the dashboard state in query params so a link reproduces the same view:
+ *   /dashboard?lat=10.98&lon=106.75&name=Dĩ+An&tab=7day
+ * - lat, lon: selected location (rounded to 4 decimals, ~10 m)
+ * - name: display name of the location
+ * - tab: active tab of the forecast chart
+ */
+
+// Tabs of HourlyForecastChart that can be linked to
+export const FORECAST_TABS = ['24h', '7day', 'history'];
+export const DEFAULT_FORECAST_TAB = '24h';
+
+const COORDINATE_DECIMALS = 4;
+
+// Round a coordinate the same way it is written to the URL
+const roundCoordinate = (value) => Number(Number(value).toFixed(COORDINATE_DECIMALS));
+
+/**
+ * Read the location from query params
+ * @param {URLSearchParams} searchParams - Current query params
+ * @returns {{name: string, lat: number, lon: number}|null} - null when missing or out of range
+ */
+export const parseLocationParams = (searchParams) => {
+    const lat = parseFloat(searchParams.get('lat'));
+    const lon = parseFloat(searchParams.get('lon'));
+
+    if (isNaN(lat) || isNaN(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+        return null;
+    }
+
+    return {
+        name: searchParams.get('name') || t('locationPicker.coordinatesName', { lat: lat.toFixed(4), lon: lon.toFixed(4) }),
+        lat: roundCoordinate(lat),
+        lon: roundCoordinate(lon)
+    };
+};
+
+/**
+ * Read the forecast tab from query params
+ * @param {URLSearchParams} searchParams - Current query params
+ * @returns {string} - One of FORECAST_TABS
+ */
+export const parseForecastTab = (searchParams) => {
+    const tab = searchParams.get('tab');
+    return FORECAST_TABS.includes(tab) ? tab : DEFAULT_FORECAST_TAB;
+};
+
+/**
+ * Check whether two locations match at URL precision
+ * @param {Object|null} a - { lat, lon }
+ * @param {Object|null} b - { lat, lon }
+ * @returns {boolean}
+ */
+export const isSameUrlLocation = (a, b) => {
+    if (!a || !b) return false;
+    return roundCoordinate(a.lat) === roundCoordinate(b.lat)
+        && roundCoordinate(a.lon) === roundCoordinate(b.lon);
+};
+
+/**
+ * Return a copy of the query params with the location written in
+ * @param {URLSearchParams} searchParams - Current query params
+ * @param {{name: string, lat: number, lon: number}} location - Location to encode
+ * @returns {URLSearchParams}
+ */
+export const withLocationParams = (searchParams, location) => {
+    const next = new URLSearchParams(searchParams);
+    next.set('lat', String(roundCoordinate(location.lat)));
+    next.set('lon', String(roundCoordinate(location.lon)));
+    if (location.name) {
+        next.set('name', location.name);
+    } else {
+        next.delete('name');
+    }
+    return next;
+};
+
+/**
+ * Return a copy of the query params with the forecast tab written in
+ * The default tab is left out to keep links short
+ * @param {URLSearchParams} searchParams - Current query params
+ * @param {string} tab - One of FORECAST_TABS
+ * @returns {URLSearchParams}
+ */
+export const withForecastTab = (searchParams, tab) => {
+    const next = new URLSearchParams(searchParams);
+    if (tab === DEFAULT_FORECAST_TAB) {
+        next.delete('tab');
+    } else {
+        next.set('tab', tab);
+    }
+    return next;
+};
@@ -0,0 +1,93 @@
+import {
+    DEFAULT_FORECAST_TAB,
+    parseLocationParams,
+    parseForecastTab,
+    isSameUrlLocation,
+    withLocationParams,
+    withForecastTab
+} from './dashboardUrl';
+
+const params = (query) => new URLSearchParams(query);
+
+describe('parseLocationParams', () => {
+    test('reads the location and rounds it to 4 decimals', () => {
+        expect(parseLocationParams(params('lat=10.981234567&lon=106.751234567&name=Dĩ+An')))
+            .toEqual({ name: 'Dĩ An', lat: 10.9812, lon: 106.7512 });
+    });
+
+    test('names a location without a name after its coordinates', () => {
+        const location = parseLocationParams(params('lat=10.98&lon=106.75'));
+        expect(location.name).toContain('10.9800');
+        expect(location.name).toContain('106.7500');
+    });
+
+    test.each([
+        '',
+        'lat=10.98',
+        'lat=abc&lon=106.75',
+        'lat=91&lon=0',
+        'lat=-91&lon=0',
+        'lat=0&lon=181',
+        'lat=0&lon=-181'
+    ])('rejects "%s"', (query) => {
+        expect(parseLocationParams(params(query))).toBeNull();
+    });
+
+    test('accepts the edges of the range', () => {
+        expect(parseLocationParams(params('lat=-90&lon=180'))).toMatchObject({ lat: -90, lon: 180 });
+    });
+});
+
+describe('parseForecastTab', () => {
+    test('reads a known tab', () => {
+        expect(parseForecastTab(params('tab=7day'))).toBe('7day');
+        expect(parseForecastTab(params('tab=history'))).toBe('history');
+    });
+
+    test('falls back to the default tab', () => {
+        expect(parseForecastTab(params(''))).toBe(DEFAULT_FORECAST_TAB);
+        expect(parseForecastTab(params('tab=radar'))).toBe(DEFAULT_FORECAST_TAB);
+    });
+});
+
+describe('isSameUrlLocation', () => {
+    test('matches locations equal at URL precision', () => {
+        expect(isSameUrlLocation({ lat: 10.98121, lon: 106.75 }, { lat: 10.98124, lon: 106.75 })).toBe(true);
+        expect(isSameUrlLocation({ lat: 10.9812, lon: 106.75 }, { lat: 10.9813, lon: 106.75 })).toBe(false);
+    });
+
+    test('does not match a missing location', () => {
+        expect(isSameUrlLocation(null, { lat: 0, lon: 0 })).toBe(false);
+        expect(isSameUrlLocation({ lat: 0, lon: 0 }, undefined)).toBe(false);
+    });
+});
+
+describe('withLocationParams', () => {
+    test('writes the location and keeps the other params', () => {
+        const next = withLocationParams(params('tab=7day'), { name: 'Hà Nội', lat: 21.028511, lon: 105.804817 });
+        expect(next.toString()).toBe(params('tab=7day&lat=21.0285&lon=105.8048&name=Hà+Nội').toString());
+    });
+
+    test('drops a stale name when the location has none', () => {
+        const next = withLocationParams(params('name=Dĩ+An'), { lat: 21, lon: 105 });
+        expect(next.has('name')).toBe(false);
+    });
+
+    test('round-trips through parseLocationParams', () => {
+        const location = { name: 'Dĩ An', lat: 10.9812, lon: 106.7512 };
+        expect(parseLocationParams(withLocationParams(params(''), location))).toEqual(location);
+    });
+
+    test('does not change the params it was given', () => {
+        const current = params('tab=7day');
+        withLocationParams(current, { name: 'Dĩ An', lat: 10.98, lon: 106.75 });
+        expect(current.toString()).toBe('tab=7day');
+    });
+});
+
+describe('withForecastTab', () => {
+    test('writes a tab and leaves the default one out', () => {
+        expect(withForecastTab(params('lat=1&lon=2'), '7day').get('tab')).toBe('7day');
+        expect(withForecastTab(params('lat=1&lon=2&tab=7day'), DEFAULT_FORECAST_TAB).toString()).toBe('lat=1&lon=2');
+    });
+});
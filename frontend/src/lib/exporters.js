@@ -0,0 +1,203 @@
+import { getWeatherLabel } from './weatherCodes';
+
+/**
+ * Exporters
+ * Downloads dashboard data as files analysts can open in a spreadsheet:
+ *   downloadCsv(buildExportFileName('hourly', 'Dĩ An'), columns, rows)   -> hourly_di-an_20251102-0830.csv
+ *   downloadJson(buildExportFileName('anomaly', 'Dĩ An'), data)          -> anomaly_di-an_20251102-0830.json
+ *   downloadCanvasPng(buildExportFileName('chart', 'Dĩ An'), element)    -> chart_di-an_20251102-0830.png
+ * - CSV starts with a UTF-8 BOM so Excel keeps Vietnamese characters, numbers are left unformatted
+ * - JSON keeps the backend values (metric units), CSV uses the preferred units and language
+ * - PNG stacks every Chart.js canvas inside an element on a solid background
+ */
+
+export const EXPORT_FORMATS = ['csv', 'json', 'png'];
+
+// PNG background per theme, matching the dashboard background
+export const PNG_BACKGROUNDS = {
+    dark: '#1a1a2e',
+    light: '#ffffff'
+};
+
+const MIME_TYPES = {
+    csv: 'text/csv;charset=utf-8',
+    json: 'application/json;charset=utf-8'
+};
+
+// Space between stacked canvases in a PNG, in pixels
+const PNG_GAP = 16;
+
+// Lower-case ASCII slug of a name, e.g. "Dĩ An, Bình Dương" -> "di-an-binh-duong"
+const slugify = (value) => String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .replace(/Đ/g, 'D')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Local timestamp safe for file names, e.g. "20251102-0830"
+const formatTimestamp = (date) => (
+    `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`
+);
+
+/**
+ * Build a file name (without extension) from what is exported, the location and the time
+ * @param {string} kind - What is exported, e.g. 'hourly' or 'comparison'
+ * @param {string} locationName - Location name; left out when empty
+ * @param {Date} date - Export time
+ * @returns {string}
+ */
+export const buildExportFileName = (kind, locationName, date = new Date()) => (
+    [slugify(kind), locationName ? slugify(locationName) : null, formatTimestamp(date)]
+        .filter(Boolean)
+        .join('_')
+);
+
+/**
+ * Turn column specs into CSV columns in the current language and units
+ * @param {Array<Object>} specs - { key, labelKey, quantity, difference, unit, weatherLabel, getValue }
+ *   - quantity: converted to the preferred unit, which is added to the header
+ *   - difference: the quantity is a difference, e.g. +5 °C -> +9 °F
+ *   - unit: fixed unit added to the header
+ *   - weatherLabel: the value is a weather code, written as its label
+ *   - getValue: reads the value from a row instead of row[key]
+ * @param {Function} t - Translate function from useLanguage()
+ * @param {Object} formatter - Formatter from usePreferences()
+ * @returns {Array<{header: string, value: Function}>}
+ */
+export const toExportColumns = (specs, t, formatter) => specs.map(spec => {
+    const unit = spec.quantity ? formatter.unit(spec.quantity) : spec.unit;
+    const read = spec.getValue || (row => row[spec.key]);
+    return {
+        header: unit ? `${t(spec.labelKey)} (${unit})` : t(spec.labelKey),
+        value: (row) => {
+            const value = read(row);
+            if (spec.quantity && spec.difference) return formatter.convertDifference(spec.quantity, value);
+            if (spec.quantity) return formatter.convert(spec.quantity, value);
+            if (spec.weatherLabel) return getWeatherLabel(value, t);
+            return value;
+        }
+    };
+});
+
+/**
+ * Wrap exported data with what it is, where it is from and when it was exported
+ * @param {string} kind - What is exported, e.g. 'hourly'
+ * @param {Object|null} location - { name, lat, lon }
+ * @param {*} data - Backend data, in metric units
+ * @returns {Object}
+ */
+export const buildJsonExport = (kind, location, data) => ({
+    kind,
+    location: location ? { name: location.name, lat: location.lat, lon: location.lon } : null,
+    exported_at: new Date().toISOString(),
+    units: 'metric',
+    data
+});
+
+// Quote a CSV cell when it contains a separator, quote or line break
+const escapeCsvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize rows as CSV
+ * @param {Array<{header: string, value: Function}>} columns - Header and cell getter of each column
+ * @param {Array} rows - Rows passed to the cell getters
+ * @returns {string}
+ */
+export const toCsv = (columns, rows) => [
+    columns.map(column => escapeCsvCell(column.header)).join(','),
+    ...rows.map(row => columns.map(column => escapeCsvCell(column.value(row))).join(','))
+].join('\r\n');
+
+/**
+ * Save a blob as a file through a temporary link
+ * @param {Blob} blob - File content
+ * @param {string} fileName - File name with extension
+ */
+export const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
+
+/**
+ * Download rows as a CSV file
+ * @param {string} fileName - File name without extension
+ * @param {Array<{header: string, value: Function}>} columns - See toCsv
+ * @param {Array} rows - Rows to export
+ */
+export const downloadCsv = (fileName, columns, rows) => {
+    downloadBlob(new Blob(['\uFEFF', toCsv(columns, rows)], { type: MIME_TYPES.csv }), `${fileName}.csv`);
+};
+
+/**
+ * Download data as a pretty-printed JSON file
+ * @param {string} fileName - File name without extension
+ * @param {*} data - JSON-serializable data
+ */
+export const downloadJson = (fileName, data) => {
+    downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: MIME_TYPES.json }), `${fileName}.json`);
+};
+
+/**
+ * Download the charts inside an element as one PNG, stacked top to bottom
+ * @param {string} fileName - File name without extension
+ * @param {HTMLElement} element - Element containing Chart.js canvases
+ * @param {string} background - Fill behind the transparent charts
+ * @returns {Promise<boolean>} - false when the element has no chart
+ */
+export const downloadCanvasPng = (fileName, element, background = '#ffffff') => {
+    const canvases = element ? Array.from(element.querySelectorAll('canvas')) : [];
+    if (canvases.length === 0) return Promise.resolve(false);
+
+    const width = Math.max(...canvases.map(canvas => canvas.width));
+    const height = canvases.reduce((sum, canvas) => sum + canvas.height, 0) + PNG_GAP * (canvases.length + 1);
+
+    const output = document.createElement('canvas');
+    output.width = width + PNG_GAP * 2;
+    output.height = height;
+    const ctx = output.getContext('2d');
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, output.width, output.height);
+
+    let top = PNG_GAP;
+    canvases.forEach(canvas => {
+        ctx.drawImage(canvas, PNG_GAP, top);
+        top += canvas.height + PNG_GAP;
+    });
+
+    return new Promise(resolve => {
+        output.toBlob(blob => {
+            if (blob) downloadBlob(blob, `${fileName}.png`);
+            resolve(!!blob);
+        }, 'image/png');
+    });
+};
+
+const exporters = {
+    EXPORT_FORMATS,
+    PNG_BACKGROUNDS,
+    buildExportFileName,
+    toExportColumns,
+    buildJsonExport,
+    toCsv,
+    downloadBlob,
+    downloadCsv,
+    downloadJson,
+    downloadCanvasPng
+};
+
+export default exporters;
@@ -0,0 +1,190 @@
+import {
+    buildExportFileName,
+    toExportColumns,
+    buildJsonExport,
+    toCsv,
+    downloadCsv,
+    downloadJson,
+    downloadCanvasPng
+} from './exporters';
+import { createFormatter, DEFAULT_PREFERENCES, UNIT_SYSTEMS } from './formatting';
+
+const metric = createFormatter({ ...DEFAULT_PREFERENCES, locale: 'en-US' });
+const imperial = createFormatter({ ...DEFAULT_PREFERENCES, locale: 'en-US', ...UNIT_SYSTEMS.imperial });
+
+// Translate function that returns the last part of the key
+const t = (key) => key.split('.').pop();
+
+const readBlob = (blob, method = 'readAsText') => new Promise(resolve => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader[method](blob);
+});
+
+describe('buildExportFileName', () => {
+    const date = new Date(2025, 10, 2, 8, 30);
+
+    test('joins the kind, the location slug and the local time', () => {
+        expect(buildExportFileName('hourly', 'Dĩ An, Bình Dương', date)).toBe('hourly_di-an-binh-duong_20251102-0830');
+        expect(buildExportFileName('comparison', 'Đà Nẵng vs Huế', date)).toBe('comparison_da-nang-vs-hue_20251102-0830');
+    });
+
+    test('leaves out a missing location', () => {
+        expect(buildExportFileName('comparison-chart', null, date)).toBe('comparison-chart_20251102-0830');
+        expect(buildExportFileName('anomaly', '', date)).toBe('anomaly_20251102-0830');
+    });
+});
+
+describe('toCsv', () => {
+    const columns = [
+        { header: 'name', value: row => row.name },
+        { header: 'note', value: row => row.note }
+    ];
+
+    test('writes the header, then one line per row, separated by CRLF', () => {
+        expect(toCsv(columns, [{ name: 'A', note: 1 }, { name: 'B', note: 2 }])).toBe('name,note\r\nA,1\r\nB,2');
+        expect(toCsv(columns, [])).toBe('name,note');
+    });
+
+    test('quotes cells with commas, quotes and line breaks', () => {
+        const csv = toCsv(columns, [
+            { name: 'Dĩ An, Bình Dương', note: 'gió "mạnh"' },
+            { name: 'Huế', note: 'dòng 1\ndòng 2' },
+            { name: 'Cà Mau', note: 'a\r\nb' }
+        ]);
+
+        expect(csv.split('\r\n')[1]).toBe('"Dĩ An, Bình Dương","gió ""mạnh"""');
+        expect(csv).toContain('Huế,"dòng 1\ndòng 2"');
+        expect(csv).toContain('Cà Mau,"a\r\nb"');
+    });
+
+    test('quotes headers too and leaves missing values empty', () => {
+        const csv = toCsv([{ header: 'Max, min', value: () => null }, { header: 'x', value: () => undefined }], [{}]);
+        expect(csv).toBe('"Max, min",x\r\n,');
+    });
+
+    test('keeps zero and false', () => {
+        expect(toCsv([{ header: 'v', value: row => row.v }], [{ v: 0 }, { v: false }])).toBe('v\r\n0\r\nfalse');
+    });
+});
+
+describe('toExportColumns', () => {
+    const specs = [
+        { key: 'time', labelKey: 'export.columns.time' },
+        { key: 'temperature', labelKey: 'weather.temperature', quantity: 'temperature' },
+        { key: 'change', labelKey: 'weather.change', quantity: 'temperature', difference: true },
+        { key: 'humidity', labelKey: 'weather.humidity', unit: '%' },
+        { key: 'code', labelKey: 'export.columns.weather', weatherLabel: true },
+        { key: 'lat', labelKey: 'export.columns.latitude', getValue: row => row.coordinates.lat }
+    ];
+    const row = { time: '2025-11-02T08:00', temperature: 30, change: 5, humidity: 80, code: 61, coordinates: { lat: 10.98 } };
+
+    test('keeps the order of the specs and adds units to the headers', () => {
+        expect(toExportColumns(specs, t, metric).map(column => column.header)).toEqual([
+            'time', 'temperature (°C)', 'change (°C)', 'humidity (%)', 'weather', 'latitude'
+        ]);
+        expect(toExportColumns(specs, t, imperial).map(column => column.header).slice(1, 3)).toEqual([
+            'temperature (°F)', 'change (°F)'
+        ]);
+    });
+
+    test('converts values to the preferred units', () => {
+        const values = (formatter) => toExportColumns(specs, t, formatter).map(column => column.value(row));
+
+        expect(values(metric)).toEqual(['2025-11-02T08:00', 30, 5, 80, '61', 10.98]);
+        // A difference is converted without the offset: +5 °C is +9 °F
+        expect(values(imperial).slice(1, 3)).toEqual([86, 9]);
+    });
+
+    test('writes the CSV in the preferred units', () => {
+        const csv = toCsv(toExportColumns(specs.slice(1, 2), t, imperial), [{ temperature: 0 }, { temperature: null }]);
+        expect(csv).toBe('temperature (°F)\r\n32\r\n');
+    });
+});
+
+describe('buildJsonExport', () => {
+    test('wraps the metric data with what it is, where it is from and when', () => {
+        jest.useFakeTimers().setSystemTime(new Date('2025-11-02T01:30:00Z'));
+        const data = [{ temperature: 30 }];
+
+        expect(buildJsonExport('hourly', { name: 'Dĩ An', lat: 10.98, lon: 106.75, color: 'x' }, data)).toEqual({
+            kind: 'hourly',
+            location: { name: 'Dĩ An', lat: 10.98, lon: 106.75 },
+            exported_at: '2025-11-02T01:30:00.000Z',
+            units: 'metric',
+            data
+        });
+        expect(buildJsonExport('comparison', null, data).location).toBeNull();
+
+        jest.useRealTimers();
+    });
+});
+
+describe('downloads', () => {
+    let blobs;
+    let clicked;
+
+    beforeEach(() => {
+        blobs = [];
+        clicked = [];
+        URL.createObjectURL = jest.fn(blob => {
+            blobs.push(blob);
+            return `blob:${blobs.length}`;
+        });
+        URL.revokeObjectURL = jest.fn();
+        jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function click() {
+            clicked.push(this.download);
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete URL.createObjectURL;
+        delete URL.revokeObjectURL;
+    });
+
+    test('downloads CSV with a UTF-8 byte order mark', async () => {
+        downloadCsv('hourly_di-an', [{ header: 'name', value: row => row.name }], [{ name: 'Dĩ An' }]);
+
+        expect(clicked).toEqual(['hourly_di-an.csv']);
+        expect(blobs[0].type).toBe('text/csv;charset=utf-8');
+        const bytes = new Uint8Array(await readBlob(blobs[0], 'readAsArrayBuffer'));
+        expect(Array.from(bytes.slice(0, 3))).toEqual([0xEF, 0xBB, 0xBF]);
+        expect(await readBlob(blobs[0])).toContain('name\r\nDĩ An');
+        expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:1');
+        expect(document.querySelector('a[download]')).toBeNull();
+    });
+
+    test('downloads pretty-printed JSON', async () => {
+        downloadJson('anomaly_di-an', { kind: 'anomaly', data: [1] });
+
+        expect(clicked).toEqual(['anomaly_di-an.json']);
+        expect(blobs[0].type).toBe('application/json;charset=utf-8');
+        expect(JSON.parse(await readBlob(blobs[0]))).toEqual({ kind: 'anomaly', data: [1] });
+        expect(await readBlob(blobs[0])).toContain('\n  "kind": "anomaly"');
+    });
+
+    test('downloads no PNG without a chart', async () => {
+        await expect(downloadCanvasPng('chart', document.createElement('div'))).resolves.toBe(false);
+        await expect(downloadCanvasPng('chart', null)).resolves.toBe(false);
+        expect(clicked).toEqual([]);
+    });
+
+    test('stacks the charts on the background in one PNG', async () => {
+        const ctx = { fillRect: jest.fn(), drawImage: jest.fn() };
+        jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(ctx);
+        jest.spyOn(HTMLCanvasElement.prototype, 'toBlob').mockImplementation(callback => callback(new Blob(['png'], { type: 'image/png' })));
+
+        const element = document.createElement('div');
+        const first = Object.assign(document.createElement('canvas'), { width: 300, height: 100 });
+        const second = Object.assign(document.createElement('canvas'), { width: 200, height: 50 });
+        element.append(first, second);
+
+        await expect(downloadCanvasPng('chart_di-an', element, '#1a1a2e')).resolves.toBe(true);
+
+        expect(ctx.fillStyle).toBe('#1a1a2e');
+        expect(ctx.fillRect).toHaveBeenCalledWith(0, 0, 332, 198);
+        expect(ctx.drawImage.mock.calls).toEqual([[first, 16, 16], [second, 16, 132]]);
+        expect(clicked).toEqual(['chart_di-an.png']);
+    });
+});
@@ -0,0 +1,270 @@
+/**
+ * Formatting
+ * Converts and formats weather values for display according to the user's preferences.
+ * The backend always returns metric values (°C, km/h, mm, hPa);
+ * components keep working with those and convert only when rendering.
+ */
+
+// Display units per quantity; `convert` maps the metric value to the unit
+export const UNITS = {
+    temperature: {
+        celsius: { label: '°C', convert: (value) => value, decimals: 1 },
+        fahrenheit: { label: '°F', convert: (value) => value * 9 / 5 + 32, decimals: 1 }
+    },
+    windSpeed: {
+        kmh: { label: 'km/h', convert: (value) => value, decimals: 1 },
+        mph: { label: 'mph', convert: (value) => value / 1.609344, decimals: 1 },
+        ms: { label: 'm/s', convert: (value) => value / 3.6, decimals: 1 }
+    },
+    precipitation: {
+        mm: { label: 'mm', convert: (value) => value, decimals: 1 },
+        in: { label: 'in', convert: (value) => value / 25.4, decimals: 2 }
+    },
+    pressure: {
+        hPa: { label: 'hPa', convert: (value) => value, decimals: 0 },
+        inHg: { label: 'inHg', convert: (value) => value * 0.02953, decimals: 2 }
+    }
+};
+
+// Preference key holding the selected unit of each quantity
+const UNIT_PREFERENCE_KEYS = {
+    temperature: 'temperatureUnit',
+    windSpeed: 'windSpeedUnit',
+    precipitation: 'precipitationUnit',
+    pressure: 'pressureUnit'
+};
+
+// Presets applied by the unit system switch
+export const UNIT_SYSTEMS = {
+    metric: { temperatureUnit: 'celsius', windSpeedUnit: 'kmh', precipitationUnit: 'mm', pressureUnit: 'hPa' },
+    imperial: { temperatureUnit: 'fahrenheit', windSpeedUnit: 'mph', precipitationUnit: 'in', pressureUnit: 'inHg' }
+};
+
+export const LOCALES = [
+    { code: 'vi-VN', label: 'Tiếng Việt' },
+    { code: 'en-US', label: 'English (US)' },
+    { code: 'en-GB', label: 'English (UK)' }
+];
+
+// Dashboard auto-refresh intervals in minutes, 0 = off
+export const REFRESH_INTERVALS = [0, 5, 10, 15, 30, 60];
+
+export const DEFAULT_PREFERENCES = {
+    ...UNIT_SYSTEMS.metric,
+    timeFormat: '24h',
+    locale: 'vi-VN',
+    refreshInterval: 10
+};
+
+const isMissing = (value) => value === null || value === undefined || value === '' || isNaN(Number(value));
+
+const getUnit = (quantity, preferences) => {
+    const units = UNITS[quantity];
+    return units[preferences[UNIT_PREFERENCE_KEYS[quantity]]] || Object.values(units)[0];
+};
+
+const round = (value, decimals) => Number(value.toFixed(decimals));
+
+/**
+ * Get the unit system matching the preferences
+ * @param {Object} preferences - User preferences
+ * @returns {string} - 'metric', 'imperial' or 'custom' when units are mixed
+ */
+export const getUnitSystem = (preferences) => {
+    const match = Object.keys(UNIT_SYSTEMS).find(system => (
+        Object.entries(UNIT_SYSTEMS[system]).every(([key, unit]) => preferences[key] === unit)
+    ));
+    return match || 'custom';
+};
+
+/**
+ * Get the unit label of a quantity, e.g. '°F' or 'km/h'
+ * @param {string} quantity - temperature | windSpeed | precipitation | pressure
+ * @param {Object} preferences - User preferences
+ * @returns {string}
+ */
+export const getUnitLabel = (quantity, preferences) => getUnit(quantity, preferences).label;
+
+/**
+ * Convert a metric value to the preferred unit, rounded for display
+ * @param {string} quantity - temperature | windSpeed | precipitation | pressure
+ * @param {number} value - Metric value from the backend
+ * @param {Object} preferences - User preferences
+ * @returns {number|null} - null when the value is missing
+ */
+export const convertValue = (quantity, value, preferences) => {
+    if (isMissing(value)) return null;
+    const unit = getUnit(quantity, preferences);
+    return round(unit.convert(Number(value)), unit.decimals);
+};
+
+/**
+ * Convert a difference between two metric values to the preferred unit.
+ * Unlike convertValue this ignores the offset, so a 2°C gap becomes 3.6°F, not 35.6°F.
+ * @param {string} quantity - temperature | windSpeed | precipitation | pressure
+ * @param {number} value - Metric difference
+ * @param {Object} preferences - User preferences
+ * @returns {number|null}
+ */
+export const convertDifference = (quantity, value, preferences) => {
+    if (isMissing(value)) return null;
+    const unit = getUnit(quantity, preferences);
+    return round(unit.convert(Number(value)) - unit.convert(0), unit.decimals);
+};
+
+/**
+ * Convert a value typed in the preferred unit back to the metric unit used by the backend.
+ * Every unit is a linear conversion, so the offset and the scale undo it.
+ * @param {string} quantity - temperature | windSpeed | precipitation | pressure
+ * @param {number} value - Value in the preferred unit
+ * @param {Object} preferences - User preferences
+ * @returns {number|null}
+ */
+export const convertToMetric = (quantity, value, preferences) => {
+    if (isMissing(value)) return null;
+    const unit = getUnit(quantity, preferences);
+    const offset = unit.convert(0);
+    return round((Number(value) - offset) / (unit.convert(1) - offset), 2);
+};
+
+/**
+ * Format a number in the preferred locale
+ * @param {number} value - Number to format
+ * @param {Object} preferences - User preferences
+ * @param {number} decimals - Maximum fraction digits
+ * @returns {string}
+ */
+export const formatNumber = (value, preferences, decimals = 1) => {
+    if (isMissing(value)) return '-';
+    return Number(value).toLocaleString(preferences.locale, { maximumFractionDigits: decimals });
+};
+
+/**
+ * Format a metric value with the preferred unit, e.g. "77°F" or "12.4 mph"
+ * @param {string} quantity - temperature | windSpeed | precipitation | pressure
+ * @param {number} value - Metric value from the backend
+ * @param {Object} preferences - User preferences
+ * @param {Object} options - { difference: format as a signed difference }
+ * @returns {string} - '-' when the value is missing
+ */
+export const formatValue = (quantity, value, preferences, { difference = false } = {}) => {
+    const converted = difference
+        ? convertDifference(quantity, value, preferences)
+        : convertValue(quantity, value, preferences);
+    if (converted === null) return '-';
+
+    const unit = getUnit(quantity, preferences);
+    const sign = difference && converted > 0 ? '+' : '';
+    // Degrees stick to the number, other units are spaced
+    const separator = unit.label.startsWith('°') ? '' : ' ';
+    return `${sign}${formatNumber(converted, preferences, unit.decimals)}${separator}${unit.label}`;
+};
+
+/**
+ * Format the time of day, e.g. "14:00" or "2:00 PM"
+ * @param {string|Date} date - Date to format
+ * @param {Object} preferences - User preferences
+ * @param {string} timeZone - IANA time zone to show the time in, defaults to the browser's
+ * @returns {string}
+ */
+export const formatTime = (date, preferences, timeZone) => (
+    new Date(date).toLocaleTimeString(preferences.locale, {
+        hour: '2-digit',
+        minute: '2-digit',
+        hour12: preferences.timeFormat === '12h',
+        timeZone
+    })
+);
+
+/**
+ * Format a date, by default as day and month
+ * @param {string|Date} date - Date to format
+ * @param {Object} preferences - User preferences
+ * @param {Object} options - Intl.DateTimeFormat options
+ * @returns {string}
+ */
+export const formatDate = (date, preferences, options = { day: '2-digit', month: '2-digit' }) => (
+    new Date(date).toLocaleDateString(preferences.locale, options)
+);
+
+/**
+ * Format a date with its weekday, e.g. "Mon, 12/08"
+ * @param {string|Date} date - Date to format
+ * @param {Object} preferences - User preferences
+ * @param {string} weekday - 'short' or 'long'
+ * @returns {string}
+ */
+export const formatDay = (date, preferences, weekday = 'short') => {
+    const weekdayName = formatDate(date, preferences, { weekday });
+    return `${weekdayName}, ${formatDate(date, preferences)}`;
+};
+
+/**
+ * Format a full date and time
+ * @param {string|Date} date - Date to format
+ * @param {Object} preferences - User preferences
+ * @returns {string}
+ */
+export const formatDateTime = (date, preferences) => (
+    new Date(date).toLocaleString(preferences.locale, {
+        hour12: preferences.timeFormat === '12h'
+    })
+);
+
+// Largest unit first, in seconds
+const RELATIVE_TIME_UNITS = [['day', 86400], ['hour', 3600], ['minute', 60], ['second', 1]];
+
+/**
+ * Format how far a moment is from now, e.g. "3 phút trước" or "3 minutes ago"
+ * @param {string|Date|number} date - Moment to describe
+ * @param {Object} preferences - User preferences
+ * @param {number} now - Reference time in ms, defaults to now
+ * @returns {string}
+ */
+export const formatRelativeTime = (date, preferences, now = Date.now()) => {
+    const seconds = Math.round((new Date(date).getTime() - now) / 1000);
+    const [unit, size] = RELATIVE_TIME_UNITS.find(([, unitSize]) => Math.abs(seconds) >= unitSize)
+        || RELATIVE_TIME_UNITS[RELATIVE_TIME_UNITS.length - 1];
+    return new Intl.RelativeTimeFormat(preferences.locale, { numeric: 'auto' })
+        .format(Math.round(seconds / size), unit);
+};
+
+/**
+ * Bind all formatters to one set of preferences
+ * @param {Object} preferences - User preferences
+ * @returns {Object} - Formatter used by components through usePreferences()
+ */
+export const createFormatter = (preferences) => ({
+    unit: (quantity) => getUnitLabel(quantity, preferences),
+    convert: (quantity, value) => convertValue(quantity, value, preferences),
+    convertDifference: (quantity, value) => convertDifference(quantity, value, preferences),
+    toMetric: (quantity, value) => convertToMetric(quantity, value, preferences),
+    number: (value, decimals) => formatNumber(value, preferences, decimals),
+    temperature: (value, options) => formatValue('temperature', value, preferences, options),
+    windSpeed: (value, options) => formatValue('windSpeed', value, preferences, options),
+    precipitation: (value, options) => formatValue('precipitation', value, preferences, options),
+    pressure: (value, options) => formatValue('pressure', value, preferences, options),
+    time: (date, timeZone) => formatTime(date, preferences, timeZone),
+    date: (date, options) => formatDate(date, preferences, options),
+    day: (date, weekday) => formatDay(date, preferences, weekday),
+    dateTime: (date) => formatDateTime(date, preferences),
+    relativeTime: (date, now) => formatRelativeTime(date, preferences, now)
+});
+
+const formatting = {
+    getUnitSystem,
+    getUnitLabel,
+    convertValue,
+    convertDifference,
+    convertToMetric,
+    formatNumber,
+    formatValue,
+    formatTime,
+    formatDate,
+    formatDay,
+    formatDateTime,
+    formatRelativeTime,
+    createFormatter
+};
+
+export default formatting;
@@ -0,0 +1,108 @@
+import {
+    UNIT_SYSTEMS,
+    DEFAULT_PREFERENCES,
+    getUnitSystem,
+    convertValue,
+    convertDifference,
+    convertToMetric,
+    formatValue,
+    formatTime
+} from './formatting';
+
+const metric = { ...DEFAULT_PREFERENCES, locale: 'en-US' };
+const imperial = { ...metric, ...UNIT_SYSTEMS.imperial };
+
+describe('getUnitSystem', () => {
+    test('recognizes the presets and mixed units', () => {
+        expect(getUnitSystem(metric)).toBe('metric');
+        expect(getUnitSystem(imperial)).toBe('imperial');
+        expect(getUnitSystem({ ...metric, windSpeedUnit: 'ms' })).toBe('custom');
+    });
+});
+
+describe('convertValue', () => {
+    test('keeps metric values as they are', () => {
+        expect(convertValue('temperature', 25, metric)).toBe(25);
+        expect(convertValue('windSpeed', 12.34, metric)).toBe(12.3);
+        expect(convertValue('pressure', 1013.4, metric)).toBe(1013);
+    });
+
+    test.each([
+        ['temperature', 0, 32],
+        ['temperature', 100, 212],
+        ['temperature', -40, -40],
+        ['windSpeed', 16.09344, 10],
+        ['precipitation', 25.4, 1],
+        ['precipitation', 10, 0.39],
+        ['pressure', 1013.25, 29.92]
+    ])('converts %s %p to %p in imperial units', (quantity, value, expected) => {
+        expect(convertValue(quantity, value, imperial)).toBe(expected);
+    });
+
+    test('converts wind speed to m/s', () => {
+        expect(convertValue('windSpeed', 36, { ...metric, windSpeedUnit: 'ms' })).toBe(10);
+    });
+
+    test('accepts numeric strings and returns null for missing values', () => {
+        expect(convertValue('temperature', '20', imperial)).toBe(68);
+        [null, undefined, '', 'abc'].forEach(value => {
+            expect(convertValue('temperature', value, imperial)).toBeNull();
+        });
+    });
+
+    test('falls back to the metric unit for an unknown preference', () => {
+        expect(convertValue('temperature', 25, { ...metric, temperatureUnit: 'kelvin' })).toBe(25);
+    });
+});
+
+describe('convertDifference', () => {
+    test('scales a temperature gap without the offset', () => {
+        expect(convertDifference('temperature', 2, imperial)).toBe(3.6);
+        expect(convertDifference('temperature', -5, imperial)).toBe(-9);
+        expect(convertDifference('temperature', 2, metric)).toBe(2);
+    });
+});
+
+describe('convertToMetric', () => {
+    test('undoes convertValue', () => {
+        expect(convertToMetric('temperature', 95, imperial)).toBe(35);
+        expect(convertToMetric('windSpeed', 10, imperial)).toBe(16.09);
+        expect(convertToMetric('precipitation', 1, imperial)).toBe(25.4);
+        expect(convertToMetric('temperature', 35, metric)).toBe(35);
+    });
+
+    test('returns null for missing values', () => {
+        expect(convertToMetric('temperature', '', imperial)).toBeNull();
+    });
+});
+
+describe('formatValue', () => {
+    test('adds the unit label, degrees without a space', () => {
+        expect(formatValue('temperature', 25, imperial)).toBe('77°F');
+        expect(formatValue('windSpeed', 20, metric)).toBe('20 km/h');
+        expect(formatValue('precipitation', 12.7, imperial)).toBe('0.5 in');
+    });
+
+    test('signs positive differences', () => {
+        expect(formatValue('temperature', 2, imperial, { difference: true })).toBe('+3.6°F');
+        expect(formatValue('temperature', -2, metric, { difference: true })).toBe('-2°C');
+        expect(formatValue('temperature', 0, metric, { difference: true })).toBe('0°C');
+    });
+
+    test('uses the decimal separator of the locale', () => {
+        expect(formatValue('temperature', 25.5, { ...metric, locale: 'vi-VN' })).toBe('25,5°C');
+    });
+
+    test('shows a dash for missing values', () => {
+        expect(formatValue('temperature', null, metric)).toBe('-');
+    });
+});
+
+describe('formatTime', () => {
+    const date = new Date('2025-11-02T07:30:00Z');
+
+    test('follows the 12h/24h preference in the given time zone', () => {
+        expect(formatTime(date, { ...metric, timeFormat: '24h' }, 'Asia/Bangkok')).toBe('14:30');
+        expect(formatTime(date, { ...metric, timeFormat: '12h' }, 'Asia/Bangkok')).toBe('02:30 PM');
+    });
+});
@@ -0,0 +1,127 @@
+import vi from '../locales/vi.json';
+import en from '../locales/en.json';
+
+/**
+ * i18n
+ * Message catalogs live in src/locales/<language>.json, grouped by component or service:
+ *   t('currentWeather.title')                  -> "Thời Tiết Hiện Tại"
+ *   t('comparator.count', { count, max })      -> "2/6 locations"
+ * - {name} placeholders are filled from params; numbers are formatted for the language
+ * - A message can be an object of plural forms ({ one, other }) picked with `params.count`
+ * - Missing keys fall back to Vietnamese, then to the key itself
+ * Components use t() from useLanguage() so they re-render on a language change;
+ * services call the exported t() directly.
+ */
+
+export const LANGUAGES = [
+    { code: 'vi', label: 'Tiếng Việt', shortLabel: 'VI', locale: 'vi-VN' },
+    { code: 'en', label: 'English', shortLabel: 'EN', locale: 'en-US' }
+];
+
+export const DEFAULT_LANGUAGE = 'vi';
+
+// Fired on window whenever the language changes
+export const LANGUAGE_CHANGE_EVENT = 'language-change';
+
+const LANGUAGE_KEY = 'weather-dashboard-language';
+
+const CATALOGS = { vi, en };
+
+const isSupported = (language) => Object.prototype.hasOwnProperty.call(CATALOGS, language);
+
+const readSavedLanguage = () => {
+    const saved = localStorage.getItem(LANGUAGE_KEY);
+    return isSupported(saved) ? saved : DEFAULT_LANGUAGE;
+};
+
+let currentLanguage = readSavedLanguage();
+
+/**
+ * Get the default locale of a language, e.g. 'en' -> 'en-US'
+ * @param {string} language - Language code
+ * @returns {string}
+ */
+export const getLanguageLocale = (language) => (
+    (LANGUAGES.find(item => item.code === language) || LANGUAGES[0]).locale
+);
+
+// Resolve a dotted key in a catalog
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => node?.[part], catalog);
+
+const formatParam = (value, locale) => (
+    typeof value === 'number' ? value.toLocaleString(locale) : String(value)
+);
+
+/**
+ * Translate a key in the given language
+ * @param {string} language - Language code
+ * @param {string} key - Dotted message key
+ * @param {Object} params - Placeholder values; `count` also selects the plural form
+ * @returns {string}
+ */
+export const translate = (language, key, params = {}) => {
+    let message = lookup(CATALOGS[language], key);
+    if (message === undefined) message = lookup(CATALOGS[DEFAULT_LANGUAGE], key);
+    if (message === undefined) {
+        if (process.env.NODE_ENV !== 'production') {
+            console.warn(`Missing translation: ${key}`);
+        }
+        return key;
+    }
+
+    const locale = getLanguageLocale(language);
+
+    if (typeof message === 'object') {
+        const form = new Intl.PluralRules(locale).select(params.count ?? 0);
+        message = message[form] ?? message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (
+        params[name] === undefined || params[name] === null ? placeholder : formatParam(params[name], locale)
+    ));
+};
+
+/**
+ * Translate a key in the current language
+ * @param {string} key - Dotted message key
+ * @param {Object} params - Placeholder values
+ * @returns {string}
+ */
+export const t = (key, params) => translate(currentLanguage, key, params);
+
+/**
+ * Check whether a key exists in the current language or the fallback
+ * @param {string} key - Dotted message key
+ * @returns {boolean}
+ */
+export const hasTranslation = (key) => (
+    lookup(CATALOGS[currentLanguage], key) !== undefined || lookup(CATALOGS[DEFAULT_LANGUAGE], key) !== undefined
+);
+
+/**
+ * Get the current language code
+ * @returns {string}
+ */
+export const getLanguage = () => currentLanguage;
+
+/**
+ * Change the current language, save it and notify listeners
+ * @param {string} language - Language code
+ */
+export const setLanguage = (language) => {
+    if (!isSupported(language) || language === currentLanguage) return;
+    currentLanguage = language;
+    localStorage.setItem(LANGUAGE_KEY, language);
+    window.dispatchEvent(new Event(LANGUAGE_CHANGE_EVENT));
+};
+
+const i18n = {
+    t,
+    translate,
+    hasTranslation,
+    getLanguage,
+    setLanguage,
+    getLanguageLocale
+};
+
+export default i18n;
@@ -0,0 +1,84 @@
+import { translate, t, getLanguage, setLanguage, hasTranslation, LANGUAGE_CHANGE_EVENT } from './i18n';
+
+jest.mock('../locales/vi.json', () => ({
+    greeting: 'Xin chào {name}',
+    onlyVi: 'Chỉ có tiếng Việt',
+    comparator: {
+        count: '{count}/{max} địa điểm',
+        days: { other: '{count} ngày' }
+    }
+}));
+
+jest.mock('../locales/en.json', () => ({
+    greeting: 'Hello {name}',
+    comparator: {
+        count: '{count}/{max} locations',
+        days: { one: '{count} day', other: '{count} days' }
+    }
+}));
+
+describe('translate', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('fills placeholders', () => {
+        expect(translate('en', 'greeting', { name: 'Minh' })).toBe('Hello Minh');
+        expect(translate('vi', 'comparator.count', { count: 2, max: 6 })).toBe('2/6 địa điểm');
+    });
+
+    test('formats numbers for the language', () => {
+        expect(translate('en', 'comparator.count', { count: 1200, max: 6 })).toBe('1,200/6 locations');
+        expect(translate('vi', 'comparator.count', { count: 1200, max: 6 })).toBe('1.200/6 địa điểm');
+    });
+
+    test('leaves placeholders without a value', () => {
+        expect(translate('en', 'greeting')).toBe('Hello {name}');
+        expect(translate('en', 'greeting', { name: null })).toBe('Hello {name}');
+    });
+
+    test('picks the plural form of the language', () => {
+        expect(translate('en', 'comparator.days', { count: 1 })).toBe('1 day');
+        expect(translate('en', 'comparator.days', { count: 0 })).toBe('0 days');
+        expect(translate('en', 'comparator.days', { count: 5 })).toBe('5 days');
+        expect(translate('vi', 'comparator.days', { count: 1 })).toBe('1 ngày');
+    });
+
+    test('falls back to Vietnamese, then to the key', () => {
+        expect(translate('en', 'onlyVi')).toBe('Chỉ có tiếng Việt');
+        expect(translate('en', 'missing.key')).toBe('missing.key');
+        expect(console.warn).toHaveBeenCalledWith('Missing translation: missing.key');
+    });
+});
+
+describe('current language', () => {
+    test('defaults to Vietnamese', () => {
+        expect(getLanguage()).toBe('vi');
+        expect(t('greeting', { name: 'Minh' })).toBe('Xin chào Minh');
+    });
+
+    test('switches, saves and notifies on a change', () => {
+        const listener = jest.fn();
+        window.addEventListener(LANGUAGE_CHANGE_EVENT, listener);
+
+        setLanguage('en');
+        setLanguage('en');
+        setLanguage('fr');
+
+        expect(getLanguage()).toBe('en');
+        expect(t('greeting', { name: 'Minh' })).toBe('Hello Minh');
+        expect(localStorage.getItem('weather-dashboard-language')).toBe('en');
+        expect(listener).toHaveBeenCalledTimes(1);
+
+        window.removeEventListener(LANGUAGE_CHANGE_EVENT, listener);
+    });
+
+    test('knows keys of the fallback language', () => {
+        expect(hasTranslation('onlyVi')).toBe(true);
+        expect(hasTranslation('missing.key')).toBe(false);
+    });
+});
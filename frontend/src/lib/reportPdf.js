@@ -0,0 +1,430 @@
+import {
+    Chart as ChartJS,
+    CategoryScale,
+    LinearScale,
+    PointElement,
+    LineElement,
+    LineController,
+    BarElement,
+    BarController,
+    Legend,
+    Filler
+} from 'chart.js';
+import { fromMarkdown } from 'mdast-util-from-markdown';
+import { getWeatherDescription } from './weatherCodes';
+
+/**
+ * Report PDF
+ * Lays out the detailed weather report on A4 pages and returns it as a PDF:
+ *   const blob = await createReportPdf({ report, location, weatherData, t, formatter });
+ * - Cover page: title, location, coordinates, timestamps and current conditions
+ * - Body: the report markdown, parsed with the CommonMark parser ReactMarkdown uses
+ *   (mdast-util-from-markdown), so the PDF shows the same structure as the modal
+ * - Charts: 7-day forecast and temperature anomaly, drawn off-screen with Chart.js
+ * - Footer with the location and page number on every page
+ * The PDF is written by pdfmake with its embedded Roboto font, which covers Vietnamese,
+ * so the text stays selectable and searchable. pdfmake is loaded on the first export.
+ */
+
+// Chart.js pieces used by the off-screen charts
+ChartJS.register(
+    CategoryScale,
+    LinearScale,
+    PointElement,
+    LineElement,
+    LineController,
+    BarElement,
+    BarController,
+    Legend,
+    Filler
+);
+
+// A4 in PDF points (1/72 inch)
+const PAGE_WIDTH = 595.28;
+const MARGIN = 50;
+const FOOTER_HEIGHT = 30;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const COVER_BAND_HEIGHT = 220;
+const CHART_HEIGHT = 240;
+
+// Chart canvas pixels per PDF point
+const CHART_SCALE = 2;
+
+const BRAND_COLOR = '#667eea';
+const TEXT_COLOR = '#333333';
+const MUTED_COLOR = '#7f8c8d';
+const RULE_COLOR = '#e0e0e0';
+
+// pdfmake styles of the report blocks
+const PDF_STYLES = {
+    h1: { fontSize: 20, bold: true, color: '#2c3e50', margin: [0, 18, 0, 8] },
+    h2: { fontSize: 16, bold: true, color: '#2c3e50', margin: [0, 14, 0, 6] },
+    h3: { fontSize: 13, bold: true, color: '#34495e', margin: [0, 10, 0, 4] },
+    body: { margin: [0, 0, 0, 8] },
+    quote: { color: '#555555' },
+    code: { fontSize: 9.5, background: '#f5f7fa' },
+    kicker: { fontSize: 13, bold: true, color: '#ffffff' },
+    coverTitle: { fontSize: 26, bold: true, color: '#ffffff' },
+    coverLocation: { fontSize: 22, bold: true, color: '#2c3e50', margin: [0, 0, 0, 6] },
+    coverLabel: { bold: true, color: MUTED_COLOR },
+    footer: { fontSize: 8.5, color: MUTED_COLOR }
+};
+
+// Blockquotes: a brand-coloured bar on the left
+const QUOTE_LAYOUT = {
+    hLineWidth: () => 0,
+    vLineWidth: (index) => (index === 0 ? 3 : 0),
+    vLineColor: () => BRAND_COLOR,
+    paddingLeft: () => 10,
+    paddingTop: () => 0,
+    paddingBottom: () => 0
+};
+
+const HEADING_STYLES = ['h1', 'h2', 'h3'];
+
+/**
+ * Convert inline markdown nodes to pdfmake text runs
+ * @param {Array} nodes - mdast phrasing nodes
+ * @returns {Array} - Strings and { text, bold, italics, link } runs
+ */
+const toInlineRuns = (nodes = []) => nodes.flatMap(node => {
+    switch (node.type) {
+        case 'text':
+            return [node.value];
+        case 'strong':
+            return [{ text: toInlineRuns(node.children), bold: true }];
+        case 'emphasis':
+            return [{ text: toInlineRuns(node.children), italics: true }];
+        case 'inlineCode':
+            return [{ text: node.value, style: 'code' }];
+        case 'link':
+            return [{ text: toInlineRuns(node.children), link: node.url, color: BRAND_COLOR }];
+        case 'image':
+            return node.alt ? [node.alt] : [];
+        case 'break':
+            return ['\n'];
+        default:
+            // Raw HTML is not rendered by ReactMarkdown either
+            return [];
+    }
+});
+
+/**
+ * Convert markdown block nodes to pdfmake content
+ * @param {Array} nodes - mdast flow nodes
+ * @returns {Array} - pdfmake content nodes
+ */
+const toBlocks = (nodes = []) => nodes.flatMap(node => {
+    switch (node.type) {
+        case 'heading': {
+            const style = HEADING_STYLES[Math.min(node.depth, 3) - 1];
+            return [{ text: toInlineRuns(node.children), style, headlineLevel: node.depth }];
+        }
+        case 'paragraph':
+            return [{ text: toInlineRuns(node.children), style: 'body' }];
+        case 'list': {
+            // A tight item is its text; a loose or nested one keeps its blocks
+            const items = node.children.map(item => {
+                const blocks = toBlocks(item.children);
+                return blocks.length === 1 && blocks[0].style === 'body'
+                    ? { text: blocks[0].text, margin: [0, 0, 0, 2] }
+                    : { stack: blocks };
+            });
+            return [node.ordered
+                ? { ol: items, start: node.start ?? 1, margin: [0, 0, 0, 8] }
+                : { ul: items, margin: [0, 0, 0, 8] }];
+        }
+        case 'blockquote':
+            return [{
+                table: { widths: ['*'], body: [[{ stack: toBlocks(node.children), style: 'quote' }]] },
+                layout: QUOTE_LAYOUT,
+                margin: [0, 0, 0, 8]
+            }];
+        case 'code':
+            return [{ text: node.value, style: ['code', 'body'], preserveLeadingSpaces: true }];
+        case 'thematicBreak':
+            return [{
+                canvas: [{ type: 'line', x1: 0, y1: 0, x2: CONTENT_WIDTH, y2: 0, lineWidth: 1, lineColor: RULE_COLOR }],
+                margin: [0, 6, 0, 8]
+            }];
+        default:
+            return [];
+    }
+});
+
+/**
+ * Convert the report markdown to pdfmake content
+ * @param {string} markdown - Report text
+ * @returns {Array} - pdfmake content nodes; headings carry `headlineLevel`
+ */
+export const markdownToPdfContent = (markdown) => toBlocks(fromMarkdown(markdown || '').children);
+
+// Render a Chart.js config off-screen and return it as a PNG data URL
+const renderChartImage = (config) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = CONTENT_WIDTH;
+    canvas.height = CHART_HEIGHT;
+    const chart = new ChartJS(canvas, {
+        ...config,
+        options: {
+            ...config.options,
+            responsive: false,
+            animation: false,
+            devicePixelRatio: CHART_SCALE
+        }
+    });
+    const image = chart.toBase64Image('image/png');
+    chart.destroy();
+    return image;
+};
+
+// Chart with its title, kept on one page
+const chartBlock = (title, config) => ({
+    stack: [
+        { text: title, style: 'h3' },
+        { image: renderChartImage(config), width: CONTENT_WIDTH, height: CHART_HEIGHT, margin: [0, 0, 0, 16] }
+    ],
+    unbreakable: true
+});
+
+// Load pdfmake with its Roboto font files on first use, keeping it out of the main bundle
+let pdfMakePromise = null;
+const loadPdfMake = () => {
+    if (!pdfMakePromise) {
+        pdfMakePromise = Promise.all([
+            import('pdfmake/build/pdfmake'),
+            import('pdfmake/build/vfs_fonts')
+        ]).then(([pdfMakeModule, vfsModule]) => {
+            const pdfMake = pdfMakeModule.default || pdfMakeModule;
+            pdfMake.addVirtualFileSystem(vfsModule.default || vfsModule);
+            return pdfMake;
+        }).catch((error) => {
+            pdfMakePromise = null;
+            throw error;
+        });
+    }
+    return pdfMakePromise;
+};
+
+/**
+ * Create the report as a PDF
+ * @param {Object} options
+ * @param {Object} options.report - Report response: { report, generated_at, source }
+ * @param {Object} options.location - { name, lat, lon }
+ * @param {Object} options.weatherData - Dashboard weather data, for the cover and the charts
+ * @param {Function} options.t - Translate function from useLanguage()
+ * @param {Object} options.formatter - Formatter from usePreferences()
+ * @returns {Promise<Blob>}
+ */
+export const createReportPdf = async ({ report, location, weatherData, t, formatter }) => {
+    const pdfMake = await loadPdfMake();
+
+    const temperatureUnit = formatter.unit('temperature');
+    const daily = weatherData?.daily_forecast || [];
+    const history = weatherData?.daily_history || [];
+    const anomaly = weatherData?.anomaly;
+    const current = weatherData?.current_weather;
+
+    // Cover page
+    const coverRows = [
+        [t('report.pdf.coordinates'), location ? `${Number(location.lat).toFixed(4)}, ${Number(location.lon).toFixed(4)}` : '-'],
+        [t('report.pdf.generatedAt'), report?.generated_at ? formatter.dateTime(report.generated_at) : '-'],
+        [t('report.pdf.exportedAt'), formatter.dateTime(new Date())],
+        report?.source && [t('report.pdf.source'), t(`report.pdf.sources.${report.source}`)],
+        weatherData?.location?.timezone && [t('report.pdf.timezone'), weatherData.location.timezone]
+    ].filter(Boolean);
+
+    const cover = [
+        { text: t('report.pdf.kicker'), style: 'kicker', margin: [0, 30, 0, 8] },
+        { text: t('report.title'), style: 'coverTitle' },
+        { text: location?.name || t('report.pdf.unknownLocation'), style: 'coverLocation', margin: [0, 100, 0, 6] },
+        {
+            table: {
+                widths: [140, '*'],
+                body: coverRows.map(([label, value]) => [{ text: label, style: 'coverLabel' }, value])
+            },
+            layout: 'noBorders'
+        }
+    ];
+
+    if (current) {
+        cover.push({
+            table: {
+                widths: ['*'],
+                body: [[{
+                    stack: [
+                        { text: t('currentWeather.title'), bold: true, color: '#2c3e50', margin: [0, 0, 0, 8] },
+                        {
+                            columns: [
+                                { text: formatter.temperature(current.temperature), fontSize: 28, bold: true, width: 132 },
+                                {
+                                    stack: [
+                                        getWeatherDescription(current, t),
+                                        `${t('weather.apparentTemperature')}: ${formatter.temperature(current.apparent_temperature)}`,
+                                        `${t('weather.humidity')}: ${current.humidity}%  ·  ${t('weather.windSpeed')}: ${formatter.windSpeed(current.wind_speed)}`
+                                    ],
+                                    lineHeight: 1.3
+                                }
+                            ]
+                        },
+                        anomaly?.message ? { text: anomaly.message, margin: [0, 10, 0, 0] } : null
+                    ].filter(Boolean),
+                    fillColor: '#f5f7fa'
+                }]]
+            },
+            layout: {
+                hLineWidth: () => 0,
+                vLineWidth: (index) => (index === 0 ? 4 : 0),
+                vLineColor: () => BRAND_COLOR,
+                paddingLeft: () => 14,
+                paddingRight: () => 14,
+                paddingTop: () => 14,
+                paddingBottom: () => 14
+            },
+            margin: [0, 24, 0, 0]
+        });
+    }
+
+    // Report body, starting on its own page
+    const body = markdownToPdfContent(report?.report);
+    if (body.length) body[0] = { ...body[0], pageBreak: 'before' };
+
+    // Charts
+    const charts = [];
+    if (daily.length || history.length) {
+        charts.push({ text: t('report.pdf.charts'), style: 'h2', headlineLevel: 2, margin: [0, 24, 0, 6] });
+    }
+
+    if (daily.length) {
+        charts.push(chartBlock(t('report.pdf.forecastChart'), {
+            type: 'line',
+            data: {
+                labels: daily.map(day => formatter.day(day.date)),
+                datasets: [
+                    {
+                        label: `${t('weather.maxTemperature')} (${temperatureUnit})`,
+                        data: daily.map(day => formatter.convert('temperature', day.temperature_2m_max ?? day.max_temperature)),
+                        borderColor: 'rgb(255, 99, 71)',
+                        backgroundColor: 'rgba(255, 99, 71, 0.15)',
+                        tension: 0.3,
+                        yAxisID: 'y'
+                    },
+                    {
+                        label: `${t('weather.minTemperature')} (${temperatureUnit})`,
+                        data: daily.map(day => formatter.convert('temperature', day.temperature_2m_min ?? day.min_temperature)),
+                        borderColor: 'rgb(33, 150, 243)',
+                        backgroundColor: 'rgba(33, 150, 243, 0.15)',
+                        tension: 0.3,
+                        yAxisID: 'y'
+                    },
+                    {
+                        type: 'bar',
+                        label: `${t('weather.precipitation')} (${formatter.unit('precipitation')})`,
+                        data: daily.map(day => formatter.convert('precipitation', day.precipitation_sum)),
+                        backgroundColor: 'rgba(135, 206, 235, 0.6)',
+                        yAxisID: 'y1'
+                    }
+                ]
+            },
+            options: {
+                plugins: { legend: { position: 'top' } },
+                scales: {
+                    y: { position: 'left' },
+                    y1: { position: 'right', beginAtZero: true, grid: { drawOnChartArea: false } }
+                }
+            }
+        }));
+    }
+
+    if (history.length) {
+        const baseline = anomaly?.average_temp;
+        const days = [...history, ...daily.slice(0, 1)];
+        charts.push(chartBlock(t('report.pdf.anomalyChart'), {
+            type: 'line',
+            data: {
+                labels: days.map(day => formatter.date(day.date)),
+                datasets: [
+                    {
+                        label: `${t('weather.maxTemperature')} (${temperatureUnit})`,
+                        data: days.map(day => formatter.convert('temperature', day.temperature_2m_max)),
+                        borderColor: 'rgb(255, 99, 71)',
+                        pointRadius: 2,
+                        tension: 0.3
+                    },
+                    baseline !== null && baseline !== undefined && {
+                        label: t('history.baseline'),
+                        data: days.map(() => formatter.convert('temperature', baseline)),
+                        borderColor: 'rgba(0, 0, 0, 0.6)',
+                        borderDash: [8, 4],
+                        pointRadius: 0
+                    },
+                    current && {
+                        label: t('weather.temperature'),
+                        data: days.map((day, index) => (
+                            index === days.length - 1 ? formatter.convert('temperature', current.temperature) : null
+                        )),
+                        borderColor: BRAND_COLOR,
+                        backgroundColor: BRAND_COLOR,
+                        pointRadius: 5,
+                        showLine: false
+                    }
+                ].filter(Boolean)
+            },
+            options: {
+                plugins: { legend: { position: 'top' } },
+                scales: {
+                    x: { ticks: { maxTicksLimit: 12, maxRotation: 0 } }
+                }
+            }
+        }));
+    }
+
+    const documentDefinition = {
+        pageSize: 'A4',
+        pageMargins: [MARGIN, MARGIN, MARGIN, MARGIN + FOOTER_HEIGHT],
+        info: {
+            title: `${t('report.title')} - ${location?.name || ''}`,
+            subject: t('report.pdf.kicker')
+        },
+        // Brand band behind the cover title
+        background: (currentPage) => (currentPage === 1
+            ? { canvas: [{ type: 'rect', x: 0, y: 0, w: PAGE_WIDTH, h: COVER_BAND_HEIGHT, color: BRAND_COLOR }] }
+            : null),
+        footer: (currentPage, pageCount) => ({
+            margin: [MARGIN, 0, MARGIN, 0],
+            stack: [
+                { canvas: [{ type: 'line', x1: 0, y1: 0, x2: CONTENT_WIDTH, y2: 0, lineWidth: 0.5, lineColor: RULE_COLOR }] },
+                {
+                    columns: [
+                        `${t('report.title')} · ${location?.name || ''}`,
+                        { text: t('report.pdf.page', { page: currentPage, total: pageCount }), alignment: 'right' }
+                    ],
+                    style: 'footer',
+                    margin: [0, 6, 0, 0]
+                }
+            ]
+        }),
+        // Keep a heading on the same page as the block after it
+        pageBreakBefore: (node, followingNodesOnPage) => (
+            Boolean(node.headlineLevel) && node.pageNumbers.length === 1 && followingNodesOnPage.length === 0
+        ),
+        content: [...cover, ...body, ...charts],
+        styles: PDF_STYLES,
+        defaultStyle: { font: 'Roboto', fontSize: 11, color: TEXT_COLOR, lineHeight: 1.3 }
+    };
+
+    return new Promise((resolve, reject) => {
+        try {
+            pdfMake.createPdf(documentDefinition).getBlob(resolve);
+        } catch (error) {
+            reject(error);
+        }
+    });
+};
+
+const reportPdf = {
+    markdownToPdfContent,
+    createReportPdf
+};
+
+export default reportPdf;
@@ -0,0 +1,88 @@
+import { markdownToPdfContent } from './reportPdf';
+
+describe('markdownToPdfContent', () => {
+    test('returns nothing for an empty report', () => {
+        expect(markdownToPdfContent('')).toEqual([]);
+        expect(markdownToPdfContent(null)).toEqual([]);
+    });
+
+    test('maps headings to styles, deeper ones to h3', () => {
+        expect(markdownToPdfContent('# Tổng quan\n\n## Nhiệt độ\n\n#### Chi tiết')).toEqual([
+            { text: ['Tổng quan'], style: 'h1', headlineLevel: 1 },
+            { text: ['Nhiệt độ'], style: 'h2', headlineLevel: 2 },
+            { text: ['Chi tiết'], style: 'h3', headlineLevel: 4 }
+        ]);
+    });
+
+    test('joins the lines of a paragraph and splits paragraphs on blank lines', () => {
+        expect(markdownToPdfContent('Trời nắng\nnóng.\n\nCó mưa rào.')).toEqual([
+            { text: ['Trời nắng\nnóng.'], style: 'body' },
+            { text: ['Có mưa rào.'], style: 'body' }
+        ]);
+    });
+
+    test('keeps bold, italic, code and links as runs', () => {
+        const [paragraph] = markdownToPdfContent('Nhiệt độ **35°C**, *oi bức*, mã `61`, [nguồn](https://open-meteo.com)');
+        expect(paragraph.text).toEqual([
+            'Nhiệt độ ',
+            { text: ['35°C'], bold: true },
+            ', ',
+            { text: ['oi bức'], italics: true },
+            ', mã ',
+            { text: '61', style: 'code' },
+            ', ',
+            { text: ['nguồn'], link: 'https://open-meteo.com', color: '#667eea' }
+        ]);
+    });
+
+    test('nests bold inside italic', () => {
+        const [paragraph] = markdownToPdfContent('*rất **nóng***');
+        expect(paragraph.text).toEqual([{ text: ['rất ', { text: ['nóng'], bold: true }], italics: true }]);
+    });
+
+    test('maps bullet and numbered lists', () => {
+        expect(markdownToPdfContent('- Mang ô\n- Uống nước')).toEqual([{
+            ul: [
+                { text: ['Mang ô'], margin: [0, 0, 0, 2] },
+                { text: ['Uống nước'], margin: [0, 0, 0, 2] }
+            ],
+            margin: [0, 0, 0, 8]
+        }]);
+
+        const [ordered] = markdownToPdfContent('3. Sáng\n4. Chiều');
+        expect(ordered.start).toBe(3);
+        expect(ordered.ol.map(item => item.text)).toEqual([['Sáng'], ['Chiều']]);
+    });
+
+    test('keeps nested lists inside their item', () => {
+        const [list] = markdownToPdfContent('- Hôm nay\n  - Sáng: nắng\n  - Chiều: mưa');
+        expect(list.ul[0].stack[0]).toEqual({ text: ['Hôm nay'], style: 'body' });
+        expect(list.ul[0].stack[1].ul.map(item => item.text)).toEqual([['Sáng: nắng'], ['Chiều: mưa']]);
+    });
+
+    test('puts quotes in a table with a bar on the left', () => {
+        const [quote] = markdownToPdfContent('> Cảnh báo nắng nóng');
+        expect(quote.table.body[0][0]).toEqual({
+            stack: [{ text: ['Cảnh báo nắng nóng'], style: 'body' }],
+            style: 'quote'
+        });
+        expect(quote.layout.vLineWidth(0)).toBe(3);
+        expect(quote.layout.vLineWidth(1)).toBe(0);
+    });
+
+    test('draws thematic breaks as a line', () => {
+        const [rule] = markdownToPdfContent('---');
+        expect(rule.canvas[0]).toMatchObject({ type: 'line', x1: 0, y1: 0, y2: 0 });
+    });
+
+    test('leaves pipe tables as text, like ReactMarkdown without GFM', () => {
+        expect(markdownToPdfContent('| Ngày | Mưa |\n|---|---|\n| T2 | 5 mm |')).toEqual([
+            { text: ['| Ngày | Mưa |\n|---|---|\n| T2 | 5 mm |'], style: 'body' }
+        ]);
+    });
+
+    test('drops raw HTML', () => {
+        expect(markdownToPdfContent('<div>x</div>')).toEqual([]);
+        expect(markdownToPdfContent('Trời <b>đẹp</b>')[0].text).toEqual(['Trời ', 'đẹp']);
+    });
+});
@@ -0,0 +1,128 @@
+/**
+ * Text Diff
+ * Line-by-line comparison of two texts for a side-by-side view:
+ *   diffSideBySide(olderReport, newerReport)
+ *   -> [{ type: 'same', left, right }, { type: 'changed', left, right, leftParts, rightParts },
+ *       { type: 'removed', left, right: null }, { type: 'added', left: null, right }]
+ * - Lines are matched with a longest common subsequence; blank lines are ignored
+ * - A removed line next to an added one is shown as one changed row, with the changed words marked
+ */
+
+/**
+ * Operations that turn one sequence into another, matched by longest common subsequence
+ * @param {Array} a - Old items
+ * @param {Array} b - New items
+ * @returns {Array<{type: string, value: *}>} - type is 'same', 'removed' or 'added'
+ */
+export const diffSequences = (a, b) => {
+    // lengths[i][j]: length of the longest common subsequence of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const operations = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            operations.push({ type: 'same', value: a[i] });
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            operations.push({ type: 'removed', value: a[i++] });
+        } else {
+            operations.push({ type: 'added', value: b[j++] });
+        }
+    }
+    while (i < a.length) operations.push({ type: 'removed', value: a[i++] });
+    while (j < b.length) operations.push({ type: 'added', value: b[j++] });
+
+    return operations;
+};
+
+/**
+ * Mark the words that differ between two versions of a line
+ * @param {string} left - Old line
+ * @param {string} right - New line
+ * @returns {{left: Array<{text: string, changed: boolean}>, right: Array<{text: string, changed: boolean}>}}
+ */
+export const diffWords = (left, right) => {
+    // Whitespace is kept as its own token so the parts join back into the line
+    const operations = diffSequences(left.split(/(\s+)/), right.split(/(\s+)/));
+    const parts = { left: [], right: [] };
+
+    operations.forEach(({ type, value }) => {
+        if (type !== 'added') parts.left.push({ text: value, changed: type === 'removed' });
+        if (type !== 'removed') parts.right.push({ text: value, changed: type === 'added' });
+    });
+
+    return parts;
+};
+
+const toLines = (text) => String(text || '')
+    .split(/\r?\n/)
+    .map(line => line.trimEnd())
+    .filter(line => line.trim() !== '');
+
+/**
+ * Compare two texts line by line as rows of a side-by-side view
+ * @param {string} leftText - Older text, shown on the left
+ * @param {string} rightText - Newer text, shown on the right
+ * @returns {Array<Object>} - Rows, see the module comment
+ */
+export const diffSideBySide = (leftText, rightText) => {
+    const rows = [];
+    let removed = [];
+    let added = [];
+
+    // Pair a run of removed lines with the added lines that replaced them
+    const flush = () => {
+        const paired = Math.min(removed.length, added.length);
+        for (let k = 0; k < paired; k++) {
+            const parts = diffWords(removed[k], added[k]);
+            rows.push({ type: 'changed', left: removed[k], right: added[k], leftParts: parts.left, rightParts: parts.right });
+        }
+        removed.slice(paired).forEach(line => rows.push({ type: 'removed', left: line, right: null }));
+        added.slice(paired).forEach(line => rows.push({ type: 'added', left: null, right: line }));
+        removed = [];
+        added = [];
+    };
+
+    diffSequences(toLines(leftText), toLines(rightText)).forEach(({ type, value }) => {
+        if (type === 'removed') {
+            removed.push(value);
+        } else if (type === 'added') {
+            added.push(value);
+        } else {
+            flush();
+            rows.push({ type: 'same', left: value, right: value });
+        }
+    });
+    flush();
+
+    return rows;
+};
+
+/**
+ * Count the rows of each type
+ * @param {Array<Object>} rows - Rows from diffSideBySide()
+ * @returns {{same: number, changed: number, removed: number, added: number}}
+ */
+export const summarizeDiff = (rows) => rows.reduce(
+    (counts, row) => ({ ...counts, [row.type]: counts[row.type] + 1 }),
+    { same: 0, changed: 0, removed: 0, added: 0 }
+);
+
+const textDiff = {
+    diffSequences,
+    diffWords,
+    diffSideBySide,
+    summarizeDiff
+};
+
+export default textDiff;
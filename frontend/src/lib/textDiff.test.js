@@ -0,0 +1,78 @@
+import { diffSequences, diffWords, diffSideBySide, summarizeDiff } from './textDiff';
+
+describe('diffSequences', () => {
+    test('keeps the longest common subsequence', () => {
+        expect(diffSequences(['a', 'b', 'c', 'd'], ['a', 'c', 'd', 'e'])).toEqual([
+            { type: 'same', value: 'a' },
+            { type: 'removed', value: 'b' },
+            { type: 'same', value: 'c' },
+            { type: 'same', value: 'd' },
+            { type: 'added', value: 'e' }
+        ]);
+    });
+
+    test('handles empty sides', () => {
+        expect(diffSequences([], [])).toEqual([]);
+        expect(diffSequences(['a'], [])).toEqual([{ type: 'removed', value: 'a' }]);
+        expect(diffSequences([], ['a'])).toEqual([{ type: 'added', value: 'a' }]);
+    });
+});
+
+describe('diffWords', () => {
+    test('marks the changed words and keeps the rest', () => {
+        const parts = diffWords('Nhiệt độ 32°C, trời nắng', 'Nhiệt độ 35°C, trời nắng');
+
+        expect(parts.left.filter(part => part.changed).map(part => part.text)).toEqual(['32°C,']);
+        expect(parts.right.filter(part => part.changed).map(part => part.text)).toEqual(['35°C,']);
+    });
+
+    test('parts join back into the lines', () => {
+        const left = 'Mưa  rào nhẹ buổi chiều';
+        const right = 'Mưa to buổi tối';
+        const parts = diffWords(left, right);
+
+        expect(parts.left.map(part => part.text).join('')).toBe(left);
+        expect(parts.right.map(part => part.text).join('')).toBe(right);
+    });
+});
+
+describe('diffSideBySide', () => {
+    test('pairs a replaced line as one changed row', () => {
+        const rows = diffSideBySide('# Tổng quan\nNhiệt độ 32°C\nGió nhẹ', '# Tổng quan\nNhiệt độ 35°C\nGió nhẹ');
+
+        expect(rows.map(row => row.type)).toEqual(['same', 'changed', 'same']);
+        expect(rows[1]).toMatchObject({ left: 'Nhiệt độ 32°C', right: 'Nhiệt độ 35°C' });
+        expect(rows[1].rightParts.some(part => part.changed && part.text === '35°C')).toBe(true);
+    });
+
+    test('shows unpaired lines as removed or added', () => {
+        const rows = diffSideBySide('A\nB\nC', 'A\nX\nY\nZ');
+
+        expect(rows).toEqual([
+            { type: 'same', left: 'A', right: 'A' },
+            expect.objectContaining({ type: 'changed', left: 'B', right: 'X' }),
+            expect.objectContaining({ type: 'changed', left: 'C', right: 'Y' }),
+            { type: 'added', left: null, right: 'Z' }
+        ]);
+        expect(diffSideBySide('A\nB', 'A')).toEqual([
+            { type: 'same', left: 'A', right: 'A' },
+            { type: 'removed', left: 'B', right: null }
+        ]);
+    });
+
+    test('ignores blank lines, trailing spaces and line endings', () => {
+        expect(diffSideBySide('A\r\n\r\nB  ', 'A\n\n\nB').map(row => row.type)).toEqual(['same', 'same']);
+    });
+
+    test('handles missing texts', () => {
+        expect(diffSideBySide(null, undefined)).toEqual([]);
+        expect(diffSideBySide('', 'A')).toEqual([{ type: 'added', left: null, right: 'A' }]);
+    });
+});
+
+describe('summarizeDiff', () => {
+    test('counts the rows of each type', () => {
+        expect(summarizeDiff(diffSideBySide('A\nB\nC\nD', 'A\nX\nD\nE'))).toEqual({ same: 2, changed: 1, removed: 1, added: 1 });
+        expect(summarizeDiff([])).toEqual({ same: 0, changed: 0, removed: 0, added: 0 });
+    });
+});
@@ -0,0 +1,164 @@
+/**
+ * Weather codes
+ * Single registry of the WMO weather codes returned by Open-Meteo.
+ * Every component reads icons, labels, colors and severities from here:
+ *   getWeatherIcon(61)                 -> "🌧️"
+ *   getWeatherLabel(61, t)             -> "Slight rain" / "Mưa nhỏ"
+ *   getWeatherDescription(current, t)  -> label of current.weather_code
+ *   getWeatherInfo(95).severity        -> 3
+ * Labels live in the `weatherCodes` namespace of src/locales/<language>.json.
+ */
+
+// Severity of a condition, from harmless to dangerous
+export const SEVERITY_LEVELS = {
+    NONE: 0,
+    LOW: 1,
+    MODERATE: 2,
+    HIGH: 3
+};
+
+// Shared by all codes of a group; `tag` is the product weather tag (weather_main in lower case),
+// `bandColor` a translucent fill for chart backgrounds
+const WEATHER_GROUPS = {
+    clear: { tag: 'clear', color: '#FFD700', bandColor: 'rgba(255, 215, 0, 0.12)' },
+    clouds: { tag: 'clouds', color: '#FFFFFF', bandColor: 'rgba(158, 158, 158, 0.12)' },
+    fog: { tag: 'fog', color: '#D3D3D3', bandColor: 'rgba(189, 189, 189, 0.2)' },
+    drizzle: { tag: 'drizzle', color: '#87CEEB', bandColor: 'rgba(135, 206, 235, 0.2)' },
+    rain: { tag: 'rain', color: '#87CEEB', bandColor: 'rgba(33, 150, 243, 0.22)' },
+    snow: { tag: 'snow', color: '#E0FFFF', bandColor: 'rgba(176, 224, 230, 0.25)' },
+    thunderstorm: { tag: 'thunderstorm', color: '#FF6347', bandColor: 'rgba(255, 99, 71, 0.22)' }
+};
+
+// nightIcon is only set where the night variant differs
+const WEATHER_CODES = {
+    0: { group: 'clear', icon: '☀️', nightIcon: '🌙', severity: SEVERITY_LEVELS.NONE },
+    1: { group: 'clear', icon: '🌤️', nightIcon: '🌙', severity: SEVERITY_LEVELS.NONE },
+    2: { group: 'clouds', icon: '⛅', nightIcon: '☁️', severity: SEVERITY_LEVELS.NONE },
+    3: { group: 'clouds', icon: '☁️', severity: SEVERITY_LEVELS.NONE },
+    45: { group: 'fog', icon: '🌫️', severity: SEVERITY_LEVELS.LOW },
+    48: { group: 'fog', icon: '🌫️', severity: SEVERITY_LEVELS.MODERATE },
+    51: { group: 'drizzle', icon: '🌦️', nightIcon: '🌧️', severity: SEVERITY_LEVELS.LOW },
+    53: { group: 'drizzle', icon: '🌦️', nightIcon: '🌧️', severity: SEVERITY_LEVELS.LOW },
+    55: { group: 'drizzle', icon: '🌦️', nightIcon: '🌧️', severity: SEVERITY_LEVELS.MODERATE },
+    61: { group: 'rain', icon: '🌧️', severity: SEVERITY_LEVELS.LOW },
+    63: { group: 'rain', icon: '🌧️', severity: SEVERITY_LEVELS.MODERATE },
+    65: { group: 'rain', icon: '🌧️', severity: SEVERITY_LEVELS.HIGH },
+    71: { group: 'snow', icon: '🌨️', severity: SEVERITY_LEVELS.LOW },
+    73: { group: 'snow', icon: '🌨️', severity: SEVERITY_LEVELS.MODERATE },
+    75: { group: 'snow', icon: '🌨️', severity: SEVERITY_LEVELS.HIGH },
+    77: { group: 'snow', icon: '🌨️', severity: SEVERITY_LEVELS.LOW },
+    80: { group: 'rain', icon: '🌦️', nightIcon: '🌧️', severity: SEVERITY_LEVELS.LOW },
+    81: { group: 'rain', icon: '🌦️', nightIcon: '🌧️', severity: SEVERITY_LEVELS.MODERATE },
+    82: { group: 'rain', icon: '⛈️', severity: SEVERITY_LEVELS.HIGH },
+    85: { group: 'snow', icon: '🌨️', severity: SEVERITY_LEVELS.MODERATE },
+    86: { group: 'snow', icon: '🌨️', severity: SEVERITY_LEVELS.HIGH },
+    95: { group: 'thunderstorm', icon: '⛈️', severity: SEVERITY_LEVELS.HIGH },
+    96: { group: 'thunderstorm', icon: '⛈️', severity: SEVERITY_LEVELS.HIGH },
+    99: { group: 'thunderstorm', icon: '⛈️', severity: SEVERITY_LEVELS.HIGH }
+};
+
+// Used for codes missing from the table
+const UNKNOWN_WEATHER = {
+    group: null,
+    icon: '🌡️',
+    severity: SEVERITY_LEVELS.NONE,
+    tag: null,
+    color: '#FFFFFF',
+    bandColor: null
+};
+
+/**
+ * Check whether a code is in the registry
+ * @param {number} code - WMO weather code
+ * @returns {boolean}
+ */
+export const isKnownWeatherCode = (code) => Object.prototype.hasOwnProperty.call(WEATHER_CODES, code);
+
+/**
+ * Get everything known about a weather code
+ * @param {number} code - WMO weather code
+ * @returns {Object} - { code, group, icon, nightIcon, severity, tag, color, bandColor, labelKey }
+ */
+export const getWeatherInfo = (code) => {
+    if (!isKnownWeatherCode(code)) {
+        return { ...UNKNOWN_WEATHER, code, nightIcon: UNKNOWN_WEATHER.icon, labelKey: 'weatherCodes.unknown' };
+    }
+    const entry = WEATHER_CODES[code];
+    return {
+        code: Number(code),
+        ...WEATHER_GROUPS[entry.group],
+        ...entry,
+        nightIcon: entry.nightIcon || entry.icon,
+        labelKey: `weatherCodes.${code}`
+    };
+};
+
+/**
+ * Get the icon of a weather code, using the night variant after dark
+ * @param {number} code - WMO weather code
+ * @param {boolean} isDay - false for the night variant; Open-Meteo's is_day (0/1) works too
+ * @returns {string}
+ */
+export const getWeatherIcon = (code, isDay = true) => {
+    const info = getWeatherInfo(code);
+    return isDay === false || isDay === 0 ? info.nightIcon : info.icon;
+};
+
+/**
+ * Get the label of a weather code in the current language
+ * @param {number} code - WMO weather code
+ * @param {Function} t - Translate function from useLanguage()
+ * @param {string} fallback - Text for unknown codes, e.g. the backend description
+ * @returns {string}
+ */
+export const getWeatherLabel = (code, t, fallback) => {
+    if (!isKnownWeatherCode(code) && fallback) return fallback;
+    return t(getWeatherInfo(code).labelKey);
+};
+
+/**
+ * Get the label of the conditions in a backend weather object
+ * The backend's weather_description is always Vietnamese, so it is only
+ * shown for codes the registry does not know
+ * @param {Object} weather - { weather_code, weather_description }, e.g. current_weather
+ * @param {Function} t - Translate function from useLanguage()
+ * @returns {string}
+ */
+export const getWeatherDescription = (weather, t) => (
+    getWeatherLabel(weather?.weather_code, t, weather?.weather_description)
+);
+
+/**
+ * Get the display color of a weather code
+ * @param {number} code - WMO weather code
+ * @returns {string}
+ */
+export const getWeatherColor = (code) => getWeatherInfo(code).color;
+
+/**
+ * Get the severity of a weather code (see SEVERITY_LEVELS)
+ * @param {number} code - WMO weather code
+ * @returns {number}
+ */
+export const getWeatherSeverity = (code) => getWeatherInfo(code).severity;
+
+/**
+ * Get the product weather tag of a weather code, e.g. 'rain'
+ * @param {number} code - WMO weather code
+ * @returns {string|null} - null for unknown codes
+ */
+export const getWeatherTag = (code) => getWeatherInfo(code).tag;
+
+const weatherCodes = {
+    SEVERITY_LEVELS,
+    isKnownWeatherCode,
+    getWeatherInfo,
+    getWeatherIcon,
+    getWeatherLabel,
+    getWeatherDescription,
+    getWeatherColor,
+    getWeatherSeverity,
+    getWeatherTag
+};
+
+export default weatherCodes;
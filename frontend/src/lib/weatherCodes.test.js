@@ -0,0 +1,115 @@
+import en from '../locales/en.json';
+import vi from '../locales/vi.json';
+import {
+    SEVERITY_LEVELS,
+    isKnownWeatherCode,
+    getWeatherInfo,
+    getWeatherIcon,
+    getWeatherLabel,
+    getWeatherDescription,
+    getWeatherColor,
+    getWeatherSeverity,
+    getWeatherTag
+} from './weatherCodes';
+
+// WMO codes are 0-99; the registry holds the ones Open-Meteo returns
+const REGISTERED_CODES = Array.from({ length: 100 }, (_, code) => code).filter(isKnownWeatherCode);
+
+// Tags products can be given (ProductController validation, AdminProductsPage)
+const PRODUCT_WEATHER_TAGS = ['rain', 'drizzle', 'thunderstorm', 'clear', 'sunny', 'clouds', 'fog', 'snow'];
+
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => node?.[part], catalog);
+
+// Translate function that returns the key, to see which label was picked
+const t = (key) => `t:${key}`;
+
+describe('registry', () => {
+    test('holds every code Open-Meteo returns', () => {
+        expect(REGISTERED_CODES).toEqual([0, 1, 2, 3, 45, 48, 51, 53, 55, 61, 63, 65, 71, 73, 75, 77, 80, 81, 82, 85, 86, 95, 96, 99]);
+    });
+
+    test.each(REGISTERED_CODES)('code %i has an icon, a colour, a severity and a product tag', (code) => {
+        const info = getWeatherInfo(code);
+
+        expect(info.code).toBe(code);
+        expect(info.icon).toEqual(expect.any(String));
+        expect(info.nightIcon).toEqual(expect.any(String));
+        expect(info.color).toMatch(/^#[0-9A-F]{6}$/i);
+        expect(info.bandColor).toMatch(/^rgba\(/);
+        expect(Object.values(SEVERITY_LEVELS)).toContain(info.severity);
+        expect(PRODUCT_WEATHER_TAGS).toContain(info.tag);
+    });
+
+    test.each(REGISTERED_CODES)('code %i has a label in both catalogs', (code) => {
+        const { labelKey } = getWeatherInfo(code);
+
+        expect(labelKey).toBe(`weatherCodes.${code}`);
+        expect(lookup(en, labelKey)).toEqual(expect.any(String));
+        expect(lookup(vi, labelKey)).toEqual(expect.any(String));
+    });
+
+    test('labels no code that is not registered', () => {
+        const labelled = (catalog) => Object.keys(catalog.weatherCodes).filter(key => key !== 'unknown').map(Number);
+        expect(labelled(en)).toEqual(REGISTERED_CODES);
+        expect(labelled(vi)).toEqual(REGISTERED_CODES);
+    });
+
+    test('keeps snow showers with snow', () => {
+        expect(getWeatherTag(85)).toBe('snow');
+        expect(getWeatherTag(86)).toBe('snow');
+        expect(getWeatherIcon(85)).toBe(getWeatherIcon(71));
+    });
+});
+
+describe('getWeatherIcon', () => {
+    test('uses the night variant after dark, also for is_day 0', () => {
+        expect(getWeatherIcon(0)).toBe('☀️');
+        expect(getWeatherIcon(0, false)).toBe('🌙');
+        expect(getWeatherIcon(0, 0)).toBe('🌙');
+        expect(getWeatherIcon(0, 1)).toBe('☀️');
+    });
+
+    test('keeps the day icon at night when there is no night variant', () => {
+        expect(getWeatherIcon(95, false)).toBe(getWeatherIcon(95));
+    });
+});
+
+describe('unknown codes', () => {
+    test.each([4, 100, -1, null, undefined, '61x'])('fall back for %p', (code) => {
+        expect(isKnownWeatherCode(code)).toBe(false);
+        expect(getWeatherInfo(code)).toMatchObject({ group: null, tag: null, labelKey: 'weatherCodes.unknown' });
+        expect(getWeatherIcon(code)).toBe('🌡️');
+        expect(getWeatherIcon(code, false)).toBe('🌡️');
+        expect(getWeatherColor(code)).toBe('#FFFFFF');
+        expect(getWeatherSeverity(code)).toBe(SEVERITY_LEVELS.NONE);
+    });
+
+    test('have a label in both catalogs', () => {
+        expect(lookup(en, 'weatherCodes.unknown')).toEqual(expect.any(String));
+        expect(lookup(vi, 'weatherCodes.unknown')).toEqual(expect.any(String));
+    });
+});
+
+describe('getWeatherLabel', () => {
+    test('translates registered codes and ignores the fallback', () => {
+        expect(getWeatherLabel(61, t)).toBe('t:weatherCodes.61');
+        expect(getWeatherLabel('61', t, 'Mưa nhỏ')).toBe('t:weatherCodes.61');
+    });
+
+    test('uses the fallback only for unknown codes', () => {
+        expect(getWeatherLabel(4, t, 'Khói')).toBe('Khói');
+        expect(getWeatherLabel(4, t)).toBe('t:weatherCodes.unknown');
+        expect(getWeatherLabel(4, t, '')).toBe('t:weatherCodes.unknown');
+    });
+});
+
+describe('getWeatherDescription', () => {
+    test('labels the code of a backend weather object in the current language', () => {
+        expect(getWeatherDescription({ weather_code: 3, weather_description: 'Nhiều mây' }, t)).toBe('t:weatherCodes.3');
+    });
+
+    test('shows the backend description only for unknown codes', () => {
+        expect(getWeatherDescription({ weather_code: 4, weather_description: 'Khói' }, t)).toBe('Khói');
+        expect(getWeatherDescription(null, t)).toBe('t:weatherCodes.unknown');
+    });
+});
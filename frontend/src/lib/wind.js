@@ -0,0 +1,100 @@
+/**
+ * Wind
+ * Compass points, the Beaufort scale and wind rose binning for the daily wind data
+ * (`winddirection_10m_dominant` in degrees the wind blows from, `windspeed_10m_max` in km/h):
+ *   getCompassPoint(123)     -> { id: 'ESE', degrees: 112.5 }
+ *   getBeaufort(25).force    -> 4
+ *   buildWindRose(days)      -> sectors of day counts per speed band
+ * Labels live in the `wind` namespace of src/locales/<language>.json
+ * (`wind.compass.<id>`, `wind.beaufort.<force>`, `wind.bands.<id>`).
+ */
+
+// 16-point compass, clockwise from north
+export const COMPASS_POINTS = [
+    'N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE',
+    'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'
+].map((id, index) => ({ id, degrees: index * 22.5 }));
+
+// Beaufort forces with their upper bound in km/h (exclusive)
+export const BEAUFORT_SCALE = [1, 6, 12, 20, 29, 39, 50, 62, 75, 89, 103, 118, Infinity]
+    .map((max, force) => ({ force, max }));
+
+// Speed bands of the wind rose, grouping Beaufort forces; colors go from calm to stormy
+export const WIND_ROSE_BANDS = [
+    { id: 'light', minForce: 0, maxForce: 1, color: '#74b9ff' },
+    { id: 'gentle', minForce: 2, maxForce: 3, color: '#00b894' },
+    { id: 'moderate', minForce: 4, maxForce: 5, color: '#fdcb6e' },
+    { id: 'strong', minForce: 6, maxForce: 7, color: '#e17055' },
+    { id: 'gale', minForce: 8, maxForce: 12, color: '#d63031' }
+];
+
+const isNumber = (value) => typeof value === 'number' && !Number.isNaN(value);
+
+// Bring any angle into 0-360
+const normalizeDegrees = (degrees) => ((degrees % 360) + 360) % 360;
+
+/**
+ * Get the compass point closest to a direction
+ * @param {number} degrees - Direction in degrees, 0 = north
+ * @returns {Object|null} - Entry of COMPASS_POINTS, null when the direction is missing
+ */
+export const getCompassPoint = (degrees) => {
+    if (!isNumber(degrees)) return null;
+    const index = Math.round(normalizeDegrees(degrees) / 22.5) % COMPASS_POINTS.length;
+    return COMPASS_POINTS[index];
+};
+
+/**
+ * Classify a wind speed on the Beaufort scale
+ * @param {number} speed - Wind speed in km/h
+ * @returns {Object|null} - Entry of BEAUFORT_SCALE, null when the speed is missing
+ */
+export const getBeaufort = (speed) => {
+    if (!isNumber(speed)) return null;
+    return BEAUFORT_SCALE.find(level => Math.max(0, speed) < level.max);
+};
+
+/**
+ * Count days per compass point and speed band
+ * Days without a direction or a speed are left out
+ * @param {Array} days - Daily data with winddirection_10m_dominant and windspeed_10m_max
+ * @returns {Object} - { sectors: [{ id, degrees, total, <band id>: count }], total, prevailing }
+ *   `prevailing` is the sector with the most days, null when there are none
+ */
+export const buildWindRose = (days) => {
+    const sectors = COMPASS_POINTS.map(point => ({
+        ...point,
+        total: 0,
+        ...Object.fromEntries(WIND_ROSE_BANDS.map(band => [band.id, 0]))
+    }));
+    let total = 0;
+
+    (days || []).forEach(day => {
+        const point = getCompassPoint(day.winddirection_10m_dominant);
+        const beaufort = getBeaufort(day.windspeed_10m_max);
+        if (!point || !beaufort) return;
+
+        const sector = sectors.find(item => item.id === point.id);
+        const band = WIND_ROSE_BANDS.find(item => beaufort.force <= item.maxForce);
+        sector[band.id] += 1;
+        sector.total += 1;
+        total += 1;
+    });
+
+    const prevailing = total > 0
+        ? sectors.reduce((best, sector) => (sector.total > best.total ? sector : best))
+        : null;
+
+    return { sectors, total, prevailing };
+};
+
+const wind = {
+    COMPASS_POINTS,
+    BEAUFORT_SCALE,
+    WIND_ROSE_BANDS,
+    getCompassPoint,
+    getBeaufort,
+    buildWindRose
+};
+
+export default wind;
@@ -0,0 +1,106 @@
+import { COMPASS_POINTS, WIND_ROSE_BANDS, getCompassPoint, getBeaufort, buildWindRose } from './wind';
+
+const day = (direction, speed) => ({ winddirection_10m_dominant: direction, windspeed_10m_max: speed });
+
+describe('getCompassPoint', () => {
+    test.each([
+        [0, 'N'],
+        [22.5, 'NNE'],
+        [90, 'E'],
+        [123, 'ESE'],
+        [180, 'S'],
+        [270, 'W'],
+        [337.5, 'NNW']
+    ])('maps %p° to %s', (degrees, id) => {
+        expect(getCompassPoint(degrees).id).toBe(id);
+    });
+
+    test('splits sectors halfway between points', () => {
+        expect(getCompassPoint(11.24).id).toBe('N');
+        expect(getCompassPoint(11.25).id).toBe('NNE');
+        expect(getCompassPoint(348.74).id).toBe('NNW');
+    });
+
+    test('wraps around north', () => {
+        expect(getCompassPoint(348.75).id).toBe('N');
+        expect(getCompassPoint(359.9).id).toBe('N');
+        expect(getCompassPoint(360).id).toBe('N');
+        expect(getCompassPoint(450).id).toBe('E');
+        expect(getCompassPoint(-90).id).toBe('W');
+    });
+
+    test('returns null without a direction', () => {
+        expect(getCompassPoint(null)).toBeNull();
+        expect(getCompassPoint(undefined)).toBeNull();
+        expect(getCompassPoint(NaN)).toBeNull();
+        expect(getCompassPoint('90')).toBeNull();
+    });
+});
+
+describe('getBeaufort', () => {
+    test.each([
+        [0, 0],
+        [0.9, 0],
+        [1, 1],
+        [5.9, 1],
+        [6, 2],
+        [19.9, 3],
+        [20, 4],
+        [28.9, 4],
+        [29, 5],
+        [61.9, 7],
+        [62, 8],
+        [117.9, 11],
+        [118, 12],
+        [250, 12]
+    ])('classifies %p km/h as force %i', (speed, force) => {
+        expect(getBeaufort(speed).force).toBe(force);
+    });
+
+    test('treats negative speeds as calm and returns null without a speed', () => {
+        expect(getBeaufort(-3).force).toBe(0);
+        expect(getBeaufort(null)).toBeNull();
+        expect(getBeaufort(NaN)).toBeNull();
+    });
+});
+
+describe('buildWindRose', () => {
+    test('counts days per compass point and speed band', () => {
+        const rose = buildWindRose([
+            day(350, 5),
+            day(5, 25),
+            day(10, 70),
+            day(180, 15),
+            day(185, 130)
+        ]);
+        const north = rose.sectors.find(sector => sector.id === 'N');
+        const south = rose.sectors.find(sector => sector.id === 'S');
+
+        expect(rose.total).toBe(5);
+        expect(north).toMatchObject({ total: 3, light: 1, moderate: 1, gale: 1 });
+        expect(south).toMatchObject({ total: 2, gentle: 1, gale: 1 });
+        expect(rose.prevailing.id).toBe('N');
+    });
+
+    test('has one sector per compass point, each with every band', () => {
+        const { sectors } = buildWindRose([]);
+        expect(sectors.map(sector => sector.id)).toEqual(COMPASS_POINTS.map(point => point.id));
+        sectors.forEach(sector => {
+            WIND_ROSE_BANDS.forEach(band => expect(sector[band.id]).toBe(0));
+        });
+    });
+
+    test('skips days without a direction or a speed', () => {
+        const rose = buildWindRose([day(null, 10), day(90, null), {}, day(90, 10)]);
+        expect(rose.total).toBe(1);
+        expect(rose.sectors.find(sector => sector.id === 'E').total).toBe(1);
+    });
+
+    test('has no prevailing direction without days', () => {
+        expect(buildWindRose(null)).toMatchObject({ total: 0, prevailing: null });
+    });
+
+    test('keeps the first sector on a tie', () => {
+        expect(buildWindRose([day(90, 10), day(270, 10)]).prevailing.id).toBe('E');
+    });
+});
@@ -2,15 +2,17 @@ import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import authService from '../services/authService';
 import AdminSidebar from '../components/AdminSidebar';
+import { useLanguage } from '../contexts/LanguageContext';
 import './AdminLayout.css';
 
 const AdminLayout = ({ children }) => {
   const navigate = useNavigate();
+  const { t } = useLanguage();
   const currentUser = authService.getUser();
   const [sidebarOpen, setSidebarOpen] = useState(false);
 
   const handleLogout = async () => {
-    if (window.confirm('Bạn có chắc chắn muốn đăng xuất?')) {
+    if (window.confirm(t('header.logoutConfirm'))) {
       await authService.logout();
       navigate('/dashboard');
     }
@@ -30,14 +32,14 @@ const AdminLayout = ({ children }) => {
               <button className="mobile-menu-btn" onClick={toggleSidebar}>
                 ☰
               </button>
-              <h1>Admin Dashboard</h1>
+              <h1>{t('admin.dashboard')}</h1>
             </div>
             <div className="admin-header-right">
               <span className="user-info">
-                Welcome, <strong>{currentUser?.name}</strong> ({currentUser?.role})
+                {t('admin.welcome')}, <strong>{currentUser?.name}</strong> ({currentUser?.role})
               </span>
               <button onClick={handleLogout} className="logout-btn">
-                Logout
+                {t('header.logout')}
               </button>
             </div>
           </div>
@@ -1,10 +1,14 @@
 import React, { useState, useEffect } from 'react';
-import axios from '../lib/axios';
+import apiClient from '../lib/apiClient';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useLanguage } from '../contexts/LanguageContext';
 import './AdminPage.css';
 
 const AdminPage = () => {
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(true);
+  const { formatter } = usePreferences();
+  const { t } = useLanguage();
 
   useEffect(() => {
     loadUsers();
@@ -12,7 +16,7 @@ const AdminPage = () => {
 
   const loadUsers = async () => {
     try {
-      const response = await axios.get('/admin/users');
+      const response = await apiClient.get('/admin/users');
       setUsers(response.data.users);
     } catch (error) {
       console.error('Error loading users:', error);
@@ -24,25 +28,25 @@ const AdminPage = () => {
   return (
     <div className="admin-users-page">
       <div className="page-header">
-        <h2>👥 User Management</h2>
-        <p>Quản lý người dùng hệ thống</p>
+        <h2>👥 {t('admin.users.title')}</h2>
+        <p>{t('admin.users.subtitle')}</p>
       </div>
 
       <div className="admin-section">
-        <h3>User List</h3>
+        <h3>{t('admin.users.list')}</h3>
           {loading ? (
-            <div className="loading">Loading users...</div>
+            <div className="loading">{t('admin.users.loading')}</div>
           ) : (
             <div className="users-table-container">
               <table className="users-table">
                 <thead>
                   <tr>
                     <th>ID</th>
-                    <th>Name</th>
-                    <th>Username</th>
-                    <th>Email</th>
-                    <th>Role</th>
-                    <th>Created At</th>
+                    <th>{t('admin.users.name')}</th>
+                    <th>{t('auth.username')}</th>
+                    <th>{t('auth.email')}</th>
+                    <th>{t('admin.users.role')}</th>
+                    <th>{t('admin.users.createdAt')}</th>
                   </tr>
                 </thead>
                 <tbody>
@@ -57,7 +61,7 @@ const AdminPage = () => {
                           {user.role}
                         </span>
                       </td>
-                      <td>{new Date(user.created_at).toLocaleDateString()}</td>
+                      <td>{formatter.date(user.created_at, { day: '2-digit', month: '2-digit', year: 'numeric' })}</td>
                     </tr>
                   ))}
                 </tbody>
@@ -67,23 +71,23 @@ const AdminPage = () => {
         </div>
 
       <div className="admin-section">
-        <h3>Statistics</h3>
+        <h3>{t('storyManagement.statistics')}</h3>
         <div className="stats-grid">
           <div className="stat-card">
             <div className="stat-value">{users.length}</div>
-            <div className="stat-label">Total Users</div>
+            <div className="stat-label">{t('admin.users.total')}</div>
           </div>
           <div className="stat-card">
             <div className="stat-value">
               {users.filter(u => u.role === 'admin').length}
             </div>
-            <div className="stat-label">Admins</div>
+            <div className="stat-label">{t('admin.users.admins')}</div>
           </div>
           <div className="stat-card">
             <div className="stat-value">
               {users.filter(u => u.role === 'customer').length}
             </div>
-            <div className="stat-label">Customers</div>
+            <div className="stat-label">{t('admin.users.customers')}</div>
           </div>
         </div>
       </div>
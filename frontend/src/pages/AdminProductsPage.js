@@ -6,11 +6,13 @@ import {
   deleteProduct,
   toggleProductActive,
 } from '../services/adminProductService';
+import { useLanguage } from '../contexts/LanguageContext';
 import './AdminProductsPage.css';
 
 const WEATHER_TAGS = ['rain', 'drizzle', 'thunderstorm', 'clear', 'sunny', 'clouds', 'fog', 'snow'];
 
 const AdminProductsPage = () => {
+  const { t } = useLanguage();
   const [products, setProducts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
@@ -136,10 +138,10 @@ const AdminProductsPage = () => {
     try {
       if (editingProduct) {
         await updateProduct(editingProduct.id, submitData);
-        showNotification('Product updated successfully!', 'success');
+        showNotification(t('adminProducts.notifications.updated'), 'success');
       } else {
         await createProduct(submitData);
-        showNotification('Product created successfully!', 'success');
+        showNotification(t('adminProducts.notifications.created'), 'success');
       }
       setShowModal(false);
       loadProducts(pagination.current_page);
@@ -156,7 +158,7 @@ const AdminProductsPage = () => {
   const handleToggleActive = async (id, currentStatus) => {
     try {
       await toggleProductActive(id);
-      showNotification('Product status updated!', 'success');
+      showNotification(t('adminProducts.notifications.statusUpdated'), 'success');
       loadProducts(pagination.current_page);
     } catch (error) {
       showNotification(error.message, 'error');
@@ -164,13 +166,13 @@ const AdminProductsPage = () => {
   };
 
   const handleDelete = async (id, name) => {
-    if (!window.confirm(`Are you sure you want to delete "${name}"? This action cannot be undone.`)) {
+    if (!window.confirm(t('adminProducts.deleteConfirm', { name }))) {
       return;
     }
 
     try {
       await deleteProduct(id);
-      showNotification('Product deleted successfully!', 'success');
+      showNotification(t('adminProducts.notifications.deleted'), 'success');
       loadProducts(pagination.current_page);
     } catch (error) {
       showNotification(error.message, 'error');
@@ -194,11 +196,11 @@ const AdminProductsPage = () => {
       {/* Header */}
       <div className="page-header">
         <div>
-          <h2>🛍️ Product Management</h2>
-          <p>Quản lý sản phẩm affiliate cho gợi ý thời tiết</p>
+          <h2>🛍️ {t('admin.products.title')}</h2>
+          <p>{t('adminProducts.subtitle')}</p>
         </div>
         <button onClick={openCreateModal} className="btn-primary">
-          ➕ Add New Product
+          ➕ {t('adminProducts.add')}
         </button>
       </div>
 
@@ -206,40 +208,40 @@ const AdminProductsPage = () => {
       <div className="filters-bar">
         <input
           type="text"
-          placeholder="Search by name or description..."
+          placeholder={t('adminProducts.searchPlaceholder')}
           value={filters.search}
           onChange={(e) => handleFilterChange('search', e.target.value)}
           onKeyPress={(e) => e.key === 'Enter' && applyFilters()}
         />
 
         <select value={filters.weather_tag} onChange={(e) => handleFilterChange('weather_tag', e.target.value)}>
-          <option value="">All Weather Tags</option>
+          <option value="">{t('adminProducts.allTags')}</option>
           {WEATHER_TAGS.map((tag) => (
             <option key={tag} value={tag}>
-              {tag.charAt(0).toUpperCase() + tag.slice(1)}
+              {t(`adminProducts.tags.${tag}`)}
             </option>
           ))}
         </select>
 
         <select value={filters.is_active} onChange={(e) => handleFilterChange('is_active', e.target.value)}>
-          <option value="">All Status</option>
-          <option value="true">Active</option>
-          <option value="false">Inactive</option>
+          <option value="">{t('adminProducts.allStatus')}</option>
+          <option value="true">{t('adminProducts.active')}</option>
+          <option value="false">{t('adminProducts.inactive')}</option>
         </select>
 
         <button onClick={applyFilters} className="btn-secondary">
-          🔍 Apply Filters
+          🔍 {t('adminProducts.applyFilters')}
         </button>
       </div>
 
       {/* Products Table */}
       {loading ? (
-        <div className="loading-state">Loading products...</div>
+        <div className="loading-state">{t('adminProducts.loading')}</div>
       ) : products.length === 0 ? (
         <div className="empty-state">
-          <p>No products found</p>
+          <p>{t('adminProducts.empty')}</p>
           <button onClick={openCreateModal} className="btn-primary">
-            Create your first product
+            {t('adminProducts.createFirst')}
           </button>
         </div>
       ) : (
@@ -247,12 +249,12 @@ const AdminProductsPage = () => {
           <table className="products-table">
             <thead>
               <tr>
-                <th>Image</th>
-                <th>Name</th>
-                <th>Weather Tags</th>
-                <th>Temp Range</th>
-                <th>Status</th>
-                <th>Actions</th>
+                <th>{t('adminProducts.columns.image')}</th>
+                <th>{t('adminProducts.columns.name')}</th>
+                <th>{t('adminProducts.columns.tags')}</th>
+                <th>{t('adminProducts.columns.tempRange')}</th>
+                <th>{t('adminProducts.columns.status')}</th>
+                <th>{t('adminProducts.columns.actions')}</th>
               </tr>
             </thead>
             <tbody>
@@ -279,7 +281,7 @@ const AdminProductsPage = () => {
                     <div className="tags-container">
                       {product.weather_tags.map((tag) => (
                         <span key={tag} className={`tag tag-${tag}`}>
-                          {tag}
+                          {t(`adminProducts.tags.${tag}`)}
                         </span>
                       ))}
                     </div>
@@ -287,14 +289,14 @@ const AdminProductsPage = () => {
                   <td>
                     {product.min_temp !== null && product.max_temp !== null
                       ? `${product.min_temp}°C - ${product.max_temp}°C`
-                      : 'No restriction'}
+                      : t('adminProducts.noRestriction')}
                   </td>
                   <td>
                     <button
                       onClick={() => handleToggleActive(product.id, product.is_active)}
                       className={`status-badge ${product.is_active ? 'active' : 'inactive'}`}
                     >
-                      {product.is_active ? '✓ Active' : '✗ Inactive'}
+                      {product.is_active ? `✓ ${t('adminProducts.active')}` : `✗ ${t('adminProducts.inactive')}`}
                     </button>
                   </td>
                   <td>
@@ -302,14 +304,14 @@ const AdminProductsPage = () => {
                       <button
                         onClick={() => openEditModal(product)}
                         className="btn-icon btn-edit"
-                        title="Edit"
+                        title={t('common.edit')}
                       >
                         ✏️
                       </button>
                       <button
                         onClick={() => handleDelete(product.id, product.name)}
                         className="btn-icon btn-delete"
-                        title="Delete"
+                        title={t('common.delete')}
                       >
                         🗑️
                       </button>
@@ -318,7 +320,7 @@ const AdminProductsPage = () => {
                         target="_blank"
                         rel="noopener noreferrer"
                         className="btn-icon btn-link"
-                        title="Test Link"
+                        title={t('adminProducts.testLink')}
                       >
                         🔗
                       </a>
@@ -339,11 +341,11 @@ const AdminProductsPage = () => {
             disabled={pagination.current_page === 1}
             className="btn-secondary"
           >
-            ← Previous
+            ← {t('pagination.previous')}
           </button>
 
           <span className="page-info">
-            Page {pagination.current_page} of {pagination.last_page} ({pagination.total} products)
+            {t('adminProducts.pageInfo', { page: pagination.current_page, pages: pagination.last_page })} ({t('adminProducts.count', { count: pagination.total })})
           </span>
 
           <button
@@ -351,7 +353,7 @@ const AdminProductsPage = () => {
             disabled={pagination.current_page === pagination.last_page}
             className="btn-secondary"
           >
-            Next →
+            {t('pagination.next')} →
           </button>
         </div>
       )}
@@ -361,7 +363,7 @@ const AdminProductsPage = () => {
         <div className="modal-overlay" onClick={() => setShowModal(false)}>
           <div className="modal-content" onClick={(e) => e.stopPropagation()}>
             <div className="modal-header">
-              <h3>{editingProduct ? 'Edit Product' : 'Create New Product'}</h3>
+              <h3>{editingProduct ? t('adminProducts.editTitle') : t('adminProducts.createTitle')}</h3>
               <button onClick={() => setShowModal(false)} className="close-btn">
                 ✕
               </button>
@@ -369,7 +371,7 @@ const AdminProductsPage = () => {
 
             <form onSubmit={handleSubmit}>
               <div className="form-group">
-                <label>Product Name *</label>
+                <label>{t('adminProducts.fields.name')} *</label>
                 <input
                   type="text"
                   name="name"
@@ -382,7 +384,7 @@ const AdminProductsPage = () => {
               </div>
 
               <div className="form-group">
-                <label>Description *</label>
+                <label>{t('adminProducts.fields.description')} *</label>
                 <textarea
                   name="description"
                   value={formData.description}
@@ -395,7 +397,7 @@ const AdminProductsPage = () => {
               </div>
 
               <div className="form-group">
-                <label>Image URL *</label>
+                <label>{t('adminProducts.fields.imageUrl')} *</label>
                 <input
                   type="url"
                   name="image_url"
@@ -408,7 +410,7 @@ const AdminProductsPage = () => {
                 {formData.image_url && (
                   <img
                     src={formData.image_url}
-                    alt="Preview"
+                    alt={t('adminProducts.preview')}
                     className="image-preview"
                     onError={(e) => (e.target.style.display = 'none')}
                   />
@@ -416,7 +418,7 @@ const AdminProductsPage = () => {
               </div>
 
               <div className="form-group">
-                <label>Original Product Link (Shopee/Tiki/Lazada) *</label>
+                <label>{t('adminProducts.fields.originalLink')} *</label>
                 <input
                   type="url"
                   name="original_link"
@@ -426,11 +428,11 @@ const AdminProductsPage = () => {
                   placeholder="https://shopee.vn/..."
                 />
                 {formErrors.original_link && <span className="error-text">{formErrors.original_link[0]}</span>}
-                <small className="help-text">Will be converted to AccessTrade deep link automatically</small>
+                <small className="help-text">{t('adminProducts.fields.originalLinkHelp')}</small>
               </div>
 
               <div className="form-group">
-                <label>Weather Tags * (Select one or more)</label>
+                <label>{t('adminProducts.fields.tags')}</label>
                 <div className="checkbox-group">
                   {WEATHER_TAGS.map((tag) => (
                     <label key={tag} className="checkbox-label">
@@ -440,7 +442,7 @@ const AdminProductsPage = () => {
                         checked={formData.weather_tags.includes(tag)}
                         onChange={handleWeatherTagChange}
                       />
-                      {tag.charAt(0).toUpperCase() + tag.slice(1)}
+                      {t(`adminProducts.tags.${tag}`)}
                     </label>
                   ))}
                 </div>
@@ -449,7 +451,7 @@ const AdminProductsPage = () => {
 
               <div className="form-row">
                 <div className="form-group">
-                  <label>Min Temperature (°C)</label>
+                  <label>{t('adminProducts.fields.minTemp')}</label>
                   <input
                     type="number"
                     name="min_temp"
@@ -457,13 +459,13 @@ const AdminProductsPage = () => {
                     onChange={handleInputChange}
                     min="-50"
                     max="60"
-                    placeholder="Leave empty for no restriction"
+                    placeholder={t('adminProducts.fields.tempPlaceholder')}
                   />
                   {formErrors.min_temp && <span className="error-text">{formErrors.min_temp[0]}</span>}
                 </div>
 
                 <div className="form-group">
-                  <label>Max Temperature (°C)</label>
+                  <label>{t('adminProducts.fields.maxTemp')}</label>
                   <input
                     type="number"
                     name="max_temp"
@@ -471,7 +473,7 @@ const AdminProductsPage = () => {
                     onChange={handleInputChange}
                     min="-50"
                     max="60"
-                    placeholder="Leave empty for no restriction"
+                    placeholder={t('adminProducts.fields.tempPlaceholder')}
                   />
                   {formErrors.max_temp && <span className="error-text">{formErrors.max_temp[0]}</span>}
                 </div>
@@ -485,16 +487,16 @@ const AdminProductsPage = () => {
                     checked={formData.is_active}
                     onChange={(e) => setFormData({ ...formData, is_active: e.target.checked })}
                   />
-                  Active (visible to users)
+                  {t('adminProducts.fields.active')}
                 </label>
               </div>
 
               <div className="modal-actions">
                 <button type="button" onClick={() => setShowModal(false)} className="btn-secondary">
-                  Cancel
+                  {t('common.cancel')}
                 </button>
                 <button type="submit" className="btn-primary" disabled={submitting}>
-                  {submitting ? 'Saving...' : editingProduct ? 'Update Product' : 'Create Product'}
+                  {submitting ? t('adminProducts.saving') : editingProduct ? t('adminProducts.update') : t('adminProducts.create')}
                 </button>
               </div>
             </form>
@@ -1,13 +1,16 @@
 import React from 'react';
 import StoryManagement from '../components/StoryManagement';
+import { useLanguage } from '../contexts/LanguageContext';
 import './AdminStoriesPage.css';
 
 const AdminStoriesPage = () => {
+  const { t } = useLanguage();
+
   return (
     <div className="admin-stories-page">
       <div className="page-header">
-        <h2>📰 Stories Management</h2>
-        <p>Quản lý và đăng bài viết tin tức thời tiết</p>
+        <h2>📰 {t('admin.stories.title')}</h2>
+        <p>{t('admin.stories.subtitle')}</p>
       </div>
       <StoryManagement />
     </div>
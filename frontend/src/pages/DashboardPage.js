@@ -1,9 +1,23 @@
-import React, { useState, useEffect } from 'react';
-import { useLocation } from 'react-router-dom';
-import { fetchWeatherData, getCurrentLocation } from '../services/weatherService';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useLocation, useSearchParams } from 'react-router-dom';
+import { fetchWeatherData, getWeatherSnapshot, getWeatherUpdatedAt, getLocationName, getCurrentLocation } from '../services/weatherService';
+import { API_ERROR_TYPES } from '../lib/apiClient';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import {
+    parseLocationParams,
+    parseForecastTab,
+    isSameUrlLocation,
+    withLocationParams,
+    withForecastTab
+} from '../lib/dashboardUrl';
 import authService from '../services/authService';
 import Header from '../components/Header';
 import CurrentWeather from '../components/CurrentWeather';
+import AirQuality from '../components/AirQuality';
+import Astronomy from '../components/Astronomy';
+import RefreshControl from '../components/RefreshControl';
+import DashboardLayout from '../components/DashboardLayout';
 import HourlyForecastChart from '../components/HourlyForecastChart';
 import AnomalyDisplay from '../components/AnomalyDisplay';
 import Recommendation from '../components/Recommendation';
@@ -14,22 +28,65 @@ import LoginModal from '../components/LoginModal';
 import ProductRecommendations from '../components/ProductRecommendations';
 import './DashboardPage.css';
 
+// Retry settings for the main weather request: 3 retries at ~1s, 2s, 4s
+const WEATHER_RETRY = { retries: 3, baseDelay: 1000, maxDelay: 8000 };
+
+// Errors after which the last saved snapshot is shown instead
+const OFFLINE_ERROR_TYPES = [API_ERROR_TYPES.NETWORK, API_ERROR_TYPES.TIMEOUT];
+
+// Format the snapshot time for the offline banner (HH:MM, plus the date if not today)
+const formatSnapshotTime = (timestamp, formatter, t) => {
+    const time = formatter.time(timestamp);
+    if (new Date(timestamp).toDateString() === new Date().toDateString()) {
+        return time;
+    }
+    return t('dashboard.timeOnDate', { time, date: formatter.date(timestamp) });
+};
+
 /**
  * DashboardPage Component
  * Main dashboard that displays all weather information and components
  */
 const DashboardPage = () => {
     const location = useLocation();
+    const { preferences, formatter } = usePreferences();
+    const { t } = useLanguage();
+    // Query params mirror the selected location and forecast tab (see lib/dashboardUrl.js)
+    const [searchParams, setSearchParams] = useSearchParams();
     // State for selected location (default: null - will be set to user's location)
     const [selectedLocation, setSelectedLocation] = useState(null);
+    // Latest selected location, read by the URL effects without re-running them
+    const selectedLocationRef = useRef(selectedLocation);
+    selectedLocationRef.current = selectedLocation;
+    const [resolvedLocationName, setResolvedLocationName] = useState(null);
+    const [linkCopied, setLinkCopied] = useState(false);
+    const forecastTab = parseForecastTab(searchParams);
 
     // State for weather data
     const [weatherData, setWeatherData] = useState(null);
+    // Latest data, kept as the previous values when a refresh replaces it
+    const weatherDataRef = useRef(weatherData);
+    weatherDataRef.current = weatherData;
+    // Data before the last refresh of the same location, to highlight changed values
+    const [previousWeatherData, setPreviousWeatherData] = useState(null);
+    // When the displayed data was fetched from the backend
+    const [updatedAt, setUpdatedAt] = useState(null);
+    // Last load or refresh attempt, successful or not; the next auto-refresh is counted from it
+    const [lastCheckedAt, setLastCheckedAt] = useState(null);
+    const [isRefreshing, setIsRefreshing] = useState(false);
+    const [refreshFailed, setRefreshFailed] = useState(false);
+    const refreshControllerRef = useRef(null);
+    const [isPageVisible, setIsPageVisible] = useState(document.visibilityState === 'visible');
     const [loading, setLoading] = useState(true);
+    // Message key of the loading error, translated when rendered
     const [error, setError] = useState(null);
     const [locationError, setLocationError] = useState(null);
     const [isAuthenticated, setIsAuthenticated] = useState(authService.isAuthenticated());
     const [isLoginModalOpen, setIsLoginModalOpen] = useState(false);
+    const [isOnline, setIsOnline] = useState(navigator.onLine);
+    // Time of the offline snapshot being displayed (null when data is live)
+    const [snapshotTime, setSnapshotTime] = useState(null);
+    const [reloadKey, setReloadKey] = useState(0);
     
     // Listen for authentication changes
     useEffect(() => {
@@ -53,18 +110,59 @@ const DashboardPage = () => {
     }, []);
 
 
+    // Track connectivity and reload the weather data once the connection is back
+    useEffect(() => {
+        const handleOnline = () => {
+            setIsOnline(true);
+            setReloadKey(key => key + 1);
+        };
+        const handleOffline = () => setIsOnline(false);
+
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, []);
+
+    // Auto-refresh pauses while the tab is hidden
+    useEffect(() => {
+        const handleVisibilityChange = () => {
+            setIsPageVisible(document.visibilityState === 'visible');
+        };
+
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        return () => {
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+        };
+    }, []);
+
     // Get user's current location on component mount or handle location from router state
     useEffect(() => {
         const initializeLocation = async () => {
             try {
-                setLoading(true);
-                setLocationError(null);
-                
                 // Check if location data was passed from SearchPage
                 if (location.state?.selectedLocation) {
+                    setLocationError(null);
                     setSelectedLocation(location.state.selectedLocation);
                     return;
                 }
+
+                // Already initialised - later URL changes are handled by the effect below
+                if (selectedLocationRef.current) return;
+
+                setLoading(true);
+                setLocationError(null);
+
+                // Shared link: take the location from the query params
+                const urlLocation = parseLocationParams(new URLSearchParams(window.location.search));
+                if (urlLocation) {
+                    setResolvedLocationName(urlLocation.name);
+                    setSelectedLocation(urlLocation);
+                    return;
+                }
                 
                 // Try to get user's current location
                 const currentLocation = await getCurrentLocation();
@@ -86,29 +184,171 @@ const DashboardPage = () => {
         initializeLocation();
     }, [location.state]);
 
-    const [resolvedLocationName, setResolvedLocationName] = useState(null);
+    // URL -> state: follow back/forward navigation and links opened in this tab
+    useEffect(() => {
+        const urlLocation = parseLocationParams(searchParams);
+        const current = selectedLocationRef.current;
+        if (!current || !urlLocation || isSameUrlLocation(current, urlLocation)) return;
+
+        setError(null);
+        setLocationError(null);
+        setResolvedLocationName(urlLocation.name);
+        setSelectedLocation(urlLocation);
+    }, [searchParams]);
+
+    // State -> URL: keep the query params in sync with the selected location
+    useEffect(() => {
+        if (!selectedLocation) return;
+
+        const currentParams = new URLSearchParams(window.location.search);
+        const nextParams = withLocationParams(currentParams, {
+            ...selectedLocation,
+            name: resolvedLocationName || selectedLocation.name
+        });
+        if (nextParams.toString() === currentParams.toString()) return;
+
+        // A new location gets its own history entry; the first fill-in and name updates do not
+        const urlLocation = parseLocationParams(currentParams);
+        setSearchParams(nextParams, {
+            replace: !urlLocation || isSameUrlLocation(urlLocation, selectedLocation)
+        });
+    }, [selectedLocation, resolvedLocationName, setSearchParams]);
+
+    // Forecast tab lives only in the URL
+    const handleForecastTabChange = (tab) => {
+        setSearchParams(withForecastTab(searchParams, tab), { replace: true });
+    };
+
+    // Copy the current dashboard link so it can be shared
+    const handleCopyLink = async () => {
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            setLinkCopied(true);
+            setTimeout(() => setLinkCopied(false), 2000);
+        } catch (err) {
+            console.error('Error copying link:', err);
+            window.prompt(t('dashboard.copyLinkPrompt'), window.location.href);
+        }
+    };
 
     // Fetch weather data when component mounts or location changes
     useEffect(() => {
         if (!selectedLocation) return; // Don't fetch if location is not set yet
+        // Aborted when the location changes again, so a slow response for a
+        // previously selected city can never overwrite the current one
+        const controller = new AbortController();
+
         const loadWeatherData = async () => {
             setLoading(true);
             setError(null);
+            setRefreshFailed(false);
+            setPreviousWeatherData(null);
 
             try {
-                const data = await fetchWeatherData(selectedLocation.lat, selectedLocation.lon);
+                // Cached data is returned immediately; a background refresh
+                // updates the dashboard if the location is still selected
+                const data = await fetchWeatherData(selectedLocation.lat, selectedLocation.lon, {
+                    signal: controller.signal,
+                    retry: WEATHER_RETRY,
+                    onRevalidate: (freshData) => {
+                        if (controller.signal.aborted) return;
+                        setPreviousWeatherData(weatherDataRef.current);
+                        setWeatherData(freshData);
+                        setUpdatedAt(Date.now());
+                    }
+                });
+                const fetchedAt = await getWeatherUpdatedAt(selectedLocation.lat, selectedLocation.lon);
+                if (controller.signal.aborted) return;
                 setWeatherData(data);
-                setResolvedLocationName(data?.location?.name || selectedLocation?.name);
+                setUpdatedAt(fetchedAt || Date.now());
+                setResolvedLocationName(getLocationName(selectedLocation, data));
+
+                // Cached data served while offline is still a snapshot
+                const snapshot = navigator.onLine
+                    ? null
+                    : await getWeatherSnapshot(selectedLocation.lat, selectedLocation.lon);
+                if (controller.signal.aborted) return;
+                setSnapshotTime(snapshot ? snapshot.storedAt : null);
             } catch (err) {
-                setError('Không thể tải dữ liệu thời tiết. Vui lòng thử lại sau.');
+                if (err.type === API_ERROR_TYPES.CANCELLED) return;
+
+                // Network is down: fall back to the last payload saved for this location
+                if (OFFLINE_ERROR_TYPES.includes(err.type)) {
+                    const snapshot = await getWeatherSnapshot(selectedLocation.lat, selectedLocation.lon);
+                    if (controller.signal.aborted) return;
+                    if (snapshot) {
+                        setWeatherData(snapshot.data);
+                        setUpdatedAt(snapshot.storedAt);
+                        setResolvedLocationName(getLocationName(selectedLocation, snapshot.data));
+                        setSnapshotTime(snapshot.storedAt);
+                        return;
+                    }
+                }
+
+                setError('dashboard.loadFailed');
                 console.error('Error loading weather data:', err);
             } finally {
-                setLoading(false);
+                if (!controller.signal.aborted) {
+                    setLoading(false);
+                    setLastCheckedAt(Date.now());
+                }
             }
         };
 
         loadWeatherData();
-    }, [selectedLocation]);
+
+        return () => {
+            controller.abort();
+            // A refresh still running belongs to the previous location
+            refreshControllerRef.current?.abort();
+        };
+    }, [selectedLocation, reloadKey]);
+
+    // Fetch fresh data for the selected location while keeping the dashboard on screen
+    const refreshWeatherData = useCallback(async () => {
+        const current = selectedLocationRef.current;
+        if (!current || refreshControllerRef.current) return;
+
+        const controller = new AbortController();
+        refreshControllerRef.current = controller;
+        setIsRefreshing(true);
+
+        try {
+            const data = await fetchWeatherData(current.lat, current.lon, {
+                signal: controller.signal,
+                retry: WEATHER_RETRY,
+                forceRefresh: true
+            });
+            if (controller.signal.aborted) return;
+            setPreviousWeatherData(weatherDataRef.current);
+            setWeatherData(data);
+            setUpdatedAt(Date.now());
+            setSnapshotTime(null);
+            setError(null);
+            setRefreshFailed(false);
+        } catch (err) {
+            if (err.type === API_ERROR_TYPES.CANCELLED) return;
+            // The data on screen stays; the next auto-refresh tries again
+            console.error('Error refreshing weather data:', err);
+            setRefreshFailed(true);
+        } finally {
+            if (refreshControllerRef.current === controller) {
+                refreshControllerRef.current = null;
+                setIsRefreshing(false);
+                setLastCheckedAt(Date.now());
+            }
+        }
+    }, []);
+
+    // Auto-refresh on the interval from the preferences, while the tab is visible and online.
+    // A tab shown again after the interval passed refreshes right away.
+    useEffect(() => {
+        const interval = preferences.refreshInterval * 60 * 1000;
+        if (!interval || !isPageVisible || !isOnline || !lastCheckedAt || loading) return undefined;
+
+        const timer = setTimeout(refreshWeatherData, Math.max(0, lastCheckedAt + interval - Date.now()));
+        return () => clearTimeout(timer);
+    }, [preferences.refreshInterval, isPageVisible, isOnline, lastCheckedAt, loading, refreshWeatherData]);
 
 
     // Handle location selection from Header dropdown
@@ -123,7 +363,7 @@ const DashboardPage = () => {
             // Weather data will be refreshed by the effect watching selectedLocation
         } catch (err) {
             console.error('Error fetching weather data:', err);
-            setError('Không thể tải dữ liệu thời tiết. Vui lòng thử lại.');
+            setError('dashboard.loadFailed');
         }
     };
 
@@ -146,7 +386,22 @@ const DashboardPage = () => {
                     <div className="error-icon">⚠️</div>
                     <div className="error-content">
                         <p>{locationError}</p>
-                        <p className="error-note">Đang sử dụng vị trí mặc định: Dĩ An</p>
+                        <p className="error-note">{t('dashboard.defaultLocation', { name: 'Dĩ An' })}</p>
+                    </div>
+                </div>
+            )}
+
+            {/* Offline Banner */}
+            {snapshotTime && !loading && (
+                <div className="offline-banner">
+                    <div className="offline-icon">📴</div>
+                    <div className="offline-content">
+                        <p>{t('dashboard.offline', { time: formatSnapshotTime(snapshotTime, formatter, t) })}</p>
+                        <p className="offline-note">
+                            {isOnline
+                                ? t('dashboard.serverUnreachable')
+                                : t('dashboard.autoUpdate')}
+                        </p>
                     </div>
                 </div>
             )}
@@ -159,9 +414,9 @@ const DashboardPage = () => {
                         <p>
                             {selectedLocation
                                 ? (resolvedLocationName
-                                    ? `Đang tải dữ liệu thời tiết cho ${resolvedLocationName}...`
-                                    : 'Đang tải dữ liệu thời tiết...')
-                                : 'Đang lấy vị trí hiện tại...'
+                                    ? t('dashboard.loadingFor', { name: resolvedLocationName })
+                                    : t('currentWeather.loading'))
+                                : t('dashboard.locating')
                             }
                         </p>
                     </div>
@@ -170,9 +425,9 @@ const DashboardPage = () => {
                 {error && (
                     <div className="error-container">
                         <div className="error-icon">⚠️</div>
-                        <p>{error}</p>
-                        <button onClick={() => window.location.reload()} className="retry-button">
-                            Thử lại
+                        <p>{t(error)}</p>
+                        <button onClick={() => setReloadKey(key => key + 1)} className="retry-button">
+                            {t('common.retry')}
                         </button>
                     </div>
                 )}
@@ -182,10 +437,23 @@ const DashboardPage = () => {
                         {/* Current Location Display */}
                         <div className="current-location-banner">
                             <h2>📍 {resolvedLocationName || selectedLocation?.name}</h2>
+                            <button
+                                className="share-link-button"
+                                onClick={handleCopyLink}
+                                title={t('dashboard.shareTitle')}
+                            >
+                                {linkCopied ? `✅ ${t('dashboard.linkCopied')}` : `🔗 ${t('dashboard.share')}`}
+                            </button>
+                            <RefreshControl
+                                updatedAt={updatedAt}
+                                isRefreshing={isRefreshing}
+                                hasError={refreshFailed}
+                                onRefresh={refreshWeatherData}
+                            />
                             <p>
-                                Vĩ độ: {weatherData.location?.latitude}° | 
-                                Kinh độ: {weatherData.location?.longitude}° | 
-                                Múi giờ: {weatherData.location?.timezone}
+                                {t('locationPicker.latitude')}: {weatherData.location?.latitude}° | 
+                                {t('locationPicker.longitude')}: {weatherData.location?.longitude}° | 
+                                {t('dashboard.timezone')}: {weatherData.location?.timezone}
                             </p>
                         </div>
 
@@ -196,56 +464,54 @@ const DashboardPage = () => {
                             </div>
                         )}
 
-                        {/* Stories Section - Only for authenticated users */}
-                        {isAuthenticated && (
-                            <div className="grid-row">
-                                <Stories location={selectedLocation?.name} />
-                            </div>
-                        )}
-
-                        {/* Section 1: Current Weather - Available for all users */}
-                        <div className="grid-row">
-                            <CurrentWeather data={weatherData.current_weather} />
-                        </div>
-
-                        {/* Product Recommendations - Available for all users */}
-                        <div className="grid-row">
-                            <ProductRecommendations weatherData={weatherData} />
-                        </div>
-
-                        {/* Hourly Forecast Chart - Only for authenticated users */}
-                        {isAuthenticated && (
-                            <div className="grid-row">
-                                <HourlyForecastChart 
-                                    data={weatherData.hourly_forecast} 
-                                    dailyData={weatherData.daily_forecast}
-                                />
-                            </div>
-                        )}
-
-                        {/* Section 2: Anomaly Analysis - Only for authenticated users */}
-                        {isAuthenticated && (
-                            <div className="grid-row">
-                                <AnomalyDisplay 
-                                anomalyData={weatherData.anomaly} 
-                                location={selectedLocation}
-                            />
-                            </div>
-                        )}
-
-                        {/* Section 3: Smart Recommendations - Only for authenticated users */}
-                        {isAuthenticated && (
-                            <div className="grid-row">
-                                <Recommendation recommendation={weatherData.recommendation} />
-                            </div>
-                        )}
-
-                        {/* Location Comparator - Only for authenticated users */}
-                        {isAuthenticated && (
-                            <div className="grid-row">
-                                <LocationComparator />
-                            </div>
-                        )}
+                        {/* Sections in the user's layout; signed-in only sections are left out for guests */}
+                        <DashboardLayout
+                            sections={{
+                                stories: isAuthenticated && (
+                                    <Stories location={selectedLocation?.name} />
+                                ),
+                                currentWeather: (
+                                    <CurrentWeather
+                                        data={weatherData.current_weather}
+                                        previousData={previousWeatherData?.current_weather}
+                                    />
+                                ),
+                                airQuality: (
+                                    <AirQuality location={selectedLocation} refreshKey={updatedAt} />
+                                ),
+                                astronomy: (
+                                    <Astronomy location={selectedLocation} timezone={weatherData.location?.timezone} />
+                                ),
+                                products: (
+                                    <ProductRecommendations weatherData={weatherData} />
+                                ),
+                                forecast: isAuthenticated && (
+                                    <HourlyForecastChart 
+                                        data={weatherData.hourly_forecast} 
+                                        dailyData={weatherData.daily_forecast}
+                                        historyData={weatherData.daily_history}
+                                        anomaly={weatherData.anomaly}
+                                        location={selectedLocation}
+                                        activeTab={forecastTab}
+                                        onTabChange={handleForecastTabChange}
+                                    />
+                                ),
+                                anomaly: isAuthenticated && (
+                                    <AnomalyDisplay 
+                                        anomalyData={weatherData.anomaly} 
+                                        location={selectedLocation}
+                                        weatherData={weatherData}
+                                        isOffline={!!snapshotTime}
+                                    />
+                                ),
+                                recommendation: isAuthenticated && (
+                                    <Recommendation recommendation={weatherData.recommendation} />
+                                ),
+                                comparator: isAuthenticated && (
+                                    <LocationComparator />
+                                )
+                            }}
+                        />
                     </>
                 )}
             </main>
@@ -253,13 +519,13 @@ const DashboardPage = () => {
             {/* Footer */}
             <footer className="dashboard-footer">
                 <p>
-                    Dữ liệu thời tiết được cung cấp bởi{' '}
+                    {t('dashboard.poweredBy')}{' '}
                     <a href="https://open-meteo.com/" target="_blank" rel="noopener noreferrer">
                         Open-Meteo API
                     </a>
                 </p>
                 <p className="footer-note">
-                    Weather Analysis Dashboard © 2025 | Cập nhật thời gian thực
+                    Weather Analysis Dashboard © 2025 | {t('dashboard.realtime')}
                 </p>
             </footer>
 
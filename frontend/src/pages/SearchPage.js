@@ -1,12 +1,14 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useTheme } from '../contexts/ThemeContext';
-import { fetchLocationByName } from '../services/weatherService';
+import { useLanguage } from '../contexts/LanguageContext';
+import { fetchLocationByName, reverseGeocode } from '../services/weatherService';
 import RainMap from '../components/RainMap';
 import './SearchPage.css';
 
 const SearchPage = () => {
     const { isDark } = useTheme();
+    const { t } = useLanguage();
     const navigate = useNavigate();
     const [searchQuery, setSearchQuery] = useState('');
     const [searchResults, setSearchResults] = useState([]);
@@ -20,7 +22,7 @@ const SearchPage = () => {
     // Handle city name search
     const handleSearchByName = async () => {
         if (!searchQuery.trim()) {
-            setError('Vui lòng nhập tên thành phố hoặc quốc gia');
+            setError(t('searchPage.queryRequired'));
             return;
         }
 
@@ -33,10 +35,10 @@ const SearchPage = () => {
             const results = await fetchLocationByName(searchQuery);
             setSearchResults(results);
             if (results.length === 0) {
-                setError('Không tìm thấy địa điểm nào');
+                setError(t('weatherService.noLocationsFound'));
             }
         } catch (err) {
-            setError(err.message || 'Không thể tìm kiếm địa điểm');
+            setError(err.message || t('searchPage.searchFailed'));
         } finally {
             setSearchLoading(false);
         }
@@ -52,40 +54,36 @@ const SearchPage = () => {
     };
 
     // Handle coordinate input
-    const handleCustomLocation = () => {
+    const handleCustomLocation = async () => {
         const lat = parseFloat(customLat);
         const lon = parseFloat(customLon);
 
         if (isNaN(lat) || isNaN(lon)) {
-            setError('Vui lòng nhập tọa độ hợp lệ');
+            setError(t('searchPage.invalidCoordinates'));
             return;
         }
 
         if (lat < -90 || lat > 90) {
-            setError('Vĩ độ phải nằm trong khoảng -90 đến 90');
+            setError(t('searchPage.latitudeRange'));
             return;
         }
 
         if (lon < -180 || lon > 180) {
-            setError('Kinh độ phải nằm trong khoảng -180 đến 180');
+            setError(t('searchPage.longitudeRange'));
             return;
         }
 
         setError('');
         setLoading(true);
 
-        // Simulate API call to get location name
-        setTimeout(() => {
-            const locationName = `Tọa độ ${lat.toFixed(4)}, ${lon.toFixed(4)}`;
-            const locationData = {
-                name: locationName,
-                latitude: lat,
-                longitude: lon
-            };
-            
-            setSelectedLocation(locationData);
-            setLoading(false);
-        }, 1000);
+        // Name the place; fall back to coordinates if reverse geocoding finds nothing
+        const place = await reverseGeocode(lat, lon);
+        setSelectedLocation({
+            name: place?.name || t('locationPicker.coordinatesName', { lat: lat.toFixed(4), lon: lon.toFixed(4) }),
+            latitude: lat,
+            longitude: lon
+        });
+        setLoading(false);
     };
 
 
@@ -105,6 +103,20 @@ const SearchPage = () => {
         }
     };
 
+    // Handle city marker click on RainMap - go straight to the dashboard
+    const handleMapLocation = (location) => {
+        setError('');
+        navigate('/dashboard', { 
+            state: { 
+                selectedLocation: {
+                    name: location.name,
+                    lat: location.lat,
+                    lon: location.lon
+                }
+            } 
+        });
+    };
+
     // Handle quick location selection
     const handleQuickLocation = (location) => {
         navigate('/dashboard', { 
@@ -124,9 +136,9 @@ const SearchPage = () => {
                 {/* Header */}
                 <div className="page-header">
                     <button className="back-button" onClick={() => navigate('/dashboard')}>
-                        ← Quay lại Dashboard
+                        ← {t('stories.backToDashboard')}
                     </button>
-                    <h1>Tìm Kiếm Vị Trí</h1>
+                    <h1>{t('locationPicker.title')}</h1>
                 </div>
 
                 <div className="content-grid">
@@ -134,11 +146,11 @@ const SearchPage = () => {
                     <div className="form-section">
                         {/* City Name Search */}
                         <div className="form-card">
-                            <h2>🔍 Tìm Kiếm Theo Tên</h2>
+                            <h2>🔍 {t('searchPage.byName')}</h2>
                             <div className="search-input-group">
                                 <input
                                     type="text"
-                                    placeholder="Nhập tên thành phố, quốc gia... (Ví dụ: Hanoi, Tokyo, Paris)"
+                                    placeholder={t('searchPage.namePlaceholder')}
                                     value={searchQuery}
                                     onChange={(e) => setSearchQuery(e.target.value)}
                                     onKeyPress={(e) => e.key === 'Enter' && handleSearchByName()}
@@ -149,14 +161,14 @@ const SearchPage = () => {
                                     onClick={handleSearchByName}
                                     disabled={searchLoading}
                                 >
-                                    {searchLoading ? '🔄 Đang tìm...' : '🔍 Tìm kiếm'}
+                                    {searchLoading ? `🔄 ${t('locationPicker.searching')}` : `🔍 ${t('storyManagement.search')}`}
                                 </button>
                             </div>
 
                             {/* Search Results */}
                             {searchResults.length > 0 && (
                                 <div className="search-results">
-                                    <h3>Kết quả tìm kiếm ({searchResults.length}):</h3>
+                                    <h3>{t('storyManagement.results', { count: searchResults.length })}:</h3>
                                     <div className="results-list">
                                         {searchResults.map((location) => (
                                             <div 
@@ -179,34 +191,34 @@ const SearchPage = () => {
 
                         {/* Coordinate Input */}
                         <div className="form-card">
-                            <h2>📍 Nhập Tọa Độ</h2>
+                            <h2>📍 {t('searchPage.byCoordinates')}</h2>
                             <div className="coordinate-inputs">
                                 <div className="input-group">
-                                    <label>Vĩ độ (Latitude)</label>
+                                    <label>{t('locationPicker.latitude')}</label>
                                     <input
                                         type="number"
-                                        placeholder="Ví dụ: 21.0285"
+                                        placeholder={t('searchPage.example', { value: '21.0285' })}
                                         value={customLat}
                                         onChange={(e) => setCustomLat(e.target.value)}
                                         step="0.0001"
                                         min="-90"
                                         max="90"
                                     />
-                                    <small>Khoảng: -90 đến 90</small>
+                                    <small>{t('locationPicker.range', { min: -90, max: 90 })}</small>
                                 </div>
                                 
                                 <div className="input-group">
-                                    <label>Kinh độ (Longitude)</label>
+                                    <label>{t('locationPicker.longitude')}</label>
                                     <input
                                         type="number"
-                                        placeholder="Ví dụ: 105.8542"
+                                        placeholder={t('searchPage.example', { value: '105.8542' })}
                                         value={customLon}
                                         onChange={(e) => setCustomLon(e.target.value)}
                                         step="0.0001"
                                         min="-180"
                                         max="180"
                                     />
-                                    <small>Khoảng: -180 đến 180</small>
+                                    <small>{t('locationPicker.range', { min: -180, max: 180 })}</small>
                                 </div>
                             </div>
 
@@ -217,22 +229,22 @@ const SearchPage = () => {
                                 onClick={handleCustomLocation}
                                 disabled={loading}
                             >
-                                {loading ? 'Đang tìm...' : 'Tìm Vị Trí'}
+                                {loading ? t('locationPicker.searching') : t('locationPicker.find')}
                             </button>
 
                             {selectedLocation && (
                                 <div className="selected-location">
-                                    <h3>Vị Trí Đã Chọn:</h3>
+                                    <h3>{t('locationPicker.selected')}:</h3>
                                     <div className="location-info">
-                                        <p><strong>Tên:</strong> {selectedLocation.name}</p>
-                                        <p><strong>Vĩ độ:</strong> {selectedLocation.latitude}</p>
-                                        <p><strong>Kinh độ:</strong> {selectedLocation.longitude}</p>
+                                        <p><strong>{t('locationPicker.name')}:</strong> {selectedLocation.name}</p>
+                                        <p><strong>{t('locationPicker.latitude')}:</strong> {selectedLocation.latitude}</p>
+                                        <p><strong>{t('locationPicker.longitude')}:</strong> {selectedLocation.longitude}</p>
                                     </div>
                                     <button 
                                         className="select-button"
                                         onClick={handleSelectLocation}
                                     >
-                                        Xem Thời Tiết Tại Đây
+                                        {t('locationPicker.viewWeather')}
                                     </button>
                                 </div>
                             )}
@@ -240,7 +252,7 @@ const SearchPage = () => {
 
                         {/* Quick Locations */}
                         <div className="quick-locations-card">
-                            <h3>Vị Trí Phổ Biến</h3>
+                            <h3>{t('searchPage.popular')}</h3>
                             <div className="quick-locations-grid">
                                 {[
                                     { name: 'Hà Nội', lat: 21.0285, lon: 105.8542 },
@@ -268,11 +280,7 @@ const SearchPage = () => {
                     <div className="map-section">
                         <RainMap 
                             isDark={isDark} 
-                            onLocationSelect={(location) => {
-                                setCustomLat(location.lat.toString());
-                                setCustomLon(location.lon.toString());
-                                setError('');
-                            }}
+                            onLocationSelect={handleMapLocation}
                         />
                     </div>
                 </div>
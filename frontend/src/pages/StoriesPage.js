@@ -2,10 +2,14 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import newsService from '../services/newsService';
 import Header from '../components/Header';
+import { usePreferences } from '../contexts/PreferencesContext';
+import { useLanguage } from '../contexts/LanguageContext';
 import './StoriesPage.css';
 
 const StoriesPage = () => {
   const navigate = useNavigate();
+  const { formatter } = usePreferences();
+  const { t } = useLanguage();
   const [stories, setStories] = useState([]);
   const [hotStories, setHotStories] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -52,9 +56,9 @@ const StoriesPage = () => {
 
   const getCategoryLabel = (category) => {
     const labels = {
-      'warning': '⚠️ Cảnh báo',
-      'info': 'ℹ️ Thông tin',
-      'normal': '📰 Tin tức'
+      'warning': `⚠️ ${t('stories.categories.warning')}`,
+      'info': `ℹ️ ${t('stories.categories.info')}`,
+      'normal': `📰 ${t('stories.categories.normal')}`
     };
     return labels[category] || category;
   };
@@ -74,9 +78,8 @@ const StoriesPage = () => {
   };
 
   const formatPublishedDate = (dateString) => {
-    if (!dateString) return 'Hôm nay';
-    const date = new Date(dateString);
-    return date.toLocaleDateString('vi-VN', {
+    if (!dateString) return t('stories.today');
+    return formatter.date(dateString, {
       day: '2-digit',
       month: '2-digit',
       year: 'numeric'
@@ -94,14 +97,14 @@ const StoriesPage = () => {
       <main className="stories-page-content">
         <div className="stories-page-header">
           <button className="back-button" onClick={() => navigate('/dashboard')}>
-            ← Quay lại Dashboard
+            ← {t('stories.backToDashboard')}
           </button>
-          <h1>Tất Cả Tin Tức & Bài Viết</h1>
-          <p>Khám phá những thông tin nổi bật và cập nhật mới nhất.</p>
+          <h1>{t('stories.pageTitle')}</h1>
+          <p>{t('stories.pageSubtitle')}</p>
         </div>
 
         {loading ? (
-          <div className="loading">Đang tải...</div>
+          <div className="loading">{t('common.loading')}</div>
         ) : (
           <>
             {/* Hot Stories Section - Show top 5 hot stories */}
@@ -110,11 +113,11 @@ const StoriesPage = () => {
                 <div className="hot-section-header">
                   <h2 className="section-title">
                     <span className="flame-icon">🔥</span>
-                    Tin Nóng - Hot Stories
+                    {t('stories.hot')}
                   </h2>
                   <div className="red-divider"></div>
                   <a href="#all-stories" className="view-all-link">
-                    Xem tất cả →
+                    {t('stories.viewAll')} →
                   </a>
                 </div>
                 
@@ -147,11 +150,11 @@ const StoriesPage = () => {
               <div className="latest-news-section">
                 <div className="latest-news-header">
                   <h2 className="section-title">
-                    Tin Tức Mới Nhất
+                    {t('stories.latest')}
                   </h2>
                   <div className="gray-divider"></div>
                   <button className="discover-more-link">
-                    Khám phá thêm →
+                    {t('stories.discoverMore')} →
                   </button>
                 </div>
                 
@@ -189,7 +192,7 @@ const StoriesPage = () => {
             <div className="all-stories-section" id="all-stories">
               <div className="latest-news-header">
                 <h2 className="section-title">
-                  Tất Cả Tin Tức
+                  {t('stories.all')}
                 </h2>
                 <div className="gray-divider"></div>
               </div>
@@ -0,0 +1,56 @@
+/* eslint-disable no-restricted-globals */
+
+/**
+ * Service Worker
+ * Compiled by react-scripts (Workbox InjectManifest) on `npm run build`.
+ * Precaches the app shell so the dashboard opens without a connection.
+ * Weather data is not cached here: the app keeps its own per-location
+ * snapshots in IndexedDB (see services/weatherService.js).
+ */
+import { clientsClaim } from 'workbox-core';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate, CacheFirst } from 'workbox-strategies';
+import { ExpirationPlugin } from 'workbox-expiration';
+
+clientsClaim();
+
+// Precache all assets generated by the build
+precacheAndRoute(self.__WB_MANIFEST);
+
+// App shell: serve index.html for every client-side route (SPA navigation)
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => {
+    if (request.mode !== 'navigate') return false;
+    if (url.pathname.startsWith('/_')) return false;
+    if (url.pathname.match(fileExtensionRegexp)) return false;
+    return true;
+  },
+  createHandlerBoundToURL(process.env.PUBLIC_URL + '/index.html')
+);
+
+// Same-origin static files outside the build (favicon, manifest)
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && /\.(ico|png|json)$/.test(url.pathname),
+  new StaleWhileRevalidate({
+    cacheName: 'static-resources',
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })]
+  })
+);
+
+// Leaflet marker images loaded from the CDN
+registerRoute(
+  ({ url }) => url.origin === 'https://cdnjs.cloudflare.com' && url.pathname.includes('/leaflet/'),
+  new CacheFirst({
+    cacheName: 'leaflet-assets',
+    plugins: [new ExpirationPlugin({ maxEntries: 20, maxAgeSeconds: 30 * 24 * 60 * 60 })]
+  })
+);
+
+// Allow the page to activate a new version right away
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
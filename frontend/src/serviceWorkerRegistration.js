@@ -0,0 +1,64 @@
+/**
+ * Service Worker Registration
+ * Registers the Workbox service worker built from src/service-worker.js.
+ * Only active in production builds: in development the worker would
+ * serve stale bundles and get in the way of hot reloading.
+ */
+
+/**
+ * Register the service worker once the page has loaded
+ * @param {Object} config - { onUpdate: called when a new version is waiting, onSuccess: called when content is cached for offline use }
+ */
+export const register = (config = {}) => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) {
+    return;
+  }
+
+  // The worker only works when served from the same origin as the page
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) {
+    return;
+  }
+
+  window.addEventListener('load', async () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+
+    try {
+      const registration = await navigator.serviceWorker.register(swUrl);
+
+      registration.onupdatefound = () => {
+        const installingWorker = registration.installing;
+        if (!installingWorker) return;
+
+        installingWorker.onstatechange = () => {
+          if (installingWorker.state !== 'installed') return;
+
+          if (navigator.serviceWorker.controller) {
+            // New content will be used once all tabs of the app are closed
+            console.log('New version available; it will be used when all tabs are closed.');
+            if (config.onUpdate) config.onUpdate(registration);
+          } else {
+            console.log('App shell cached for offline use.');
+            if (config.onSuccess) config.onSuccess(registration);
+          }
+        };
+      };
+    } catch (error) {
+      console.error('Service worker registration failed:', error);
+    }
+  });
+};
+
+/**
+ * Remove the service worker (e.g. to opt out of offline mode)
+ */
+export const unregister = async () => {
+  if (!('serviceWorker' in navigator)) return;
+
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    await registration.unregister();
+  } catch (error) {
+    console.error(error.message);
+  }
+};
@@ -1,6 +1,4 @@
-import axios from '../lib/axios';
-
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:8000/api';
+import apiClient from '../lib/apiClient';
 
 /**
  * Fetch paginated products with filters
@@ -9,51 +7,37 @@ const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:8000/api
  * @returns {Promise} API response with products data
  */
 export const fetchProducts = async (page = 1, filters = {}) => {
-  try {
-    const response = await axios.get(`${API_BASE_URL}/admin/products`, {
-      params: {
-        page,
-        per_page: 10,
-        ...filters
-      }
-    });
-    return response.data;
-  } catch (error) {
-    throw new Error(error.response?.data?.message || 'Failed to fetch products');
-  }
+  const response = await apiClient.get('/admin/products', {
+    params: {
+      page,
+      per_page: 10,
+      ...filters
+    }
+  });
+  return response.data;
 };
 
 /**
  * Create new product
+ * Validation failures reject with an ApiError whose `errors` holds the field errors
  * @param {Object} productData - Product data to create
  * @returns {Promise} API response with created product
  */
 export const createProduct = async (productData) => {
-  try {
-    const response = await axios.post(`${API_BASE_URL}/admin/products`, productData);
-    return response.data;
-  } catch (error) {
-    const message = error.response?.data?.message || 'Failed to create product';
-    const errors = error.response?.data?.errors || {};
-    throw { message, errors };
-  }
+  const response = await apiClient.post('/admin/products', productData);
+  return response.data;
 };
 
 /**
  * Update existing product
+ * Validation failures reject with an ApiError whose `errors` holds the field errors
  * @param {string} id - Product ID
  * @param {Object} productData - Updated product data
  * @returns {Promise} API response with updated product
  */
 export const updateProduct = async (id, productData) => {
-  try {
-    const response = await axios.put(`${API_BASE_URL}/admin/products/${id}`, productData);
-    return response.data;
-  } catch (error) {
-    const message = error.response?.data?.message || 'Failed to update product';
-    const errors = error.response?.data?.errors || {};
-    throw { message, errors };
-  }
+  const response = await apiClient.put(`/admin/products/${id}`, productData);
+  return response.data;
 };
 
 /**
@@ -62,12 +46,8 @@ export const updateProduct = async (id, productData) => {
  * @returns {Promise} API response
  */
 export const deleteProduct = async (id) => {
-  try {
-    const response = await axios.delete(`${API_BASE_URL}/admin/products/${id}`);
-    return response.data;
-  } catch (error) {
-    throw new Error(error.response?.data?.message || 'Failed to delete product');
-  }
+  const response = await apiClient.delete(`/admin/products/${id}`);
+  return response.data;
 };
 
 /**
@@ -76,10 +56,6 @@ export const deleteProduct = async (id) => {
  * @returns {Promise} API response with new status
  */
 export const toggleProductActive = async (id) => {
-  try {
-    const response = await axios.patch(`${API_BASE_URL}/admin/products/${id}/toggle-active`);
-    return response.data;
-  } catch (error) {
-    throw new Error(error.response?.data?.message || 'Failed to toggle product status');
-  }
+  const response = await apiClient.patch(`/admin/products/${id}/toggle-active`);
+  return response.data;
 };
@@ -1,6 +1,4 @@
-import axios from 'axios';
-
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:8000/api';
+import apiClient from '../lib/apiClient';
 
 /**
  * Fetch product recommendations based on weather conditions
@@ -11,28 +9,13 @@ const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:8000/api
  * @returns {Promise<Object>} Response with recommendations array
  */
 export const fetchRecommendations = async (weatherMain, currentTemp, limit = 5) => {
-    try {
-        console.log('Fetching recommendations:', { weatherMain, currentTemp, limit });
-        console.log('API URL:', `${API_BASE_URL}/recommendations`);
-        
-        const response = await axios.get(`${API_BASE_URL}/recommendations`, {
-            params: {
-                weather_main: weatherMain,
-                current_temp: currentTemp,
-                limit: limit,
-            },
-            timeout: 10000,
-        });
-        
-        console.log('Recommendations response:', response.data);
-        return response.data;
-    } catch (error) {
-        console.error('Affiliate recommendations error:', error);
-        console.error('Error details:', {
-            message: error.message,
-            response: error.response?.data,
-            status: error.response?.status,
-        });
-        throw new Error(error.response?.data?.message || 'Failed to fetch recommendations');
-    }
+    const response = await apiClient.get('/recommendations', {
+        params: {
+            weather_main: weatherMain,
+            current_temp: currentTemp,
+            limit: limit,
+        },
+        timeout: 10000,
+    });
+    return response.data;
 };
@@ -0,0 +1,213 @@
+import apiClient from '../lib/apiClient';
+import { ALERT_RULE_TYPES } from '../lib/alertRules';
+import { isSameLocation } from './favouriteService';
+
+/**
+ * Alert Service
+ * Stores weather alert rules and the alerts they fired.
+ * Like favourites, guests keep rules in localStorage and signed-in users sync them to /alerts/rules.
+ * Fired alerts and which rules are currently triggered stay in this browser.
+ * A rule is { id, type, threshold, hours, day, enabled, location: { name, lat, lon } }.
+ */
+
+const GUEST_ALERT_RULES_KEY = 'weather-dashboard-alert-rules';
+const ALERT_HISTORY_KEY = 'weather-dashboard-alerts';
+const ALERT_STATE_KEY = 'weather-dashboard-alert-state';
+
+// Same limit as the backend validation
+export const MAX_ALERT_RULES = 50;
+
+// Oldest fired alerts are dropped beyond this many
+export const MAX_ALERTS = 50;
+
+const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Create a rule for a location with the defaults of its type
+ * @param {Object} location - Favourite or location ({ name, lat, lon })
+ * @param {string} type - One of ALERT_RULE_TYPES
+ * @param {Object} options - { threshold, hours, day } overriding the defaults
+ * @returns {Object} - Alert rule
+ */
+export const createAlertRule = (location, type, options = {}) => {
+    const values = { ...ALERT_RULE_TYPES[type].defaults, ...options };
+    return {
+        id: createId(),
+        type,
+        threshold: type === 'anomaly' ? null : Number(values.threshold),
+        hours: type === 'rain_probability' ? Number(values.hours) : null,
+        day: type === 'temperature_max' || type === 'temperature_min' ? Number(values.day) : null,
+        enabled: true,
+        location: {
+            name: location.name,
+            lat: Number(location.lat ?? location.latitude),
+            lon: Number(location.lon ?? location.longitude)
+        }
+    };
+};
+
+// Read a JSON value from localStorage, or the fallback when missing or invalid
+const readStorage = (key, fallback) => {
+    try {
+        const saved = localStorage.getItem(key);
+        return saved ? JSON.parse(saved) : fallback;
+    } catch (error) {
+        console.warn(`Invalid ${key} in localStorage:`, error);
+        return fallback;
+    }
+};
+
+/**
+ * Get guest rules from localStorage
+ * @returns {Array}
+ */
+export const getGuestAlertRules = () => readStorage(GUEST_ALERT_RULES_KEY, []);
+
+/**
+ * Save guest rules to localStorage
+ * @param {Array} rules - Full list
+ */
+export const saveGuestAlertRules = (rules) => {
+    localStorage.setItem(GUEST_ALERT_RULES_KEY, JSON.stringify(rules));
+};
+
+/**
+ * Get the signed-in user's rules from the backend
+ * @returns {Promise<Array>}
+ */
+export const fetchUserAlertRules = async () => {
+    const response = await apiClient.get('/alerts/rules');
+    return response.data.rules || [];
+};
+
+/**
+ * Replace the signed-in user's rules on the backend
+ * @param {Array} rules - Full list
+ * @returns {Promise<Array>} - List as stored by the backend
+ */
+export const saveUserAlertRules = async (rules) => {
+    const response = await apiClient.put('/alerts/rules', { rules });
+    return response.data.rules;
+};
+
+/**
+ * Move guest rules into the signed-in user's list after login.
+ * A guest rule is skipped when the account has the same condition for the same location,
+ * and the guest list is cleared once the merge is saved.
+ * @param {Array} userRules - Rules loaded from the backend
+ * @returns {Promise<Array>} - Merged list
+ */
+export const mergeGuestAlertRules = async (userRules) => {
+    const guestRules = getGuestAlertRules();
+    if (guestRules.length === 0) {
+        return userRules;
+    }
+
+    const additions = guestRules.filter(guest => !userRules.some(rule => (
+        rule.type === guest.type
+        && rule.threshold === guest.threshold
+        && rule.hours === guest.hours
+        && rule.day === guest.day
+        && isSameLocation(rule.location, guest.location)
+    )));
+    const merged = additions.length > 0
+        ? await saveUserAlertRules([...userRules, ...additions].slice(0, MAX_ALERT_RULES))
+        : userRules;
+
+    localStorage.removeItem(GUEST_ALERT_RULES_KEY);
+    return merged;
+};
+
+/**
+ * Get the fired alerts, newest first
+ * @returns {Array<Object>} - { id, ruleId, type, location, value, threshold, hours, day, time, message, firedAt, read }
+ */
+export const getAlertHistory = () => readStorage(ALERT_HISTORY_KEY, []);
+
+/**
+ * Save the fired alerts, keeping the newest MAX_ALERTS
+ * @param {Array} alerts - Alerts, newest first
+ * @returns {Array} - Saved alerts
+ */
+export const saveAlertHistory = (alerts) => {
+    const kept = alerts.slice(0, MAX_ALERTS);
+    localStorage.setItem(ALERT_HISTORY_KEY, JSON.stringify(kept));
+    return kept;
+};
+
+/**
+ * Build a fired alert from a rule and the result of evaluateAlertRule()
+ * @param {Object} rule - Alert rule
+ * @param {Object} result - { value, time }
+ * @param {Object} weatherData - Weather data the rule was checked against
+ * @returns {Object} - Alert
+ */
+export const createAlert = (rule, result, weatherData) => ({
+    id: createId(),
+    ruleId: rule.id,
+    type: rule.type,
+    location: rule.location.name,
+    value: result.value,
+    threshold: rule.threshold,
+    hours: rule.hours,
+    day: rule.day,
+    time: result.time,
+    message: rule.type === 'anomaly' ? weatherData?.anomaly?.message || null : null,
+    firedAt: new Date().toISOString(),
+    read: false
+});
+
+/**
+ * Get the signatures of the rules that were triggered at the last check,
+ * so a condition that stays true does not fire again after a reload
+ * @returns {Array<string>}
+ */
+export const getTriggeredRules = () => readStorage(ALERT_STATE_KEY, []);
+
+/**
+ * Save the signatures of the currently triggered rules
+ * @param {Array<string>} signatures - See getAlertRuleSignature()
+ */
+export const saveTriggeredRules = (signatures) => {
+    localStorage.setItem(ALERT_STATE_KEY, JSON.stringify(signatures));
+};
+
+/**
+ * Show a system notification. Some mobile browsers only allow them through the service worker.
+ * @param {string} title - Notification title
+ * @param {Object} options - Notification options ({ body, tag })
+ * @returns {Promise<boolean>} - false when notifications are unsupported or not allowed
+ */
+export const showBrowserNotification = async (title, options) => {
+    if (typeof window === 'undefined' || !('Notification' in window) || Notification.permission !== 'granted') {
+        return false;
+    }
+
+    try {
+        new Notification(title, options);
+        return true;
+    } catch (error) {
+        if (!('serviceWorker' in navigator)) return false;
+        const registration = await navigator.serviceWorker.getRegistration();
+        if (!registration) return false;
+        await registration.showNotification(title, options);
+        return true;
+    }
+};
+
+const alertService = {
+    createAlertRule,
+    getGuestAlertRules,
+    saveGuestAlertRules,
+    fetchUserAlertRules,
+    saveUserAlertRules,
+    mergeGuestAlertRules,
+    getAlertHistory,
+    saveAlertHistory,
+    createAlert,
+    getTriggeredRules,
+    saveTriggeredRules,
+    showBrowserNotification
+};
+
+export default alertService;
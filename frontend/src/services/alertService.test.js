@@ -0,0 +1,54 @@
+import { getAlertRuleSignature } from '../lib/alertRules';
+import { createAlertRule, getTriggeredRules, saveTriggeredRules } from './alertService';
+
+const location = { name: 'Dĩ An', lat: 10.9, lon: 106.77 };
+
+beforeEach(() => {
+    localStorage.clear();
+});
+
+describe('triggered rules', () => {
+    test('are empty before any check', () => {
+        expect(getTriggeredRules()).toEqual([]);
+    });
+
+    test('keep the signatures of the last check', () => {
+        const rule = createAlertRule(location, 'rain_probability');
+        saveTriggeredRules([getAlertRuleSignature(rule)]);
+        expect(getTriggeredRules()).toEqual([getAlertRuleSignature(rule)]);
+    });
+
+    test('no longer match a rule once it is edited, so it can fire again', () => {
+        const rule = createAlertRule(location, 'temperature_max', { threshold: 35 });
+        saveTriggeredRules([getAlertRuleSignature(rule)]);
+
+        const previous = new Set(getTriggeredRules());
+        expect(previous.has(getAlertRuleSignature(rule))).toBe(true);
+        expect(previous.has(getAlertRuleSignature({ ...rule, threshold: 33 }))).toBe(false);
+    });
+
+    test('fall back to none when the stored value is invalid', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        localStorage.setItem('weather-dashboard-alert-state', '{');
+        expect(getTriggeredRules()).toEqual([]);
+        console.warn.mockRestore();
+    });
+});
+
+describe('createAlertRule', () => {
+    test('fills the defaults of its type and keeps only its fields', () => {
+        const rule = createAlertRule({ name: 'Hà Nội', latitude: '21.03', longitude: '105.85' }, 'rain_probability', { threshold: '60' });
+        expect(rule).toMatchObject({
+            type: 'rain_probability',
+            threshold: 60,
+            hours: 6,
+            day: null,
+            enabled: true,
+            location: { name: 'Hà Nội', lat: 21.03, lon: 105.85 }
+        });
+    });
+
+    test('gives every rule its own id', () => {
+        expect(createAlertRule(location, 'anomaly').id).not.toBe(createAlertRule(location, 'anomaly').id);
+    });
+});
@@ -1,17 +1,18 @@
-import axios from '../lib/axios';
+import apiClient, { notifyAuthChange } from '../lib/apiClient';
 
 const authService = {
   async login(username, password) {
-    const response = await axios.post('/login', { username, password });
+    const response = await apiClient.post('/login', { username, password });
     if (response.data.access_token) {
       localStorage.setItem('token', response.data.access_token);
       localStorage.setItem('user', JSON.stringify(response.data.user));
+      notifyAuthChange();
     }
     return response.data;
   },
 
   async register({ username, email, password, password_confirmation, name }) {
-    const response = await axios.post('/register', {
+    const response = await apiClient.post('/register', {
       name,
       username,
       email,
@@ -22,6 +23,7 @@ const authService = {
     if (response.data.access_token) {
       localStorage.setItem('token', response.data.access_token);
       localStorage.setItem('user', JSON.stringify(response.data.user));
+      notifyAuthChange();
     }
 
     return response.data;
@@ -31,7 +33,7 @@ const authService = {
     const token = localStorage.getItem('token');
     if (token) {
       try {
-        await axios.post('/logout', {}, {
+        await apiClient.post('/logout', {}, {
           headers: { Authorization: `Bearer ${token}` }
         });
       } catch (error) {
@@ -40,6 +42,7 @@ const authService = {
     }
     localStorage.removeItem('token');
     localStorage.removeItem('user');
+    notifyAuthChange();
   },
 
   async getCurrentUser() {
@@ -47,13 +50,14 @@ const authService = {
     if (!token) return null;
     
     try {
-      const response = await axios.get('/me', {
+      const response = await apiClient.get('/me', {
         headers: { Authorization: `Bearer ${token}` }
       });
       return response.data.user;
     } catch (error) {
       localStorage.removeItem('token');
       localStorage.removeItem('user');
+      notifyAuthChange();
       return null;
     }
   },
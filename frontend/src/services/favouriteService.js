@@ -0,0 +1,133 @@
+import apiClient from '../lib/apiClient';
+
+/**
+ * Favourite Service
+ * Stores the user's favourite locations.
+ * Guests keep them in localStorage; signed-in users sync them to /favourites.
+ * A favourite is { id, name, lat, lon }.
+ */
+
+const GUEST_FAVOURITES_KEY = 'weather-dashboard-favourites';
+
+// Same limit as the backend validation
+export const MAX_FAVOURITES = 30;
+
+// Shown to guests until they edit their own list
+export const DEFAULT_FAVOURITES = [
+    { id: 'di-an', name: 'Dĩ An', lat: 10.98, lon: 106.75 },
+    { id: 'ho-chi-minh', name: 'Hồ Chí Minh', lat: 10.82, lon: 106.63 },
+    { id: 'ha-noi', name: 'Hà Nội', lat: 21.03, lon: 105.85 },
+    { id: 'da-nang', name: 'Đà Nẵng', lat: 16.07, lon: 108.22 },
+    { id: 'nha-trang', name: 'Nha Trang', lat: 12.24, lon: 109.19 },
+    { id: 'da-lat', name: 'Đà Lạt', lat: 11.94, lon: 108.44 }
+];
+
+/**
+ * Create a favourite from any location shape used in the app
+ * ({ name, lat, lon } or { name, latitude, longitude })
+ * @param {Object} location - Location to save
+ * @returns {Object} - Favourite { id, name, lat, lon }
+ */
+export const createFavourite = (location) => ({
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name: location.name,
+    lat: Number(location.lat ?? location.latitude),
+    lon: Number(location.lon ?? location.longitude)
+});
+
+/**
+ * Check whether two locations point to the same place (~1 km precision)
+ * @param {Object} a - Favourite or location
+ * @param {Object} b - Favourite or location
+ * @returns {boolean}
+ */
+export const isSameLocation = (a, b) => {
+    const latA = Number(a.lat ?? a.latitude);
+    const lonA = Number(a.lon ?? a.longitude);
+    const latB = Number(b.lat ?? b.latitude);
+    const lonB = Number(b.lon ?? b.longitude);
+    return latA.toFixed(2) === latB.toFixed(2) && lonA.toFixed(2) === lonB.toFixed(2);
+};
+
+/**
+ * Read guest favourites from localStorage
+ * @returns {Array|null} - Saved list, or null when the guest never edited it
+ */
+const readGuestFavourites = () => {
+    try {
+        const saved = localStorage.getItem(GUEST_FAVOURITES_KEY);
+        return saved ? JSON.parse(saved) : null;
+    } catch (error) {
+        console.warn('Invalid guest favourites in localStorage:', error);
+        return null;
+    }
+};
+
+/**
+ * Get guest favourites, falling back to the default list
+ * @returns {Array}
+ */
+export const getGuestFavourites = () => readGuestFavourites() || DEFAULT_FAVOURITES;
+
+/**
+ * Save guest favourites to localStorage
+ * @param {Array} favourites - Ordered list
+ */
+export const saveGuestFavourites = (favourites) => {
+    localStorage.setItem(GUEST_FAVOURITES_KEY, JSON.stringify(favourites));
+};
+
+/**
+ * Get the signed-in user's favourites from the backend
+ * @returns {Promise<Array>}
+ */
+export const fetchUserFavourites = async () => {
+    const response = await apiClient.get('/favourites');
+    return response.data.favourites || [];
+};
+
+/**
+ * Replace the signed-in user's favourites on the backend
+ * @param {Array} favourites - Full ordered list
+ * @returns {Promise<Array>} - List as stored by the backend
+ */
+export const saveUserFavourites = async (favourites) => {
+    const response = await apiClient.put('/favourites', { favourites });
+    return response.data.favourites;
+};
+
+/**
+ * Move guest favourites into the signed-in user's list after login.
+ * Guest entries already in the account (same coordinates) are skipped,
+ * and the guest list is cleared once the merge is saved.
+ * @param {Array} userFavourites - Favourites loaded from the backend
+ * @returns {Promise<Array>} - Merged list
+ */
+export const mergeGuestFavourites = async (userFavourites) => {
+    const guestFavourites = readGuestFavourites();
+    if (!guestFavourites || guestFavourites.length === 0) {
+        return userFavourites;
+    }
+
+    const additions = guestFavourites.filter(
+        guest => !userFavourites.some(favourite => isSameLocation(favourite, guest))
+    );
+    const merged = additions.length > 0
+        ? await saveUserFavourites([...userFavourites, ...additions].slice(0, MAX_FAVOURITES))
+        : userFavourites;
+
+    localStorage.removeItem(GUEST_FAVOURITES_KEY);
+    return merged;
+};
+
+const favouriteService = {
+    createFavourite,
+    isSameLocation,
+    getGuestFavourites,
+    saveGuestFavourites,
+    fetchUserFavourites,
+    saveUserFavourites,
+    mergeGuestFavourites
+};
+
+export default favouriteService;
@@ -0,0 +1,77 @@
+import apiClient from '../lib/apiClient';
+import { normalizeLayout } from '../lib/dashboardLayout';
+
+/**
+ * Layout Service
+ * Stores the dashboard layout (see lib/dashboardLayout.js).
+ * Like favourites, guests keep it in localStorage and signed-in users save it to /dashboard/layout.
+ */
+
+const GUEST_LAYOUT_KEY = 'weather-dashboard-layout';
+
+/**
+ * Get the guest layout from localStorage
+ * @returns {Array} - Layout, the default one when never customised
+ */
+export const getGuestLayout = () => {
+    try {
+        const saved = localStorage.getItem(GUEST_LAYOUT_KEY);
+        return normalizeLayout(saved ? JSON.parse(saved) : null);
+    } catch (error) {
+        console.warn('Invalid dashboard layout in localStorage:', error);
+        return normalizeLayout(null);
+    }
+};
+
+/**
+ * Save the guest layout to localStorage
+ * @param {Array} layout - Full layout
+ */
+export const saveGuestLayout = (layout) => {
+    localStorage.setItem(GUEST_LAYOUT_KEY, JSON.stringify(layout));
+};
+
+/**
+ * Forget the guest layout so the default one is used
+ */
+export const resetGuestLayout = () => {
+    localStorage.removeItem(GUEST_LAYOUT_KEY);
+};
+
+/**
+ * Get the signed-in user's layout from the backend
+ * @returns {Promise<Array>} - Layout, the default one when never customised
+ */
+export const fetchUserLayout = async () => {
+    const response = await apiClient.get('/dashboard/layout');
+    return normalizeLayout(response.data.sections);
+};
+
+/**
+ * Replace the signed-in user's layout on the backend
+ * @param {Array} layout - Full layout
+ * @returns {Promise<Array>} - Layout as stored by the backend
+ */
+export const saveUserLayout = async (layout) => {
+    const response = await apiClient.put('/dashboard/layout', { sections: layout });
+    return normalizeLayout(response.data.sections);
+};
+
+/**
+ * Delete the signed-in user's layout so the default one is used
+ * @returns {Promise<void>}
+ */
+export const resetUserLayout = async () => {
+    await apiClient.delete('/dashboard/layout');
+};
+
+const layoutService = {
+    getGuestLayout,
+    saveGuestLayout,
+    resetGuestLayout,
+    fetchUserLayout,
+    saveUserLayout,
+    resetUserLayout
+};
+
+export default layoutService;
@@ -1,8 +1,8 @@
-import axios from '../lib/axios';
+import apiClient from '../lib/apiClient';
 
 const newsService = {
   async searchNews(keyword, language = 'vi') {
-    const response = await axios.get('/stories/search', {
+    const response = await apiClient.get('/stories/search', {
       params: { keyword, language }
     });
     return response.data;
@@ -13,44 +13,44 @@ const newsService = {
     if (filter) {
       params.filter = filter;
     }
-    const response = await axios.get('/stories', { params });
+    const response = await apiClient.get('/stories', { params });
     return response.data;
   },
 
   async getStoryStatistics() {
-    const response = await axios.get('/stories/statistics');
+    const response = await apiClient.get('/stories/statistics');
     return response.data;
   },
 
   async createStory(storyData) {
-    const response = await axios.post('/stories', storyData);
+    const response = await apiClient.post('/stories', storyData);
     return response.data;
   },
 
   async deleteStory(id) {
-    const response = await axios.delete(`/stories/${id}`);
+    const response = await apiClient.delete(`/stories/${id}`);
     return response.data;
   },
 
   async getHotStories(limit = 5) {
-    const response = await axios.get('/stories/hot', {
+    const response = await apiClient.get('/stories/hot', {
       params: { limit }
     });
     return response.data;
   },
 
   async updateStoryStatus(id, statusData) {
-    const response = await axios.put(`/stories/${id}/status`, statusData);
+    const response = await apiClient.put(`/stories/${id}/status`, statusData);
     return response.data;
   },
 
   async updateStory(id, updateData) {
-    const response = await axios.put(`/stories/${id}`, updateData);
+    const response = await apiClient.put(`/stories/${id}`, updateData);
     return response.data;
   },
 
   async checkStoriesExist(urls) {
-    const response = await axios.post('/stories/check', { urls });
+    const response = await apiClient.post('/stories/check', { urls });
     return response.data;
   }
 };
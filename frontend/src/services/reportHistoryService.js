@@ -0,0 +1,80 @@
+import { getCacheEntry, setCacheEntry } from '../lib/cacheStore';
+
+/**
+ * Report History Service
+ * Keeps every generated detailed report per location in the browser (cacheStore),
+ * together with the weather it was written from, so past reports can be compared.
+ * A history entry is:
+ *   { id, generatedAt, savedAt, source, model, report, location: { name, lat, lon },
+ *     weather: { current_weather, anomaly, daily_forecast } }
+ */
+
+const REPORT_HISTORY_PREFIX = 'report-history:';
+
+// Oldest reports are dropped beyond this many per location
+export const MAX_REPORTS_PER_LOCATION = 30;
+
+// Locations are matched at ~1 km precision, like the weather cache
+const getReportHistoryKey = (lat, lon) => (
+    `${REPORT_HISTORY_PREFIX}${Number(lat).toFixed(2)}:${Number(lon).toFixed(2)}`
+);
+
+/**
+ * Read the stored reports of a location, newest first
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<Array>} - History entries
+ */
+export const getReportHistory = async (lat, lon) => {
+    const entry = await getCacheEntry(getReportHistoryKey(lat, lon));
+    return entry?.data || [];
+};
+
+/**
+ * Store a generated report with the weather it was written from
+ * A report the backend replayed from its cache (same generation time and source) is stored once
+ * @param {Object} location - { name, lat, lon }
+ * @param {Object} result - Report as returned by streamDetailedReport()
+ * @param {Object} weatherData - Dashboard weather data when the report was generated
+ * @returns {Promise<Array>} - Updated history entries, newest first
+ */
+export const saveReportToHistory = async (location, result, weatherData) => {
+    const history = await getReportHistory(location.lat, location.lon);
+    const isStored = history.some(entry => (
+        entry.generatedAt === result.generated_at && entry.source === result.source
+    ));
+    if (isStored) return history;
+
+    const entry = {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        generatedAt: result.generated_at,
+        savedAt: new Date().toISOString(),
+        source: result.source,
+        model: result.model || null,
+        report: result.report,
+        location: { name: location.name, lat: Number(location.lat), lon: Number(location.lon) },
+        weather: {
+            current_weather: weatherData?.current_weather || null,
+            anomaly: weatherData?.anomaly || null,
+            daily_forecast: (weatherData?.daily_forecast || []).slice(0, 7)
+        }
+    };
+
+    const updated = [entry, ...history].slice(0, MAX_REPORTS_PER_LOCATION);
+    await setCacheEntry(getReportHistoryKey(location.lat, location.lon), updated);
+    return updated;
+};
+
+/**
+ * Remove one stored report of a location
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {string} id - Entry id
+ * @returns {Promise<Array>} - Remaining history entries
+ */
+export const deleteReportFromHistory = async (lat, lon, id) => {
+    const history = await getReportHistory(lat, lon);
+    const updated = history.filter(entry => entry.id !== id);
+    await setCacheEntry(getReportHistoryKey(lat, lon), updated);
+    return updated;
+};
@@ -1,20 +1,31 @@
-import axios from 'axios';
+import apiClient, { ApiError, API_ERROR_TYPES, streamServerEvents } from '../lib/apiClient';
+import { getCacheEntry, setCacheEntry, deleteCacheEntry, clearCacheEntries } from '../lib/cacheStore';
+import { t, getLanguage } from '../lib/i18n';
 
-// Base URL for the Laravel backend API
-// Automatically detect environment and use appropriate URL
-const API_BASE_URL = "http://localhost:8000/api"
-// const API_BASE_URL = "http://backend:80/api"
+// Weather cache settings
+const WEATHER_CACHE_PREFIX = 'weather:';
+const WEATHER_CACHE_TTL = 10 * 60 * 1000; // 10 minutes - served without refresh
+const WEATHER_CACHE_MAX_AGE = 6 * 60 * 60 * 1000; // 6 hours - served stale while refreshing
+const pendingWeatherRequests = new Map();
+
+// Last successful payload per location, kept with no expiry for offline use
+const WEATHER_SNAPSHOT_PREFIX = 'snapshot:';
+
+// Air quality cache settings - Open-Meteo updates air quality hourly
+const AIR_QUALITY_CACHE_PREFIX = 'air:';
+const AIR_QUALITY_CACHE_TTL = 30 * 60 * 1000; // 30 minutes - served without refresh
+const AIR_QUALITY_CACHE_MAX_AGE = 6 * 60 * 60 * 1000; // 6 hours - served stale while refreshing
+
+// Reverse geocode cache settings - place names rarely change
+const GEOCODE_CACHE_PREFIX = 'geocode:';
+const GEOCODE_CACHE_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+const pendingGeocodeRequests = new Map();
 
 /**
  * Weather Service
  * Handles all API calls to the Laravel backend
  */
 
-/**
- * Search for locations by name using Open-Meteo Geocoding API
- * @param {string} query - City name, country name, or address
- * @returns {Promise} - Array of location results with coordinates
- */
 /**
  * Search for locations by name using Laravel backend proxy
  * (Proxied to avoid CORS issues with Open-Meteo Geocoding API)
@@ -22,165 +33,458 @@ const API_BASE_URL = "http://localhost:8000/api"
  * @returns {Promise} - Array of location results with coordinates
  */
 export const fetchLocationByName = async (query) => {
-    try {
-        console.log('🌐 Calling Geocoding API (via Laravel proxy) for:', query);
-        
-        // Use Laravel backend as proxy to avoid CORS issues
-        const response = await axios.get(`${API_BASE_URL}/location/search`, {
-            params: {
-                query: query
-            },
+    console.log('🌐 Calling Geocoding API (via Laravel proxy) for:', query);
+
+    // Use Laravel backend as proxy to avoid CORS issues
+    const response = await apiClient.get('/location/search', {
+        params: {
+            query: query
+        },
+        timeout: 10000
+    });
+
+    if (!response.data.results || response.data.results.length === 0) {
+        throw new ApiError(API_ERROR_TYPES.NOT_FOUND, t('weatherService.noLocationsFound'));
+    }
+
+    // Transform results to match our application format
+    return response.data.results.map(location => ({
+        id: location.id,
+        name: location.name,
+        latitude: location.latitude,
+        longitude: location.longitude,
+        country: location.country,
+        admin1: location.admin1,  // State/Province
+        displayName: `${location.name}${location.admin1 ? ', ' + location.admin1 : ''}, ${location.country}`
+    }));
+};
+
+/**
+ * Find the place at the given coordinates using the Laravel backend
+ * Results are cached per language; coordinates are rounded to 3 decimals (~100 m)
+ * and concurrent calls for the same place share one request
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Object} options - { signal: AbortSignal }
+ * @returns {Promise<Object|null>} - { name, admin1, country, displayName }, or null when no place was found
+ */
+export const reverseGeocode = async (lat, lon, { signal } = {}) => {
+    const language = getLanguage();
+    const cacheKey = `${GEOCODE_CACHE_PREFIX}${language}:${Number(lat).toFixed(3)}:${Number(lon).toFixed(3)}`;
+
+    const entry = await getCacheEntry(cacheKey);
+    if (entry && Date.now() - entry.storedAt < GEOCODE_CACHE_TTL) {
+        return entry.data;
+    }
+
+    let pending = pendingGeocodeRequests.get(cacheKey);
+    if (!pending) {
+        pending = apiClient.get('/location/reverse', {
+            params: { lat, lon, language },
             timeout: 10000
-        });
+        })
+            .then(async (response) => {
+                const place = {
+                    name: response.data.name,
+                    admin1: response.data.admin1,
+                    country: response.data.country,
+                    displayName: response.data.display_name
+                };
+                await setCacheEntry(cacheKey, place);
+                return place;
+            })
+            .catch((error) => {
+                if (error.type !== API_ERROR_TYPES.NOT_FOUND) {
+                    console.warn('Reverse geocoding failed:', error.message);
+                }
+                return null;
+            })
+            .finally(() => pendingGeocodeRequests.delete(cacheKey));
 
-        console.log('📦 API Response:', response.data);
+        pendingGeocodeRequests.set(cacheKey, pending);
+    }
 
-        if (!response.data.results || response.data.results.length === 0) {
-            throw new Error('Không tìm thấy địa điểm nào');
+    if (!signal) return pending;
+
+    // The shared request keeps going for other callers; only this caller stops waiting
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(new ApiError(API_ERROR_TYPES.CANCELLED));
+        if (signal.aborted) {
+            onAbort();
+            return;
         }
+        signal.addEventListener('abort', onAbort, { once: true });
+        pending
+            .then(resolve)
+            .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+};
+
+/**
+ * Request weather data straight from the backend (no cache)
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Object} options - { signal: AbortSignal, retry: retry settings for apiClient }
+ * @returns {Promise} - Weather data including current, forecast, anomaly, and recommendations
+ */
+const requestWeatherData = async (lat, lon, { signal, retry } = {}) => {
+    const response = await apiClient.get(`/weather/${lat}/${lon}`, {
+        timeout: 10000, // 10 second timeout per attempt
+        signal,
+        retry
+    });
+    return response.data;
+};
 
-        // Transform results to match our application format
-        const transformedResults = response.data.results.map(location => ({
-            id: location.id,
-            name: location.name,
-            latitude: location.latitude,
-            longitude: location.longitude,
-            country: location.country,
-            admin1: location.admin1,  // State/Province
-            displayName: `${location.name}${location.admin1 ? ', ' + location.admin1 : ''}, ${location.country}`
-        }));
-        
-        console.log('✨ Transformed results:', transformedResults);
-        return transformedResults;
-    } catch (error) {
-        console.error('❌ Error searching location:', error);
-        console.error('Error details:', {
-            message: error.message,
-            code: error.code,
-            response: error.response?.data,
-            status: error.response?.status
-        });
-        
-        if (error.message === 'Không tìm thấy địa điểm nào') {
-            throw error;
-        } else if (error.code === 'ECONNABORTED') {
-            throw new Error('Hết thời gian chờ - vui lòng thử lại');
-        } else if (error.response?.status === 404) {
-            throw new Error('Không tìm thấy địa điểm nào');
-        } else if (error.response?.status === 500) {
-            throw new Error('Lỗi server. Vui lòng thử lại sau.');
-        } else if (error.code === 'ERR_NETWORK') {
-            throw new Error('Không thể kết nối với server. Kiểm tra backend đang chạy.');
-        } else {
-            throw new Error(`Không thể tìm kiếm địa điểm: ${error.message}`);
+/**
+ * Follow a shared request on behalf of one caller
+ * When the caller's signal aborts, only that caller is rejected; the shared
+ * request itself is aborted once every caller has given up on it
+ * @param {Object} pending - Entry of pendingWeatherRequests
+ * @param {AbortSignal} signal - Abort signal of the caller
+ * @returns {Promise}
+ */
+const subscribeToRequest = (pending, signal) => {
+    pending.subscribers += 1;
+
+    if (!signal) {
+        return pending.promise;
+    }
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            pending.subscribers -= 1;
+            if (pending.subscribers === 0) {
+                pendingWeatherRequests.delete(pending.cacheKey);
+                pending.controller.abort();
+            }
+            reject(new ApiError(API_ERROR_TYPES.CANCELLED));
+        };
+
+        if (signal.aborted) {
+            onAbort();
+            return;
         }
+
+        signal.addEventListener('abort', onAbort, { once: true });
+        pending.promise
+            .then(resolve, reject)
+            .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+};
+
+/**
+ * Build the cache key for a location
+ * Coordinates are rounded to 2 decimals (~1 km) so nearby picks share an entry
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {string}
+ */
+const getWeatherCacheKey = (lat, lon) => {
+    return `${WEATHER_CACHE_PREFIX}${Number(lat).toFixed(2)}:${Number(lon).toFixed(2)}`;
+};
+
+/**
+ * Build the offline snapshot key for a location
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {string}
+ */
+const getWeatherSnapshotKey = (lat, lon) => {
+    return `${WEATHER_SNAPSHOT_PREFIX}${Number(lat).toFixed(2)}:${Number(lon).toFixed(2)}`;
+};
+
+/**
+ * Fetch fresh data and store it in the cache
+ * Concurrent calls for the same key share one request
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {string} cacheKey - Cache key for the location
+ * @param {Object} options - { signal: AbortSignal, retry: retry settings for apiClient }
+ * @returns {Promise} - Fresh weather data
+ */
+const revalidateWeatherData = (lat, lon, cacheKey, { signal, retry } = {}) => {
+    let pending = pendingWeatherRequests.get(cacheKey);
+
+    if (!pending) {
+        const controller = new AbortController();
+        const entry = { cacheKey, controller, subscribers: 0 };
+        entry.promise = requestWeatherData(lat, lon, { signal: controller.signal, retry })
+            .then(async (data) => {
+                await Promise.all([
+                    setCacheEntry(cacheKey, data),
+                    setCacheEntry(getWeatherSnapshotKey(lat, lon), data)
+                ]);
+                return data;
+            })
+            .finally(() => {
+                if (pendingWeatherRequests.get(cacheKey) === entry) {
+                    pendingWeatherRequests.delete(cacheKey);
+                }
+            });
+
+        pending = entry;
+        pendingWeatherRequests.set(cacheKey, pending);
     }
+
+    return subscribeToRequest(pending, signal);
 };
 
 /**
- * Fetch comprehensive weather data for a specific location
+ * Fetch comprehensive weather data for a specific location (stale-while-revalidate)
+ * - Fresh cache entry (< WEATHER_CACHE_TTL): returned without a network call
+ * - Stale entry (< WEATHER_CACHE_MAX_AGE): returned right away, refreshed in the background
+ * - No entry or too old: fetched from the backend
  * @param {number} lat - Latitude
  * @param {number} lon - Longitude
+ * @param {Object} options
+ * @param {Function} options.onRevalidate - Called with fresh data after a background refresh
+ * @param {boolean} options.forceRefresh - Skip the cache
+ * @param {AbortSignal} options.signal - Rejects with a `cancelled` ApiError when aborted
+ * @param {Object} options.retry - Retry settings for apiClient ({ retries, baseDelay, maxDelay })
  * @returns {Promise} - Weather data including current, forecast, anomaly, and recommendations
  */
-export const fetchWeatherData = async (lat, lon) => {
-    try {
-        const response = await axios.get(`${API_BASE_URL}/weather/${lat}/${lon}`, {
-            timeout: 10000, // 10 second timeout
-            headers: {
-                'Accept': 'application/json',
-                'Content-Type': 'application/json',
-            }
-        });
-        return response.data;
-    } catch (error) {
-        console.error('Error fetching weather data:', error);
-        if (error.code === 'ECONNABORTED') {
-            throw new Error('Request timeout - please try again');
-        } else if (error.response?.status === 404) {
-            throw new Error('Weather data not found for this location');
-        } else if (error.response?.status >= 500) {
-            throw new Error('Server error - please try again later');
-        } else {
-            throw new Error('Failed to fetch weather data');
+export const fetchWeatherData = async (lat, lon, { onRevalidate, forceRefresh = false, signal, retry } = {}) => {
+    const cacheKey = getWeatherCacheKey(lat, lon);
+
+    if (!forceRefresh) {
+        const entry = await getCacheEntry(cacheKey);
+        const age = entry ? Date.now() - entry.storedAt : Infinity;
+
+        if (age < WEATHER_CACHE_TTL) {
+            return entry.data;
+        }
+
+        if (age < WEATHER_CACHE_MAX_AGE) {
+            // Background refresh is not tied to the caller's signal so the cache still gets updated
+            revalidateWeatherData(lat, lon, cacheKey, { retry })
+                .then((data) => {
+                    if (onRevalidate) onRevalidate(data);
+                })
+                .catch((error) => {
+                    console.warn('Background weather refresh failed:', error.message);
+                });
+            return entry.data;
+        }
+    }
+
+    return revalidateWeatherData(lat, lon, cacheKey, { signal, retry });
+};
+
+/**
+ * Get when the cached weather data of a location was fetched from the backend
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<number|null>} - Timestamp in ms, null when nothing is cached
+ */
+export const getWeatherUpdatedAt = async (lat, lon) => {
+    const entry = await getCacheEntry(getWeatherCacheKey(lat, lon));
+    return entry ? entry.storedAt : null;
+};
+
+/**
+ * Drop the cached weather data for one location
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ */
+export const invalidateWeatherCache = async (lat, lon) => {
+    await deleteCacheEntry(getWeatherCacheKey(lat, lon));
+};
+
+/**
+ * Drop all cached weather data
+ */
+export const clearWeatherCache = async () => {
+    await clearCacheEntries(WEATHER_CACHE_PREFIX);
+};
+
+/**
+ * Get the last successfully fetched weather data for a location
+ * Unlike the cache, snapshots never expire and survive clearWeatherCache(),
+ * so the dashboard can still render something when the network is down
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {Promise<{data: Object, storedAt: number}|null>}
+ */
+export const getWeatherSnapshot = async (lat, lon) => {
+    const entry = await getCacheEntry(getWeatherSnapshotKey(lat, lon));
+    return entry ? { data: entry.data, storedAt: entry.storedAt } : null;
+};
+
+/**
+ * Name to show for a location's weather data
+ * The name the user picked or linked wins; the backend only knows names it has
+ * reverse geocoded before and sends null otherwise
+ * @param {Object|null} location - Selected location { name, lat, lon }
+ * @param {Object|null} weatherData - Payload of fetchWeatherData or a snapshot
+ * @returns {string|null}
+ */
+export const getLocationName = (location, weatherData) => (
+    location?.name || weatherData?.location?.name || null
+);
+
+/**
+ * Fetch fresh air quality data and store it in the cache
+ * Shares pendingWeatherRequests (keys are prefixed) so concurrent calls share one request
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {string} cacheKey - Cache key for the location
+ * @param {Object} options - { signal: AbortSignal, retry: retry settings for apiClient }
+ * @returns {Promise} - Fresh air quality data
+ */
+const revalidateAirQualityData = (lat, lon, cacheKey, { signal, retry } = {}) => {
+    let pending = pendingWeatherRequests.get(cacheKey);
+
+    if (!pending) {
+        const controller = new AbortController();
+        const entry = { cacheKey, controller, subscribers: 0 };
+        entry.promise = apiClient.get(`/weather/air-quality/${lat}/${lon}`, {
+            timeout: 10000,
+            signal: controller.signal,
+            retry
+        })
+            .then(async (response) => {
+                await setCacheEntry(cacheKey, response.data);
+                return response.data;
+            })
+            .finally(() => {
+                if (pendingWeatherRequests.get(cacheKey) === entry) {
+                    pendingWeatherRequests.delete(cacheKey);
+                }
+            });
+
+        pending = entry;
+        pendingWeatherRequests.set(cacheKey, pending);
+    }
+
+    return subscribeToRequest(pending, signal);
+};
+
+/**
+ * Fetch the current air quality and the next 24 hours of AQI (stale-while-revalidate)
+ * Same caching as fetchWeatherData, with a 30 minute fresh period
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Object} options
+ * @param {Function} options.onRevalidate - Called with fresh data after a background refresh
+ * @param {boolean} options.forceRefresh - Skip the cache
+ * @param {AbortSignal} options.signal - Rejects with a `cancelled` ApiError when aborted
+ * @param {Object} options.retry - Retry settings for apiClient ({ retries, baseDelay, maxDelay })
+ * @returns {Promise} - { location, current: { aqi, pm2_5, pm10, ozone, ... }, hourly: [{ time, aqi, ... }] }
+ */
+export const fetchAirQualityData = async (lat, lon, { onRevalidate, forceRefresh = false, signal, retry } = {}) => {
+    const cacheKey = `${AIR_QUALITY_CACHE_PREFIX}${Number(lat).toFixed(2)}:${Number(lon).toFixed(2)}`;
+
+    if (!forceRefresh) {
+        const entry = await getCacheEntry(cacheKey);
+        const age = entry ? Date.now() - entry.storedAt : Infinity;
+
+        if (age < AIR_QUALITY_CACHE_TTL) {
+            return entry.data;
+        }
+
+        if (age < AIR_QUALITY_CACHE_MAX_AGE) {
+            revalidateAirQualityData(lat, lon, cacheKey, { retry })
+                .then((data) => {
+                    if (onRevalidate) onRevalidate(data);
+                })
+                .catch((error) => {
+                    console.warn('Background air quality refresh failed:', error.message);
+                });
+            return entry.data;
         }
     }
+
+    return revalidateAirQualityData(lat, lon, cacheKey, { signal, retry });
 };
 
 /**
  * Fetch detailed AI-generated weather report
  * @param {number} lat - Latitude
  * @param {number} lon - Longitude
+ * @param {Object} options - { signal: AbortSignal, retry: retry settings for apiClient }
  * @returns {Promise} - Detailed weather report with analysis
  */
-export const fetchDetailedReport = async (lat, lon) => {
-    try {
-        const response = await axios.get(`${API_BASE_URL}/weather/report/${lat}/${lon}`, {
-            timeout: 30000, // 30 second timeout for AI generation
-            headers: {
-                'Accept': 'application/json',
-                'Content-Type': 'application/json',
+export const fetchDetailedReport = async (lat, lon, { signal, retry } = {}) => {
+    const response = await apiClient.get(`/weather/report/${lat}/${lon}`, {
+        timeout: 30000, // 30 second timeout for AI generation
+        signal,
+        retry
+    });
+    return response.data;
+};
+
+/**
+ * Stream the detailed AI-generated weather report section by section
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Object} options
+ *   - signal: AbortSignal that cancels the generation
+ *   - refresh: write a new report instead of the one cached by the backend
+ *   - onMeta: called first with { source, model, expected_sections }
+ *   - onSection: called with the markdown of every ## section, in order
+ * @returns {Promise} - The complete report, shaped like fetchDetailedReport()
+ */
+export const streamDetailedReport = async (lat, lon, { signal, refresh = false, onMeta, onSection } = {}) => {
+    const sections = [];
+    let meta = {};
+    let result = null;
+
+    await streamServerEvents(`/weather/report/${lat}/${lon}/stream`, {
+        params: refresh ? { refresh: 1 } : undefined,
+        signal,
+        onEvent: (event, data) => {
+            if (event === 'meta') {
+                meta = data;
+                onMeta?.(data);
+            } else if (event === 'section') {
+                sections[data.index] = data.markdown;
+                onSection?.(data.markdown, data.index);
+            } else if (event === 'done') {
+                result = {
+                    success: meta.source === 'gemini_ai',
+                    report: sections.join('\n\n'),
+                    source: meta.source,
+                    model: meta.model,
+                    generated_at: data.generated_at
+                };
+            } else if (event === 'error') {
+                throw new ApiError(API_ERROR_TYPES.SERVER, t('weatherService.reportInterrupted'));
             }
-        });
-        return response.data;
-    } catch (error) {
-        console.error('Error fetching detailed report:', error);
-        if (error.code === 'ECONNABORTED') {
-            throw new Error('Hết thời gian chờ - vui lòng thử lại');
-        } else if (error.response?.status >= 500) {
-            throw new Error('Lỗi server - vui lòng thử lại sau');
-        } else {
-            throw new Error('Không thể tạo báo cáo chi tiết');
         }
+    });
+
+    // The connection closed before the backend finished the report
+    if (!result) {
+        throw new ApiError(API_ERROR_TYPES.NETWORK, t('weatherService.reportInterrupted'));
     }
+    return result;
 };
 
 /**
  * Fetch weather data for multiple cities in bulk (for RainMap)
  * This reduces API calls from 24 individual requests to 1 bulk request
+ * @param {Object} options - { signal: AbortSignal, retry: retry settings for apiClient }
  * @returns {Promise} - Bulk weather data for all major cities
  */
-export const fetchBulkWeatherData = async () => {
-    try {
-        const response = await axios.get(`${API_BASE_URL}/weather/bulk`, {
-            timeout: 30000, // 30 second timeout for bulk request
-            headers: {
-                'Accept': 'application/json',
-                'Content-Type': 'application/json',
-            }
-        });
-        return response.data;
-    } catch (error) {
-        console.error('Error fetching bulk weather data:', error);
-        if (error.code === 'ECONNABORTED') {
-            throw new Error('Bulk request timeout - please try again');
-        } else if (error.response?.status === 404) {
-            throw new Error('Bulk weather endpoint not found');
-        } else if (error.response?.status >= 500) {
-            throw new Error('Server error - please try again later');
-        } else {
-            throw new Error('Failed to fetch bulk weather data');
-        }
-    }
+export const fetchBulkWeatherData = async ({ signal, retry } = {}) => {
+    const response = await apiClient.get('/weather/bulk', {
+        timeout: 30000, // 30 second timeout for bulk request
+        signal,
+        retry
+    });
+    return response.data;
 };
 
 /**
- * Compare weather data between two locations
- * @param {Object} location1 - First location {lat, lon, name}
- * @param {Object} location2 - Second location {lat, lon, name}
- * @returns {Promise} - Comparison data
+ * Compare weather data between 2 and 6 locations
+ * @param {Array} locations - Locations [{lat, lon, name}, ...]
+ * @param {Object} options - { signal }
+ * @returns {Promise} - Comparison data { locations: [{name, coordinates, current_weather, daily_summary}] }
  */
-export const fetchComparisonData = async (location1, location2) => {
-    try {
-        const response = await axios.post(`${API_BASE_URL}/weather/comparison`, {
-            location1,
-            location2
-        });
-        return response.data;
-    } catch (error) {
-        console.error('Error fetching comparison data:', error);
-        throw error;
-    }
+export const fetchComparisonData = async (locations, { signal } = {}) => {
+    const response = await apiClient.post('/weather/comparison', { locations }, { signal });
+    return response.data;
 };
 
 /**
@@ -190,7 +494,7 @@ export const fetchComparisonData = async (location1, location2) => {
 export const getCurrentLocation = () => {
     return new Promise((resolve, reject) => {
         if (!navigator.geolocation) {
-            reject(new Error('Geolocation is not supported by this browser'));
+            reject(new Error(t('weatherService.geolocationUnsupported')));
             return;
         }
 
@@ -198,37 +502,28 @@ export const getCurrentLocation = () => {
             async (position) => {
                 const { latitude, longitude } = position.coords;
                 
-                try {
-                    // Optional: Get location name using reverse geocoding
-                    const locationName = await getLocationName(latitude, longitude);
-                    resolve({
-                        lat: latitude,
-                        lon: longitude,
-                        name: locationName || `Vị trí hiện tại (${latitude.toFixed(2)}, ${longitude.toFixed(2)})`
-                    });
-                } catch (error) {
-                    // If reverse geocoding fails, still return coordinates
-                    resolve({
-                        lat: latitude,
-                        lon: longitude,
-                        name: `Vị trí hiện tại (${latitude.toFixed(2)}, ${longitude.toFixed(2)})`
-                    });
-                }
+                // Name the place; fall back to coordinates if reverse geocoding finds nothing
+                const place = await reverseGeocode(latitude, longitude);
+                resolve({
+                    lat: latitude,
+                    lon: longitude,
+                    name: place?.name || t('weatherService.currentLocationAt', { lat: latitude.toFixed(2), lon: longitude.toFixed(2) })
+                });
             },
             (error) => {
-                let errorMessage = 'Không thể lấy vị trí hiện tại';
+                let errorMessage = t('weatherService.geolocation.failed');
                 switch (error.code) {
                     case error.PERMISSION_DENIED:
-                        errorMessage = 'Người dùng đã từ chối quyền truy cập vị trí';
+                        errorMessage = t('weatherService.geolocation.denied');
                         break;
                     case error.POSITION_UNAVAILABLE:
-                        errorMessage = 'Thông tin vị trí không khả dụng';
+                        errorMessage = t('weatherService.geolocation.unavailable');
                         break;
                     case error.TIMEOUT:
-                        errorMessage = 'Yêu cầu vị trí đã hết thời gian chờ';
+                        errorMessage = t('weatherService.geolocation.timeout');
                         break;
                     default:
-                        errorMessage = 'Lỗi không xác định khi lấy vị trí';
+                        errorMessage = t('weatherService.geolocation.unknown');
                         break;
                 }
                 reject(new Error(errorMessage));
@@ -242,28 +537,17 @@ export const getCurrentLocation = () => {
     });
 };
 
-/**
- * Get location name from coordinates using reverse geocoding
- * @param {number} lat - Latitude
- * @param {number} lon - Longitude
- * @returns {Promise<string>} - Location name
- */
-const getLocationName = async (lat, lon) => {
-    try {
-        // For now, return a simple location name based on coordinates
-        // In production, you might want to implement this on the backend
-        // to avoid CORS issues with external APIs
-        return `Vị trí (${lat.toFixed(2)}, ${lon.toFixed(2)})`;
-    } catch (error) {
-        console.warn('Location name generation failed:', error.message);
-        return null; // Return null to use coordinates fallback
-    }
-};
-
 const weatherService = {
     fetchWeatherData,
+    invalidateWeatherCache,
+    clearWeatherCache,
+    getWeatherSnapshot,
+    getLocationName,
+    getWeatherUpdatedAt,
+    fetchAirQualityData,
     fetchBulkWeatherData,
     fetchComparisonData,
+    reverseGeocode,
     getCurrentLocation
 };
 
@@ -0,0 +1,47 @@
+import apiClient from '../lib/apiClient';
+import { clearCacheEntries } from '../lib/cacheStore';
+import { fetchWeatherData, getWeatherSnapshot, getLocationName } from './weatherService';
+
+jest.mock('../lib/apiClient', () => {
+    const actual = jest.requireActual('../lib/apiClient');
+    return { ...actual, __esModule: true, default: { get: jest.fn(), post: jest.fn() } };
+});
+
+const picked = { name: 'Nhà bà ngoại', lat: 10.98, lon: 106.75 };
+
+// Payload of /weather for coordinates the backend never reverse geocoded
+const uncachedPayload = { location: { latitude: 10.98, longitude: 106.75, name: null }, current_weather: {} };
+
+beforeEach(async () => {
+    apiClient.get.mockReset();
+    await clearCacheEntries();
+});
+
+describe('getLocationName', () => {
+    test('keeps the picked name when the backend has no cached place name', async () => {
+        apiClient.get.mockResolvedValue({ data: uncachedPayload });
+
+        const data = await fetchWeatherData(picked.lat, picked.lon, { forceRefresh: true });
+
+        expect(getLocationName(picked, data)).toBe('Nhà bà ngoại');
+    });
+
+    test('keeps the picked name for an offline snapshot', async () => {
+        apiClient.get.mockResolvedValue({ data: uncachedPayload });
+        await fetchWeatherData(picked.lat, picked.lon, { forceRefresh: true });
+
+        const snapshot = await getWeatherSnapshot(picked.lat, picked.lon);
+
+        expect(getLocationName(picked, snapshot.data)).toBe('Nhà bà ngoại');
+    });
+
+    test('prefers the picked name over the backend one', () => {
+        expect(getLocationName(picked, { location: { name: 'Dĩ An' } })).toBe('Nhà bà ngoại');
+    });
+
+    test('uses the backend name only when the location has none', () => {
+        expect(getLocationName({ lat: 10.98, lon: 106.75 }, { location: { name: 'Dĩ An' } })).toBe('Dĩ An');
+        expect(getLocationName(null, { location: { name: null } })).toBeNull();
+        expect(getLocationName(null, null)).toBeNull();
+    });
+});